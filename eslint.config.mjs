@@ -3,4 +3,22 @@ import prettier from 'eslint-config-prettier';
 import apify from '@apify/eslint-config/js.js';
 
 // eslint-disable-next-line import/no-default-export
-export default [{ ignores: ['**/dist'] }, ...apify, prettier];
+export default [
+    { ignores: ['**/dist'] },
+    ...apify,
+    prettier,
+    {
+        // The self-running tests report their results on the console
+        files: ['**/*.test.js', '**/test/**'],
+        rules: {
+            'no-console': 'off',
+        },
+    },
+    {
+        // The maintenance scripts are command-line tools that print their reports
+        files: ['scripts/**'],
+        rules: {
+            'no-console': 'off',
+        },
+    },
+];
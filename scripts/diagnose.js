@@ -0,0 +1,204 @@
+/**
+ * Offline diagnosis
+ * Runs the error classifier and the early challenge check on a page saved
+ * from a blocked run: an HTML file (e.g. a SNAPSHOT-*-dom record), a HAR file
+ * (e.g. a HAR-* record or a DevTools export) or both, and prints the
+ * classification, its signals, confidence, root-cause flag and suggested action
+ *
+ * Usage:
+ *   node scripts/diagnose.js page.html                      # classify a saved page
+ *   node scripts/diagnose.js run.har                        # status, URL and failures from the HAR
+ *   node scripts/diagnose.js page.html run.har --json       # both, as JSON
+ *   node scripts/diagnose.js page.html --status 403 --url https://www.marriott.com/... --message "Navigation timeout"
+ *
+ * Options:
+ *   --status <code>   Response status of the page (overrides the HAR's)
+ *   --url <url>       URL of the page (overrides the HAR's)
+ *   --message <text>  Error message the request failed with
+ *   --timeout         The navigation timed out
+ *   --rules <file>    Classification rules merged over the defaults (JSON or JS config)
+ *   --json            Print JSON instead of text
+ */
+
+import { readFileSync } from 'node:fs';
+
+import { readClassificationRules } from '../src/utils/classification-rules.js';
+import { classifyError, detectChallengeInHtml, setClassificationRules } from '../src/utils/error-classifier.js';
+
+const VALUE_OPTIONS = ['--status', '--url', '--message', '--rules'];
+const FLAG_OPTIONS = ['--timeout', '--json'];
+
+/**
+ * Parse the command line
+ * @param {Array<string>} args - Arguments after the script path
+ * @returns {Object} - { files, status, url, message, rules, timeout, json }
+ */
+function parseArgs(args) {
+  const options = { files: [], timeout: false, json: false };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (VALUE_OPTIONS.includes(arg)) {
+      if (args[i + 1] === undefined) {
+        throw new Error(`${arg} needs a value`);
+      }
+      options[arg.slice(2)] = args[++i];
+    } else if (FLAG_OPTIONS.includes(arg)) {
+      options[arg.slice(2)] = true;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else {
+      options.files.push(arg);
+    }
+  }
+
+  if (options.files.length === 0) {
+    throw new Error('Pass a saved HTML page, a HAR file or both');
+  }
+  if (options.status !== undefined && !/^\d{3}$/.test(options.status)) {
+    throw new Error(`--status must be an HTTP status code, got ${options.status}`);
+  }
+  return options;
+}
+
+/**
+ * Read the signals of a HAR: the page document's status, URL, headers and
+ * body (when the HAR kept it) and the requests that failed
+ * @param {Object} har - HAR document
+ * @returns {Object} - { status, url, headers, body, networkErrors, entries }
+ */
+function readHar(har) {
+  const entries = har.log?.entries || [];
+  const isRedirect = ({ response }) => response?.status >= 300 && response?.status < 400;
+  const documents = entries.filter(({ _resourceType: resourceType, response }) => resourceType === 'Document'
+    || response?.content?.mimeType?.includes('text/html'));
+  // The page is where the first navigation's redirects ended
+  const pageEntry = documents.find(entry => !isRedirect(entry)) || documents[0] || entries[0];
+
+  const content = pageEntry?.response?.content;
+  const body = content?.text && content.encoding === 'base64'
+    ? Buffer.from(content.text, 'base64').toString('utf8')
+    : content?.text;
+
+  const networkErrors = entries
+    .filter(({ _error: errorText, response }) => errorText || !response?.status)
+    .map(({ request, _resourceType: resourceType, _error: errorText }) => ({
+      url: request.url,
+      failure: errorText || 'no response',
+      method: request.method,
+      resourceType: (resourceType || '').toLowerCase()
+    }));
+
+  return {
+    status: pageEntry?.response?.status || null,
+    url: pageEntry?.request?.url || null,
+    headers: Object.fromEntries((pageEntry?.response?.headers || []).map(({ name, value }) => [name, value])),
+    body,
+    networkErrors,
+    entries: entries.length
+  };
+}
+
+/**
+ * Load the saved files: JSON with log.entries is a HAR, anything else is HTML
+ * @param {Array<string>} files - File paths
+ * @returns {Object} - { html, har }
+ */
+function loadFiles(files) {
+  const loaded = { html: null, har: null };
+
+  for (const file of files) {
+    const text = readFileSync(file, 'utf8');
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      // Not JSON, so a saved page
+    }
+
+    if (Array.isArray(json?.log?.entries)) {
+      loaded.har = readHar(json);
+    } else {
+      loaded.html = text;
+    }
+  }
+
+  return loaded;
+}
+
+/**
+ * Diagnose a saved page
+ * @param {Object} options - Parsed command line
+ * @returns {Object} - { input, challenge, classification }
+ */
+function diagnose(options) {
+  const { html, har } = loadFiles(options.files);
+  const statusCode = options.status ? Number(options.status) : har?.status || null;
+  const url = options.url || har?.url || '';
+  const body = html ?? har?.body ?? '';
+
+  const classification = classifyError({
+    statusCode,
+    responseBody: body,
+    responseHeaders: har?.headers || null,
+    consoleErrors: [],
+    networkErrors: har?.networkErrors || [],
+    pageErrors: [],
+    navigationTimeout: options.timeout,
+    errorMessage: options.message || '',
+    url
+  });
+
+  return {
+    input: {
+      files: options.files,
+      url: url || null,
+      status_code: statusCode,
+      html_length: body.length,
+      har_entries: har?.entries ?? null,
+      network_errors: har?.networkErrors.length ?? null
+    },
+    challenge: detectChallengeInHtml(body, url),
+    classification
+  };
+}
+
+/**
+ * Format a diagnosis for the terminal
+ * @param {Object} diagnosis - Result of diagnose
+ * @returns {string}
+ */
+function formatText({ input, challenge, classification }) {
+  const flags = entries => entries.map(([name, value]) => `  ${value ? '✔' : '·'} ${name}${typeof value === 'boolean' ? '' : `: ${value}`}`);
+  const rootCause = classification.isRootCause ? ' [ROOT CAUSE]' : '';
+
+  const vendor = classification.vendor ? `, ${classification.vendor}` : '';
+
+  return [
+    `🔍 ${classification.type} (${classification.confidence} confidence)${rootCause}`,
+    `📏 Rule: ${classification.rule ?? 'none'}${vendor}`,
+    `💡 Suggested action: ${classification.suggestedAction}`,
+    ...(classification.backoffHint ? [`⏰ Backoff hint: ${Math.round(classification.backoffHint.suggestedDelay)}ms`] : []),
+    '',
+    `📄 ${input.files.join(', ')}: ${input.html_length} chars of HTML, status ${input.status_code ?? 'unknown'}, URL ${input.url ?? 'unknown'}`,
+    ...(input.har_entries !== null ? [`📊 HAR: ${input.har_entries} requests, ${input.network_errors} failed`] : []),
+    '',
+    'Signals:',
+    ...flags(Object.entries(classification.signals)),
+    '',
+    `🚨 Early challenge check: ${challenge.hasChallenge ? `challenge detected (${challenge.rule}${challenge.vendor ? `, ${challenge.vendor}` : ''})` : 'no challenge'}`
+  ].join('\n');
+}
+
+try {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.rules) {
+    setClassificationRules(await readClassificationRules(options.rules));
+  }
+  const diagnosis = diagnose(options);
+  console.log(options.json ? JSON.stringify(diagnosis, null, 2) : formatText(diagnosis));
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  console.error('Usage: node scripts/diagnose.js <page.html> [run.har] [--status <code>] [--url <url>] [--message <text>] [--timeout] [--rules <file>] [--json]');
+  process.exit(2);
+}
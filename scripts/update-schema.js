@@ -0,0 +1,109 @@
+/**
+ * Input schema sync
+ * Regenerates the brand and locale selections of .actor/input_schema.json from
+ * the brand registry (src/config/brands.js) and the supported locales
+ * (src/config/locales.js). With --check, only reports whether the
+ * schema and the selector files agree with the registry and exits non-zero
+ * if they don't
+ *
+ * Usage:
+ *   node scripts/update-schema.js          # write the schema
+ *   node scripts/update-schema.js --check  # verify only
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { ALL_BRANDS_SELECTION } from '../src/config/brand-urls.js';
+import { DIRECTORY_BRANDS } from '../src/config/brands.js';
+import { DEFAULT_LOCALE, LOCALES } from '../src/config/locales.js';
+import { listSelectorFiles, loadSelectors, STRATEGY_TYPES } from '../src/strategies/factory.js';
+
+const SCHEMA_PATH = join(dirname(fileURLToPath(import.meta.url)), '..', '.actor', 'input_schema.json');
+
+/**
+ * Build the brand selection enum and titles from the registry
+ * @returns {Object} - { enum, enumTitles }
+ */
+function buildBrandSelection() {
+  return {
+    enum: [...DIRECTORY_BRANDS.map(brand => brand.key), ALL_BRANDS_SELECTION],
+    enumTitles: [
+      ...DIRECTORY_BRANDS.map(brand => `${brand.name} (${brand.directoryUrls[DEFAULT_LOCALE]})`),
+      'All Brands (every directory listed above)'
+    ]
+  };
+}
+
+/**
+ * Build the locale selection enum and titles
+ * @returns {Object} - { enum, enumTitles }
+ */
+function buildLocaleSelection() {
+  return {
+    enum: Object.keys(LOCALES),
+    enumTitles: Object.entries(LOCALES).map(([locale, name]) => `${name} (${locale})`)
+  };
+}
+
+/**
+ * Find selector files whose strategy type disagrees with the registry (the
+ * registry may name a subclass of the selector file's strategy, and a
+ * 'generic' registry entry defers to the selector file)
+ * @returns {Promise<Array<string>>} - Problem descriptions
+ */
+async function checkSelectorFiles() {
+  const problems = [];
+
+  for (const brandKey of listSelectorFiles()) {
+    const brand = DIRECTORY_BRANDS.find(entry => entry.key === brandKey);
+    if (!brand || !brand.strategy || brand.strategy === 'generic') continue;
+
+    const selectors = await loadSelectors(brandKey);
+    const RegistryClass = STRATEGY_TYPES[brand.strategy];
+    const SelectorClass = STRATEGY_TYPES[selectors.strategy];
+    if (SelectorClass && RegistryClass !== SelectorClass && !(RegistryClass?.prototype instanceof SelectorClass)) {
+      problems.push(`src/config/selectors/${brandKey}.json declares strategy '${selectors.strategy}', the registry says '${brand.strategy}'`);
+    }
+  }
+
+  return problems;
+}
+
+const checkOnly = process.argv.includes('--check');
+const raw = readFileSync(SCHEMA_PATH, 'utf8');
+const schema = JSON.parse(raw);
+const brandSelection = buildBrandSelection();
+const localeSelection = buildLocaleSelection();
+const { properties } = schema;
+
+// Single selections hold the enum themselves, multiple selections in their items
+const updated = {
+  ...schema,
+  properties: {
+    ...properties,
+    brandSelection: { ...properties.brandSelection, ...brandSelection },
+    brandSelections: { ...properties.brandSelections, items: { ...properties.brandSelections.items, ...brandSelection } },
+    locale: { ...properties.locale, ...localeSelection },
+    locales: { ...properties.locales, items: { ...properties.locales.items, ...localeSelection } }
+  }
+};
+const output = `${JSON.stringify(updated, null, 4)}${raw.endsWith('\n') ? '\n' : ''}`;
+
+if (checkOnly) {
+  const problems = await checkSelectorFiles();
+  if (output !== raw) {
+    problems.push('.actor/input_schema.json is out of sync with the brand registry or locales; run `npm run update-schema`');
+  }
+
+  if (problems.length > 0) {
+    problems.forEach(problem => console.error(`❌ ${problem}`));
+    process.exit(1);
+  }
+
+  console.log(`✅ Input schema in sync with the brand registry (${DIRECTORY_BRANDS.length} brands)`);
+} else {
+  writeFileSync(SCHEMA_PATH, output);
+  console.log(`✅ Input schema updated with ${DIRECTORY_BRANDS.length} brands`);
+}
@@ -1,49 +1,26 @@
-// Brand directory URL mappings
-export const BRAND_DIRECTORY_URLS = {
-  ritzcarlton: "https://www.ritzcarlton.com/en/hotels-and-resorts/",
-  stregis: "https://st-regis.marriott.com/hotel-directory/",
-  marriottMain: "https://marriott-hotels.marriott.com/locations/",
-  sheraton: "https://www.sheraton.com/hotels/",
-  westin: "https://www.westin.com/hotels/",
-  w: "https://www.whotels.com/hotels/",
-  luxurycollection: "https://www.luxurycollection.com/hotels/",
-  edition: "https://www.editionhotels.com/hotels/",
-  autograph: "https://www.autographhotels.com/hotels/",
-  tributeportfolio: "https://www.tributeportfolio.com/hotels/",
-  design: "https://www.designhotels.com/hotels/",
-  bulgari: "https://www.bulgarihotels.com/hotels/",
-  gaylord: "https://www.gaylordhotels.com/hotels/",
-  renaissance: "https://www.renaissancehotels.com/hotels/",
-  lemeridien: "https://www.lemeridien.com/hotels/",
-  courtyard: "https://www.courtyard.marriott.com/hotels/",
-  springhill: "https://www.springhillsuites.marriott.com/hotels/",
-  fairfield: "https://www.fairfield.marriott.com/hotels/",
-  residenceinn: "https://www.residenceinn.marriott.com/hotels/",
-  towneplace: "https://www.towneplacesuites.marriott.com/hotels/",
-  achotels: "https://www.achotels.marriott.com/hotels/",
-  aloft: "https://www.aloft.marriott.com/hotels/",
-  moxy: "https://www.moxyhotels.com/hotels/",
-  protea: "https://www.proteahotels.com/hotels/",
-  cityexpress: "https://www.cityexpress.marriott.com/hotels/",
-  fourpoints: "https://www.fourpoints.com/hotels/",
-  element: "https://www.elementhotels.com/hotels/",
-  delta: "https://www.deltahotels.com/hotels/",
-  sonder: "https://www.sonder.com/hotels/",
-  apartments: "https://www.apartments.marriott.com/hotels/",
-  conferencecenters: "https://www.marriott.com/conference-centers/"
-};
+import { DIRECTORY_BRANDS, getBrand } from './brands.js';
+import { DEFAULT_LOCALE, localizeUrl } from './locales.js';
+
+// Brand directory URL mappings, derived from the brand registry
+export const BRAND_DIRECTORY_URLS = Object.fromEntries(
+  DIRECTORY_BRANDS.map(brand => [brand.key, brand.directoryUrls[DEFAULT_LOCALE]])
+);
 
 /**
  * Get the directory URL for a given brand selection
  * @param {string} brandSelection - The brand selection key
+ * @param {string} locale - Directory locale
  * @returns {string} The directory URL for the brand
  */
-export function getBrandDirectoryUrl(brandSelection) {
+export function getBrandDirectoryUrl(brandSelection, locale = DEFAULT_LOCALE) {
   const url = BRAND_DIRECTORY_URLS[brandSelection];
   if (!url) {
     throw new Error(`Unknown brand selection: ${brandSelection}`);
   }
-  return url;
+
+  // A locale without its own directory URL gets the default one with the locale as path prefix
+  const { directoryUrls } = getBrand(brandSelection);
+  return directoryUrls[locale] || (locale === DEFAULT_LOCALE ? url : localizeUrl(url, locale));
 }
 
 /**
@@ -54,4 +31,36 @@ export function getBrandDirectoryUrl(brandSelection) {
 export function getBrandKeyFromSelection(brandSelection) {
   // Most brand selections map directly to brand keys
   return brandSelection;
-} 
\ No newline at end of file
+}
+
+// Selection value that expands to every brand in BRAND_DIRECTORY_URLS
+export const ALL_BRANDS_SELECTION = 'all';
+
+/**
+ * Expand brand selections into a de-duplicated list of brand keys
+ * @param {string|Array<string>} selections - A single selection, a list of selections, or 'all'
+ * @returns {Array<string>} The brand keys to scrape, in selection order
+ */
+export function resolveBrandSelections(selections) {
+  const list = Array.isArray(selections) ? selections : [selections];
+  const brandKeys = [];
+
+  for (const selection of list) {
+    if (!selection) continue;
+
+    const keys = selection === ALL_BRANDS_SELECTION
+      ? Object.keys(BRAND_DIRECTORY_URLS)
+      : [getBrandKeyFromSelection(selection)];
+
+    for (const key of keys) {
+      if (!BRAND_DIRECTORY_URLS[key]) {
+        throw new Error(`Unknown brand selection: ${selection}`);
+      }
+      if (!brandKeys.includes(key)) {
+        brandKeys.push(key);
+      }
+    }
+  }
+
+  return brandKeys;
+}
@@ -0,0 +1,424 @@
+/**
+ * Brand Registry
+ * Single source of truth for every Marriott brand. Domain patterns, directory
+ * URLs, GDS brand codes, sub-brand codes, hotel name patterns and the input
+ * schema brand selection are all derived from this list
+ *
+ * Fields:
+ * - key: brand key used in input, selector files and output
+ * - name: display name (also the brand_name of scraped hotels)
+ * - gdsCode: official GDS chain code
+ * - domains: hosts (optionally with a path prefix) the brand is served from, without "www.";
+ *   ".com" hosts also match their international domains (.co.uk, .ca, ...), see locales.js
+ * - directoryUrls: hotel directory URL per locale; brands without one can't be selected, and
+ *   locales without an entry use the default locale's URL with the locale as path prefix
+ * - strategy: scraping strategy type (see strategies/factory.js); with 'generic' or none, the type
+ *   declared in the brand's selector file is used
+ * - parent: key of the brand this one is a sub-brand of
+ * - subBrandCode: sub-brand code, if the brand has one
+ * - namePatterns: regular expression sources matching hotel names of the brand
+ *
+ * After editing, run `npm run update-schema` to sync .actor/input_schema.json
+ */
+
+import { LOCALE_SEGMENT_PATTERN, LOCALE_TLDS } from './locales.js';
+
+export const BRANDS = [
+  {
+    key: 'ritzcarlton',
+    name: 'The Ritz-Carlton',
+    gdsCode: 'RZ',
+    domains: ['ritzcarlton.com'],
+    directoryUrls: { en: 'https://www.ritzcarlton.com/en/hotels-and-resorts/' },
+    strategy: 'ritzcarlton',
+    subBrandCode: 'RC',
+    namePatterns: ['(The )?Ritz[- ]Carlton']
+  },
+  {
+    key: 'stregis',
+    name: 'St Regis',
+    gdsCode: 'XR',
+    domains: ['st-regis.marriott.com'],
+    directoryUrls: { en: 'https://st-regis.marriott.com/hotel-directory/' },
+    strategy: 'stregis',
+    subBrandCode: 'SR',
+    namePatterns: ['St\\.? Regis']
+  },
+  {
+    key: 'marriottMain',
+    name: 'Marriott Hotels',
+    gdsCode: 'MC',
+    domains: ['marriott-hotels.marriott.com', 'marriott.marriott.com'],
+    directoryUrls: { en: 'https://marriott-hotels.marriott.com/locations/' },
+    strategy: 'marriottMain',
+    namePatterns: ['Marriott Hotels?']
+  },
+  {
+    key: 'sheraton',
+    name: 'Sheraton',
+    gdsCode: 'SI',
+    domains: ['sheraton.com'],
+    directoryUrls: { en: 'https://www.sheraton.com/hotels/' },
+    strategy: 'starwood',
+    namePatterns: ['Sheraton']
+  },
+  {
+    key: 'westin',
+    name: 'Westin',
+    gdsCode: 'WI',
+    domains: ['westin.com'],
+    directoryUrls: { en: 'https://www.westin.com/hotels/' },
+    strategy: 'starwood',
+    namePatterns: ['Westin']
+  },
+  {
+    key: 'w',
+    name: 'W Hotels',
+    gdsCode: 'WH',
+    domains: ['whotels.com'],
+    directoryUrls: { en: 'https://www.whotels.com/hotels/' },
+    strategy: 'starwood',
+    namePatterns: ['W Hotels?']
+  },
+  {
+    key: 'luxurycollection',
+    name: 'The Luxury Collection',
+    gdsCode: 'LC',
+    domains: ['luxurycollection.com'],
+    directoryUrls: { en: 'https://www.luxurycollection.com/hotels/' },
+    strategy: 'starwood',
+    subBrandCode: 'LC',
+    namePatterns: ['The Luxury Collection']
+  },
+  {
+    key: 'edition',
+    name: 'Edition',
+    gdsCode: 'EB',
+    domains: ['editionhotels.com'],
+    directoryUrls: { en: 'https://www.editionhotels.com/hotels/' },
+    strategy: 'declarative',
+    namePatterns: ['EDITION']
+  },
+  {
+    key: 'autograph',
+    name: 'Autograph Collection',
+    gdsCode: 'AK',
+    domains: ['autographhotels.com'],
+    directoryUrls: { en: 'https://www.autographhotels.com/hotels/' },
+    strategy: 'generic',
+    namePatterns: ['Autograph Collection']
+  },
+  {
+    key: 'tributeportfolio',
+    name: 'Tribute Portfolio',
+    gdsCode: 'TX',
+    domains: ['tributeportfolio.com'],
+    directoryUrls: { en: 'https://www.tributeportfolio.com/hotels/' },
+    strategy: 'generic',
+    namePatterns: ['Tribute Portfolio']
+  },
+  {
+    key: 'design',
+    name: 'Design Hotels',
+    gdsCode: 'DP',
+    domains: ['designhotels.com'],
+    directoryUrls: { en: 'https://www.designhotels.com/hotels/' },
+    strategy: 'generic',
+    namePatterns: ['Design Hotels?']
+  },
+  {
+    key: 'bulgari',
+    name: 'Bvlgari Hotels & Resorts',
+    gdsCode: 'BG',
+    domains: ['bulgarihotels.com'],
+    directoryUrls: { en: 'https://www.bulgarihotels.com/hotels/' },
+    strategy: 'generic',
+    namePatterns: ['B[vu]lgari']
+  },
+  {
+    key: 'gaylord',
+    name: 'Gaylord Hotels',
+    gdsCode: 'GE',
+    domains: ['gaylordhotels.com'],
+    directoryUrls: { en: 'https://www.gaylordhotels.com/hotels/' },
+    strategy: 'generic',
+    namePatterns: ['Gaylord Hotels?']
+  },
+  {
+    key: 'renaissance',
+    name: 'Renaissance Hotels',
+    gdsCode: 'BR',
+    domains: ['renaissancehotels.com'],
+    directoryUrls: { en: 'https://www.renaissancehotels.com/hotels/' },
+    strategy: 'generic',
+    namePatterns: ['Renaissance']
+  },
+  {
+    key: 'lemeridien',
+    name: 'Le Méridien',
+    gdsCode: 'MD',
+    domains: ['lemeridien.com'],
+    directoryUrls: { en: 'https://www.lemeridien.com/hotels/' },
+    strategy: 'starwood',
+    namePatterns: ['Le M[eé]ridien']
+  },
+  {
+    key: 'courtyard',
+    name: 'Courtyard by Marriott',
+    gdsCode: 'CY',
+    domains: ['courtyard.marriott.com'],
+    directoryUrls: { en: 'https://www.courtyard.marriott.com/hotels/' },
+    strategy: 'generic',
+    namePatterns: ['Courtyard']
+  },
+  {
+    key: 'springhill',
+    name: 'SpringHill Suites',
+    gdsCode: 'XV',
+    domains: ['springhillsuites.marriott.com'],
+    directoryUrls: { en: 'https://www.springhillsuites.marriott.com/hotels/' },
+    strategy: 'generic',
+    namePatterns: ['SpringHill Suites?']
+  },
+  {
+    key: 'fairfield',
+    name: 'Fairfield by Marriott',
+    gdsCode: 'FN',
+    domains: ['fairfield.marriott.com'],
+    directoryUrls: { en: 'https://www.fairfield.marriott.com/hotels/' },
+    strategy: 'generic',
+    namePatterns: ['Fairfield']
+  },
+  {
+    key: 'residenceinn',
+    name: 'Residence Inn by Marriott',
+    gdsCode: 'RC',
+    domains: ['residenceinn.marriott.com'],
+    directoryUrls: { en: 'https://www.residenceinn.marriott.com/hotels/' },
+    strategy: 'generic',
+    namePatterns: ['Residence Inn']
+  },
+  {
+    key: 'towneplace',
+    name: 'TownePlace Suites',
+    gdsCode: 'TO',
+    domains: ['towneplacesuites.marriott.com'],
+    directoryUrls: { en: 'https://www.towneplacesuites.marriott.com/hotels/' },
+    strategy: 'generic',
+    namePatterns: ['TownePlace Suites?']
+  },
+  {
+    key: 'achotels',
+    name: 'AC Hotels by Marriott',
+    gdsCode: 'AR',
+    domains: ['achotels.marriott.com'],
+    directoryUrls: { en: 'https://www.achotels.marriott.com/hotels/' },
+    strategy: 'generic',
+    namePatterns: ['AC Hotels?']
+  },
+  {
+    key: 'aloft',
+    name: 'Aloft',
+    gdsCode: 'AL',
+    domains: ['aloft.marriott.com'],
+    directoryUrls: { en: 'https://www.aloft.marriott.com/hotels/' },
+    strategy: 'starwood',
+    namePatterns: ['Aloft']
+  },
+  {
+    key: 'moxy',
+    name: 'Moxy Hotels',
+    gdsCode: 'OX',
+    domains: ['moxyhotels.com'],
+    directoryUrls: { en: 'https://www.moxyhotels.com/hotels/' },
+    strategy: 'declarative',
+    namePatterns: ['Moxy']
+  },
+  {
+    key: 'protea',
+    name: 'Protea Hotels',
+    gdsCode: 'PR',
+    domains: ['proteahotels.com'],
+    directoryUrls: { en: 'https://www.proteahotels.com/hotels/' },
+    strategy: 'generic',
+    namePatterns: ['Protea Hotels?']
+  },
+  {
+    key: 'cityexpress',
+    name: 'City Express by Marriott',
+    gdsCode: 'XE',
+    domains: ['cityexpress.marriott.com'],
+    directoryUrls: { en: 'https://www.cityexpress.marriott.com/hotels/' },
+    strategy: 'generic',
+    namePatterns: ['City Express']
+  },
+  {
+    key: 'fourpoints',
+    name: 'Four Points by Sheraton',
+    gdsCode: 'FP',
+    domains: ['fourpoints.com'],
+    directoryUrls: { en: 'https://www.fourpoints.com/hotels/' },
+    strategy: 'starwood',
+    namePatterns: ['Four Points']
+  },
+  {
+    key: 'element',
+    name: 'Element',
+    gdsCode: 'EL',
+    domains: ['elementhotels.com'],
+    directoryUrls: { en: 'https://www.elementhotels.com/hotels/' },
+    strategy: 'starwood',
+    namePatterns: ['Element']
+  },
+  {
+    key: 'delta',
+    name: 'Delta Hotels',
+    gdsCode: 'DE',
+    domains: ['deltahotels.com'],
+    directoryUrls: { en: 'https://www.deltahotels.com/hotels/' },
+    strategy: 'generic',
+    namePatterns: ['Delta Hotels?']
+  },
+  {
+    key: 'sonder',
+    name: 'Sonder by Marriott Bonvoy',
+    gdsCode: 'US',
+    domains: ['sonder.com'],
+    directoryUrls: { en: 'https://www.sonder.com/hotels/' },
+    strategy: 'generic',
+    namePatterns: ['Sonder']
+  },
+  {
+    key: 'apartments',
+    name: 'Apartments by Marriott Bonvoy',
+    gdsCode: 'BA',
+    domains: ['apartments.marriott.com'],
+    directoryUrls: { en: 'https://www.apartments.marriott.com/hotels/' },
+    strategy: 'generic',
+    namePatterns: ['Apartments by Marriott']
+  },
+  {
+    key: 'conferencecenters',
+    name: 'Marriott Conference Centers',
+    gdsCode: 'ET',
+    domains: ['marriott.com/conference-centers'],
+    directoryUrls: { en: 'https://www.marriott.com/conference-centers/' },
+    strategy: 'generic',
+    namePatterns: ['Conference Center']
+  },
+  // Brands without a directory of their own
+  {
+    key: 'allinclusive',
+    name: 'All-Inclusive by Marriott',
+    gdsCode: 'IM',
+    namePatterns: ['All[- ]Inclusive']
+  },
+  {
+    key: 'vacationclub',
+    name: 'Marriott Vacation Club',
+    gdsCode: 'VC',
+    namePatterns: ['Marriott Vacation Club']
+  },
+  {
+    key: 'jwmarriott',
+    name: 'JW Marriott',
+    gdsCode: 'MC',
+    parent: 'marriottMain',
+    subBrandCode: 'JW',
+    namePatterns: ['JW Marriott']
+  },
+  {
+    key: 'executiveapartments',
+    name: 'Marriott Executive Apartments',
+    gdsCode: 'MC',
+    parent: 'marriottMain',
+    namePatterns: ['Marriott Executive Apartments']
+  }
+].map(brand => Object.freeze({
+  domains: [],
+  directoryUrls: {},
+  strategy: null,
+  parent: null,
+  subBrandCode: null,
+  ...brand
+}));
+
+// Brands that can be selected for scraping (they have a directory)
+export const DIRECTORY_BRANDS = BRANDS.filter(brand => Object.keys(brand.directoryUrls).length > 0);
+
+/**
+ * Get a brand by key
+ * @param {string} brandKey - Brand key
+ * @returns {Object|null} - Registry entry or null for unknown keys
+ */
+export function getBrand(brandKey) {
+  return BRANDS.find(brand => brand.key === brandKey) || null;
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - Literal text
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+// Top-level domains a ".com" brand domain may also be served from
+export const INTERNATIONAL_TLDS = ['com', ...Object.keys(LOCALE_TLDS)];
+
+/**
+ * Build the pattern of one domain: its international variants for ".com"
+ * hosts, and a locale path prefix before a path
+ * @param {string} domain - Host, optionally followed by a path prefix
+ * @returns {string} - Regular expression source
+ */
+function domainPatternSource(domain) {
+  const [host, ...path] = domain.split('/');
+  const hostSource = host.endsWith('.com')
+    ? `${escapeRegExp(host.slice(0, -'.com'.length))}\\.(?:${INTERNATIONAL_TLDS.map(escapeRegExp).join('|')})`
+    : escapeRegExp(host);
+  const pathSource = path.length > 0 ? `(?:\\/${LOCALE_SEGMENT_PATTERN})?\\/${escapeRegExp(path.join('/'))}` : '';
+
+  return `${hostSource}${pathSource}`;
+}
+
+/**
+ * Build the URL pattern matching any of a brand's domains, with "www." or a
+ * locale subdomain (fr.sheraton.com)
+ * @param {Object} brand - Registry entry
+ * @returns {RegExp}
+ */
+export function buildDomainPattern(brand) {
+  const domains = brand.domains.map(domainPatternSource).join('|');
+  return new RegExp(`^https?:\\/\\/(?:www\\.|${LOCALE_SEGMENT_PATTERN}\\.)?(?:${domains})(?=[/?#:]|$)`, 'i');
+}
+
+/**
+ * Get the GDS code and name of a brand, for strategies
+ * @param {string} brandKey - Brand key
+ * @returns {Object|null} - { name, code } or null for unknown keys
+ */
+export function getBrandInfoForKey(brandKey) {
+  const brand = getBrand(brandKey);
+  return brand ? { name: brand.name, code: brand.gdsCode } : null;
+}
+
+// Hotel name patterns: sub-brands first so "JW Marriott" wins over "Marriott Hotels"
+export const BRAND_NAME_PATTERNS = [
+  ...BRANDS.filter(brand => brand.parent),
+  ...BRANDS.filter(brand => !brand.parent)
+].flatMap(brand => brand.namePatterns.map(source => ({ source, code: brand.gdsCode, name: brand.name })));
+
+// Brand assumed for hotel names matching no pattern
+export const DEFAULT_NAME_BRAND = { code: 'MC', name: 'Marriott Hotels' };
+
+/**
+ * Detect the brand of a hotel from its name
+ * @param {string} hotelName - Hotel name
+ * @returns {Object} - { code, name }
+ */
+export function matchBrandByName(hotelName) {
+  const match = BRAND_NAME_PATTERNS.find(({ source }) => new RegExp(source, 'i').test(hotelName));
+  return match ? { code: match.code, name: match.name } : DEFAULT_NAME_BRAND;
+}
@@ -1,40 +1,16 @@
-// Domain patterns for brand detection
-export const DOMAIN_PATTERNS = {
-  ritzcarlton: /^https?:\/\/(www\.)?ritzcarlton\.com/i,
-  stregis: /^https?:\/\/(www\.)?st-regis\.marriott\.com/i,
-  marriottMain: /^https?:\/\/(www\.)?marriott(-hotels)?\.marriott\.com/i,
-  sheraton: /^https?:\/\/(www\.)?sheraton\.com/i,
-  westin: /^https?:\/\/(www\.)?westin\.com/i,
-  w: /^https?:\/\/(www\.)?whotels\.com/i,
-  luxurycollection: /^https?:\/\/(www\.)?luxurycollection\.com/i,
-  edition: /^https?:\/\/(www\.)?editionhotels\.com/i,
-  autograph: /^https?:\/\/(www\.)?autographhotels\.com/i,
-  tributeportfolio: /^https?:\/\/(www\.)?tributeportfolio\.com/i,
-  design: /^https?:\/\/(www\.)?designhotels\.com/i,
-  bulgari: /^https?:\/\/(www\.)?bulgarihotels\.com/i,
-  gaylord: /^https?:\/\/(www\.)?gaylordhotels\.com/i,
-  renaissance: /^https?:\/\/(www\.)?renaissancehotels\.com/i,
-  lemeridien: /^https?:\/\/(www\.)?lemeridien\.com/i,
-  courtyard: /^https?:\/\/(www\.)?courtyard\.marriott\.com/i,
-  springhill: /^https?:\/\/(www\.)?springhillsuites\.marriott\.com/i,
-  fairfield: /^https?:\/\/(www\.)?fairfield\.marriott\.com/i,
-  residenceinn: /^https?:\/\/(www\.)?residenceinn\.marriott\.com/i,
-  towneplace: /^https?:\/\/(www\.)?towneplacesuites\.marriott\.com/i,
-  achotels: /^https?:\/\/(www\.)?achotels\.marriott\.com/i,
-  aloft: /^https?:\/\/(www\.)?aloft\.marriott\.com/i,
-  moxy: /^https?:\/\/(www\.)?moxyhotels\.com/i,
-  protea: /^https?:\/\/(www\.)?proteahotels\.com/i,
-  cityexpress: /^https?:\/\/(www\.)?cityexpress\.marriott\.com/i,
-  fourpoints: /^https?:\/\/(www\.)?fourpoints\.com/i,
-  element: /^https?:\/\/(www\.)?elementhotels\.com/i,
-  delta: /^https?:\/\/(www\.)?deltahotels\.com/i,
-  sonder: /^https?:\/\/(www\.)?sonder\.com/i,
-  apartments: /^https?:\/\/(www\.)?apartments\.marriott\.com/i,
-  conferencecenters: /^https?:\/\/(www\.)?marriott\.com\/conference-centers/i
-};
+import { BRANDS, buildDomainPattern, INTERNATIONAL_TLDS } from './brands.js';
+import { DEFAULT_LOCALE, detectLocaleFromUrl } from './locales.js';
 
-// Generic Marriott domain pattern for fallback
-export const GENERIC_MARRIOTT_PATTERN = /^https?:\/\/(www\.)?.*\.marriott\.com/i;
+// Domain patterns for brand detection, derived from the brand registry
+export const DOMAIN_PATTERNS = Object.fromEntries(
+  BRANDS.filter(brand => brand.domains.length > 0).map(brand => [brand.key, buildDomainPattern(brand)])
+);
+
+// Generic Marriott domain pattern for fallback, including international domains
+export const GENERIC_MARRIOTT_PATTERN = new RegExp(
+  `^https?:\\/\\/([a-z0-9-]+\\.)*marriott\\.(${INTERNATIONAL_TLDS.map(tld => tld.replaceAll('.', '\\.')).join('|')})(?=[/?#:]|$)`,
+  'i'
+);
 
 // Function to detect brand from URL
 export function detectBrandFromUrl(url) {
@@ -68,4 +44,47 @@ export function validateUrlForBrand(url, brandKey) {
   }
   
   return brandKey;
-} 
\ No newline at end of file
+}
+
+/**
+ * Resolve start URL entries into crawl targets, collecting per-URL failures
+ * @param {Array<string|Object>} startUrls - URLs or { url, brandKey } entries
+ * @returns {Object} - { targets: [{ url, brandKey, locale }], failures: [{ url, brandKey, reason }] }
+ */
+export function resolveStartUrls(startUrls) {
+  const targets = [];
+  const failures = [];
+
+  for (const entry of startUrls || []) {
+    const url = typeof entry === 'string' ? entry : entry?.url;
+    const requestedBrandKey = typeof entry === 'string' ? null : (entry?.brandKey || entry?.userData?.brandKey || null);
+
+    try {
+      if (!url || typeof url !== 'string') {
+        throw new Error('Start URL entry is missing a url');
+      }
+
+      if (!URL.canParse(url)) {
+        throw new Error(`Invalid URL: ${url}`);
+      }
+
+      const brandKey = requestedBrandKey ?
+        validateUrlForBrand(url, requestedBrandKey) :
+        detectBrandFromUrl(url);
+
+      if (!brandKey) {
+        throw new Error(`Unsupported domain: ${url}. Please provide a valid Marriott brand URL.`);
+      }
+
+      targets.push({ url, brandKey, locale: detectLocaleFromUrl(url) || DEFAULT_LOCALE });
+    } catch (error) {
+      failures.push({
+        url: url || 'unknown',
+        brandKey: requestedBrandKey,
+        reason: error.message
+      });
+    }
+  }
+
+  return { targets, failures };
+}
@@ -1,18 +1,27 @@
+import { BRANDS, getBrand } from './brands.js';
+
 // Main configuration export
-export { DOMAIN_PATTERNS, detectBrandFromUrl, validateUrlForBrand } from './domains.js';
+export { DOMAIN_PATTERNS, detectBrandFromUrl, validateUrlForBrand, resolveStartUrls } from './domains.js';
 export { RATE_PROFILES, DEFAULT_CRAWLER_CONFIG, getCrawlerConfig, PUPPETEER_LAUNCH_OPTIONS } from './crawler.js';
-export { BRAND_DIRECTORY_URLS, getBrandDirectoryUrl, getBrandKeyFromSelection } from './brand-urls.js';
-
-// Import brand codes
-import { readFileSync } from 'fs';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+export { BRAND_DIRECTORY_URLS, ALL_BRANDS_SELECTION, getBrandDirectoryUrl, getBrandKeyFromSelection, resolveBrandSelections } from './brand-urls.js';
+export { BRANDS, DIRECTORY_BRANDS, getBrand, getBrandInfoForKey, matchBrandByName } from './brands.js';
+export { DEFAULT_LOCALE, LOCALES, detectLocaleFromUrl, normalizeLocale, resolveLocales } from './locales.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+// GDS brand codes, derived from the brand registry (sub-brands share their parent's code)
+const brandCodes = Object.fromEntries(
+  BRANDS.filter(brand => !brand.parent).map(brand => [brand.gdsCode, brand.name])
+);
 
-const brandCodes = JSON.parse(readFileSync(join(__dirname, 'brand_codes.json'), 'utf8'));
-const subBrandCodes = JSON.parse(readFileSync(join(__dirname, 'sub_brand_codes.json'), 'utf8'));
+// Sub-brand codes, derived from the brand registry
+const subBrandCodes = BRANDS.filter(brand => brand.subBrandCode).map((brand) => {
+  const parent = getBrand(brand.parent);
+  return {
+    code: brand.subBrandCode,
+    name: brand.name,
+    brand_code: brand.gdsCode,
+    description: parent ? `${brand.name} sub-brand of ${parent.name}` : `${brand.name} sub-brand`
+  };
+});
 
 export { brandCodes, subBrandCodes };
 
@@ -27,4 +36,4 @@ export function getBrandInfo(brandCode) {
 // Sub-brand mapping function
 export function getSubBrandInfo(subBrandCode) {
   return subBrandCodes.find(sub => sub.code === subBrandCode) || null;
-} 
\ No newline at end of file
+}
@@ -0,0 +1,128 @@
+/**
+ * Locale configuration
+ * Locales of the brand sites, and how they appear in URLs: a path prefix
+ * (/fr/hotels/), a subdomain (fr.sheraton.com) or an international domain
+ * (sheraton.co.uk)
+ */
+
+// Locale of the directory URLs used when no locale is requested
+export const DEFAULT_LOCALE = 'en';
+
+// Supported locales and their display names
+export const LOCALES = {
+  en: 'English',
+  'en-gb': 'English (United Kingdom)',
+  'en-ca': 'English (Canada)',
+  'en-au': 'English (Australia)',
+  fr: 'French',
+  'fr-ca': 'French (Canada)',
+  de: 'German',
+  es: 'Spanish',
+  'es-mx': 'Spanish (Mexico)',
+  it: 'Italian',
+  'pt-br': 'Portuguese (Brazil)',
+  ja: 'Japanese',
+  ko: 'Korean',
+  'zh-cn': 'Chinese (Simplified)',
+  'zh-tw': 'Chinese (Traditional)',
+  ru: 'Russian',
+  ar: 'Arabic'
+};
+
+// Locale implied by an international domain's top-level domain
+export const LOCALE_TLDS = {
+  'co.uk': 'en-gb',
+  ca: 'en-ca',
+  'com.au': 'en-au',
+  de: 'de',
+  fr: 'fr',
+  es: 'es',
+  it: 'it',
+  'com.mx': 'es-mx',
+  'com.br': 'pt-br',
+  'co.jp': 'ja',
+  jp: 'ja',
+  'co.kr': 'ko',
+  'com.cn': 'zh-cn',
+  cn: 'zh-cn'
+};
+
+// Regular expression source of a locale URL segment or subdomain: one of the
+// supported locales, so other short segments (/us/, go.marriott.com) are not locales
+export const LOCALE_SEGMENT_PATTERN = `(?:${Object.keys(LOCALES).join('|')})`;
+
+/**
+ * Normalize a locale code (e.g. "fr_FR" → "fr-fr")
+ * @param {string} locale - Locale code
+ * @returns {string|null} - Supported locale code, or null
+ */
+export function normalizeLocale(locale) {
+  if (!locale || typeof locale !== 'string') return null;
+
+  const normalized = locale.trim().toLowerCase().replace('_', '-');
+  return normalized in LOCALES ? normalized : null;
+}
+
+/**
+ * Expand locale selections into a de-duplicated list of locales
+ * @param {string|Array<string>} selections - A locale or a list of locales
+ * @returns {Array<string>} - Locales in selection order (the default locale if none)
+ */
+export function resolveLocales(selections) {
+  const list = (Array.isArray(selections) ? selections : [selections]).filter(Boolean);
+  const locales = [];
+
+  for (const selection of list) {
+    const locale = normalizeLocale(selection);
+    if (!locale) {
+      throw new Error(`Unsupported locale: ${selection}. Expected one of: ${Object.keys(LOCALES).join(', ')}`);
+    }
+    if (!locales.includes(locale)) {
+      locales.push(locale);
+    }
+  }
+
+  return locales.length > 0 ? locales : [DEFAULT_LOCALE];
+}
+
+/**
+ * Detect the locale of a URL from its first path segment, its subdomain or
+ * its international domain
+ * @param {string} url - URL
+ * @returns {string|null} - Locale code, or null if the URL has no locale
+ */
+export function detectLocaleFromUrl(url) {
+  if (!url || !URL.canParse(url)) return null;
+
+  const { hostname, pathname } = new URL(url);
+
+  const pathLocale = normalizeLocale(pathname.split('/')[1]);
+  if (pathLocale) return pathLocale;
+
+  const subdomainLocale = normalizeLocale(hostname.split('.')[0]);
+  if (subdomainLocale) return subdomainLocale;
+
+  const tld = Object.keys(LOCALE_TLDS).find(suffix => hostname.endsWith(`.${suffix}`));
+  return tld ? LOCALE_TLDS[tld] : null;
+}
+
+/**
+ * Build the URL of a page in another locale by setting its locale path prefix
+ * @param {string} url - URL in the default locale
+ * @param {string} locale - Target locale
+ * @returns {string} - Localized URL
+ */
+export function localizeUrl(url, locale) {
+  const parsed = new URL(url);
+  const segments = parsed.pathname.split('/');
+
+  // Replace an existing locale prefix (/en/hotels/ → /fr/hotels/), otherwise add one
+  if (normalizeLocale(segments[1])) {
+    segments[1] = locale;
+  } else {
+    segments.splice(1, 0, locale);
+  }
+
+  parsed.pathname = segments.join('/');
+  return parsed.toString();
+}
@@ -0,0 +1,69 @@
+/**
+ * Locale detection tests
+ * Checks that only the supported locales count as locale path segments and
+ * subdomains, in detectLocaleFromUrl and in the brand domain patterns, so
+ * other short segments and subdomains (/us/, go.marriott.com) are not taken
+ * for locales
+ *
+ * Usage:
+ *   node src/config/locales.test.js
+ */
+
+import { runTestCases } from '../test/test-cases.js';
+import { detectBrandFromUrl } from './domains.js';
+import { detectLocaleFromUrl, localizeUrl } from './locales.js';
+
+const cases = [
+  {
+    name: 'locale path prefixes are detected',
+    run: () => [
+      detectLocaleFromUrl('https://www.marriott.com/fr/hotels/travel/parlc-le-meridien-etoile/'),
+      detectLocaleFromUrl('https://www.ritzcarlton.com/zh-cn/hotels/'),
+      detectLocaleFromUrl('https://www.marriott.com/es-mx/hotels/')
+    ],
+    expected: ['fr', 'zh-cn', 'es-mx']
+  },
+  {
+    name: 'locale subdomains and international domains are detected',
+    run: () => [detectLocaleFromUrl('https://fr.sheraton.com/hotels/'), detectLocaleFromUrl('https://www.marriott.co.uk/hotels/')],
+    expected: ['fr', 'en-gb']
+  },
+  {
+    name: 'short path segments that are not supported locales are ignored',
+    run: () => [
+      detectLocaleFromUrl('https://www.marriott.com/us/hotels/'),
+      detectLocaleFromUrl('https://www.marriott.com/en-us/hotels/'),
+      detectLocaleFromUrl('https://www.marriott.com/mi/hotels/')
+    ],
+    expected: [null, null, null]
+  },
+  {
+    name: 'short subdomains that are not supported locales are ignored',
+    run: () => [detectLocaleFromUrl('https://go.marriott.com/offers/'), detectLocaleFromUrl('https://my.sheraton.com/')],
+    expected: [null, null]
+  },
+  {
+    name: 'brand domains match with a locale subdomain',
+    run: () => [detectBrandFromUrl('https://fr.sheraton.com/hotels/'), detectBrandFromUrl('https://zh-cn.ritzcarlton.com/hotels/')],
+    expected: ['sheraton', 'ritzcarlton']
+  },
+  {
+    name: 'brand domains do not match with other short subdomains',
+    run: () => [detectBrandFromUrl('https://go.sheraton.com/hotels/'), detectBrandFromUrl('https://xx.ritzcarlton.com/')],
+    expected: [null, null]
+  },
+  {
+    name: 'an unsupported segment is not replaced when localizing a URL',
+    run: () => [localizeUrl('https://www.ritzcarlton.com/en/hotels/', 'fr'), localizeUrl('https://www.marriott.com/us/hotels/', 'fr')],
+    expected: ['https://www.ritzcarlton.com/fr/hotels/', 'https://www.marriott.com/fr/us/hotels/']
+  }
+];
+
+async function runTests() {
+  await runTestCases('Locale Detection', cases);
+}
+
+// Always run tests when this file is executed
+runTests();
+
+export { runTests };
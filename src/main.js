@@ -1,15 +1,29 @@
 // Apify SDK - toolkit for building Apify Actors (Read more at https://docs.apify.com/sdk/js/).
 import { Actor } from 'apify';
 // Web scraping and browser automation library (Read more at https://crawlee.dev)
-import { PuppeteerCrawler } from 'crawlee';
+import { HttpCrawler, PuppeteerCrawler, sleep } from 'crawlee';
 
 // Import our universal scraper components
-import { detectBrandFromUrl, validateUrlForBrand, getCrawlerConfig, PUPPETEER_LAUNCH_OPTIONS } from './config/index.js';
-import { getBrandDirectoryUrl, getBrandKeyFromSelection } from './config/brand-urls.js';
+import { detectBrandFromUrl, validateUrlForBrand, resolveStartUrls, getBrandInfoForKey, getCrawlerConfig, PUPPETEER_LAUNCH_OPTIONS, DEFAULT_LOCALE, detectLocaleFromUrl, resolveLocales } from './config/index.js';
+import { getBrandDirectoryUrl, resolveBrandSelections } from './config/brand-urls.js';
 import { createStrategy } from './strategies/factory.js';
-import { cleanAndValidateHotelData, removeDuplicateHotels, sortHotelsByMarsha } from './utils/data-cleaner.js';
-import { handleDeadHotel, handleExtractionError, aggregateErrors } from './utils/error-handler.js';
-import { classifyError, detectChallengeEarly, sanitizeData, createTimeline, generateStealthConfig, ERROR_TYPES } from './utils/error-classifier.js';
+import { learnedSelectors, mergeSelectorRanking, SELECTOR_RANKING_KEY, SELECTOR_RANKING_STORE_NAME } from './strategies/selector-chains.js';
+import { createSnapshotEntry, diffSnapshots, mergeSnapshots, SNAPSHOT_KEY, SNAPSHOT_STORE_NAME, summarizeChanges } from './utils/change-detector.js';
+import { cleanAndValidateHotelData, mergeLocalizedHotel, removeDuplicateHotels, sortHotelsByMarsha } from './utils/data-cleaner.js';
+import { handleCircuitOpen, handleDeadHotel, handleEmptyDirectory, handleExtractionError, handleNavigationError, handleRequestFailure, handleValidationError, aggregateErrors } from './utils/error-handler.js';
+import { classifyError, detectChallengeEarly, sanitizeData, createTimeline, generateStealthConfig, setClassificationRules } from './utils/error-classifier.js';
+import { ERROR_CAUSES } from './utils/error-model.js';
+import { AdaptiveThrottle } from './utils/adaptive-throttle.js';
+import { CircuitBreaker, deferRejectedRequest } from './utils/circuit-breaker.js';
+import { mergeHotelDetails, parseHotelDetails } from './utils/enrichment.js';
+import { HarRecorder } from './utils/har-recorder.js';
+import { DEFAULT_FIXTURE_DIR, FIXTURE_MODES, FixtureStore } from './utils/fixtures.js';
+import { HISTORY_STORE_NAME, updateHistory } from './utils/history.js';
+import { ERRORS_DATASET_NAME, OUTPUT_KEY, OUTPUT_LAYOUTS, RunOutput } from './utils/output.js';
+import { capturePageSnapshot } from './utils/page-snapshot.js';
+import { createLadderProxyConfiguration, createProxyLadder, currentProxyTier, DEFAULT_PROXY_LADDER, escalateProxy, resolveProxyLadder, shouldEscalateProxy, summarizeEscalation } from './utils/proxy-escalation.js';
+import { checkHttpResolution, createResolveRequest, failedResolution, LIVENESS_MODES, mergeResolution, RESOLVE_LABEL, resolutionFromResponse, resolutionOutcome } from './utils/resolution.js';
+import { countSelectorMatches, evaluateStrategyHealth, HEALTH_KEY, HEALTH_STATUSES, HEALTH_STORE_NAME, healthKey, listConfiguredSelectors, sumSelectorCounts, summarizeHealth } from './utils/strategy-health.js';
 
 // The init() call configures the Actor for its environment. It's recommended to start every Actor with an init().
 await Actor.init();
@@ -18,117 +32,510 @@ await Actor.init();
 const input = await Actor.getInput();
 
 // Validate required input
-if (!input.brandSelection) {
-  throw new Error('brandSelection is required in input');
+const hasBrandSelections = Array.isArray(input.brandSelections) && input.brandSelections.length > 0;
+const hasStartUrls = Array.isArray(input.startUrls) && input.startUrls.length > 0;
+if (!input.brandSelection && !hasBrandSelections && !hasStartUrls) {
+  throw new Error('brandSelection, brandSelections or startUrls is required in input');
 }
 
-// Determine the target URL
-let targetUrl;
-let brandKey;
+// Determine the target URLs - one directory request per brand
+const targets = [];
+// Start URLs that failed validation; reported as errors once the dataset is open
+let startUrlFailures = [];
 
-if (input.targetUrl) {
+if (hasStartUrls) {
+  // Explicit list of directory URLs, each validated against its own brand
+  const resolved = resolveStartUrls(input.startUrls);
+  targets.push(...resolved.targets);
+  startUrlFailures = resolved.failures;
+
+  for (const failure of startUrlFailures) {
+    console.warn(`⚠️ Skipping start URL ${failure.url}: ${failure.reason}`);
+  }
+} else if (input.targetUrl) {
   // If manual URL is provided, use it and detect brand
-  targetUrl = input.targetUrl;
-  brandKey = input.brandKey ? 
-    validateUrlForBrand(input.targetUrl, input.brandKey) : 
+  const brandKey = input.brandKey ?
+    validateUrlForBrand(input.targetUrl, input.brandKey) :
     detectBrandFromUrl(input.targetUrl);
-    
+
   if (!brandKey) {
     throw new Error(`Unsupported domain: ${input.targetUrl}. Please provide a valid Marriott brand URL.`);
   }
+  targets.push({ url: input.targetUrl, brandKey, locale: detectLocaleFromUrl(input.targetUrl) || DEFAULT_LOCALE });
 } else {
-  // Use the brand selection to get the directory URL
-  targetUrl = getBrandDirectoryUrl(input.brandSelection);
-  brandKey = getBrandKeyFromSelection(input.brandSelection);
+  // Use the brand selection(s) to get the directory URLs ('all' expands to every brand), once per locale
+  const brandKeys = resolveBrandSelections(hasBrandSelections ? input.brandSelections : input.brandSelection);
+  const hasLocales = Array.isArray(input.locales) && input.locales.length > 0;
+  const locales = resolveLocales(hasLocales ? input.locales : input.locale);
+  for (const brandKey of brandKeys) {
+    for (const locale of locales) {
+      targets.push({ url: getBrandDirectoryUrl(brandKey, locale), brandKey, locale });
+    }
+  }
+}
+
+const brandKeys = [...new Set(targets.map(target => target.brandKey))];
+
+// Locales scraped in this run, in order of preference. With several locales a hotel is
+// merged across them, so hotels are pushed once every directory has been scraped
+const runLocales = [...new Set(targets.map(target => target.locale))];
+const mergeLocales = runLocales.length > 1;
+
+// Record the run's responses to disk, or replay a recorded run offline
+const fixtureMode = input.fixtureMode || 'off';
+if (!FIXTURE_MODES.includes(fixtureMode)) {
+  throw new Error(`Unsupported fixtureMode: ${fixtureMode}. Expected one of: ${FIXTURE_MODES.join(', ')}`);
+}
+const fixtureDir = input.fixtureDir || DEFAULT_FIXTURE_DIR;
+let fixtures = null;
+if (fixtureMode === 'record') {
+  fixtures = new FixtureStore(fixtureDir);
+  console.log(`📼 Recording fixtures to ${fixtureDir}`);
+} else if (fixtureMode === 'replay') {
+  fixtures = FixtureStore.load(fixtureDir);
+  console.log(`📼 Replaying ${Object.keys(fixtures.entries).length} fixtures from ${fixtureDir}`);
+}
+
+// Hotel URLs are resolved over HTTP by default, with the browser as fallback for challenges.
+// Replayed runs resolve in the browser, where the fixtures are served
+const livenessMode = fixtureMode === 'replay' ? 'browser' : (input.livenessMode || 'http');
+if (!LIVENESS_MODES.includes(livenessMode)) {
+  throw new Error(`Unsupported livenessMode: ${livenessMode}. Expected one of: ${LIVENESS_MODES.join(', ')}`);
+}
+
+// Hotels, errors and the run summary in the default dataset, or each in its own place
+const outputLayout = input.outputLayout || 'mixed';
+if (!OUTPUT_LAYOUTS.includes(outputLayout)) {
+  throw new Error(`Unsupported outputLayout: ${outputLayout}. Expected one of: ${OUTPUT_LAYOUTS.join(', ')}`);
+}
+
+// Opt-in: parse address, coordinates, phone, rating and opening date from each hotel page
+const enrichHotels = Boolean(input.enrichHotels);
+
+// Compare the hotels with the previous run's snapshot (on by default)
+const detectChanges = input.detectChanges !== false;
+
+// Append the run to each hotel's timeline (on by default)
+const trackHistory = input.trackHistory !== false;
+
+// Check each directory's selector matches and hotel count for drift (on by default)
+const checkStrategyHealth = input.checkStrategyHealth !== false;
+
+// Classification rules merged over the defaults (src/config/classification-rules.json)
+if (input.classificationRules) {
+  const { rules } = setClassificationRules(input.classificationRules);
+  console.log(`🧭 Classifying errors with ${rules.length} rules`);
 }
 
-console.log(`🎯 Using brand: ${brandKey} for URL: ${targetUrl}`);
+for (const target of targets) {
+  console.log(`🎯 Using brand: ${target.brandKey} (${target.locale}) for URL: ${target.url}`);
+}
 
 // Get crawler configuration
 const crawlerConfig = getCrawlerConfig(input);
 
-// Create proxy configuration based on user selection
-let proxyConfiguration;
+// Paces requests per domain, starting from requestDelayMs and backing off on rate limiting and challenges
+const throttle = new AdaptiveThrottle({
+  baseDelayMs: crawlerConfig.requestDelayMs || 0,
+  maxConcurrency: crawlerConfig.maxConcurrency
+});
+// Crawlers whose concurrency follows the throttle
+const throttledCrawlers = [];
+
+// Fails requests to a host fast once it keeps blocking the run (a threshold of 0 disables it)
+const breaker = new CircuitBreaker({
+  threshold: input.circuitBreakerThreshold ?? 5,
+  windowMs: (input.circuitBreakerWindowSecs ?? 60) * 1000,
+  coolDownMs: (input.circuitBreakerCooldownSecs ?? 120) * 1000
+});
+
+// Create proxy configuration based on user selection. Challenged or blocked
+// requests escalate up the proxy ladder from the selected type
+let proxyConfiguration = null;
+let proxyLadder = [{ tier: 'none', configuration: null }];
 let usingProxy = false; // Track actual proxy state
 let proxyType = 'none'; // Track actual proxy type
 
-try {
-    if (input.proxyType === 'residential') {
-        console.log('🌐 Using residential proxies for better anti-bot evasion');
-        proxyConfiguration = await Actor.createProxyConfiguration({
-            groups: ['RESIDENTIAL']
-        });
-        proxyType = 'residential';
-    } else if (input.proxyType === 'datacenter') {
-        console.log('🌐 Using datacenter proxies (default)');
-        proxyConfiguration = await Actor.createProxyConfiguration({
-            groups: ['DATACENTER']
-        });
-        proxyType = 'datacenter';
-    } else {
-        console.log('🌐 No proxies selected, proceeding without proxies');
-        proxyConfiguration = null;
-        proxyType = 'none';
-    }
-    
-    // Validate proxy configuration
-    if (proxyConfiguration && !proxyConfiguration.newUrlFunction) {
-        console.warn('⚠️ Proxy configuration created but no proxy groups available');
-        proxyConfiguration = null;
-        proxyType = 'none';
-    }
-    
-    // Set the actual proxy state
-    usingProxy = proxyConfiguration !== null;
-    
-    } catch (error) {
-        console.warn('⚠️ Failed to create proxy configuration:', error.message);
-        console.log('🌐 Proceeding without proxies');
-        proxyConfiguration = null;
-        proxyType = 'none';
-        usingProxy = false;
-        
+if (fixtureMode === 'replay') {
+    console.log('🌐 Replaying fixtures, proceeding without proxies');
+} else {
+    const selectedProxyType = input.proxyType || 'none';
+    const tiers = resolveProxyLadder(selectedProxyType, input.proxyLadder || DEFAULT_PROXY_LADDER, input.proxyEscalation !== false);
+    proxyLadder = await createProxyLadder(tiers, options => Actor.createProxyConfiguration(options));
+
+    // Without the selected proxies, start without proxies and keep the available tiers above for escalation
+    if (proxyLadder[0]?.tier !== selectedProxyType) {
+        console.warn(`⚠️ ${selectedProxyType} proxies not available, proceeding without proxies`);
+        proxyLadder = [{ tier: 'none', configuration: null }, ...proxyLadder.filter(({ tier }) => tier !== 'none')];
+
         // If residential proxy is required but not available, warn about potential blocks
-        if (input.proxyType === 'residential') {
+        if (selectedProxyType === 'residential') {
             console.warn('🚨 WARNING: Residential proxy requested but not available. Challenge pages may block scraping.');
         }
     }
 
-// Create dataset for results
-const dataset = await Actor.openDataset();
+    proxyConfiguration = createLadderProxyConfiguration(proxyLadder);
+    proxyType = proxyLadder[0].tier;
+    usingProxy = proxyLadder[0].configuration !== null;
+    console.log(`🌐 Proxy ladder: ${proxyLadder.map(({ tier }) => tier).join(' → ')}`);
+}
+
+// Start of the run, which also tells its records apart in the errors dataset
+const scrapedAt = new Date().toISOString();
+
+// Create dataset for results; the separate layout adds the errors dataset and the OUTPUT record
+const output = new RunOutput(outputLayout, {
+  dataset: await Actor.openDataset(),
+  ...(outputLayout === 'separate' ? {
+    errorsDataset: await Actor.openDataset(ERRORS_DATASET_NAME),
+    store: await Actor.openKeyValueStore()
+  } : {})
+}, { runId: Actor.getEnv().actorRunId, scrapedAt });
+if (outputLayout === 'separate') {
+  console.log(`🗂️ Writing errors to the ${ERRORS_DATASET_NAME} dataset and the run summary to ${OUTPUT_KEY}`);
+}
 
 // Initialize results tracking
 const results = {
   hotels: [],
   errors: [],
+  // Per-brand tracking, keyed by brand key
+  brands: Object.fromEntries(brandKeys.map(brandKey => [brandKey, {
+    hotels: 0,
+    duplicates: 0,
+    pages_visited: 0,
+    errors: [],
+    health: null,
+    source_urls: targets.filter(target => target.brandKey === brandKey).map(target => target.url)
+  }])),
   metadata: {
     total_hotels: 0,
-    source_url: targetUrl,
-    scraped_at: new Date().toISOString(),
+    source_url: targets[0]?.url || null,
+    source_urls: targets.map(target => target.url),
+    scraped_at: scrapedAt,
     execution_time_ms: 0,
-    brand_key: brandKey,
+    brand_key: brandKeys.length === 1 ? brandKeys[0] : 'multi',
+    brand_keys: brandKeys,
+    locales: runLocales,
+    pages_visited: 0,
+    proxy_ladder: proxyLadder.map(({ tier }) => tier),
+    // Requests that escalated up the proxy ladder and how they ended
+    proxy_escalations: [],
     errors: []
   }
 };
 
-// Create strategy instance
-const strategy = await createStrategy(brandKey, {
-  brandInfo: {
-    name: brandKey,
-    code: brandKey.toUpperCase()
+// Index in results.hotels of each Marsha code, so each hotel is only emitted once across brands and locales
+const hotelIndexByMarsha = new Map();
+
+// Snapshot entries of this run's hotels keyed by Marsha code, for change detection
+const currentSnapshot = {};
+
+// What each directory scrape saw, for the strategy health check
+const healthObservations = [];
+
+// Winners of the selector fallback chains, learned per brand and tried first
+const rankingStore = await Actor.openKeyValueStore(SELECTOR_RANKING_STORE_NAME);
+const selectorRankings = (await rankingStore.getValue(SELECTOR_RANKING_KEY))?.brands || {};
+let selectorRankingsChanged = false;
+
+// Hotel URLs already queued for resolution per locale, so a hotel listed twice is only resolved once
+const queuedHotelUrls = new Set();
+
+// Resolution requests for the HTTP liveness check, and those that hit a challenge over HTTP
+const httpResolveRequests = [];
+const browserFallbackRequests = [];
+
+// Requests rejected by an open circuit, per crawler, for the crawler's next round
+const deferredBrowserRequests = [];
+const deferredHttpRequests = [];
+
+/**
+ * Record an error against the run and its brand, and push it to the output
+ * @param {string} brandKey - Brand the failing request belongs to
+ * @param {Object} errorObj - Error object
+ */
+async function recordError(brandKey, errorObj) {
+  const error = { ...errorObj, brand_key: brandKey };
+  results.errors.push(error);
+  results.brands[brandKey]?.errors.push(error);
+  await output.pushError(error);
+}
+
+/**
+ * Store a request's recorded traffic in the default key-value store, limited
+ * and redacted by sanitizeData
+ * @param {string} key - Record key
+ * @param {Object} har - HAR document from HarRecorder
+ * @returns {Promise<Object>} - { key, url, entries } for an error's debug.harData
+ */
+async function saveHar(key, har) {
+  const limitedHar = sanitizeData({ har }).har;
+  const store = await Actor.openKeyValueStore();
+  await store.setValue(key, limitedHar);
+  return { key, url: store.getPublicUrl(key), entries: limitedHar.log.entries.length };
+}
+
+/**
+ * Store a full-page screenshot and the DOM of a directory page in the default
+ * key-value store as SNAPSHOT-<requestId>-<reason>-screenshot and -dom
+ * @param {Page} page - Puppeteer page object
+ * @param {string} requestId - ID of the request attempt
+ * @param {string} reason - Why the snapshot was taken
+ * @returns {Promise<Object>} - Snapshot from capturePageSnapshot for an error's debug.snapshot
+ */
+async function savePageSnapshot(page, requestId, reason) {
+  const store = await Actor.openKeyValueStore();
+  return capturePageSnapshot(page, store, `SNAPSHOT-${requestId}-${reason}`, reason);
+}
+
+/**
+ * Record the proxy escalation path of a finished request in the run metadata, if it escalated
+ * @param {Request} request - Finished request
+ * @param {string} brandKey - Brand the request belongs to
+ * @param {boolean} succeeded - Whether the request succeeded
+ */
+function recordProxyEscalation(request, brandKey, succeeded) {
+  const escalation = summarizeEscalation(request, brandKey, succeeded);
+  if (escalation) {
+    results.metadata.proxy_escalations.push(escalation);
   }
-});
+}
 
-console.log(`📋 Using strategy: ${strategy.constructor.name}`);
+/**
+ * Log a circuit breaker state change
+ * @param {Object|null} change - State change from the circuit breaker
+ */
+function logCircuitChange(change) {
+  if (!change) return;
+
+  const messages = {
+    open: `circuit open (${change.reason}); failing fast until ${change.retryAt}`,
+    half_open: `circuit half-open (${change.reason}); probing with the next request`,
+    closed: `circuit closed (${change.reason})`
+  };
+  console.log(`🔌 ${change.host}: ${messages[change.state]}`);
+}
+
+/**
+ * Fail a request fast, without retries, while its host's circuit is open;
+ * the failed request handler defers it to the crawler's next round
+ * @param {Object} crawlingContext - Crawling context
+ */
+function checkCircuit({ request }) {
+  try {
+    logCircuitChange(breaker.check(request.url));
+  } catch (error) {
+    request.noRetry = true;
+    throw error;
+  }
+}
+
+/**
+ * Hold a request rejected by an open circuit for the crawler's next round
+ * @param {Request} request - Rejected Crawlee request
+ * @param {Error} error - Circuit open error
+ * @param {Array<Object>} deferred - The crawler's deferred requests
+ * @returns {boolean} - Whether the request was deferred; false once it used up its deferrals
+ */
+function deferCircuitRejection(request, error, deferred) {
+  const deferredRequest = deferRejectedRequest(request, error, crawlerConfig.maxRequestRetries);
+  if (deferredRequest) {
+    deferred.push(deferredRequest);
+  }
+  return Boolean(deferredRequest);
+}
+
+/**
+ * Run a crawler, then run it again with the requests its hosts' open circuits
+ * deferred, each round once the earliest of those circuits lets a request through
+ * @param {BasicCrawler} activeCrawler - Crawler
+ * @param {Array<Object>} requests - Requests of the first round
+ * @param {Array<Object>} deferred - The crawler's deferred requests
+ */
+async function runWithDeferrals(activeCrawler, requests, deferred) {
+  await activeCrawler.run(requests);
+
+  while (deferred.length > 0) {
+    const resumeAt = Math.min(...deferred.map(request => Date.parse(breaker.retryAt(request.url) || 0)));
+    const waitMs = Math.max(0, resumeAt - Date.now());
+    console.log(`⏸️ ${deferred.length} request(s) deferred by open circuits; resuming in ${Math.ceil(waitMs / 1000)}s`);
+    await sleep(waitMs);
+
+    // Requests whose circuit still rejects them wait for a later round
+    const now = Date.now();
+    const ready = deferred.filter(request => Date.parse(breaker.retryAt(request.url) || 0) <= now);
+    deferred.splice(0, deferred.length, ...deferred.filter(request => !ready.includes(request)));
+    await activeCrawler.run(ready);
+  }
+}
+
+/**
+ * Feed a request's outcome to the circuit breaker and the adaptive throttle,
+ * and apply a changed concurrency to the crawlers
+ * @param {string} url - Request URL
+ * @param {Object|null} classification - Classification of the failure, null on success
+ */
+function recordRequestSignal(url, classification) {
+  logCircuitChange(classification ? breaker.recordClassification(url, classification) : breaker.recordSuccess(url));
+
+  const change = classification ? throttle.recordClassification(url, classification) : throttle.recordSuccess(url);
+  if (!change) return;
+
+  const icon = change.reason === 'recovery' ? '🐇' : '🐢';
+  console.log(`${icon} ${change.domain}: ${change.reason} → ${change.delayMs}ms between requests, concurrency ${change.concurrency}`);
+  for (const { autoscaledPool: pool } of throttledCrawlers) {
+    if (pool) {
+      pool.maxConcurrency = throttle.concurrency;
+      pool.desiredConcurrency = Math.min(pool.desiredConcurrency, throttle.concurrency);
+    }
+  }
+}
+
+/**
+ * Validate a resolved hotel and push it to the dataset, skipping duplicates
+ * @param {string} brandKey - Brand the hotel was collected for
+ * @param {Object} hotel - Resolved hotel record
+ * @param {string} resolution - Outcome of the hotel's URL resolution (RESOLUTION_OUTCOMES)
+ */
+async function processHotel(brandKey, hotel, resolution) {
+  const brandResults = results.brands[brandKey];
+  
+  try {
+    const { data: cleanedHotel, isValid, errors } = cleanAndValidateHotelData(hotel);
+    
+    if (isValid) {
+      brandResults.hotels += 1;
+      
+      const index = hotelIndexByMarsha.get(cleanedHotel.marsha_code);
+      if (index !== undefined) {
+        const existing = results.hotels[index];
+        const isNewLocale = cleanedHotel.locale !== existing.locale && !existing.localized_names?.[cleanedHotel.locale];
+        
+        // Merge the same hotel from another locale's directory with its localized name
+        if (mergeLocales && isNewLocale) {
+          results.hotels[index] = mergeLocalizedHotel(existing, cleanedHotel, runLocales);
+          // The merged record keeps the preferred locale's liveness, and so its resolution
+          const snapshotResolution = results.hotels[index].locale === cleanedHotel.locale ?
+            resolution :
+            currentSnapshot[cleanedHotel.marsha_code].resolution;
+          currentSnapshot[cleanedHotel.marsha_code] = createSnapshotEntry(results.hotels[index], brandKey, snapshotResolution);
+          return;
+        }
+        
+        // Skip hotels already emitted by another directory (e.g. a hotel listed under two brands)
+        brandResults.duplicates += 1;
+        return;
+      }
+      hotelIndexByMarsha.set(cleanedHotel.marsha_code, results.hotels.length);
+      results.hotels.push(cleanedHotel);
+      currentSnapshot[cleanedHotel.marsha_code] = createSnapshotEntry(cleanedHotel, brandKey, resolution);
+      
+      // Push to dataset immediately for streaming, unless hotels are still merged across locales
+      if (!mergeLocales) {
+        await output.pushHotels(cleanedHotel);
+      }
+    } else {
+      // Handle validation errors
+      await recordError(brandKey, handleValidationError(hotel.url || 'unknown', errors.join(', '), hotel.marsha_code || ''));
+    }
+  } catch (error) {
+    // Handle extraction errors
+    await recordError(brandKey, handleExtractionError(
+      hotel.url || 'unknown',
+      error
+    ));
+  }
+}
+
+/**
+ * Merge a hotel URL's resolution into its hotel record, reporting dead hotels
+ * and enriching live hotels from their page when enabled
+ * @param {string} brandKey - Brand the hotel was collected for
+ * @param {Object} hotel - Hotel record collected from the directory
+ * @param {Object} urlInfo - Resolution of the hotel URL
+ * @param {string|null} html - HTML of the resolved hotel page, if available
+ */
+async function completeResolution(brandKey, hotel, urlInfo, html = null) {
+  if (urlInfo.isDead) {
+    await recordError(brandKey, handleDeadHotel(hotel.url, urlInfo.marshaCode || hotel.marsha_code, urlInfo.status));
+  }
+  
+  let resolvedHotel = mergeResolution(hotel, urlInfo);
+  if (enrichHotels && html && urlInfo.isLive) {
+    resolvedHotel = mergeHotelDetails(resolvedHotel, parseHotelDetails(html));
+  }
+  
+  await processHotel(brandKey, resolvedHotel, resolutionOutcome(urlInfo));
+}
+
+/**
+ * Resolution phase (browser): merge the hotel URL's final location and status
+ * into the hotel collected from the directory
+ * @param {Object} crawlingContext - Crawler context of a RESOLVE request
+ */
+async function resolveHotel({ page, request, response, log }) {
+  const { brandKey, hotel } = request.userData;
+  const urlInfo = resolutionFromResponse(hotel.url, page.url(), response);
+  
+  if (input.enableDebugMode) {
+    log.info(`🔗 Resolved ${hotel.url} → ${urlInfo.canonicalUrl} (${urlInfo.status ?? 'no response'})`);
+  }
+  
+  const html = enrichHotels ? await page.content() : null;
+  await completeResolution(brandKey, hotel, urlInfo, html);
+  recordRequestSignal(request.url, urlInfo.status >= 400 ? classifyError({ statusCode: urlInfo.status, url: request.url }) : null);
+}
+
+// Report start URLs that could not be used without aborting the rest of the run
+for (const failure of startUrlFailures) {
+  await recordError(failure.brandKey, handleValidationError(failure.url, failure.reason));
+}
+
+// Strategy instances are created lazily, once per brand
+const strategies = new Map();
+
+function getStrategy(brandKey) {
+  if (!strategies.has(brandKey)) {
+    strategies.set(brandKey, createStrategy(brandKey, {
+      // Brand name and GDS code from the brand registry
+      brandInfo: getBrandInfoForKey(brandKey) || {
+        name: brandKey,
+        code: brandKey.toUpperCase()
+      }
+    }).then((strategy) => {
+      console.log(`📋 Using strategy for ${brandKey}: ${strategy.constructor.name}`);
+      return strategy;
+    }));
+  }
+  return strategies.get(brandKey);
+}
 
 // Create crawler options with enhanced timeout handling
 const crawlerOptions = {
-  maxRequestsPerCrawl: 1, // We only need to visit one page
   maxConcurrency: crawlerConfig.maxConcurrency,
   maxRequestRetries: crawlerConfig.maxRequestRetries,
   navigationTimeoutSecs: crawlerConfig.navigationTimeoutSecs,
   // Separate timeout for request handler processing
-  requestHandlerTimeoutSecs: crawlerConfig.navigationTimeoutSecs + 30, // Give extra time for processing
+  // Give extra time for processing, and a navigation's worth for every additional directory page
+  requestHandlerTimeoutSecs: crawlerConfig.navigationTimeoutSecs * Math.max(crawlerConfig.maxPages || 1, 1) + 30,
+  preNavigationHooks: [
+    checkCircuit,
+    async ({ request }) => throttle.wait(request.url),
+    async ({ page }) => {
+      if (fixtureMode === 'record') {
+        fixtures.attachRecorder(page);
+      } else if (fixtureMode === 'replay') {
+        await fixtures.attachReplay(page);
+      }
+    },
+    async ({ request }, gotoOptions) => {
+      // Resolution only needs the final URL and status, not a fully loaded page
+      if (request.label === RESOLVE_LABEL) {
+        Object.assign(gotoOptions, { waitUntil: 'domcontentloaded' });
+      }
+    }
+  ],
 };
 
 // Only add proxy configuration if it exists
@@ -142,14 +549,22 @@ const startTime = Date.now();
 // Create a PuppeteerCrawler
 const crawler = new PuppeteerCrawler({
   ...crawlerOptions,
-  requestHandler: async ({ page, log, request }) => {
+  requestHandler: async (crawlingContext) => {
+    const { page, log, request, addRequests } = crawlingContext;
+    if (request.label === RESOLVE_LABEL) {
+      await resolveHotel(crawlingContext);
+      return;
+    }
+    
     const timeline = createTimeline();
     const requestId = Math.random().toString(36).substring(7);
     const stealthConfig = generateStealthConfig();
+    const { brandKey, locale = DEFAULT_LOCALE } = request.userData;
     
-    // Use actual proxy state instead of input
-    const proxyInfo = usingProxy ? `${proxyType} proxy` : 'no proxy';
-    log.info(`🚀 [${requestId}] Starting scrape of ${request.url} with ${proxyInfo}`);
+    // Use the request's current proxy tier instead of input
+    const requestProxyTier = currentProxyTier(request, proxyLadder);
+    const proxyInfo = requestProxyTier !== 'none' ? `${requestProxyTier} proxy` : 'no proxy';
+    log.info(`🚀 [${requestId}] Starting ${brandKey} scrape of ${request.url} with ${proxyInfo}`);
     
     // Set up comprehensive error monitoring
     let navigationTimeout = false;
@@ -160,6 +575,18 @@ const crawler = new PuppeteerCrawler({
     let networkErrors = [];
     let pageErrors = [];
     let harData = null;
+    let harRecorder = null;
+    
+    // Store what the browser saw, for the debug block of the error it explains
+    const snapshotPage = async (reason) => {
+      const snapshot = await savePageSnapshot(page, requestId, reason);
+      const keys = [snapshot.screenshot, snapshot.dom].filter(Boolean).map(({ key }) => key);
+      log.info(`📸 [${requestId}] ${reason} snapshot stored as ${keys.join(', ') || 'nothing'}`);
+      if (snapshot.errors.length > 0) {
+        log.warning(`📸 [${requestId}] Snapshot capture failed: ${snapshot.errors.join('; ')}`);
+      }
+      return snapshot;
+    };
     
     // Track suggestions to avoid duplicates
     const seenSuggestions = new Set();
@@ -190,6 +617,7 @@ const crawler = new PuppeteerCrawler({
             const classification = classifyError({
               statusCode: response.status(),
               responseBody: text,
+              responseHeaders,
               consoleErrors,
               networkErrors,
               pageErrors,
@@ -201,7 +629,7 @@ const crawler = new PuppeteerCrawler({
             });
             
             // Only log if shouldLog is true (debounced) and it's a significant issue
-            if (classification.shouldLog && classification.type !== ERROR_TYPES.UNKNOWN_TIMEOUT) {
+            if (classification.shouldLog && classification.type !== ERROR_CAUSES.UNKNOWN_TIMEOUT) {
               log.warning(`🔍 [${requestId}] Error classification: ${classification.type} (${classification.confidence} confidence)${classification.isRootCause ? ' [ROOT CAUSE]' : ''}`);
               if (classification.suggestedAction) {
                 suggest(classification.suggestedAction);
@@ -300,11 +728,7 @@ const crawler = new PuppeteerCrawler({
       // Enable HAR recording if debug mode is on
       if (input.enableDebugMode) {
         log.info(`🔍 [${requestId}] Debug mode enabled - recording HAR`);
-        try {
-          await client.send('Page.enable');
-        } catch (harError) {
-          log.warning(`📊 [${requestId}] HAR recording failed: ${harError.message}`);
-        }
+        harRecorder = new HarRecorder(client).start();
       }
       
                 // Navigate to the target URL with enhanced error handling
@@ -379,6 +803,7 @@ const crawler = new PuppeteerCrawler({
           const classification = classifyError({
             statusCode: responseStatus,
             responseBody: responseBody || html,
+            responseHeaders,
             consoleErrors,
             networkErrors,
             pageErrors,
@@ -388,26 +813,6 @@ const crawler = new PuppeteerCrawler({
           });
           
           log.error(`🔍 [${requestId}] Final classification: ${classification.type} (${classification.confidence} confidence)`);
-          
-          // Export limited HAR if debug mode is enabled (with better error handling)
-          if (input.enableDebugMode) {
-            try {
-              // Check if CDP session is still active before attempting HAR capture
-              if (client && !client.closed) {
-                const har = await client.send('Network.getResponseBodyForInterception', {});
-                harData = sanitizeData({ har }).har;
-                log.info(`📊 [${requestId}] Limited HAR data captured (${JSON.stringify(harData).length} bytes)`);
-              } else {
-                log.warning(`📊 [${requestId}] CDP session closed, skipping HAR capture`);
-              }
-            } catch (harError) {
-              if (harError.message.includes('Target closed')) {
-                log.info(`📊 [${requestId}] HAR capture skipped - target closed (normal during teardown)`);
-              } else {
-                log.warning(`📊 [${requestId}] HAR capture failed: ${harError.message}`);
-              }
-            }
-          }
         } catch (htmlError) {
           log.error(`📄 [${requestId}] Failed to capture HTML: ${htmlError.message}`);
         }
@@ -415,86 +820,141 @@ const crawler = new PuppeteerCrawler({
         throw navError;
       }
       
-      // Add delay between requests if specified
-      if (crawlerConfig.requestDelayMs > 0) {
-        await new Promise(resolve => setTimeout(resolve, crawlerConfig.requestDelayMs));
-      }
+      // Navigate to further directory pages with the same status and challenge checks
+      const navigate = async (url) => {
+        logCircuitChange(breaker.check(url));
+        await throttle.wait(url);
+        log.info(`📄 [${requestId}] Navigating to directory page ${url}`);
+        const pageResponse = await page.goto(url, {
+          waitUntil: 'domcontentloaded',
+          timeout: crawlerConfig.navigationTimeoutSecs * 1000,
+        });
+        
+        if (pageResponse && pageResponse.status() >= 400) {
+          throw new Error(`HTTP ${pageResponse.status()}`);
+        }
+        
+        await sleep(stealthConfig.timingJitter);
+        
+        const challengeDetection = await detectChallengeEarly(page);
+        if (challengeDetection.hasChallenge) {
+          const challengeError = new Error(`Challenge page detected: ${challengeDetection.type}`);
+          challengeError.isChallengePage = true;
+          throw challengeError;
+        }
+      };
+      
+      let strategy = null;
+      // Selector match counts of each scraped directory page
+      const pageCounts = [];
       
       // Create scraping context
       const context = {
         maxPages: crawlerConfig.maxPages,
         brandKey,
-        sourceUrl: request.url
+        locale,
+        sourceUrl: request.url,
+        navigate,
+        learnedSelectors: learnedSelectors(selectorRankings[brandKey]),
+        onPageScraped: async (scrapedPage) => {
+          // Recorded fixtures serve each directory page as it was scraped, after expansion
+          if (fixtureMode === 'record') {
+            fixtures.recordDom(scrapedPage.url(), await scrapedPage.content());
+          }
+          if (checkStrategyHealth) {
+            pageCounts.push(await countSelectorMatches(scrapedPage, listConfiguredSelectors(context.resolvedSelectors)).catch(() => ({})));
+          }
+        }
       };
       
-      // Execute strategy to scrape hotels
+      // Execute strategy to scrape hotels across every directory page
       let scrapedHotels = [];
+      let strategyFailure = null;
       try {
-        scrapedHotels = await strategy.scrape(page, context);
+        strategy = await getStrategy(brandKey);
+        scrapedHotels = await strategy.handlePagination(page, context);
       } catch (strategyError) {
+        strategyFailure = strategyError;
         log.error(`❌ [${requestId}] Strategy execution failed: ${strategyError.message}`);
         
         // Add strategy error to results
-        const strategyErrorObj = handleExtractionError(request.url, strategyError);
-        results.errors.push(strategyErrorObj);
-        await dataset.pushData({ type: 'error', ...strategyErrorObj });
+        await recordError(brandKey, {
+          ...handleExtractionError(request.url, strategyError),
+          debug: { requestId, snapshot: await snapshotPage('strategy_failed') }
+        });
         
         // Return empty array to continue processing
         scrapedHotels = [];
       }
       
-      // Process and validate each hotel
-      for (const hotel of scrapedHotels) {
-        try {
-          const { data: cleanedHotel, isValid, errors } = cleanAndValidateHotelData(hotel);
-          
-          if (isValid) {
-            results.hotels.push(cleanedHotel);
-            
-            // Push to dataset immediately for streaming
-            await dataset.pushData(cleanedHotel);
-          } else {
-            // Handle validation errors
-            const errorObj = handleExtractionError(
-              hotel.url || 'unknown',
-              new Error(`Validation failed: ${errors.join(', ')}`)
-            );
-            results.errors.push(errorObj);
-            await dataset.pushData({ type: 'error', ...errorObj });
-          }
-        } catch (error) {
-          // Handle extraction errors
-          const errorObj = handleExtractionError(
-            hotel.url || 'unknown',
-            error
-          );
-          results.errors.push(errorObj);
-          await dataset.pushData({ type: 'error', ...errorObj });
-        }
+      // A directory without hotels is a silent failure; keep the expanded page it was scraped from
+      if (!strategyFailure && scrapedHotels.length === 0) {
+        log.warning(`⚠️ [${requestId}] Strategy found no hotels on ${page.url()}`);
+        await recordError(brandKey, {
+          ...handleEmptyDirectory(request.url),
+          debug: { requestId, snapshot: await snapshotPage('no_hotels') }
+        });
       }
       
-      // Remove duplicates and sort
-      results.hotels = removeDuplicateHotels(results.hotels);
-      results.hotels = sortHotelsByMarsha(results.hotels);
+      // Learn the chain winners; a chain where no candidate found hotels keeps its previous winner
+      const brandRanking = mergeSelectorRanking(selectorRankings[brandKey], context.selectorRanking);
+      if (brandRanking) {
+        selectorRankings[brandKey] = brandRanking;
+        selectorRankingsChanged = true;
+      }
+      
+      if (checkStrategyHealth && strategy) {
+        healthObservations.push({
+          brandKey,
+          locale,
+          strategy: strategy.constructor.name,
+          sourceUrl: request.url,
+          config: context.resolvedSelectors || strategy.selectors,
+          counts: sumSelectorCounts(pageCounts),
+          hotelCount: scrapedHotels.length,
+          error: strategyFailure
+        });
+      }
+      
+      const brandResults = results.brands[brandKey];
+      brandResults.pages_visited += context.pagination?.pagesVisited || 1;
+      results.metadata.pages_visited += context.pagination?.pagesVisited || 1;
+      
+      // Keep the hotels from the pages already scraped, but report why pagination stopped
+      if (context.pagination?.error) {
+        await recordError(brandKey, handleNavigationError(context.pagination.failedUrl, context.pagination.error));
+      }
       
-      // Update metadata with correct execution time
-      const executionTime = Date.now() - startTime;
-      results.metadata.total_hotels = results.hotels.length;
-      results.metadata.execution_time_ms = executionTime;
-      results.metadata.errors = aggregateErrors(results.errors);
+      // Queue every hotel for URL resolution; records are validated and pushed once resolved
+      const resolveRequests = [];
+      for (const hotel of scrapedHotels) {
+        const queueKey = `${locale}:${hotel.url}`;
+        if (queuedHotelUrls.has(queueKey)) {
+          brandResults.duplicates += 1;
+          continue;
+        }
+        queuedHotelUrls.add(queueKey);
+        // Hotel names are in the directory's language
+        resolveRequests.push(createResolveRequest({ ...hotel, locale }, brandKey));
+      }
+      if (livenessMode === 'http') {
+        httpResolveRequests.push(...resolveRequests);
+      } else {
+        await addRequests(resolveRequests);
+      }
       
       // Log summary only
-      const rootCauseErrors = results.errors.filter(e => e.classification?.isRootCause);
-      const noiseErrors = results.errors.filter(e => !e.classification?.isRootCause);
+      const rootCauseErrors = brandResults.errors.filter(e => e.is_root_cause);
       
-      log.info(`✅ Scraped ${results.hotels.length} hotels in ${results.metadata.execution_time_ms}ms`);
+      log.info(`✅ Collected ${scrapedHotels.length} ${brandKey} hotels in ${Date.now() - startTime}ms, ${resolveRequests.length} queued for resolution`);
+      recordProxyEscalation(request, brandKey, true);
+      recordRequestSignal(request.url, null);
       
       if (rootCauseErrors.length > 0) {
         const primaryRootCause = rootCauseErrors[0];
-        const action = primaryRootCause.classification?.suggestedAction || 'none';
-        log.warning(`🎯 Root cause: ${primaryRootCause.classification?.type || 'unknown'} → ${action}`);
-      } else if (results.errors.length > 0) {
-        log.info(`❌ Encountered ${results.errors.length} errors (noise/symptoms)`);
+        log.warning(`🎯 Root cause: ${primaryRootCause.cause} → ${primaryRootCause.remediation.action}`);
+      } else if (brandResults.errors.length > 0) {
+        log.info(`❌ Encountered ${brandResults.errors.length} errors (noise/symptoms)`);
       }
       
          } catch (error) {
@@ -507,6 +967,7 @@ const crawler = new PuppeteerCrawler({
           finalClassification = classifyError({
             statusCode: responseStatus,
             responseBody,
+            responseHeaders,
             consoleErrors,
             networkErrors,
             pageErrors,
@@ -520,19 +981,53 @@ const crawler = new PuppeteerCrawler({
           log.warning(`🔍 [${requestId}] Final classification failed: ${classificationError.message}`);
           // Fallback classification
           finalClassification = {
-            type: 'UNKNOWN_ERROR',
+            type: ERROR_CAUSES.UNKNOWN,
             confidence: 'low',
+            signals: {},
             suggestedAction: 'retry_with_delay',
             backoffHint: { suggestedDelay: 5000 },
             shouldLog: true,
-            isRootCause: false
+            isRootCause: false,
+            rule: null,
+            vendor: null
           };
         }
        
+       // Challenge detection doesn't depend on the captured response body the classifier sees
+       const escalationReason = error.isChallengePage ? ERROR_CAUSES.CHALLENGE_PAGE : finalClassification.type;
+       recordRequestSignal(request.url, { ...finalClassification, type: escalationReason });
+       
+       const snapshot = await snapshotPage(escalationReason);
+       
+       // Retry a challenged or blocked directory on the next proxy tier while retries remain
+       if (shouldEscalateProxy(escalationReason) && request.retryCount < crawlerConfig.maxRequestRetries) {
+         const step = escalateProxy(request, proxyLadder, escalationReason, { snapshot });
+         if (step) {
+           log.warning(`🪜 [${requestId}] ${escalationReason} on ${step.from}; retrying with ${step.to} proxy`);
+           throw error;
+         }
+       }
+       
+       // Link the recorded traffic from the error
+       if (harRecorder) {
+         harRecorder.stop();
+         try {
+           harData = await saveHar(`HAR-${requestId}`, harRecorder.toHar(request.url));
+           log.info(`📊 [${requestId}] HAR with ${harData.entries} requests stored as ${harData.key}`);
+         } catch (harError) {
+           log.warning(`📊 [${requestId}] HAR capture failed: ${harError.message}`);
+         }
+       }
+       
+       // Navigation failures include HTTP status and challenge checks; a challenge the
+       // classifier missed keeps the challenge cause rather than the classifier's diagnosis
+       const handleError = navigationTimeout || error.isChallengePage ? handleNavigationError : handleExtractionError;
+       const classification = escalationReason === finalClassification.type ? finalClassification : null;
+       
        // Enhanced error object with classification and timeline
        const enhancedError = {
-         ...handleExtractionError(request.url, error),
-         classification: finalClassification,
+         ...handleError(request.url, error, classification),
+         status: responseStatus ?? null,
          timeline: {
            totalElapsed: timeline.getElapsed(),
            stages: [
@@ -551,20 +1046,22 @@ const crawler = new PuppeteerCrawler({
            consoleErrors: consoleErrors.length,
            networkErrors: networkErrors.length,
            pageErrors: pageErrors.length,
-           proxyType: proxyType,
-           usingProxy,
+           proxyType: requestProxyTier,
+           usingProxy: requestProxyTier !== 'none',
+           proxyEscalation: request.userData.proxyEscalation || [],
            stealthConfig: {
              viewport: stealthConfig.viewport,
              userAgent: stealthConfig.userAgent.substring(0, 50) + '...'
            },
-           harData: harData ? 'captured' : null,
+           harData,
+           snapshot,
            diagnosticsHealth: 'healthy',
            timestamp: new Date().toISOString()
          }
        };
        
-       results.errors.push(enhancedError);
-       await dataset.pushData({ type: 'error', ...enhancedError });
+       await recordError(brandKey, enhancedError);
+       recordProxyEscalation(request, brandKey, false);
        
                // Log classification and suggested actions (with root cause indicator)
         const rootCauseIndicator = finalClassification.isRootCause ? ' [ROOT CAUSE]' : '';
@@ -578,27 +1075,52 @@ const crawler = new PuppeteerCrawler({
      }
   },
   failedRequestHandler: async ({ request, error, log }) => {
+    // A hotel URL that cannot be requested is kept, marked as not live
+    if (request.label === RESOLVE_LABEL) {
+      const { brandKey, hotel } = request.userData;
+      if (error.isCircuitOpen && deferCircuitRejection(request, error, deferredBrowserRequests)) {
+        return;
+      }
+      log.warning(`⚠️ Could not resolve ${hotel.url}: ${error.message}`);
+      if (error.isCircuitOpen) {
+        await recordError(brandKey, handleCircuitOpen(hotel.url, error));
+      }
+      await completeResolution(brandKey, hotel, failedResolution(hotel.url));
+      return;
+    }
+    
+    if (error.isCircuitOpen && deferCircuitRejection(request, error, deferredBrowserRequests)) {
+      return;
+    }
+    
     log.error(`❌ Request failed: ${request.url} - ${error.message}`);
 
+    if (error.isCircuitOpen) {
+      await recordError(request.userData.brandKey, handleCircuitOpen(request.url, error));
+      recordProxyEscalation(request, request.userData.brandKey, false);
+      return;
+    }
+
     // Fast-fail logic: prevent retry on 404
     if (error.message.includes('HTTP 404')) {
       request.noRetry = true;
     }
     
-    // Handle challenge page errors - suggest residential proxy retry
+    // Challenged or blocked on every tier the retries reached
+    const proxyTier = currentProxyTier(request, proxyLadder);
     if (error.message.includes('Challenge page detected') || error.shouldRetryWithResidentialProxy) {
-      log.warning(`🚨 Challenge page detected - recommend retry with residential proxy`);
-      // Don't set noRetry here - let it retry with different proxy if available
+      log.warning(`🚨 Challenge page detected with ${proxyTier === 'none' ? 'no' : proxyTier} proxy after ${(request.userData.proxyEscalation || []).length} escalation(s)`);
     }
 
     // Enhanced error object for failed requests
     const enhancedError = {
-      ...handleExtractionError(request.url, error),
+      ...handleRequestFailure(request.url, error, request.retryCount),
       debug: {
         requestId: Math.random().toString(36).substring(7),
         errorType: 'request_failed',
-        proxyType: proxyType,
-        usingProxy,
+        proxyType: proxyTier,
+        usingProxy: proxyTier !== 'none',
+        proxyEscalation: request.userData.proxyEscalation || [],
         timestamp: new Date().toISOString(),
         errorDetails: {
           name: error.name,
@@ -608,10 +1130,12 @@ const crawler = new PuppeteerCrawler({
       }
     };
     
-    results.errors.push(enhancedError);
-    await dataset.pushData({ type: 'error', ...enhancedError });
+    await recordError(request.userData.brandKey, enhancedError);
+    recordProxyEscalation(request, request.userData.brandKey, false);
   },
   launchContext: {
+    // Requests on different proxy tiers must not share a browser
+    browserPerProxy: proxyLadder.length > 1,
     launchOptions: {
       ...PUPPETEER_LAUNCH_OPTIONS,
       // Additional options for better stealth and stability
@@ -631,31 +1155,253 @@ const crawler = new PuppeteerCrawler({
   },
 });
 
-// Run the crawler with the target URL
-await crawler.run([{ url: targetUrl }]);
-
-// Push final results to dataset
-await dataset.pushData({
-  type: 'metadata',
-  ...results.metadata
+// HTTP liveness check: a redirect-following HTTP client is enough to get the
+// final URL, redirect chain and status of most hotel URLs
+const httpCrawler = new HttpCrawler({
+  maxConcurrency: crawlerConfig.maxConcurrency,
+  maxRequestRetries: crawlerConfig.maxRequestRetries,
+  navigationTimeoutSecs: crawlerConfig.navigationTimeoutSecs,
+  // Accept any content type; only the status and final URL matter
+  additionalMimeTypes: ['*/*'],
+  // Let blocking statuses reach the handler so challenge pages can be classified
+  sessionPoolOptions: { blockedStatusCodes: [] },
+  ...(proxyConfiguration ? { proxyConfiguration } : {}),
+  preNavigationHooks: [
+    checkCircuit,
+    async ({ request }) => throttle.wait(request.url)
+  ],
+  requestHandler: async ({ request, response, body, log }) => {
+    const { brandKey, hotel } = request.userData;
+    const html = body?.toString() || '';
+    if (fixtureMode === 'record') {
+      fixtures.recordHttpResponse(request.url, response, html);
+    }
+    const { urlInfo, classification, needsBrowser } = checkHttpResolution(hotel.url, response, html);
+    
+    recordRequestSignal(request.url, classification);
+    
+    if (needsBrowser) {
+      log.info(`🚨 Challenge page for ${hotel.url} over HTTP; resolving in the browser`);
+      browserFallbackRequests.push(createResolveRequest(hotel, brandKey));
+      return;
+    }
+    
+    // Blocked or rate limited without a challenge: retry instead of reporting a dead hotel
+    if (classification && [ERROR_CAUSES.BLOCKED, ERROR_CAUSES.RATE_LIMITED].includes(classification.type)) {
+      const step = shouldEscalateProxy(classification.type) && request.retryCount < crawlerConfig.maxRequestRetries
+        ? escalateProxy(request, proxyLadder, classification.type)
+        : null;
+      if (step) {
+        log.warning(`🪜 ${classification.type} for ${hotel.url} on ${step.from}; retrying with ${step.to} proxy`);
+      }
+      throw new Error(`HTTP ${urlInfo.status} (${classification.type})`);
+    }
+    
+    if (input.enableDebugMode) {
+      log.info(`🔗 Resolved ${hotel.url} → ${urlInfo.canonicalUrl} (${urlInfo.status})`);
+    }
+    
+    await completeResolution(brandKey, hotel, urlInfo, html);
+    recordProxyEscalation(request, brandKey, true);
+  },
+  failedRequestHandler: async ({ request, error, log }) => {
+    const { brandKey, hotel } = request.userData;
+    if (error.isCircuitOpen && deferCircuitRejection(request, error, deferredHttpRequests)) {
+      return;
+    }
+    log.warning(`⚠️ Could not resolve ${hotel.url}: ${error.message}`);
+    if (error.isCircuitOpen) {
+      await recordError(brandKey, handleCircuitOpen(hotel.url, error));
+    }
+    await completeResolution(brandKey, hotel, failedResolution(hotel.url));
+    recordProxyEscalation(request, brandKey, false);
+  },
 });
 
+throttledCrawlers.push(crawler, httpCrawler);
+
+// Run the crawler with one directory request per target
+await runWithDeferrals(crawler, targets.map(target => ({
+  url: target.url,
+  userData: { brandKey: target.brandKey, locale: target.locale }
+})), deferredBrowserRequests);
+
+// Resolve the collected hotel URLs over HTTP, then in the browser where a challenge was hit
+if (httpResolveRequests.length > 0) {
+  console.log(`🔗 Checking ${httpResolveRequests.length} hotel URLs over HTTP`);
+  await runWithDeferrals(httpCrawler, httpResolveRequests, deferredHttpRequests);
+}
+
+if (browserFallbackRequests.length > 0) {
+  console.log(`🌐 Resolving ${browserFallbackRequests.length} challenged hotel URLs in the browser`);
+  await runWithDeferrals(crawler, browserFallbackRequests, deferredBrowserRequests);
+}
+
+if (fixtureMode === 'record') {
+  const recorded = fixtures.save();
+  console.log(`📼 Recorded ${recorded} responses to ${fixtureDir}`);
+}
+
+// Remove duplicates and sort
+results.hotels = removeDuplicateHotels(results.hotels);
+results.hotels = sortHotelsByMarsha(results.hotels);
+
+// Hotels merged across locales are pushed now that every locale has been scraped
+if (mergeLocales && results.hotels.length > 0) {
+  await output.pushHotels(results.hotels);
+}
+
+// Update metadata with correct execution time
+results.metadata.total_hotels = results.hotels.length;
+results.metadata.execution_time_ms = Date.now() - startTime;
+results.metadata.errors = aggregateErrors(results.errors);
+results.metadata.throttle = throttle.summary();
+results.metadata.circuit_breakers = breaker.summary();
+
+if (selectorRankingsChanged) {
+  await rankingStore.setValue(SELECTOR_RANKING_KEY, {
+    updated_at: new Date().toISOString(),
+    brands: selectorRankings
+  });
+}
+
+// Compare each directory's selector matches with their expected ranges and its hotel count with the previous run
+if (checkStrategyHealth && healthObservations.length > 0) {
+  const healthStore = await Actor.openKeyValueStore(HEALTH_STORE_NAME);
+  const previousHealth = await healthStore.getValue(HEALTH_KEY);
+  
+  const healthRecords = healthObservations.map(observation => evaluateStrategyHealth(
+    observation,
+    previousHealth?.directories?.[healthKey(observation.brandKey, observation.locale)]
+  ));
+  
+  for (const record of healthRecords) {
+    // A brand scraped in several locales reports its worst directory
+    const brandResults = results.brands[record.brand_key];
+    if (HEALTH_STATUSES.indexOf(record.status) > HEALTH_STATUSES.indexOf(brandResults.health)) {
+      brandResults.health = record.status;
+    }
+    
+    if (record.status !== 'healthy') {
+      console.warn(`🩺 ${record.brand_key} (${record.locale}) strategy ${record.status}: ${record.suspected_breakage.join('; ')}`);
+    }
+    await output.pushReport(record);
+  }
+  
+  results.metadata.strategy_health = summarizeHealth(healthRecords);
+  await healthStore.setValue(HEALTH_KEY, {
+    updated_at: results.metadata.scraped_at,
+    directories: {
+      ...previousHealth?.directories,
+      ...Object.fromEntries(healthRecords.map(record => [healthKey(record.brand_key, record.locale), record]))
+    }
+  });
+}
+
+// A brand without hotels most likely failed to scrape; don't report all its hotels as removed
+const comparedBrandKeys = brandKeys.filter(brandKey => results.brands[brandKey].hotels > 0);
+const skippedBrandKeys = brandKeys.filter(brandKey => !comparedBrandKeys.includes(brandKey));
+
+// Compare with the previous run, then store this run's snapshot for the next one
+if (detectChanges) {
+  for (const brandKey of skippedBrandKeys) {
+    console.warn(`⚠️ No hotels scraped for ${brandKey}; keeping its previous snapshot and skipping change detection`);
+  }
+  
+  const snapshotStore = await Actor.openKeyValueStore(SNAPSHOT_STORE_NAME);
+  const previousSnapshot = await snapshotStore.getValue(SNAPSHOT_KEY);
+  
+  // The first run only records the baseline
+  const changes = previousSnapshot ? diffSnapshots(previousSnapshot.hotels, currentSnapshot, comparedBrandKeys) : [];
+  if (changes.length > 0) {
+    await output.pushReport(changes);
+  }
+  
+  results.metadata.changes = summarizeChanges(changes);
+  await output.pushReport({
+    type: 'change_report',
+    baseline: !previousSnapshot,
+    previous_scraped_at: previousSnapshot?.scraped_at || null,
+    compared_brands: comparedBrandKeys,
+    skipped_brands: skippedBrandKeys,
+    changes: results.metadata.changes
+  });
+  
+  await snapshotStore.setValue(SNAPSHOT_KEY, {
+    scraped_at: results.metadata.scraped_at,
+    hotels: mergeSnapshots(previousSnapshot?.hotels || {}, currentSnapshot, comparedBrandKeys)
+  });
+  
+  console.log(`🔄 Changes since previous run: ${previousSnapshot ? changes.length : 'baseline recorded'}`);
+}
+
+// Append this run's observations to every hotel's timeline
+if (trackHistory) {
+  const historyStore = await Actor.openKeyValueStore(HISTORY_STORE_NAME);
+  
+  const { observed, left } = await updateHistory(historyStore, results.hotels, {
+    observedAt: results.metadata.scraped_at,
+    brandKeyOf: marshaCode => currentSnapshot[marshaCode]?.brand_key,
+    resolutionOf: marshaCode => currentSnapshot[marshaCode]?.resolution,
+    comparedBrandKeys
+  });
+  
+  console.log(`🕰️ History updated for ${observed.length} hotels (${left.length} left the portfolio)`);
+}
+
+// Push per-brand metadata, then the run metadata
+for (const [brandKey, brandResults] of Object.entries(results.brands)) {
+  await output.pushReport({
+    type: 'brand_metadata',
+    brand_key: brandKey,
+    source_urls: brandResults.source_urls,
+    total_hotels: brandResults.hotels,
+    duplicate_hotels: brandResults.duplicates,
+    pages_visited: brandResults.pages_visited,
+    health: brandResults.health,
+    errors: aggregateErrors(brandResults.errors)
+  });
+}
+
+await output.finish(results.metadata);
+
 // Log final results
 console.log('\n📊 Final Results:');
 console.log(`  Total hotels: ${results.metadata.total_hotels}`);
 console.log(`  Execution time: ${results.metadata.execution_time_ms}ms`);
+console.log(`  Pages visited: ${results.metadata.pages_visited}`);
 console.log(`  Errors: ${results.errors.length}`);
-console.log(`  Brand: ${brandKey}`);
+console.log(`  Brands: ${brandKeys.join(', ')}`);
 console.log(`  Proxy type: ${proxyType} (${usingProxy ? 'active' : 'inactive'})`);
+for (const [domain, rate] of Object.entries(results.metadata.throttle.domains)) {
+  if (rate.slowdowns > 0) {
+    const history = rate.rate_history.map(bucket => `${bucket.minute.slice(11)} ${bucket.requests} req @ ${bucket.delay_ms}ms/${bucket.concurrency}`).join(', ');
+    console.log(`  Throttle ${domain}: ${rate.slowdowns} slowdown(s), ${rate.recoveries} recovery step(s), now ${rate.delay_ms}ms between requests, concurrency ${rate.concurrency} (${history})`);
+  }
+}
+for (const [host, circuit] of Object.entries(results.metadata.circuit_breakers)) {
+  console.log(`  Circuit ${host}: ${circuit.state}, opened ${circuit.trips} time(s), ${circuit.rejected} request(s) failed fast`);
+}
+if (results.metadata.proxy_escalations.length > 0) {
+  const escalated = results.metadata.proxy_escalations;
+  console.log(`  Proxy escalations: ${escalated.length} (${escalated.filter(escalation => escalation.succeeded).length} succeeded)`);
+}
+
+if (brandKeys.length > 1) {
+  console.log('\n🏷️ Per-brand Results:');
+  for (const [brandKey, brandResults] of Object.entries(results.brands)) {
+    console.log(`  ${brandKey}: ${brandResults.hotels} hotels (${brandResults.duplicates} duplicates), ${brandResults.pages_visited} pages, ${brandResults.errors.length} errors`);
+  }
+}
 
 // Log error breakdown if there are errors
 if (results.errors.length > 0) {
   console.log('\n🔍 Error Analysis:');
   
-  // Group by classification type and separate root causes from noise
+  // Group by cause and separate root causes from noise
   const classifications = results.errors.reduce((acc, error) => {
-    const type = error.classification?.type || 'unknown';
-    const isRootCause = error.classification?.isRootCause || false;
+    const type = error.cause;
+    const isRootCause = error.is_root_cause;
     
     if (!acc[type]) {
       acc[type] = { total: 0, rootCause: 0, noise: 0 };
@@ -671,7 +1417,7 @@ if (results.errors.length > 0) {
     return acc;
   }, {});
   
-  console.log('\n🔍 Error Analysis by Type:');
+  console.log('\n🔍 Error Analysis by Cause:');
   Object.entries(classifications).forEach(([type, counts]) => {
     const rootCauseIndicator = counts.rootCause > 0 ? ` [${counts.rootCause} root cause]` : '';
     const noiseIndicator = counts.noise > 0 ? ` [${counts.noise} noise]` : '';
@@ -692,7 +1438,7 @@ if (results.errors.length > 0) {
   
   // Show suggested actions
   const suggestedActions = results.errors.reduce((acc, error) => {
-    const action = error.classification?.suggestedAction || 'none';
+    const { action } = error.remediation;
     acc[action] = (acc[action] || 0) + 1;
     return acc;
   }, {});
@@ -709,16 +1455,14 @@ if (results.errors.length > 0) {
   }
   
   // Show root cause vs noise summary
-  const rootCauseErrors = results.errors.filter(e => e.classification?.isRootCause);
-  const noiseErrors = results.errors.filter(e => !e.classification?.isRootCause);
+  const rootCauseErrors = results.errors.filter(e => e.is_root_cause);
+  const noiseErrors = results.errors.filter(e => !e.is_root_cause);
   
   console.log('\n🎯 Root Cause Analysis:');
   if (rootCauseErrors.length > 0) {
     console.log(`  Root causes: ${rootCauseErrors.length}`);
     rootCauseErrors.forEach(error => {
-      const type = error.classification?.type || 'unknown';
-      const action = error.classification?.suggestedAction || 'none';
-      console.log(`    - ${type}: ${action}`);
+      console.log(`    - ${error.cause}: ${error.remediation.action}`);
     });
   } else {
     console.log('  No root causes identified');
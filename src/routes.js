@@ -1,5 +1,7 @@
 import { createPuppeteerRouter, Dataset, sleep } from 'crawlee';
 
+import { BRAND_NAME_PATTERNS, DEFAULT_NAME_BRAND, matchBrandByName } from './config/brands.js';
+
 export const router = createPuppeteerRouter();
 
 router.addDefaultHandler(async ({ page, log }) => {
@@ -59,97 +61,19 @@ router.addDefaultHandler(async ({ page, log }) => {
         log.info(`Total sections expanded: ${totalExpanded}`);
 
         // Extract all hotel data from the page
-        const hotelData = await page.evaluate(() => {
+        const hotelData = await page.evaluate((brandNamePatterns, defaultBrand) => {
             const results = [];
 
-            // Official GDS Chain Codes mapping
-            const gdsChainCodes = {
-                'AR': 'AC Hotels by Marriott',
-                'IM': 'All-Inclusive by Marriott',
-                'AL': 'Aloft',
-                'BA': 'Apartments by Marriott Bonvoy',
-                'AK': 'Autograph Collection',
-                'BG': 'Bvlgari Hotels & Resorts',
-                'XE': 'City Express by Marriott',
-                'CY': 'Courtyard by Marriott',
-                'DE': 'Delta Hotels',
-                'DP': 'Design Hotels',
-                'EB': 'Edition',
-                'EL': 'Element',
-                'FN': 'Fairfield by Marriott',
-                'FP': 'Four Points by Sheraton',
-                'GE': 'Gaylord Hotels',
-                'MC': 'Marriott Hotels', // Simplified from multiple brands
-                'MD': 'Le Méridien',
-                'LC': 'The Luxury Collection',
-                'ET': 'Marriott Conference Centers',
-                'VC': 'Marriott Vacation Club',
-                'OX': 'Moxy Hotels',
-                'PR': 'Protea Hotels',
-                'BR': 'Renaissance Hotels',
-                'RC': 'Residence Inn by Marriott',
-                'RZ': 'The Ritz-Carlton',
-                'US': 'Sonder by Marriott Bonvoy',
-                'SI': 'Sheraton',
-                'XV': 'SpringHill Suites',
-                'XR': 'St Regis',
-                'TO': 'TownePlace Suites',
-                'TX': 'Tribute Portfolio',
-                'WH': 'W Hotels',
-                'WI': 'Westin'
-            };
-
-            // Helper function to extract brand from hotel name using GDS codes
+            // Helper function to extract brand from hotel name using the brand registry's GDS codes
             const getBrandInfo = (hotelName) => {
-                // Try to match brand patterns and return GDS code
-                const brandPatterns = [
-                    { pattern: /JW Marriott/i, code: 'MC', name: 'JW Marriott' },
-                    { pattern: /Marriott Executive Apartments/i, code: 'MC', name: 'Marriott Executive Apartments' },
-                    { pattern: /The Ritz[- ]Carlton/i, code: 'RZ', name: 'The Ritz-Carlton' },
-                    { pattern: /Ritz[- ]Carlton/i, code: 'RZ', name: 'The Ritz-Carlton' },
-                    { pattern: /St\.? Regis/i, code: 'XR', name: 'St Regis' },
-                    { pattern: /W Hotels?/i, code: 'WH', name: 'W Hotels' },
-                    { pattern: /The Luxury Collection/i, code: 'LC', name: 'The Luxury Collection' },
-                    { pattern: /EDITION/i, code: 'EB', name: 'Edition' },
-                    { pattern: /Marriott Hotels?/i, code: 'MC', name: 'Marriott Hotels' },
-                    { pattern: /Sheraton/i, code: 'SI', name: 'Sheraton' },
-                    { pattern: /Marriott Vacation Club/i, code: 'VC', name: 'Marriott Vacation Club' },
-                    { pattern: /Westin/i, code: 'WI', name: 'Westin' },
-                    { pattern: /Le M[eé]ridien/i, code: 'MD', name: 'Le Méridien' },
-                    { pattern: /Renaissance/i, code: 'BR', name: 'Renaissance Hotels' },
-                    { pattern: /Gaylord Hotels?/i, code: 'GE', name: 'Gaylord Hotels' },
-                    { pattern: /Courtyard/i, code: 'CY', name: 'Courtyard by Marriott' },
-                    { pattern: /SpringHill Suites?/i, code: 'XV', name: 'SpringHill Suites' },
-                    { pattern: /Fairfield/i, code: 'FN', name: 'Fairfield by Marriott' },
-                    { pattern: /Residence Inn/i, code: 'RC', name: 'Residence Inn by Marriott' },
-                    { pattern: /TownePlace Suites?/i, code: 'TO', name: 'TownePlace Suites' },
-                    { pattern: /AC Hotels?/i, code: 'AR', name: 'AC Hotels by Marriott' },
-                    { pattern: /Aloft/i, code: 'AL', name: 'Aloft' },
-                    { pattern: /Moxy/i, code: 'OX', name: 'Moxy Hotels' },
-                    { pattern: /Protea Hotels?/i, code: 'PR', name: 'Protea Hotels' },
-                    { pattern: /City Express/i, code: 'XE', name: 'City Express by Marriott' },
-                    { pattern: /Four Points/i, code: 'FP', name: 'Four Points by Sheraton' },
-                    { pattern: /Element/i, code: 'EL', name: 'Element' },
-                    { pattern: /Autograph Collection/i, code: 'AK', name: 'Autograph Collection' },
-                    { pattern: /Tribute Portfolio/i, code: 'TX', name: 'Tribute Portfolio' },
-                    { pattern: /Design Hotels?/i, code: 'DP', name: 'Design Hotels' },
-                    { pattern: /Delta Hotels?/i, code: 'DE', name: 'Delta Hotels' },
-                    { pattern: /B[vu]lgari/i, code: 'BG', name: 'Bvlgari Hotels & Resorts' },
-                    { pattern: /Sonder/i, code: 'US', name: 'Sonder by Marriott Bonvoy' },
-                    { pattern: /All[- ]Inclusive/i, code: 'IM', name: 'All-Inclusive by Marriott' },
-                    { pattern: /Apartments by Marriott/i, code: 'BA', name: 'Apartments by Marriott Bonvoy' },
-                    { pattern: /Conference Center/i, code: 'ET', name: 'Marriott Conference Centers' }
-                ];
-
-                // Check each pattern
-                for (const { pattern, code, name } of brandPatterns) {
-                    if (pattern.test(hotelName)) {
+                for (const { source, code, name } of brandNamePatterns) {
+                    if (new RegExp(source, 'i').test(hotelName)) {
                         return { code, name };
                     }
                 }
 
                 // Default to Marriott Hotels
-                return { code: 'MC', name: 'Marriott Hotels' };
+                return defaultBrand;
             };
 
             // Helper function to extract Marsha code from URL
@@ -252,7 +176,7 @@ router.addDefaultHandler(async ({ page, log }) => {
             );
 
             return uniqueHotels;
-        });
+        }, BRAND_NAME_PATTERNS, DEFAULT_NAME_BRAND);
 
         hotels.push(...hotelData);
 
@@ -289,25 +213,7 @@ router.addDefaultHandler(async ({ page, log }) => {
                 const marshaCode = item.url.match(/marriott\.com\/([A-Z]{3,6})(?:$|\/|\?)/i)?.[1]?.toUpperCase() || '';
                 if (marshaCode && !hotels.find(h => h.marsha_code === marshaCode)) {
                     // Get brand info from hotel name
-                    const brandInfo = await page.evaluate((hotelName) => {
-                        // Recreate the getBrandInfo function within evaluate context
-                        const brandPatterns = [
-                            { pattern: /JW Marriott/i, code: 'MC', name: 'JW Marriott' },
-                            { pattern: /The Ritz[- ]Carlton/i, code: 'RZ', name: 'The Ritz-Carlton' },
-                            { pattern: /St\.? Regis/i, code: 'XR', name: 'St Regis' },
-                            { pattern: /Sheraton/i, code: 'SI', name: 'Sheraton' },
-                            { pattern: /Courtyard/i, code: 'CY', name: 'Courtyard by Marriott' },
-                            { pattern: /Residence Inn/i, code: 'RC', name: 'Residence Inn by Marriott' },
-                            // Add more patterns as needed
-                        ];
-                        
-                        for (const { pattern, code, name } of brandPatterns) {
-                            if (pattern.test(hotelName)) {
-                                return { code, name };
-                            }
-                        }
-                        return { code: 'MC', name: 'Marriott Hotels' };
-                    }, item.hotel_name);
+                    const brandInfo = matchBrandByName(item.hotel_name);
 
                     hotels.push({
                         hotel_name: item.hotel_name,
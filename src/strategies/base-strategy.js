@@ -3,8 +3,12 @@
  * Abstract base class for all brand-specific scraping strategies
  */
 
-import { extractMarsha, extractSlug, resolveAndExtract } from '../utils/urlHelpers.js';
+import { log } from 'crawlee';
+
+import { extractMarsha, extractSlug } from '../utils/urlHelpers.js';
 import { getBrandInfo, getSubBrandInfo } from '../config/index.js';
+import { findNextPage, goToNextPage, IN_PLACE_MODES, loadMoreUntilDone, resolvePaginationConfig, scrollUntilStable } from './pagination.js';
+import { compareCandidates, findSelectorChains, GOOD_ENOUGH_SCORE, orderCandidates, scoreHotels, withSelector } from './selector-chains.js';
 
 export class BaseStrategy {
   constructor(selectors, brandInfo = {}) {
@@ -13,17 +17,28 @@ export class BaseStrategy {
       throw new Error(`Invalid selectors configuration: expected object, got ${typeof selectors}`);
     }
     
-    if (!selectors.selectors || !selectors.selectors.hotelLinks) {
-      throw new Error(`Invalid selectors configuration: missing required 'selectors.selectors.hotelLinks' field. Got: ${JSON.stringify(selectors)}`);
-    }
+    this.validateSelectors(selectors);
+    this.selectorChains = findSelectorChains(selectors);
     
     this.selectors = selectors;
+    this.pagination = resolvePaginationConfig(selectors);
     this.brandInfo = {
       name: brandInfo.name || 'Unknown Brand',
       code: brandInfo.code || 'UN'
     };
   }
 
+  /**
+   * Validate the selectors configuration - subclasses with a different
+   * configuration format override this
+   * @param {Object} selectors - Selectors configuration
+   */
+  validateSelectors(selectors) {
+    if (!selectors.selectors || !selectors.selectors.hotelLinks) {
+      throw new Error(`Invalid selectors configuration: missing required 'selectors.selectors.hotelLinks' field. Got: ${JSON.stringify(selectors)}`);
+    }
+  }
+
   /**
    * Main scraping method - must be implemented by subclasses
    * @param {Page} page - Puppeteer page object
@@ -52,73 +67,81 @@ export class BaseStrategy {
    */
   async extractHotelData(hotelElement, page) {
     try {
-      // Extract basic hotel information
-      const hotelName = await this.extractText(hotelElement, this.selectors.hotelName);
-      const hotelUrl = await this.extractHref(hotelElement, this.selectors.hotelUrl);
+      const fieldSelectors = this.selectors.selectors;
       
-      if (!hotelName || !hotelUrl) {
-        return null;
-      }
-
-      // Resolve URL and extract Marsha code and slug
-      const urlInfo = await resolveAndExtract(hotelUrl, page);
-      
-      // Get brand information
-      const brandInfo = getBrandInfo(this.brandInfo.code);
-      
-      // Create hotel data object
-      const hotelData = {
-        hotel_name: hotelName.trim(),
-        url: urlInfo.canonicalUrl,
-        initial_url: hotelUrl !== urlInfo.canonicalUrl ? hotelUrl : undefined,
-        marsha_code: urlInfo.marshaCode,
-        slug: urlInfo.slug,
-        brand_name: brandInfo.name,
-        brand_code: brandInfo.code,
-        is_live: urlInfo.isLive,
-        extracted_at: new Date().toISOString(),
-        source_url: page.url(),
-        confidence_score: 1.0
+      // Extract basic hotel information
+      const fields = {
+        hotel_name: await this.extractText(hotelElement, fieldSelectors.hotelName),
+        url: await this.extractHref(hotelElement, fieldSelectors.hotelUrl)
       };
-
+      
       // Extract optional location information
-      if (this.selectors.location) {
-        const location = await this.extractText(hotelElement, this.selectors.location);
-        if (location) {
-          hotelData.location = location.trim();
+      for (const field of ['location', 'city', 'country', 'region']) {
+        if (fieldSelectors[field]) {
+          fields[field] = await this.extractText(hotelElement, fieldSelectors[field]);
         }
       }
+      
+      return await this.buildHotelData(fields, page);
 
-      // Extract optional city information
-      if (this.selectors.city) {
-        const city = await this.extractText(hotelElement, this.selectors.city);
-        if (city) {
-          hotelData.city = city.trim();
-        }
-      }
+    } catch (error) {
+      console.error('Error extracting hotel data:', error);
+      return null;
+    }
+  }
 
-      // Extract optional country information
-      if (this.selectors.country) {
-        const country = await this.extractText(hotelElement, this.selectors.country);
-        if (country) {
-          hotelData.country = country.trim();
-        }
-      }
+  /**
+   * Build a hotel record from extracted field values, without leaving the
+   * directory page. The URL is resolved later by its own crawler request
+   * @param {Object} fields - Extracted values: hotel_name, url and optional location, city, country, region
+   * @param {Page} page - Puppeteer page object
+   * @returns {Promise<Object|null>} - Hotel data or null if name or URL is missing
+   */
+  async buildHotelData(fields, page) {
+    const hotelName = fields.hotel_name;
+    const hotelUrl = fields.url;
+    
+    if (!hotelName || !hotelUrl) {
+      return null;
+    }
 
-      // Extract optional region information
-      if (this.selectors.region) {
-        const region = await this.extractText(hotelElement, this.selectors.region);
-        if (region) {
-          hotelData.region = region.trim();
-        }
+    // Get brand information
+    const brandInfo = getBrandInfo(this.brandInfo.code);
+    
+    // Create hotel data object
+    const hotelData = {
+      hotel_name: hotelName.trim(),
+      url: hotelUrl,
+      // Marsha code and slug from the directory URL until resolution finds the canonical URL
+      marsha_code: extractMarsha(hotelUrl),
+      slug: extractSlug(hotelUrl),
+      brand_name: brandInfo.name,
+      brand_code: brandInfo.code,
+      extracted_at: new Date().toISOString(),
+      source_url: page.url(),
+      confidence_score: 1.0
+    };
+
+    // Add optional location information
+    for (const field of ['location', 'city', 'country', 'region']) {
+      if (fields[field]) {
+        hotelData[field] = fields[field].trim();
       }
+    }
 
-      return hotelData;
+    return hotelData;
+  }
 
-    } catch (error) {
-      console.error('Error extracting hotel data:', error);
-      return null;
-    }
+  /**
+   * Find the element itself if it matches the selector (e.g. a hotel link
+   * selected by hotelLinks), otherwise its first matching descendant
+   * @param {ElementHandle} element - Parent element
+   * @param {string} selector - CSS selector
+   * @returns {Promise<ElementHandle|null>}
+   */
+  async findElement(element, selector) {
+    const matchesItself = await element.evaluate((el, sel) => el.matches(sel), selector).catch(() => false);
+    return matchesItself ? element : element.$(selector);
   }
 
   /**
@@ -129,7 +152,7 @@ export class BaseStrategy {
    */
   async extractText(element, selector) {
     try {
-      const textElement = await element.$(selector);
+      const textElement = await this.findElement(element, selector);
       if (textElement) {
         return await textElement.evaluate(el => el.textContent || '');
       }
@@ -147,7 +170,7 @@ export class BaseStrategy {
    */
   async extractHref(element, selector) {
     try {
-      const linkElement = await element.$(selector);
+      const linkElement = await this.findElement(element, selector);
       if (linkElement) {
         return await linkElement.evaluate(el => el.href || '');
       }
@@ -170,76 +193,148 @@ export class BaseStrategy {
   }
 
   /**
-   * Handle pagination if present
+   * Settle the selector fallback chains of the configuration on the current
+   * page. Each chain's candidates are tried in turn, the winner of a previous
+   * run (context.learnedSelectors, keyed by chain) first, until one scores
+   * GOOD_ENOUGH_SCORE; otherwise the best scored candidate wins. Records the
+   * ranking of each chain on context.selectorRanking
    * @param {Page} page - Puppeteer page object
    * @param {Object} context - Scraping context
-   * @returns {Promise<Array>} - Array of hotel data from all pages
+   * @returns {Promise<Object>} - { strategy, hotels }: a strategy using the winning selectors and the
+   *   hotels it scraped from the current page (this strategy and null without chains)
    */
-  async handlePagination(page, context) {
-    const allHotels = [];
-    let currentPage = 1;
-    const maxPages = context.maxPages || 10;
+  async resolveSelectorChains(page, context) {
+    if (this.selectorChains.length === 0) {
+      return { strategy: this, hotels: null };
+    }
 
-    while (currentPage <= maxPages) {
-      // Extract hotels from current page
-      const pageHotels = await this.scrape(page, context);
-      allHotels.push(...pageHotels);
+    const learned = context.learnedSelectors || {};
+    const ordered = this.selectorChains.map(chain => ({ ...chain, candidates: orderCandidates(chain.candidates, learned[chain.key]) }));
 
-      // Check for next page
-      const hasNextPage = await this.hasNextPage(page);
-      if (!hasNextPage) {
-        break;
+    // Candidate configurations already scraped, as a chain's first candidate is the previous chain's winner
+    const trials = new Map();
+    const trial = async (config) => {
+      const key = JSON.stringify(config);
+      if (!trials.has(key)) {
+        const strategy = new this.constructor(config, this.brandInfo);
+        const hotels = await strategy.scrape(page, context);
+        trials.set(key, { ...scoreHotels(hotels), strategy, scraped: hotels });
       }
+      return trials.get(key);
+    };
 
-      // Navigate to next page
-      const nextPageUrl = await this.getNextPageUrl(page);
-      if (!nextPageUrl) {
-        break;
+    // Chains not settled yet use their first candidate
+    let config = ordered.reduce((current, chain) => withSelector(current, chain.path, chain.candidates[0]), this.selectors);
+    let winner = null;
+    const ranking = {};
+
+    for (const chain of ordered) {
+      const tried = [];
+      for (const selector of chain.candidates) {
+        const result = await trial(withSelector(config, chain.path, selector));
+        tried.push({ selector, result });
+        if (result.score >= GOOD_ENOUGH_SCORE) break;
       }
 
-      await page.goto(nextPageUrl, { waitUntil: 'networkidle0' });
-      currentPage++;
+      const best = [...tried].sort((a, b) => compareCandidates(a.result, b.result))[0];
+      config = withSelector(config, chain.path, best.selector);
+      winner = best.result;
+
+      ranking[chain.key] = {
+        selector: best.selector,
+        score: best.result.score,
+        hotels: best.result.hotels,
+        candidates: tried.map(({ selector, result }) => ({
+          selector,
+          score: result.score,
+          hotels: result.hotels,
+          valid_marsha_ratio: result.validMarshaRatio,
+          unique_ratio: result.uniqueRatio,
+          name_quality: result.nameQuality
+        }))
+      };
+      log.debug(`🎯 ${this.selectors.name}: ${chain.key} → ${best.selector} (score ${best.result.score}, ${tried.length}/${chain.candidates.length} candidates tried)`);
     }
 
-    return allHotels;
+    context.selectorRanking = ranking;
+    return { strategy: winner.strategy, hotels: winner.scraped };
   }
 
   /**
-   * Check if there's a next page
+   * Scrape the directory across all of its pages using the configured
+   * pagination mode, bounded by maxPages. Selector fallback chains are
+   * settled on the first page (see resolveSelectorChains) and the winning
+   * configuration is recorded on context.resolvedSelectors. Records
+   * { mode, pagesVisited } (and the error and URL that stopped pagination,
+   * if any) on context.pagination
    * @param {Page} page - Puppeteer page object
-   * @returns {Promise<boolean>}
+   * @param {Object} context - Scraping context; context.navigate(url) is used for page navigation
+   *   and context.onPageScraped(page), if set, is called after each page is scraped
+   * @returns {Promise<Array>} - Array of hotel data from all pages
    */
-  async hasNextPage(page) {
-    if (!this.selectors.pagination) {
-      return false;
-    }
+  async handlePagination(page, context) {
+    const { strategy, hotels: firstPageHotels } = await this.resolveSelectorChains(page, context);
+    context.resolvedSelectors = strategy.selectors;
 
-    try {
-      const nextButton = await page.$(this.selectors.pagination);
-      return nextButton !== null;
-    } catch (error) {
-      return false;
-    }
-  }
+    const { pagination } = strategy;
+    // Both the run input and the brand configuration can cap the page count
+    const limits = [context.maxPages, this.selectors.maxPages].filter(limit => limit > 0);
+    const maxPages = limits.length > 0 ? Math.min(...limits) : 10;
+    const navigate = context.navigate || (url => page.goto(url, { waitUntil: 'domcontentloaded' }));
+    const stats = { mode: pagination.mode, pagesVisited: 1 };
+    context.pagination = stats;
 
-  /**
-   * Get the URL for the next page
-   * @param {Page} page - Puppeteer page object
-   * @returns {Promise<string|null>}
-   */
-  async getNextPageUrl(page) {
-    if (!this.selectors.pagination) {
-      return null;
+    // The winning candidate's hotels are the first page's, unless the page still grows in place
+    let pendingHotels = IN_PLACE_MODES.includes(pagination.mode) ? null : firstPageHotels;
+    const scrapePage = async () => {
+      const hotels = pendingHotels || await strategy.scrape(page, context);
+      pendingHotels = null;
+      await context.onPageScraped?.(page);
+      return hotels;
+    };
+
+    // "Load more" and infinite scroll grow the current page, which is then scraped once
+    if (IN_PLACE_MODES.includes(pagination.mode)) {
+      await page.waitForSelector(pagination.itemSelector, { timeout: pagination.timeout }).catch(() => {});
+
+      stats.pagesVisited += pagination.mode === 'load-more'
+        ? await loadMoreUntilDone(page, pagination, maxPages - 1)
+        : await scrollUntilStable(page, pagination, maxPages - 1);
+      log.info(`📄 ${this.selectors.name}: loaded ${stats.pagesVisited} page(s) via ${pagination.mode}`);
+
+      return scrapePage();
     }
 
-    try {
-      const nextButton = await page.$(this.selectors.pagination);
-      if (nextButton) {
-        return await nextButton.evaluate(el => el.href || null);
+    const allHotels = [];
+    const visitedUrls = new Set([page.url()]);
+
+    for (let pageNumber = 1; ; pageNumber++) {
+      allHotels.push(...await scrapePage());
+
+      const nextPage = pagination.mode !== 'none' && pageNumber < maxPages
+        ? await findNextPage(page, pagination, pageNumber)
+        : null;
+
+      if (!nextPage || visitedUrls.has(nextPage.url)) {
+        break;
       }
-      return null;
-    } catch (error) {
-      return null;
+
+      try {
+        await goToNextPage(page, pagination, nextPage, navigate);
+      } catch (error) {
+        log.warning(`⚠️ ${this.selectors.name}: pagination stopped after page ${pageNumber}: ${error.message}`);
+        stats.error = error;
+        stats.failedUrl = nextPage.url || page.url();
+        break;
+      }
+
+      if (nextPage.url) {
+        visitedUrls.add(nextPage.url);
+      }
+      stats.pagesVisited++;
     }
+
+    log.info(`📄 ${this.selectors.name}: visited ${stats.pagesVisited} page(s)`);
+    return allHotels;
   }
-} 
\ No newline at end of file
+}
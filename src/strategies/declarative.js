@@ -0,0 +1,285 @@
+/**
+ * Declarative Strategy
+ * Config-only strategy whose behavior is fully described by the selector JSON:
+ * preparation steps (waits, expansion clicks, scrolling), tab switching,
+ * container scoping, per-field extractors and pagination mode
+ */
+
+import { log, sleep } from 'crawlee';
+
+import { BaseStrategy } from './base-strategy.js';
+
+// Named transforms that field extractors can apply, in order, after regex matching
+export const FIELD_TRANSFORMS = {
+  trim: value => value.trim(),
+  collapseWhitespace: value => value.replace(/\s+/g, ' ').trim(),
+  uppercase: value => value.toUpperCase(),
+  lowercase: value => value.toLowerCase(),
+  stripCount: value => value.replace(/\s*\(\d+\)\s*$/, ''), // "AFRICA (15)" -> "AFRICA"
+  titleCase: value => value.toLowerCase().replace(/(^|[\s-])(\p{L})/gu, (match, separator, letter) => separator + letter.toUpperCase())
+};
+
+// Hotel fields a declarative configuration may extract
+export const DECLARATIVE_FIELDS = ['hotel_name', 'url', 'location', 'city', 'country', 'region'];
+
+/**
+ * Apply regex, transforms and defaults to raw values read from the page
+ * @param {Object} raw - Raw string values keyed by field name
+ * @param {Object} fieldRules - Field extractor configuration keyed by field name
+ * @returns {Object} - Final field values (empty strings for missing values)
+ */
+export function applyFieldRules(raw, fieldRules) {
+  const fields = {};
+
+  for (const [field, rule] of Object.entries(fieldRules)) {
+    let value = typeof raw[field] === 'string' ? raw[field] : '';
+
+    if (value && rule.regex) {
+      const match = value.match(new RegExp(rule.regex, rule.regexFlags ?? 'i'));
+      value = match ? (match[1] ?? match[0]) : '';
+    }
+
+    const transforms = Array.isArray(rule.transform) ? rule.transform : [rule.transform || 'collapseWhitespace'];
+    for (const name of transforms) {
+      const transform = FIELD_TRANSFORMS[name];
+      if (!transform) {
+        throw new Error(`Unknown field transform '${name}' for field '${field}'`);
+      }
+      value = transform(value);
+    }
+
+    fields[field] = value || rule.default || '';
+  }
+
+  return fields;
+}
+
+export class DeclarativeStrategy extends BaseStrategy {
+  /**
+   * Validate the declarative configuration
+   * @param {Object} selectors - Selectors configuration
+   */
+  validateSelectors(selectors) {
+    if (!selectors.item) {
+      throw new Error(`Invalid declarative configuration '${selectors.name}': missing required 'item' selector`);
+    }
+
+    if (!selectors.fields || !selectors.fields.hotel_name || !selectors.fields.url) {
+      throw new Error(`Invalid declarative configuration '${selectors.name}': 'fields' must define hotel_name and url extractors`);
+    }
+
+    for (const [field, rule] of Object.entries(selectors.fields)) {
+      if (!DECLARATIVE_FIELDS.includes(field)) {
+        throw new Error(`Invalid declarative configuration '${selectors.name}': unsupported field '${field}'`);
+      }
+      const transforms = Array.isArray(rule.transform) ? rule.transform : [rule.transform].filter(Boolean);
+      const unknown = transforms.find(name => !FIELD_TRANSFORMS[name]);
+      if (unknown) {
+        throw new Error(`Invalid declarative configuration '${selectors.name}': unknown transform '${unknown}' for field '${field}'`);
+      }
+    }
+  }
+
+  /**
+   * Main scraping method driven entirely by the configuration; pagination
+   * is handled by BaseStrategy.handlePagination
+   * @param {Page} page - Puppeteer page object
+   * @param {Object} context - Scraping context
+   * @returns {Promise<Array>} - Array of hotel data
+   */
+  async scrape(page, context) {
+    const hotels = [];
+
+    try {
+      await this.prepare(page);
+
+      const rawItems = await this.extractRawItems(page);
+      log.info(`🔍 ${this.selectors.name}: found ${rawItems.length} items`);
+
+      for (const raw of rawItems) {
+        try {
+          const fields = applyFieldRules(raw, this.selectors.fields);
+          const hotelInfo = await this.buildHotelData(fields, page);
+          if (hotelInfo) {
+            hotels.push(hotelInfo);
+          }
+        } catch (error) {
+          log.error(`Error extracting ${this.selectors.name} hotel data: ${error.message}`);
+        }
+      }
+
+    } catch (error) {
+      log.error(`Error in declarative strategy ${this.selectors.name} (${context.brandKey}): ${error.message}`);
+    }
+
+    return hotels;
+  }
+
+  /**
+   * Run the configured preparation steps, falling back to waitForSelector
+   * @param {Page} page - Puppeteer page object
+   * @returns {Promise<void>}
+   */
+  async prepare(page) {
+    const { steps } = this.selectors;
+
+    if (!steps || steps.length === 0) {
+      await this.waitForPageLoad(page, 30000);
+      return;
+    }
+
+    for (const step of steps) {
+      try {
+        await this.runStep(page, step);
+      } catch (error) {
+        if (!step.optional) {
+          throw error;
+        }
+        log.warning(`Optional ${step.action} step skipped: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Run a single preparation step
+   * @param {Page} page - Puppeteer page object
+   * @param {Object} step - Step configuration
+   * @returns {Promise<void>}
+   */
+  async runStep(page, step) {
+    switch (step.action) {
+      case 'wait':
+        await page.waitForSelector(step.selector, { timeout: step.timeout || 30000 });
+        break;
+
+      case 'sleep':
+        await sleep(step.ms || 1000);
+        break;
+
+      case 'click':
+        await this.clickAll(page, step);
+        break;
+
+      case 'scroll':
+        for (let i = 0; i < (step.times || 1); i++) {
+          await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+          await sleep(step.delayMs || 500);
+        }
+        break;
+
+      default:
+        throw new Error(`Unknown step action '${step.action}'`);
+    }
+  }
+
+  /**
+   * Click every element matching the step selector, repeating rounds until
+   * nothing new is clicked (e.g. nested accordions or "load more" buttons)
+   * @param {Page} page - Puppeteer page object
+   * @param {Object} step - Click step configuration
+   * @returns {Promise<number>} - Number of elements clicked
+   */
+  async clickAll(page, step) {
+    let totalClicked = 0;
+
+    for (let round = 0; round < (step.maxRounds || 1); round++) {
+      const elements = await page.$$(step.selector);
+      let clicked = 0;
+
+      for (const element of elements) {
+        try {
+          await element.click();
+          clicked++;
+          await sleep(step.delayMs || 100);
+        } catch {
+          // Continue if element is not clickable
+        }
+      }
+
+      totalClicked += clicked;
+      if (clicked === 0) break;
+      await sleep(step.settleMs || 1000);
+    }
+
+    return totalClicked;
+  }
+
+  /**
+   * Read raw field values for every item, switching through tabs if configured
+   * @param {Page} page - Puppeteer page object
+   * @returns {Promise<Array<Object>>} - Raw values keyed by field name
+   */
+  async extractRawItems(page) {
+    const { tabs } = this.selectors;
+
+    if (!tabs) {
+      return this.readItems(page);
+    }
+
+    const items = [];
+    const tabCount = (await page.$$(tabs.selector)).length;
+
+    for (let index = 0; index < tabCount; index++) {
+      // Re-query each time as tab switching may re-render the tab list
+      const tab = (await page.$$(tabs.selector))[index];
+      if (!tab) break;
+
+      await tab.click();
+      if (tabs.waitForSelector) {
+        await page.waitForSelector(tabs.waitForSelector, { timeout: tabs.timeout || 10000 });
+      }
+      await sleep(tabs.delayMs || 1000);
+
+      items.push(...await this.readItems(page));
+    }
+
+    return items;
+  }
+
+  /**
+   * Read raw field values for the items currently in the DOM
+   * @param {Page} page - Puppeteer page object
+   * @returns {Promise<Array<Object>>} - Raw values keyed by field name
+   */
+  async readItems(page) {
+    const { container, item, fields } = this.selectors;
+
+    return page.evaluate((config) => {
+      const root = config.container ? document.querySelector(config.container) : document;
+      if (!root) return [];
+
+      const readValue = (element, attribute) => {
+        if (attribute === 'text') return element.textContent || '';
+        if (attribute === 'href') return element.href || element.getAttribute('href') || '';
+        if (attribute === 'html') return element.innerHTML || '';
+        return element.getAttribute(attribute) || '';
+      };
+
+      // Nearest element matching selector that comes before the item in document order
+      // (querySelectorAll lists the matches and the items in document order, ancestors first)
+      const findPreceding = (itemElement, selector) => {
+        let preceding = null;
+        for (const element of document.querySelectorAll(`${selector}, ${config.item}`)) {
+          if (element === itemElement) return preceding;
+          if (element.matches(selector)) preceding = element;
+        }
+        return null;
+      };
+
+      return Array.from(root.querySelectorAll(config.item)).map((itemElement) => {
+        const raw = {};
+
+        for (const [field, rule] of Object.entries(config.fields)) {
+          let scope = itemElement;
+          if (rule.closest) scope = itemElement.closest(rule.closest);
+          if (rule.preceding) scope = findPreceding(itemElement, rule.preceding);
+
+          const target = scope && rule.selector ? scope.querySelector(rule.selector) : scope;
+          raw[field] = target ? readValue(target, rule.attribute || 'text') : '';
+        }
+
+        return raw;
+      });
+    }, { container, item, fields });
+  }
+}
@@ -3,20 +3,49 @@
  * Creates brand-specific strategies based on brand key
  */
 
+import { readdirSync, readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { DIRECTORY_BRANDS, getBrand } from '../config/brands.js';
 import { BaseStrategy } from './base-strategy.js';
+import { DeclarativeStrategy } from './declarative.js';
+import { GenericStrategy } from './generic.js';
 import { MarriottMainStrategy } from './marriottMain.js';
 import { RitzCarltonStrategy } from './ritzCarlton.js';
+import { StarwoodStrategy } from './starwood.js';
 import { StRegisStrategy } from './stRegis.js';
-import { GenericStrategy } from './generic.js';
 
-// Strategy mapping
-const STRATEGY_MAP = {
+// Strategy types, referenced by the brand registry's "strategy" field and a selector file's "strategy" field
+export const STRATEGY_TYPES = {
   marriottMain: MarriottMainStrategy,
   ritzcarlton: RitzCarltonStrategy,
   stregis: StRegisStrategy,
+  declarative: DeclarativeStrategy,
+  starwood: StarwoodStrategy,
   generic: GenericStrategy
 };
 
+// Configuration sections merged key-by-key when a selector file extends a shared base
+const MERGED_SECTIONS = ['selectors', 'groups', 'brandInfo', 'health'];
+
+/**
+ * Find the strategy class of a brand. A specific type in the brand registry
+ * wins; when the registry says 'generic' or nothing, the type declared in the
+ * brand's selector file is used, so a new selector file is enough to move a
+ * brand off GenericStrategy
+ * @param {string} brandKey - Brand identifier
+ * @param {Object} selectors - Selectors configuration
+ * @returns {Function} - Strategy class
+ */
+export function resolveStrategyClass(brandKey, selectors) {
+  const registryStrategy = getBrand(brandKey)?.strategy;
+  if (registryStrategy && registryStrategy !== 'generic' && STRATEGY_TYPES[registryStrategy]) {
+    return STRATEGY_TYPES[registryStrategy];
+  }
+  return STRATEGY_TYPES[selectors.strategy] || GenericStrategy;
+}
+
 /**
  * Create a strategy instance for the given brand
  * @param {string} brandKey - Brand identifier
@@ -28,11 +57,15 @@ export async function createStrategy(brandKey, options = {}) {
     // Load selectors for the brand
     const selectors = await loadSelectors(brandKey);
     
-    // Get strategy class
-    const StrategyClass = STRATEGY_MAP[brandKey] || GenericStrategy;
+    const StrategyClass = resolveStrategyClass(brandKey, selectors);
+    
+    // Brand info from the brand's own selector file wins over caller defaults
+    const brandInfo = selectors.isFallback ?
+      options.brandInfo :
+      { ...options.brandInfo, ...selectors.brandInfo };
     
     // Create strategy instance
-    const strategy = new StrategyClass(selectors, options.brandInfo);
+    const strategy = new StrategyClass(selectors, brandInfo);
     
     return strategy;
   } catch (error) {
@@ -44,41 +77,25 @@ export async function createStrategy(brandKey, options = {}) {
   }
 }
 
+// Directory holding the per-brand selector JSON files
+const SELECTORS_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'config', 'selectors');
+
 /**
  * Load selectors for a specific brand
  * @param {string} brandKey - Brand identifier
  * @returns {Promise<Object>} - Selectors configuration
  */
-async function loadSelectors(brandKey) {
+export async function loadSelectors(brandKey) {
   try {
-    // Dynamic import of selectors file using fs
-    const { readFileSync } = await import('fs');
-    const { fileURLToPath } = await import('url');
-    const { dirname, join } = await import('path');
-    
-    const __filename = fileURLToPath(import.meta.url);
-    const __dirname = dirname(__filename);
-    const configDir = join(__dirname, '..', 'config', 'selectors');
-    
-    const selectorsPath = join(configDir, `${brandKey}.json`);
-    const selectorsData = readFileSync(selectorsPath, 'utf8');
-    return JSON.parse(selectorsData);
+    return readSelectorsFile(brandKey);
   } catch (error) {
     console.warn(`Could not load selectors for brand ${brandKey}, using generic:`, error.message);
     
     // Fallback to generic selectors
     try {
-      const { readFileSync } = await import('fs');
-      const { fileURLToPath } = await import('url');
-      const { dirname, join } = await import('path');
-      
-      const __filename = fileURLToPath(import.meta.url);
-      const __dirname = dirname(__filename);
-      const configDir = join(__dirname, '..', 'config', 'selectors');
-      
-      const genericPath = join(configDir, 'generic.json');
+      const genericPath = join(SELECTORS_DIR, 'generic.json');
       const genericData = readFileSync(genericPath, 'utf8');
-      return JSON.parse(genericData);
+      return { ...JSON.parse(genericData), isFallback: true };
     } catch (fallbackError) {
       console.error('Could not load generic selectors:', fallbackError.message);
       throw new Error(`No selectors available for brand ${brandKey}`);
@@ -86,12 +103,39 @@ async function loadSelectors(brandKey) {
   }
 }
 
+/**
+ * Read a selector file, resolving its "extends" chain
+ * @param {string} name - Selector file name without extension
+ * @param {Array<string>} chain - Files already visited, to detect cycles
+ * @returns {Object} - Selectors configuration
+ */
+function readSelectorsFile(name, chain = []) {
+  if (chain.includes(name)) {
+    throw new Error(`Circular selector extends: ${[...chain, name].join(' -> ')}`);
+  }
+
+  const selectors = JSON.parse(readFileSync(join(SELECTORS_DIR, `${name}.json`), 'utf8'));
+  if (!selectors.extends) {
+    return selectors;
+  }
+
+  const { extends: baseName, ...overrides } = selectors;
+  const base = readSelectorsFile(baseName, [...chain, name]);
+  const merged = { ...base, ...overrides };
+  for (const section of MERGED_SECTIONS) {
+    if (base[section] || overrides[section]) {
+      merged[section] = { ...base[section], ...overrides[section] };
+    }
+  }
+  return merged;
+}
+
 /**
  * Get available brand keys
  * @returns {Array<string>} - Array of available brand keys
  */
 export function getAvailableBrands() {
-  return Object.keys(STRATEGY_MAP);
+  return [...new Set([...DIRECTORY_BRANDS.map(brand => brand.key), 'generic', ...listSelectorFiles()])];
 }
 
 /**
@@ -100,5 +144,15 @@ export function getAvailableBrands() {
  * @returns {boolean} - True if brand is supported
  */
 export function isBrandSupported(brandKey) {
-  return brandKey in STRATEGY_MAP;
+  return getAvailableBrands().includes(brandKey);
+}
+
+/**
+ * List brand keys that have their own selector file
+ * @returns {Array<string>} - Brand keys derived from src/config/selectors/*.json (shared "_" bases excluded)
+ */
+export function listSelectorFiles() {
+  return readdirSync(SELECTORS_DIR)
+    .filter(file => file.endsWith('.json') && !file.startsWith('_'))
+    .map(file => file.replace(/\.json$/, ''));
 } 
\ No newline at end of file
@@ -0,0 +1,84 @@
+/**
+ * Strategy factory tests
+ * Checks which strategy class a brand gets from its registry entry and its
+ * selector file: a specific registry type wins, and a brand registered as
+ * 'generic' (or without a type) takes the type its selector file declares
+ *
+ * Usage:
+ *   node src/strategies/factory.test.js
+ */
+
+import { BRANDS } from '../config/brands.js';
+import { runTestCases } from '../test/test-cases.js';
+import { createStrategy, loadSelectors, resolveStrategyClass } from './factory.js';
+
+// A brand the registry runs with GenericStrategy
+const GENERIC_BRAND = BRANDS.find(brand => brand.strategy === 'generic' && Object.keys(brand.directoryUrls).length > 0).key;
+// A registered brand without a strategy type
+const UNTYPED_BRAND = BRANDS.find(brand => !brand.strategy).key;
+
+// Declarative selector file as a new brand would add it
+const DECLARATIVE_SELECTORS = {
+  name: 'New Brand Strategy',
+  strategy: 'declarative',
+  item: "a[href*='/hotels/']",
+  fields: {
+    hotel_name: { selector: '.hotel-name' },
+    url: { attribute: 'href' }
+  }
+};
+
+const cases = [
+  {
+    name: "registry-'generic' brand with a declarative selector file gets DeclarativeStrategy",
+    run: () => resolveStrategyClass(GENERIC_BRAND, DECLARATIVE_SELECTORS).name,
+    expected: 'DeclarativeStrategy'
+  },
+  {
+    name: "registry-'generic' brand with a starwood selector file gets StarwoodStrategy",
+    run: () => resolveStrategyClass(GENERIC_BRAND, { ...DECLARATIVE_SELECTORS, strategy: 'starwood' }).name,
+    expected: 'StarwoodStrategy'
+  },
+  {
+    name: "registry-'generic' brand with a selector file declaring no type stays generic",
+    run: () => resolveStrategyClass(GENERIC_BRAND, { name: 'Generic' }).name,
+    expected: 'GenericStrategy'
+  },
+  {
+    name: 'brand without a registry type takes the selector file type',
+    run: () => resolveStrategyClass(UNTYPED_BRAND, DECLARATIVE_SELECTORS).name,
+    expected: 'DeclarativeStrategy'
+  },
+  {
+    name: 'unregistered brand takes the selector file type',
+    run: () => resolveStrategyClass('newbrand', DECLARATIVE_SELECTORS).name,
+    expected: 'DeclarativeStrategy'
+  },
+  {
+    name: 'specific registry type wins over the selector file',
+    run: () => resolveStrategyClass('ritzcarlton', { ...DECLARATIVE_SELECTORS, strategy: 'generic' }).name,
+    expected: 'RitzCarltonStrategy'
+  },
+  {
+    name: 'registry subclass wins over the selector file base type',
+    run: async () => resolveStrategyClass('stregis', await loadSelectors('stregis')).name,
+    expected: 'StRegisStrategy'
+  },
+  {
+    name: 'selector files of the registry brands create their strategies',
+    run: async () => Promise.all(['ritzcarlton', 'sheraton', 'edition', 'moxy', 'generic'].map(async (brandKey) => {
+      const strategy = await createStrategy(brandKey, { brandInfo: { name: brandKey, code: brandKey.toUpperCase() } });
+      return strategy.constructor.name;
+    })),
+    expected: ['RitzCarltonStrategy', 'StarwoodStrategy', 'DeclarativeStrategy', 'DeclarativeStrategy', 'GenericStrategy']
+  }
+];
+
+async function runTests() {
+  await runTestCases('Strategy Factory', cases);
+}
+
+// Always run tests when this file is executed
+runTests();
+
+export { runTests };
@@ -20,7 +20,7 @@ export class GenericStrategy extends BaseStrategy {
       await this.waitForPageLoad(page, 30000);
 
       // Extract hotel data using the base strategy
-      const hotelElements = await page.$$(this.selectors.hotelLinks);
+      const hotelElements = await page.$$(this.selectors.selectors.hotelLinks);
       
       for (const hotelElement of hotelElements) {
         try {
@@ -0,0 +1,217 @@
+/**
+ * Golden-file regression tests for the brand strategies
+ * For each selector file, replays the brand's stored directory fixture
+ * (fixtures/golden/<brandKey>/, in the fixtureMode "record" format) through
+ * its strategy and compares the cleaned hotels with the committed golden.json:
+ * hotel count, Marsha codes and field fill rates
+ *
+ * Usage:
+ *   node src/strategies/golden.test.js                  # compare every brand
+ *   node src/strategies/golden.test.js sheraton moxy    # compare some brands
+ *   node src/strategies/golden.test.js --update         # rewrite the golden files
+ *   node src/strategies/golden.test.js --verbose        # keep the strategy logs
+ */
+
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { log } from 'crawlee';
+
+import { DEFAULT_LOCALE, getBrandInfoForKey } from '../config/index.js';
+import { FixturePage } from '../test/fixture-page.js';
+import { cleanAndValidateHotelData, removeDuplicateHotels, sortHotelsByMarsha } from '../utils/data-cleaner.js';
+import { FixtureStore } from '../utils/fixtures.js';
+import { createStrategy, listSelectorFiles } from './factory.js';
+
+const GOLDEN_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', '..', 'fixtures', 'golden');
+const GOLDEN_FILE = 'golden.json';
+
+// Fields whose fill rate is tracked
+const FILL_RATE_FIELDS = ['hotel_name', 'url', 'marsha_code', 'slug', 'location', 'city', 'country', 'region'];
+
+/**
+ * Run a brand's strategy against its fixture
+ * @param {string} brandKey - Brand key (selector file name)
+ * @param {boolean} verbose - Keep the strategy's log output
+ * @returns {Promise<Object>} - { strategy, sourceUrl, hotels, invalid, recordedAt }
+ */
+async function runStrategy(brandKey, verbose) {
+  const fixtures = FixtureStore.load(join(GOLDEN_DIR, brandKey));
+  // The directory is the first page recorded as scraped
+  const sourceUrl = Object.keys(fixtures.entries).find(url => fixtures.entries[url].snapshot);
+  if (!sourceUrl) {
+    throw new Error('the fixture has no scraped directory page');
+  }
+
+  const strategy = await createStrategy(brandKey, {
+    brandInfo: getBrandInfoForKey(brandKey) || { name: brandKey, code: brandKey.toUpperCase() }
+  });
+  const page = new FixturePage(fixtures);
+  await page.goto(sourceUrl);
+
+  const { log: consoleLog, info, warn } = console;
+  const logLevel = log.getLevel();
+  if (!verbose) {
+    console.log = () => {};
+    console.info = () => {};
+    console.warn = () => {};
+    log.setLevel(log.LEVELS.OFF);
+  }
+
+  let scraped;
+  try {
+    scraped = await strategy.handlePagination(page, {
+      brandKey,
+      locale: DEFAULT_LOCALE,
+      sourceUrl,
+      navigate: url => page.goto(url)
+    });
+  } finally {
+    Object.assign(console, { log: consoleLog, info, warn });
+    log.setLevel(logLevel);
+  }
+
+  const cleaned = scraped.map(hotel => cleanAndValidateHotelData(hotel));
+  return {
+    strategy: strategy.constructor.name,
+    sourceUrl,
+    hotels: sortHotelsByMarsha(removeDuplicateHotels(cleaned.filter(result => result.isValid).map(result => result.data))),
+    invalid: cleaned.filter(result => !result.isValid).length,
+    recordedAt: fixtures.recordedAt
+  };
+}
+
+/**
+ * Summarize a run in the golden file format
+ * @param {string} brandKey - Brand key
+ * @param {Object} run - Result of runStrategy
+ * @returns {Object} - Golden record
+ */
+function summarize(brandKey, { strategy, sourceUrl, hotels, invalid }) {
+  const fillRate = field => (hotels.length > 0
+    ? Math.round((hotels.filter(hotel => hotel[field]).length / hotels.length) * 100) / 100
+    : 0);
+
+  return {
+    brand_key: brandKey,
+    strategy,
+    source_url: sourceUrl,
+    hotel_count: hotels.length,
+    invalid_count: invalid,
+    marsha_codes: hotels.map(hotel => hotel.marsha_code),
+    fill_rates: Object.fromEntries(FILL_RATE_FIELDS.map(field => [field, fillRate(field)]))
+  };
+}
+
+/**
+ * List the differences between the golden record and the actual one
+ * @param {Object} expected - Golden record
+ * @param {Object} actual - Record of this run
+ * @returns {Array<string>} - Human-readable differences
+ */
+function diffGolden(expected, actual) {
+  const differences = [];
+
+  for (const key of ['strategy', 'source_url', 'hotel_count', 'invalid_count']) {
+    if (expected[key] !== actual[key]) {
+      differences.push(`${key}: expected ${JSON.stringify(expected[key])}, got ${JSON.stringify(actual[key])}`);
+    }
+  }
+
+  const missing = expected.marsha_codes.filter(code => !actual.marsha_codes.includes(code));
+  const added = actual.marsha_codes.filter(code => !expected.marsha_codes.includes(code));
+  if (missing.length > 0) {
+    differences.push(`marsha_codes missing: ${missing.join(', ')}`);
+  }
+  if (added.length > 0) {
+    differences.push(`marsha_codes added: ${added.join(', ')}`);
+  }
+
+  for (const field of new Set([...Object.keys(expected.fill_rates), ...Object.keys(actual.fill_rates)])) {
+    if (expected.fill_rates[field] !== actual.fill_rates[field]) {
+      differences.push(`fill_rates.${field}: expected ${expected.fill_rates[field]}, got ${actual.fill_rates[field]}`);
+    }
+  }
+
+  return differences;
+}
+
+async function runTests() {
+  const args = process.argv.slice(2);
+  const update = args.includes('--update');
+  const verbose = args.includes('--verbose');
+  const selected = args.filter(arg => !arg.startsWith('--'));
+  const brandKeys = selected.length > 0 ? selected : listSelectorFiles();
+
+  let passed = 0;
+  let failed = 0;
+  // Strategy types run against recorded fixtures and against synthetic ones
+  const recordedStrategies = new Set();
+  const syntheticStrategies = new Set();
+
+  console.log(`🧪 ${update ? 'Updating' : 'Checking'} golden files for ${brandKeys.length} strategies\n`);
+
+  for (const brandKey of brandKeys) {
+    const goldenPath = join(GOLDEN_DIR, brandKey, GOLDEN_FILE);
+
+    let actual;
+    let source;
+    try {
+      const run = await runStrategy(brandKey, verbose);
+      actual = summarize(brandKey, run);
+      source = run.recordedAt ? `recorded ${run.recordedAt.slice(0, 10)}` : 'synthetic';
+      (run.recordedAt ? recordedStrategies : syntheticStrategies).add(run.strategy);
+    } catch (error) {
+      console.log(`  ❌ ${brandKey}: ${error.message}`);
+      failed++;
+      continue;
+    }
+
+    if (update) {
+      writeFileSync(goldenPath, `${JSON.stringify(actual, null, 2)}\n`);
+      console.log(`  📝 ${brandKey}: ${actual.hotel_count} hotels (${actual.strategy}, ${source} fixture)`);
+      passed++;
+      continue;
+    }
+
+    if (!existsSync(goldenPath)) {
+      console.log(`  ❌ ${brandKey}: no ${GOLDEN_FILE}; run \`npm run update-golden -- ${brandKey}\``);
+      failed++;
+      continue;
+    }
+
+    const differences = diffGolden(JSON.parse(readFileSync(goldenPath, 'utf8')), actual);
+    if (differences.length === 0) {
+      console.log(`  ✅ ${brandKey}: ${actual.hotel_count} hotels (${actual.strategy}, ${source} fixture)`);
+      passed++;
+    } else {
+      console.log(`  ❌ ${brandKey}: ${differences.length} difference(s) from ${GOLDEN_FILE}`);
+      differences.forEach(difference => console.log(`     ${difference}`));
+      failed++;
+    }
+  }
+
+  console.log('\n📊 Golden Results:');
+  console.log(`  Passed: ${passed}`);
+  console.log(`  Failed: ${failed}`);
+
+  const unrecorded = [...syntheticStrategies].filter(strategy => !recordedStrategies.has(strategy));
+  if (unrecorded.length > 0) {
+    console.log(`\n⚠️ No recorded fixture for ${unrecorded.join(', ')}: these strategies are only checked against synthetic pages`);
+  }
+
+  if (failed > 0) {
+    console.log(update
+      ? '\n❌ Some golden files could not be updated!'
+      : '\n❌ Some strategies differ from their golden files! If the change is intended, run `npm run update-golden`');
+    process.exit(1);
+  } else {
+    console.log(update ? '\n✅ Golden files updated!' : '\n✅ All strategies match their golden files!');
+  }
+}
+
+// Always run tests when this file is executed
+runTests();
+
+export { runTests };
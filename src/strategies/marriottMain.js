@@ -39,8 +39,7 @@ export class MarriottMainStrategy extends BaseStrategy {
             if (hotelName && hotelUrl) {
               results.push({
                 hotelName,
-                hotelUrl,
-                element: element.outerHTML
+                hotelUrl
               });
             }
           } catch (error) {
@@ -49,17 +48,15 @@ export class MarriottMainStrategy extends BaseStrategy {
         });
         
         return results;
-      }, this.selectors);
+      }, this.selectors.selectors);
 
       // Process each hotel
       for (const hotel of hotelData) {
         try {
-          // Create a temporary element to extract data
-          const tempDiv = document.createElement('div');
-          tempDiv.innerHTML = hotel.element;
-          const hotelElement = tempDiv.firstElementChild;
-          
-          const hotelInfo = await this.extractHotelData(hotelElement, page);
+          const hotelInfo = await this.buildHotelData({
+            hotel_name: hotel.hotelName,
+            url: hotel.hotelUrl
+          }, page);
           if (hotelInfo) {
             hotels.push(hotelInfo);
           }
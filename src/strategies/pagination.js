@@ -0,0 +1,192 @@
+/**
+ * Pagination Utility
+ * Shared pagination for all strategies: next links, numbered pages,
+ * "load more" buttons and infinite scroll
+ */
+
+import { sleep } from 'crawlee';
+
+export const PAGINATION_MODES = ['none', 'next-link', 'numbered', 'load-more', 'infinite-scroll'];
+
+// Modes that grow the current page instead of navigating to a new one
+export const IN_PLACE_MODES = ['load-more', 'infinite-scroll'];
+
+const DEFAULT_PAGINATION = {
+  mode: 'none',
+  delayMs: 1500,
+  timeout: 10000,
+  stableRounds: 3
+};
+
+/**
+ * Normalize the pagination configuration of a selectors file
+ * Supports the legacy `selectors.pagination` next-link selector string
+ * @param {Object} config - Selectors configuration
+ * @returns {Object} - { mode, selector, itemSelector, delayMs, timeout, stableRounds }
+ */
+export function resolvePaginationConfig(config) {
+  let pagination = config.pagination ?? config.selectors?.pagination ?? { mode: 'none' };
+
+  if (typeof pagination === 'string') {
+    pagination = { mode: 'next-link', selector: pagination };
+  }
+
+  const resolved = {
+    ...DEFAULT_PAGINATION,
+    // Items counted to detect that a "load more" or scroll actually loaded hotels
+    itemSelector: config.item || config.selectors?.hotelCard || config.selectors?.hotelLinks,
+    ...pagination
+  };
+
+  if (!PAGINATION_MODES.includes(resolved.mode)) {
+    throw new Error(`Unsupported pagination mode '${resolved.mode}'. Expected one of: ${PAGINATION_MODES.join(', ')}`);
+  }
+
+  if (resolved.mode !== 'none' && resolved.mode !== 'infinite-scroll' && !resolved.selector) {
+    throw new Error(`Pagination mode '${resolved.mode}' requires a selector`);
+  }
+
+  return resolved;
+}
+
+/**
+ * Count the items currently matching a selector
+ * @param {Page} page - Puppeteer page object
+ * @param {string} selector - Item selector
+ * @returns {Promise<number>}
+ */
+export async function countItems(page, selector) {
+  if (!selector) return 0;
+  return page.$$eval(selector, elements => elements.length).catch(() => 0);
+}
+
+/**
+ * Wait until more than `previousCount` items match the selector
+ * @param {Page} page - Puppeteer page object
+ * @param {string} selector - Item selector
+ * @param {number} previousCount - Item count before loading
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise<boolean>} - True if the count grew in time
+ */
+async function waitForMoreItems(page, selector, previousCount, timeout) {
+  try {
+    await page.waitForFunction(
+      (itemSelector, count) => document.querySelectorAll(itemSelector).length > count,
+      { timeout },
+      selector,
+      previousCount
+    );
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Click the "load more" button until it disappears or stops loading hotels
+ * @param {Page} page - Puppeteer page object
+ * @param {Object} pagination - Resolved pagination configuration
+ * @param {number} maxLoads - Maximum number of additional loads
+ * @returns {Promise<number>} - Number of successful loads
+ */
+export async function loadMoreUntilDone(page, pagination, maxLoads) {
+  let loads = 0;
+
+  while (loads < maxLoads) {
+    const button = await page.$(pagination.selector);
+    if (!button) break;
+
+    const isClickable = await button.evaluate(el => !el.disabled && el.offsetParent !== null).catch(() => false);
+    if (!isClickable) break;
+
+    const before = await countItems(page, pagination.itemSelector);
+    await button.click();
+
+    if (!await waitForMoreItems(page, pagination.itemSelector, before, pagination.timeout)) break;
+
+    loads++;
+    await sleep(pagination.delayMs);
+  }
+
+  return loads;
+}
+
+/**
+ * Scroll to the bottom until the hotel count plateaus for `stableRounds` scrolls
+ * @param {Page} page - Puppeteer page object
+ * @param {Object} pagination - Resolved pagination configuration
+ * @param {number} maxLoads - Maximum number of scrolls that load new hotels
+ * @returns {Promise<number>} - Number of scrolls that loaded new hotels
+ */
+export async function scrollUntilStable(page, pagination, maxLoads) {
+  let loads = 0;
+  let stableRounds = 0;
+  let lastCount = await countItems(page, pagination.itemSelector);
+
+  while (loads < maxLoads && stableRounds < pagination.stableRounds) {
+    await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+    await sleep(pagination.delayMs);
+
+    const count = await countItems(page, pagination.itemSelector);
+    if (count > lastCount) {
+      loads++;
+      stableRounds = 0;
+      lastCount = count;
+    } else {
+      stableRounds++;
+    }
+  }
+
+  return loads;
+}
+
+/**
+ * Find how to reach the next page from the current one
+ * @param {Page} page - Puppeteer page object
+ * @param {Object} pagination - Resolved pagination configuration
+ * @param {number} currentPage - 1-based number of the current page
+ * @returns {Promise<Object|null>} - { url } to navigate to, { clickIndex } to click, or null on the last page
+ */
+export async function findNextPage(page, pagination, currentPage) {
+  const candidates = await page.$$eval(pagination.selector, elements => elements.map(el => ({
+    text: (el.textContent || '').replace(/\s+/g, ' ').trim(),
+    href: el.href || null,
+    disabled: el.disabled || el.getAttribute('aria-disabled') === 'true' || el.classList.contains('disabled')
+  }))).catch(() => []);
+
+  const index = pagination.mode === 'numbered'
+    ? candidates.findIndex(candidate => candidate.text === String(currentPage + 1))
+    : candidates.findIndex(candidate => !candidate.disabled);
+
+  if (index === -1 || candidates[index].disabled) {
+    return null;
+  }
+
+  const { href } = candidates[index];
+  const isLink = href && !/^javascript:/i.test(href) && href !== page.url();
+  return isLink ? { url: href } : { clickIndex: index };
+}
+
+/**
+ * Go to the next page found by findNextPage
+ * @param {Page} page - Puppeteer page object
+ * @param {Object} pagination - Resolved pagination configuration
+ * @param {Object} nextPage - Result of findNextPage
+ * @param {Function} navigate - Navigation function (url) => Promise, with challenge handling
+ * @returns {Promise<void>}
+ */
+export async function goToNextPage(page, pagination, nextPage, navigate) {
+  if (nextPage.url) {
+    await navigate(nextPage.url);
+    return;
+  }
+
+  const elements = await page.$$(pagination.selector);
+  const element = elements[nextPage.clickIndex];
+  if (!element) {
+    throw new Error('Pagination control disappeared before it could be clicked');
+  }
+
+  await element.click();
+  await sleep(pagination.delayMs);
+}
@@ -0,0 +1,268 @@
+/**
+ * Pagination tests
+ * Runs BaseStrategy.handlePagination over fixture pages served through jsdom
+ * in each pagination mode (next-link, numbered, load-more, infinite-scroll)
+ * and checks which hotels are collected, how many pages are visited and why
+ * pagination stops: the last page, maxPages, a page already visited, no new
+ * hotels or a failed navigation
+ *
+ * Usage:
+ *   node src/strategies/pagination.test.js
+ */
+
+import { log } from 'crawlee';
+
+import { FixturePage } from '../test/fixture-page.js';
+import { runTestCases } from '../test/test-cases.js';
+import { FixtureStore } from '../utils/fixtures.js';
+import { DeclarativeStrategy } from './declarative.js';
+
+const DIRECTORY_URL = 'https://hotels.example.com/directory/';
+
+/**
+ * URL of a directory page
+ * @param {number} pageNumber - 1-based page number
+ * @returns {string}
+ */
+function pageUrl(pageNumber) {
+  return pageNumber === 1 ? DIRECTORY_URL : `${DIRECTORY_URL}?page=${pageNumber}`;
+}
+
+/**
+ * Hotel link markup
+ * @param {number} number - Hotel number
+ * @returns {string}
+ */
+function hotelLink(number) {
+  return `<a class="hotel" href="https://www.marriott.com/en-us/hotels/htl${String(number).padStart(2, '0')}-hotel-${number}/overview/">Hotel ${number}</a>`;
+}
+
+/**
+ * Directory page markup
+ * @param {Array<number>} hotels - Hotel numbers on the page
+ * @param {string} controls - Pagination markup
+ * @returns {string}
+ */
+function directoryPage(hotels, controls = '') {
+  return `<!DOCTYPE html><html><body><main class="hotels">${hotels.map(hotelLink).join('')}</main><nav>${controls}</nav></body></html>`;
+}
+
+/**
+ * Declarative strategy listing a.hotel links, with a pagination configuration
+ * @param {Object} pagination - Pagination configuration
+ * @param {number} maxPages - Brand page limit
+ * @returns {DeclarativeStrategy}
+ */
+function createStrategy(pagination, maxPages = 10) {
+  return new DeclarativeStrategy({
+    name: 'Pagination Test',
+    strategy: 'declarative',
+    item: 'a.hotel',
+    fields: {
+      hotel_name: {},
+      url: { attribute: 'href', transform: ['trim'] }
+    },
+    pagination: { delayMs: 0, timeout: 100, ...pagination },
+    maxPages
+  }, { name: 'Test', code: 'TS' });
+}
+
+/**
+ * Scrape a directory with handlePagination
+ * @param {Object} options - { pages: markup by URL, pagination, maxPages, script }: script runs in the
+ *   first page before scraping, standing in for the page's own scripts
+ * @returns {Promise<Object>} - { hotels: hotel names, pagesVisited, failedUrl }
+ */
+async function paginate({ pages, pagination, maxPages, script }) {
+  const entries = Object.fromEntries(Object.entries(pages).map(([url, body]) => [url, {
+    status: 200,
+    headers: { 'content-type': 'text/html' },
+    body
+  }]));
+  const page = new FixturePage(new FixtureStore(null, entries));
+  await page.goto(DIRECTORY_URL);
+  if (script) {
+    page.dom.window.eval(script);
+  }
+
+  const context = { brandKey: 'test', sourceUrl: DIRECTORY_URL, navigate: url => page.goto(url) };
+  const hotels = await createStrategy(pagination, maxPages).handlePagination(page, context);
+  return {
+    hotels: hotels.map(hotel => hotel.hotel_name),
+    pagesVisited: context.pagination.pagesVisited,
+    failedUrl: context.pagination.failedUrl || null
+  };
+}
+
+/**
+ * Hotel names of a range of hotel numbers
+ * @param {number} from - First hotel number
+ * @param {number} to - Last hotel number
+ * @returns {Array<string>}
+ */
+function names(from, to) {
+  return Array.from({ length: to - from + 1 }, (_, index) => `Hotel ${from + index}`);
+}
+
+// jsdom has no layout, so elements get an offsetParent to count as visible
+const VISIBLE_ELEMENTS = `Object.defineProperty(HTMLElement.prototype, 'offsetParent', { get() { return this.parentElement; } });`;
+
+/**
+ * Page script of a "load more" button adding two hotels per click, removed after `clicks` clicks
+ * @param {number} clicks - Clicks that load hotels, Infinity for a button that never runs out
+ * @param {boolean} loads - Whether clicks add hotels at all
+ * @returns {string}
+ */
+function loadMoreScript(clicks, loads = true) {
+  return `${VISIBLE_ELEMENTS}
+    let clicked = 0;
+    document.querySelector('button.more').addEventListener('click', (event) => {
+      clicked++;
+      if (${loads}) {
+        document.querySelector('main').insertAdjacentHTML('beforeend', [3, 4].map(offset => {
+          const number = clicked * 2 + offset - 2;
+          return '<a class="hotel" href="https://www.marriott.com/en-us/hotels/htl' + String(number).padStart(2, '0') + '-hotel-' + number + '/overview/">Hotel ' + number + '</a>';
+        }).join(''));
+      }
+      if (clicked >= ${clicks}) event.target.remove();
+    });`;
+}
+
+/**
+ * Page script of an infinite scroll adding two hotels per scroll for `scrolls` scrolls
+ * @param {number} scrolls - Scrolls that load hotels, Infinity for an endless page
+ * @returns {string}
+ */
+function infiniteScrollScript(scrolls) {
+  return `
+    let scrolled = 0;
+    window.scrollTo = () => {
+      if (scrolled >= ${scrolls}) return;
+      scrolled++;
+      document.querySelector('main').insertAdjacentHTML('beforeend', [3, 4].map(offset => {
+        const number = scrolled * 2 + offset - 2;
+        return '<a class="hotel" href="https://www.marriott.com/en-us/hotels/htl' + String(number).padStart(2, '0') + '-hotel-' + number + '/overview/">Hotel ' + number + '</a>';
+      }).join(''));
+    };`;
+}
+
+const NEXT_LINK = { mode: 'next-link', selector: 'a.next' };
+const NUMBERED = { mode: 'numbered', selector: 'a.page' };
+const LOAD_MORE = { mode: 'load-more', selector: 'button.more' };
+const INFINITE_SCROLL = { mode: 'infinite-scroll', stableRounds: 2 };
+
+// Three next-linked pages of two hotels each
+const NEXT_LINKED_PAGES = {
+  [pageUrl(1)]: directoryPage([1, 2], `<a class="next" href="${pageUrl(2)}">Next</a>`),
+  [pageUrl(2)]: directoryPage([3, 4], `<a class="next" href="${pageUrl(3)}">Next</a>`),
+  [pageUrl(3)]: directoryPage([5, 6])
+};
+
+// Three pages with numbered links to each of them
+const NUMBERED_CONTROLS = [1, 2, 3].map(number => `<a class="page" href="${pageUrl(number)}">${number}</a>`).join('');
+const NUMBERED_PAGES = {
+  [pageUrl(1)]: directoryPage([1, 2], NUMBERED_CONTROLS),
+  [pageUrl(2)]: directoryPage([3, 4], NUMBERED_CONTROLS),
+  [pageUrl(3)]: directoryPage([5, 6], NUMBERED_CONTROLS)
+};
+
+const LOAD_MORE_PAGE = { [pageUrl(1)]: directoryPage([1, 2], '<button class="more">Load more</button>') };
+const SCROLL_PAGE = { [pageUrl(1)]: directoryPage([1, 2]) };
+
+const cases = [
+  {
+    name: 'next-link follows the next links to the last page',
+    run: () => paginate({ pages: NEXT_LINKED_PAGES, pagination: NEXT_LINK }),
+    expected: { hotels: names(1, 6), pagesVisited: 3, failedUrl: null }
+  },
+  {
+    name: 'next-link stops at maxPages',
+    run: () => paginate({ pages: NEXT_LINKED_PAGES, pagination: NEXT_LINK, maxPages: 2 }),
+    expected: { hotels: names(1, 4), pagesVisited: 2, failedUrl: null }
+  },
+  {
+    name: 'next-link stops at a disabled next link',
+    run: () => paginate({
+      pages: {
+        [pageUrl(1)]: directoryPage([1, 2], `<a class="next" href="${pageUrl(2)}">Next</a>`),
+        [pageUrl(2)]: directoryPage([3, 4], `<a class="next disabled" href="${pageUrl(3)}">Next</a>`)
+      },
+      pagination: NEXT_LINK
+    }),
+    expected: { hotels: names(1, 4), pagesVisited: 2, failedUrl: null }
+  },
+  {
+    name: 'next-link stops at a page it already visited',
+    run: () => paginate({
+      pages: {
+        [pageUrl(1)]: directoryPage([1, 2], `<a class="next" href="${pageUrl(2)}">Next</a>`),
+        [pageUrl(2)]: directoryPage([3, 4], `<a class="next" href="${pageUrl(1)}">Next</a>`)
+      },
+      pagination: NEXT_LINK
+    }),
+    expected: { hotels: names(1, 4), pagesVisited: 2, failedUrl: null }
+  },
+  {
+    name: 'next-link keeps the hotels scraped before a navigation fails',
+    run: () => paginate({
+      pages: { [pageUrl(1)]: directoryPage([1, 2], `<a class="next" href="${pageUrl(2)}">Next</a>`) },
+      pagination: NEXT_LINK
+    }),
+    expected: { hotels: names(1, 2), pagesVisited: 1, failedUrl: pageUrl(2) }
+  },
+  {
+    name: 'numbered follows the link of the next page number',
+    run: () => paginate({ pages: NUMBERED_PAGES, pagination: NUMBERED }),
+    expected: { hotels: names(1, 6), pagesVisited: 3, failedUrl: null }
+  },
+  {
+    name: 'numbered stops at maxPages',
+    run: () => paginate({ pages: NUMBERED_PAGES, pagination: NUMBERED, maxPages: 2 }),
+    expected: { hotels: names(1, 4), pagesVisited: 2, failedUrl: null }
+  },
+  {
+    name: 'load-more clicks until the button disappears and scrapes the page once',
+    run: () => paginate({ pages: LOAD_MORE_PAGE, pagination: LOAD_MORE, script: loadMoreScript(2) }),
+    expected: { hotels: names(1, 6), pagesVisited: 3, failedUrl: null }
+  },
+  {
+    name: 'load-more stops when a click loads no new hotels',
+    run: () => paginate({ pages: LOAD_MORE_PAGE, pagination: LOAD_MORE, script: loadMoreScript(Infinity, false) }),
+    expected: { hotels: names(1, 2), pagesVisited: 1, failedUrl: null }
+  },
+  {
+    name: 'load-more stops at maxPages',
+    run: () => paginate({ pages: LOAD_MORE_PAGE, pagination: LOAD_MORE, maxPages: 3, script: loadMoreScript(Infinity) }),
+    expected: { hotels: names(1, 6), pagesVisited: 3, failedUrl: null }
+  },
+  {
+    name: 'load-more skips a hidden button',
+    run: () => paginate({ pages: LOAD_MORE_PAGE, pagination: LOAD_MORE, script: loadMoreScript(2).replace(VISIBLE_ELEMENTS, '') }),
+    expected: { hotels: names(1, 2), pagesVisited: 1, failedUrl: null }
+  },
+  {
+    name: 'infinite-scroll scrolls until the hotel count stops growing',
+    run: () => paginate({ pages: SCROLL_PAGE, pagination: INFINITE_SCROLL, script: infiniteScrollScript(2) }),
+    expected: { hotels: names(1, 6), pagesVisited: 3, failedUrl: null }
+  },
+  {
+    name: 'infinite-scroll stops at maxPages',
+    run: () => paginate({ pages: SCROLL_PAGE, pagination: INFINITE_SCROLL, maxPages: 2, script: infiniteScrollScript(Infinity) }),
+    expected: { hotels: names(1, 4), pagesVisited: 2, failedUrl: null }
+  }
+];
+
+async function runTests() {
+  const logLevel = log.getLevel();
+  log.setLevel(log.LEVELS.OFF);
+  try {
+    await runTestCases('Pagination', cases);
+  } finally {
+    log.setLevel(logLevel);
+  }
+}
+
+// Always run tests when this file is executed
+runTests();
+
+export { runTests };
@@ -0,0 +1,151 @@
+/**
+ * Selector Fallback Chains
+ * A selector in a selector file may be an ordered list of candidates instead
+ * of a single (comma-union) selector. Each candidate is tried in turn on the
+ * first directory page, the hotels it yields are scored (valid Marsha codes,
+ * uniqueness, name quality) and the winner is used for the rest of the run.
+ * Winners learned in earlier runs are tried first
+ */
+
+import { cleanMarshaCode } from '../utils/data-cleaner.js';
+
+// Score from which a candidate is accepted without trying the rest of its chain
+export const GOOD_ENOUGH_SCORE = 0.9;
+
+// Weights of the score components
+const SCORE_WEIGHTS = {
+  validMarshaRatio: 0.5,
+  uniqueRatio: 0.3,
+  nameQuality: 0.2
+};
+
+// Link texts that are not hotel names
+const GENERIC_LINK_TEXT = /^(view( hotel| details| all)?|book( now)?|learn more|see (more|details|all)|explore( hotel)?|discover( more)?|details|more|reserve( now)?|check availability|all hotels|hotels?)$/i;
+
+/**
+ * Find the selector chains of a selector configuration: array values of the
+ * selectors section, waitForSelector, container, item and field selectors
+ * @param {Object} config - Selectors configuration
+ * @returns {Array<Object>} - { key, path, candidates } per chain, in configuration order
+ */
+export function findSelectorChains(config) {
+  const paths = [
+    ['waitForSelector'],
+    ...Object.keys(config.selectors || {}).map(name => ['selectors', name]),
+    ['container'],
+    ['item'],
+    ...Object.keys(config.fields || {}).map(field => ['fields', field, 'selector'])
+  ];
+
+  return paths
+    .map(path => ({ key: path.join('.'), path, candidates: path.reduce((value, part) => value?.[part], config) }))
+    .filter(({ candidates }) => Array.isArray(candidates))
+    .map((chain) => {
+      if (chain.candidates.length === 0 || chain.candidates.some(candidate => typeof candidate !== 'string' || !candidate)) {
+        throw new Error(`Invalid selector chain '${chain.key}' in '${config.name}': expected a non-empty list of selectors`);
+      }
+      return chain;
+    });
+}
+
+/**
+ * Copy a selector configuration with one selector replaced
+ * @param {Object} config - Selectors configuration
+ * @param {Array<string>} path - Path of the selector in the configuration
+ * @param {string} selector - Selector to set
+ * @returns {Object} - Updated copy
+ */
+export function withSelector(config, [head, ...rest], selector) {
+  if (rest.length === 0) {
+    return { ...config, [head]: selector };
+  }
+  return { ...config, [head]: withSelector(config[head] || {}, rest, selector) };
+}
+
+/**
+ * Order a chain's candidates with the previously learned winner first
+ * @param {Array<string>} candidates - Candidates in configuration order
+ * @param {string} [learned] - Winner of a previous run
+ * @returns {Array<string>}
+ */
+export function orderCandidates(candidates, learned) {
+  return candidates.includes(learned)
+    ? [learned, ...candidates.filter(candidate => candidate !== learned)]
+    : candidates;
+}
+
+/**
+ * Check whether a scraped name looks like a hotel name rather than link text or a URL
+ * @param {string} name - Hotel name
+ * @returns {boolean}
+ */
+function isPlausibleHotelName(name) {
+  const text = (name || '').replace(/\s+/g, ' ').trim();
+  return text.length >= 3 &&
+    text.length <= 120 &&
+    /\p{L}/u.test(text) &&
+    !GENERIC_LINK_TEXT.test(text) &&
+    !/^(https?:|www\.)/i.test(text);
+}
+
+/**
+ * Score the hotels a candidate selector yields
+ * @param {Array<Object>} hotels - Hotels scraped with the candidate
+ * @returns {Object} - { score, hotels, validMarshaRatio, uniqueRatio, nameQuality } (ratios in 0-1)
+ */
+export function scoreHotels(hotels) {
+  if (hotels.length === 0) {
+    return { score: 0, hotels: 0, validMarshaRatio: 0, uniqueRatio: 0, nameQuality: 0 };
+  }
+
+  const ratio = count => Math.round((count / hotels.length) * 1000) / 1000;
+  const components = {
+    validMarshaRatio: ratio(hotels.filter(hotel => cleanMarshaCode(hotel.marsha_code)).length),
+    uniqueRatio: ratio(new Set(hotels.map(hotel => (hotel.marsha_code || hotel.url || '').toUpperCase())).size),
+    nameQuality: ratio(hotels.filter(hotel => isPlausibleHotelName(hotel.hotel_name)).length)
+  };
+
+  const score = Object.entries(SCORE_WEIGHTS).reduce((sum, [component, weight]) => sum + components[component] * weight, 0);
+  return { score: Math.round(score * 1000) / 1000, hotels: hotels.length, ...components };
+}
+
+/**
+ * Compare two scored candidates: the higher score wins, then the one with more hotels
+ * @param {Object} a - Scored candidate
+ * @param {Object} b - Scored candidate
+ * @returns {number} - Negative when a ranks first
+ */
+export function compareCandidates(a, b) {
+  return b.score - a.score || b.hotels - a.hotels;
+}
+
+// Named key-value store holding the winning candidate of each brand's chains between runs
+export const SELECTOR_RANKING_STORE_NAME = 'selector-rankings';
+export const SELECTOR_RANKING_KEY = 'RANKINGS';
+
+/**
+ * Learned winners of a brand's chains, in the form of context.learnedSelectors
+ * @param {Object} [brandRanking] - Stored ranking of a brand's chains, keyed by chain
+ * @returns {Object} - Winning selector keyed by chain
+ */
+export function learnedSelectors(brandRanking = {}) {
+  return Object.fromEntries(Object.entries(brandRanking).map(([key, ranking]) => [key, ranking.selector]));
+}
+
+/**
+ * Merge a run's chain rankings into a brand's stored ranking. A chain where
+ * no candidate found hotels keeps its previous winner
+ * @param {Object} [brandRanking] - Stored ranking of the brand's chains, keyed by chain
+ * @param {Object} [selectorRanking] - Rankings of this run (context.selectorRanking)
+ * @param {string} [rankedAt] - When the run ranked the chains (ISO timestamp)
+ * @returns {Object|null} - Updated ranking, null when no chain was ranked
+ */
+export function mergeSelectorRanking(brandRanking = {}, selectorRanking = {}, rankedAt = new Date().toISOString()) {
+  const rankedChains = Object.entries(selectorRanking).filter(([, ranking]) => ranking.score > 0);
+  if (rankedChains.length === 0) return null;
+
+  return {
+    ...brandRanking,
+    ...Object.fromEntries(rankedChains.map(([key, ranking]) => [key, { ...ranking, ranked_at: rankedAt }]))
+  };
+}
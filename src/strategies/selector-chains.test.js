@@ -0,0 +1,270 @@
+/**
+ * Selector fallback chain tests
+ * Checks the scoring of candidate selectors (valid Marsha codes, uniqueness,
+ * name quality), the tie-break on hotel count, and the chain resolution of
+ * BaseStrategy on fixture pages served through jsdom: early acceptance of a
+ * good enough candidate, the learned winner persisted and tried first on the
+ * next run, and the fallback when the learned selector stops matching
+ *
+ * Usage:
+ *   node src/strategies/selector-chains.test.js
+ */
+
+import { log } from 'crawlee';
+
+import { FixturePage } from '../test/fixture-page.js';
+import { runTestCases } from '../test/test-cases.js';
+import { FixtureStore } from '../utils/fixtures.js';
+import { DeclarativeStrategy } from './declarative.js';
+import {
+  compareCandidates,
+  findSelectorChains,
+  GOOD_ENOUGH_SCORE,
+  learnedSelectors,
+  mergeSelectorRanking,
+  orderCandidates,
+  scoreHotels,
+  withSelector
+} from './selector-chains.js';
+
+const DIRECTORY_URL = 'https://www.ritzcarlton.com/en/hotels/';
+const RANKED_AT = '2025-01-01T00:00:00.000Z';
+
+const HOTELS = [
+  ['tyorz', 'The Ritz-Carlton, Tokyo'],
+  ['osarz', 'The Ritz-Carlton, Osaka'],
+  ['kyorz', 'The Ritz-Carlton, Kyoto'],
+  ['okarz', 'The Ritz-Carlton, Okinawa']
+];
+
+/**
+ * Hotel link markup
+ * @param {string} className - Link class
+ * @param {Array<string>} hotel - [marsha code, name]
+ * @param {string} text - Link text, the hotel name by default
+ * @returns {string}
+ */
+function hotelLink(className, [code, name], text = name) {
+  return `<a class="${className}" href="https://www.ritzcarlton.com/en/hotels/${code}-${name.toLowerCase().replace(/\W+/g, '-')}/overview/">${text}</a>`;
+}
+
+/**
+ * Directory page markup
+ * @param {string} links - Hotel link markup
+ * @returns {string}
+ */
+function directoryPage(links) {
+  return `<!DOCTYPE html><html><body><a class="promo" href="/en/offers/">View details</a><main>${links}</main></body></html>`;
+}
+
+// Hotels listed as a.hotel links after a promo link
+const HOTEL_LINKS_PAGE = directoryPage(HOTELS.map(hotel => hotelLink('hotel', hotel)).join(''));
+// The same hotels after a redesign renamed the link class
+const REDESIGNED_PAGE = directoryPage(HOTELS.map(hotel => hotelLink('property', hotel)).join(''));
+// Two featured hotels and four hotel links, all with "View hotel" as their text
+const VIEW_HOTEL_LINKS = HOTELS.map(hotel => hotelLink('hotel', hotel, 'View hotel'));
+const VIEW_HOTEL_PAGE = directoryPage(`<div class="featured">${VIEW_HOTEL_LINKS.slice(0, 2).join('')}</div>${VIEW_HOTEL_LINKS.join('')}`);
+
+/**
+ * Declarative configuration with a fallback chain for its item selector
+ * @param {Array<string>} candidates - Item selector candidates
+ * @returns {Object}
+ */
+function chainConfig(candidates) {
+  return {
+    name: 'Chain Test',
+    strategy: 'declarative',
+    item: candidates,
+    fields: {
+      hotel_name: {},
+      url: { attribute: 'href' }
+    }
+  };
+}
+
+/**
+ * Settle the chains of a configuration on a directory page
+ * @param {Object} config - Selectors configuration
+ * @param {string} html - Directory page markup
+ * @param {Object} learned - Learned winners keyed by chain (context.learnedSelectors)
+ * @returns {Promise<Object>} - { item: winning selector, tried: selectors tried in order, ranking, hotels }
+ */
+async function resolveChains(config, html, learned = {}) {
+  const page = new FixturePage(new FixtureStore(null, {
+    [DIRECTORY_URL]: { status: 200, headers: { 'content-type': 'text/html' }, body: html }
+  }));
+  await page.goto(DIRECTORY_URL);
+
+  const context = { brandKey: 'test', sourceUrl: DIRECTORY_URL, learnedSelectors: learned };
+  const { strategy, hotels } = await new DeclarativeStrategy(config, { name: 'Test', code: 'TS' }).resolveSelectorChains(page, context);
+  return {
+    item: strategy.selectors.item,
+    tried: context.selectorRanking.item.candidates.map(candidate => candidate.selector),
+    ranking: context.selectorRanking,
+    hotels: hotels.map(hotel => hotel.marsha_code)
+  };
+}
+
+/**
+ * Hotels with a Marsha code, URL and name
+ * @param {Array<Array>} hotels - [marsha code, name] pairs
+ * @returns {Array<Object>}
+ */
+function scraped(hotels) {
+  return hotels.map(([code, name]) => ({ marsha_code: code, url: `https://www.ritzcarlton.com/en/hotels/${code}/`, hotel_name: name }));
+}
+
+const cases = [
+  {
+    name: 'hotels with valid unique Marsha codes and real names score 1',
+    run: () => scoreHotels(scraped(HOTELS)),
+    expected: { score: 1, hotels: 4, validMarshaRatio: 1, uniqueRatio: 1, nameQuality: 1 }
+  },
+  {
+    name: 'invalid codes, duplicates and link-text names lower their weighted components',
+    run: () => scoreHotels(scraped([
+      ['TYORZ', 'The Ritz-Carlton, Tokyo'],
+      ['TYORZ', 'View hotel'],
+      ['', 'Book now'],
+      ['OFFERS-2025', 'https://www.ritzcarlton.com/en/offers/']
+    ])),
+    // 0.5 * 0.5 + 0.3 * 0.75 + 0.2 * 0.25
+    expected: { score: 0.525, hotels: 4, validMarshaRatio: 0.5, uniqueRatio: 0.75, nameQuality: 0.25 }
+  },
+  {
+    name: 'no hotels score 0',
+    run: () => scoreHotels([]),
+    expected: { score: 0, hotels: 0, validMarshaRatio: 0, uniqueRatio: 0, nameQuality: 0 }
+  },
+  {
+    name: 'candidates rank by score, then by hotel count',
+    run: () => [
+      { selector: 'a', score: 0.7, hotels: 40 },
+      { selector: 'li.featured a', score: 0.8, hotels: 2 },
+      { selector: 'a.hotel', score: 0.8, hotels: 4 }
+    ].sort(compareCandidates).map(candidate => candidate.selector),
+    expected: ['a.hotel', 'li.featured a', 'a']
+  },
+  {
+    name: 'learned winner is ordered first, an unknown one is ignored',
+    run: () => [
+      orderCandidates(['a.card', 'a.hotel', 'a'], 'a.hotel'),
+      orderCandidates(['a.card', 'a.hotel', 'a'], 'a.removed'),
+      orderCandidates(['a.card', 'a.hotel', 'a'])
+    ],
+    expected: [['a.hotel', 'a.card', 'a'], ['a.card', 'a.hotel', 'a'], ['a.card', 'a.hotel', 'a']]
+  },
+  {
+    name: 'chains are found in the selectors section, item and fields, and replaced without changing the configuration',
+    run: () => {
+      const config = { ...chainConfig(['a.card', 'a.hotel']), selectors: { hotelLinks: 'a', hotelCard: ['.card', '.tile'] } };
+      config.fields.hotel_name = { selector: ['.name', 'h3'] };
+      const updated = withSelector(config, ['fields', 'hotel_name', 'selector'], 'h3');
+      return [
+        findSelectorChains(config).map(chain => chain.key),
+        updated.fields.hotel_name.selector,
+        config.fields.hotel_name.selector,
+        updated.fields.url === config.fields.url
+      ];
+    },
+    expected: [['selectors.hotelCard', 'item', 'fields.hotel_name.selector'], 'h3', ['.name', 'h3'], true]
+  },
+  {
+    name: 'an empty chain is rejected',
+    run: () => findSelectorChains(chainConfig([])),
+    throws: /Invalid selector chain 'item' in 'Chain Test'/
+  },
+  {
+    name: `candidate scoring ${GOOD_ENOUGH_SCORE} or more is accepted without trying the rest`,
+    run: () => resolveChains(chainConfig(['a.hotel', 'a']), HOTEL_LINKS_PAGE),
+    expected: {
+      item: 'a.hotel',
+      tried: ['a.hotel'],
+      ranking: {
+        item: {
+          selector: 'a.hotel',
+          score: 1,
+          hotels: 4,
+          candidates: [{ selector: 'a.hotel', score: 1, hotels: 4, valid_marsha_ratio: 1, unique_ratio: 1, name_quality: 1 }]
+        }
+      },
+      hotels: ['TYORZ', 'OSARZ', 'KYORZ', 'OKARZ']
+    }
+  },
+  {
+    name: 'best scored candidate wins when none is good enough',
+    run: async () => {
+      const { item, tried, ranking } = await resolveChains(chainConfig(['a', 'a.promo']), HOTEL_LINKS_PAGE);
+      return [item, tried, ranking.item.candidates.map(candidate => candidate.score)];
+    },
+    // a also matches the promo link, which has no Marsha code and link text for a name
+    expected: ['a', ['a', 'a.promo'], [0.86, 0.3]]
+  },
+  {
+    name: 'candidates with the same score are ranked by hotel count',
+    run: async () => {
+      const { item, ranking } = await resolveChains(chainConfig(['.featured a.hotel', 'main > a.hotel']), VIEW_HOTEL_PAGE);
+      return [item, ranking.item.candidates.map(({ selector, score, hotels }) => [selector, score, hotels])];
+    },
+    expected: ['main > a.hotel', [['.featured a.hotel', 0.8, 2], ['main > a.hotel', 0.8, 4]]]
+  },
+  {
+    name: 'winner is persisted and tried first on the next run',
+    run: async () => {
+      const config = chainConfig(['a.promo', 'a', 'a.hotel']);
+      const first = await resolveChains(config, HOTEL_LINKS_PAGE);
+      const stored = mergeSelectorRanking(undefined, first.ranking, RANKED_AT);
+      const next = await resolveChains(config, HOTEL_LINKS_PAGE, learnedSelectors(stored));
+      return [stored.item.selector, stored.item.ranked_at, learnedSelectors(stored), next.item, next.tried];
+    },
+    expected: ['a.hotel', RANKED_AT, { item: 'a.hotel' }, 'a.hotel', ['a.hotel']]
+  },
+  {
+    name: 'learned selector that stops matching falls back to the chain and is replaced',
+    run: async () => {
+      const config = chainConfig(['a.hotel', 'a.property', 'a']);
+      const stored = mergeSelectorRanking(undefined, (await resolveChains(config, HOTEL_LINKS_PAGE)).ranking, RANKED_AT);
+      const next = await resolveChains(config, REDESIGNED_PAGE, learnedSelectors(stored));
+      const updated = mergeSelectorRanking(stored, next.ranking, '2025-01-02T00:00:00.000Z');
+      return [next.item, next.tried, next.hotels.length, learnedSelectors(updated)];
+    },
+    expected: ['a.property', ['a.hotel', 'a.property'], 4, { item: 'a.property' }]
+  },
+  {
+    name: 'chain where no candidate found hotels keeps its stored winner',
+    run: async () => {
+      const config = chainConfig(['a.hotel', 'a.property']);
+      const stored = mergeSelectorRanking(undefined, (await resolveChains(config, HOTEL_LINKS_PAGE)).ranking, RANKED_AT);
+      const empty = await resolveChains(config, directoryPage(''), learnedSelectors(stored));
+      return [empty.tried, mergeSelectorRanking(stored, empty.ranking), learnedSelectors(stored)];
+    },
+    expected: [['a.hotel', 'a.property'], null, { item: 'a.hotel' }]
+  },
+  {
+    name: 'merged ranking keeps the stored chains this run did not rank',
+    run: () => mergeSelectorRanking(
+      { 'selectors.hotelCard': { selector: '.card', score: 1, ranked_at: RANKED_AT } },
+      { item: { selector: 'a.hotel', score: 0.95 }, container: { selector: 'main', score: 0 } },
+      '2025-01-02T00:00:00.000Z'
+    ),
+    expected: {
+      'selectors.hotelCard': { selector: '.card', score: 1, ranked_at: RANKED_AT },
+      item: { selector: 'a.hotel', score: 0.95, ranked_at: '2025-01-02T00:00:00.000Z' }
+    }
+  }
+];
+
+async function runTests() {
+  const logLevel = log.getLevel();
+  log.setLevel(log.LEVELS.OFF);
+  try {
+    await runTestCases('Selector Chains', cases);
+  } finally {
+    log.setLevel(logLevel);
+  }
+}
+
+// Always run tests when this file is executed
+runTests();
+
+export { runTests };
@@ -0,0 +1,189 @@
+/**
+ * Starwood Platform Strategy
+ * Shared strategy for the former-Starwood brand sites (Sheraton, Westin, W,
+ * The Luxury Collection, Le Méridien, Four Points, Element, Aloft, St. Regis),
+ * whose directories group hotel cards by region and country
+ */
+
+import { log, sleep } from 'crawlee';
+
+import { BaseStrategy } from './base-strategy.js';
+
+/**
+ * Split a card location line ("Seville, Spain" or "Austin, Texas, USA")
+ * into city and country
+ * @param {string} location - Location text from a hotel card
+ * @returns {Object} - { city, country } (empty strings when unknown)
+ */
+export function splitLocation(location) {
+  const parts = (location || '')
+    .split(',')
+    .map(part => part.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+
+  return {
+    city: parts.length > 1 ? parts[0] : '',
+    country: parts.length > 1 ? parts[parts.length - 1] : ''
+  };
+}
+
+/**
+ * Clean a group heading such as "EUROPE (42)" or "Spain 3 Hotels"
+ * @param {string} heading - Raw heading text
+ * @returns {string} - Heading without hotel counts
+ */
+export function cleanGroupName(heading) {
+  return (heading || '')
+    .replace(/\s+/g, ' ')
+    .replace(/\s*\(\d+\)\s*$/, '')
+    .replace(/\s+\d+\s+(hotels?|properties|resorts?)\s*$/i, '')
+    .trim();
+}
+
+export class StarwoodStrategy extends BaseStrategy {
+  /**
+   * Validate the Starwood configuration
+   * @param {Object} selectors - Selectors configuration
+   */
+  validateSelectors(selectors) {
+    super.validateSelectors(selectors);
+
+    if (!selectors.selectors.hotelCard) {
+      throw new Error(`Invalid Starwood configuration '${selectors.name}': missing required 'selectors.hotelCard' field`);
+    }
+  }
+
+  /**
+   * Main scraping method for Starwood-platform directories
+   * @param {Page} page - Puppeteer page object
+   * @param {Object} context - Scraping context
+   * @returns {Promise<Array>} - Array of hotel data
+   */
+  async scrape(page, context) {
+    const hotels = [];
+
+    try {
+      // Wait for the page to load
+      await this.waitForPageLoad(page, 30000);
+
+      // Open collapsed region/country groups so every card is in the DOM
+      await this.expand(page);
+
+      const cards = await this.readCards(page);
+      log.info(`🔍 ${this.selectors.name}: found ${cards.length} hotel cards`);
+
+      for (const card of cards) {
+        try {
+          const fromLocation = splitLocation(card.location);
+          const hotelInfo = await this.buildHotelData({
+            hotel_name: card.hotelName,
+            url: card.hotelUrl,
+            location: card.location,
+            city: card.city || fromLocation.city,
+            country: card.country || fromLocation.country,
+            region: card.region
+          }, page);
+
+          if (hotelInfo) {
+            hotels.push(hotelInfo);
+          }
+        } catch (error) {
+          log.error(`Error extracting ${this.selectors.name} hotel data: ${error.message}`);
+        }
+      }
+
+    } catch (error) {
+      log.error(`Error in Starwood strategy (${context.brandKey}): ${error.message}`);
+    }
+
+    return hotels;
+  }
+
+  /**
+   * Click every collapsed group header until nothing is left to expand
+   * @param {Page} page - Puppeteer page object
+   * @returns {Promise<void>}
+   */
+  async expand(page) {
+    const expandSelectors = this.selectors.expandSelectors || [];
+
+    for (let round = 0; round < 3; round++) {
+      let sectionsExpanded = 0;
+
+      for (const selector of expandSelectors) {
+        const buttons = await page.$$(selector);
+        for (const button of buttons) {
+          try {
+            await button.click();
+            sectionsExpanded++;
+            await sleep(100); // Small delay between clicks
+          } catch {
+            // Continue if element is not clickable
+          }
+        }
+      }
+
+      if (sectionsExpanded === 0) break;
+      await sleep(1000);
+    }
+  }
+
+  /**
+   * Read every hotel card with its region and country group
+   * @param {Page} page - Puppeteer page object
+   * @returns {Promise<Array<Object>>} - Raw card values
+   */
+  async readCards(page) {
+    const { selectors, groups = {} } = this.selectors;
+
+    const cards = await page.evaluate((config) => {
+      const text = element => (element?.textContent || '').replace(/\s+/g, ' ').trim();
+
+      // Group name from the closest group container, or the nearest preceding heading for flat lists
+      const groupName = (card, group) => {
+        if (!group) return '';
+
+        const container = group.container ? card.closest(group.container) : null;
+        if (container) {
+          if (group.attribute && container.getAttribute(group.attribute)) {
+            return container.getAttribute(group.attribute);
+          }
+          const heading = group.name ? container.querySelector(group.name) : null;
+          if (heading) return text(heading);
+        }
+
+        // Headings and cards are listed in document order, so the card's heading is the last one before it
+        if (group.heading) {
+          let preceding = null;
+          for (const element of document.querySelectorAll(`${group.heading}, ${config.selectors.hotelCard}`)) {
+            if (element === card) break;
+            if (element.matches(group.heading)) preceding = element;
+          }
+          if (preceding) return text(preceding);
+        }
+
+        return '';
+      };
+
+      return Array.from(document.querySelectorAll(config.selectors.hotelCard)).map((card) => {
+        const link = card.matches(config.selectors.hotelUrl) ? card : card.querySelector(config.selectors.hotelUrl);
+        const name = card.querySelector(config.selectors.hotelName) || link;
+
+        return {
+          hotelName: text(name),
+          hotelUrl: link?.href || '',
+          location: config.selectors.location ? text(card.querySelector(config.selectors.location)) : '',
+          city: config.selectors.city ? text(card.querySelector(config.selectors.city)) : '',
+          country: groupName(card, config.groups.country),
+          region: groupName(card, config.groups.region)
+        };
+      });
+    }, { selectors, groups });
+
+    return cards.map(card => ({
+      ...card,
+      country: cleanGroupName(card.country),
+      region: cleanGroupName(card.region)
+    }));
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ * Fixture Page
+ * A DOM-only stand-in for a Puppeteer page that serves recorded fixtures
+ * through jsdom, so strategies run without a browser. Requests are answered
+ * by FixtureStore.replay, like the replay mode's request interception.
+ * Page scripts never run: the page is the recorded DOM, and waits succeed
+ * or fail at once
+ */
+
+import { JSDOM, VirtualConsole } from 'jsdom';
+
+const MAX_REDIRECTS = 20;
+
+/**
+ * Create an element handle for a jsdom element
+ * @param {FixturePage} page - Page the element belongs to
+ * @param {Element} element - jsdom element
+ * @returns {Object} - Handle with the ElementHandle methods strategies use
+ */
+function createElementHandle(page, element) {
+  return {
+    $: async selector => page.wrap(element.querySelector(selector)),
+    $$: async selector => Array.from(element.querySelectorAll(selector), child => page.wrap(child)),
+    evaluate: async (fn, ...args) => page.run(fn, [element], args),
+    click: async () => element.click()
+  };
+}
+
+export class FixturePage {
+  /**
+   * @param {FixtureStore} fixtures - Recorded fixtures
+   */
+  constructor(fixtures) {
+    this.fixtures = fixtures;
+    this.dom = null;
+  }
+
+  /**
+   * Load a recorded page, following recorded redirects
+   * @param {string} url - URL
+   * @returns {Promise<Object>} - Response with status() and url()
+   */
+  async goto(url) {
+    let current = url;
+
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      const fixture = this.fixtures.replay(current);
+      if (!fixture) {
+        throw new Error(`net::ERR_INTERNET_DISCONNECTED at ${current} (no fixture recorded)`);
+      }
+
+      if (fixture.status >= 300 && fixture.status < 400 && fixture.headers.location) {
+        current = new URL(fixture.headers.location, current).href;
+        continue;
+      }
+
+      this.dom = new JSDOM(fixture.body, {
+        url: current,
+        runScripts: 'outside-only',
+        // jsdom reports unimplemented APIs (navigation, scrolling) here
+        virtualConsole: new VirtualConsole()
+      });
+
+      const finalUrl = current;
+      return { status: () => fixture.status, url: () => finalUrl };
+    }
+
+    throw new Error(`net::ERR_TOO_MANY_REDIRECTS at ${url}`);
+  }
+
+  url() {
+    return this.dom ? this.dom.window.location.href : 'about:blank';
+  }
+
+  async content() {
+    return this.dom.serialize();
+  }
+
+  /**
+   * Wrap a jsdom element in an element handle
+   * @param {Element|null} element - jsdom element
+   * @returns {Object|null}
+   */
+  wrap(element) {
+    return element ? createElementHandle(this, element) : null;
+  }
+
+  /**
+   * Run a function in the page like page.evaluate: it is serialized, runs
+   * with the page's globals and its result is returned as JSON
+   * @param {Function} fn - Function to run
+   * @param {Array} targets - Leading arguments passed by reference (elements)
+   * @param {Array} args - Serializable arguments
+   * @returns {Promise<*>}
+   */
+  async run(fn, targets, args) {
+    const { window } = this.dom;
+    window.fixtureTargets = targets;
+
+    const result = await window.eval(`(${fn.toString()})(...window.fixtureTargets, ...${JSON.stringify(args)})`);
+    return result === undefined ? undefined : JSON.parse(JSON.stringify(result));
+  }
+
+  async evaluate(fn, ...args) {
+    return this.run(fn, [], args);
+  }
+
+  async $(selector) {
+    return this.wrap(this.dom.window.document.querySelector(selector));
+  }
+
+  async $$(selector) {
+    return Array.from(this.dom.window.document.querySelectorAll(selector), element => this.wrap(element));
+  }
+
+  async $$eval(selector, fn, ...args) {
+    return this.run(fn, [Array.from(this.dom.window.document.querySelectorAll(selector))], args);
+  }
+
+  async waitForSelector(selector) {
+    const handle = await this.$(selector);
+    if (!handle) {
+      throw new Error(`Waiting for selector \`${selector}\` failed: not in the fixture DOM`);
+    }
+    return handle;
+  }
+
+  async waitForFunction(fn, options, ...args) {
+    if (!await this.run(fn, [], args)) {
+      throw new Error('Waiting failed: the fixture DOM does not change');
+    }
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * Test Cases
+ * Runner for the self-running unit tests: each case runs a function and
+ * compares its result with the expected value (deep equality), or the message
+ * of the error it throws with an expected pattern. Failures exit with code 1
+ */
+
+import { inspect, isDeepStrictEqual } from 'node:util';
+
+/**
+ * Run one case
+ * @param {Object} testCase - { name, run, expected } or { name, run, throws }
+ * @returns {Promise<Array<string>>} - Problems, empty when the case passes
+ */
+async function runCase({ run, expected, throws }) {
+  try {
+    const actual = await run();
+    if (throws) {
+      return [`expected an error matching ${throws}, got ${inspect(actual, { depth: 4 })}`];
+    }
+    return isDeepStrictEqual(actual, expected) ?
+      [] :
+      [`expected: ${inspect(expected, { depth: 4 })}`, `got:      ${inspect(actual, { depth: 4 })}`];
+  } catch (error) {
+    if (throws && throws.test(error.message)) return [];
+    return [`threw: ${error.message}`];
+  }
+}
+
+/**
+ * Run test cases and report the results
+ * @param {string} title - What is tested, e.g. 'Change Detector'
+ * @param {Array<Object>} cases - { name, run, expected }: run() (may be async) must return
+ *   expected; or { name, run, throws }: run() must throw an error whose message matches throws
+ * @returns {Promise<Object>} - { passed, failed }
+ */
+export async function runTestCases(title, cases) {
+  console.log(`🧪 ${title}: ${cases.length} cases`);
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const testCase of cases) {
+    const problems = await runCase(testCase);
+    if (problems.length === 0) {
+      console.log(`  ✅ ${testCase.name}`);
+      passed++;
+    } else {
+      console.log(`  ❌ ${testCase.name}`);
+      problems.forEach(problem => console.log(`     ${problem}`));
+      failed++;
+    }
+  }
+
+  console.log(`\n📊 ${title} Results:`);
+  console.log(`  Passed: ${passed}`);
+  console.log(`  Failed: ${failed}`);
+
+  if (failed > 0) {
+    console.log('\n❌ Some tests failed!');
+    process.exit(1);
+  } else {
+    console.log('\n✅ All tests passed!');
+  }
+
+  return { passed, failed };
+}
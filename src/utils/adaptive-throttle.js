@@ -0,0 +1,210 @@
+/**
+ * Adaptive Throttle Utility
+ * Paces requests per domain from the error classifier's signals: rate
+ * limiting, challenge and blocking classifications double the delay between
+ * requests to the domain (at least the classifier's backoff hint) and halve
+ * its concurrency; sustained success recovers both step by step
+ */
+
+import { sleep } from 'crawlee';
+
+import { ERROR_CAUSES } from './error-model.js';
+
+// Classifications that back off the delay and the concurrency
+const BACKOFF_TYPES = [ERROR_CAUSES.RATE_LIMITED, ERROR_CAUSES.CHALLENGE_PAGE, ERROR_CAUSES.BLOCKED];
+
+// Suggested actions that only lengthen the delay
+const SLOWDOWN_ACTIONS = ['retry_with_delay'];
+
+export const THROTTLE_DEFAULTS = {
+  // Bounds of the delay between request starts to a domain
+  minBackoffDelayMs: 1000,
+  maxDelayMs: 30000,
+  backoffFactor: 2,
+  slowdownFactor: 1.5,
+  // Consecutive successes before one recovery step
+  recoverAfter: 20,
+  recoveryFactor: 0.8
+};
+
+/**
+ * Domain a throttle state belongs to
+ * @param {string} url - Request URL
+ * @returns {string}
+ */
+function domainOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return 'unknown';
+  }
+}
+
+export class AdaptiveThrottle {
+  /**
+   * @param {Object} options - Throttle options
+   * @param {number} [options.baseDelayMs] - Delay between request starts to a domain without signals (requestDelayMs)
+   * @param {number} [options.maxConcurrency] - Concurrency without signals
+   */
+  constructor({ baseDelayMs = 0, maxConcurrency = 10, ...options } = {}) {
+    this.baseDelayMs = baseDelayMs;
+    this.maxConcurrency = maxConcurrency;
+    this.options = { ...THROTTLE_DEFAULTS, ...options };
+    this.domains = new Map();
+  }
+
+  /**
+   * Throttle state of a URL's domain, created on first use
+   * @param {string} url - Request URL
+   * @returns {Object}
+   */
+  state(url) {
+    const domain = domainOf(url);
+    if (!this.domains.has(domain)) {
+      this.domains.set(domain, {
+        domain,
+        delayMs: this.baseDelayMs,
+        concurrency: this.maxConcurrency,
+        nextStartAt: 0,
+        successStreak: 0,
+        requests: 0,
+        slowdowns: 0,
+        recoveries: 0,
+        // Requests started per minute with the rate in effect at the end of the minute
+        minutes: new Map()
+      });
+    }
+    return this.domains.get(domain);
+  }
+
+  /**
+   * Reserve the URL's start: request starts to a domain are at least its delay
+   * apart, but a request queued behind others waits no longer than the largest
+   * single delay (maxDelayMs, or the domain's delay if longer), so queued
+   * waits don't add up past the request's timeouts
+   * @param {string} url - Request URL
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {number} - Milliseconds to wait before starting
+   */
+  reserve(url, now = Date.now()) {
+    const state = this.state(url);
+    const maxWaitMs = Math.max(this.options.maxDelayMs, state.delayMs);
+    const startAt = Math.min(Math.max(now, state.nextStartAt), now + maxWaitMs);
+    state.nextStartAt = startAt + state.delayMs;
+    state.requests += 1;
+
+    const minute = new Date(startAt).toISOString().slice(0, 16);
+    if (!state.minutes.has(minute)) {
+      state.minutes.set(minute, { minute, requests: 0 });
+    }
+    state.minutes.get(minute).requests += 1;
+    this.markRate(state);
+
+    return startAt - now;
+  }
+
+  /**
+   * Wait for the URL's turn (see reserve)
+   * @param {string} url - Request URL
+   * @returns {Promise<void>}
+   */
+  async wait(url) {
+    const waitMs = this.reserve(url);
+    if (waitMs > 0) {
+      await sleep(waitMs);
+    }
+  }
+
+  /**
+   * Record the rate in effect on the latest minute's bucket
+   * @param {Object} state - Domain state
+   */
+  markRate(state) {
+    const bucket = Array.from(state.minutes.values()).pop();
+    if (bucket) {
+      bucket.delay_ms = state.delayMs;
+      bucket.concurrency = state.concurrency;
+    }
+  }
+
+  /**
+   * Record a successful request; every recoverAfter consecutive successes
+   * shorten the delay and raise the concurrency one step
+   * @param {string} url - Request URL
+   * @returns {Object|null} - { domain, delayMs, concurrency, reason } when the rate changed
+   */
+  recordSuccess(url) {
+    const state = this.state(url);
+    state.successStreak += 1;
+
+    const isThrottled = state.delayMs > this.baseDelayMs || state.concurrency < this.maxConcurrency;
+    if (!isThrottled || state.successStreak < this.options.recoverAfter) {
+      return null;
+    }
+
+    state.successStreak = 0;
+    state.delayMs = Math.max(this.baseDelayMs, Math.round(state.delayMs * this.options.recoveryFactor));
+    state.concurrency = Math.min(this.maxConcurrency, state.concurrency + 1);
+    state.recoveries += 1;
+    this.markRate(state);
+    return { domain: state.domain, delayMs: state.delayMs, concurrency: state.concurrency, reason: 'recovery' };
+  }
+
+  /**
+   * Record a failed request's classification
+   * @param {string} url - Request URL
+   * @param {Object} classification - Result of classifyError
+   * @returns {Object|null} - { domain, delayMs, concurrency, reason } when the rate changed
+   */
+  recordClassification(url, classification) {
+    const state = this.state(url);
+    const { minBackoffDelayMs, maxDelayMs, backoffFactor, slowdownFactor } = this.options;
+    const isBackoff = BACKOFF_TYPES.includes(classification.type);
+
+    if (!isBackoff && !SLOWDOWN_ACTIONS.includes(classification.suggestedAction)) {
+      return null;
+    }
+
+    state.successStreak = 0;
+    const delayMs = Math.max(
+      state.delayMs * (isBackoff ? backoffFactor : slowdownFactor),
+      classification.backoffHint?.suggestedDelay || 0,
+      minBackoffDelayMs
+    );
+    state.delayMs = Math.round(Math.min(delayMs, maxDelayMs));
+    if (isBackoff) {
+      state.concurrency = Math.max(1, Math.floor(state.concurrency / 2));
+    }
+    state.slowdowns += 1;
+    this.markRate(state);
+    return { domain: state.domain, delayMs: state.delayMs, concurrency: state.concurrency, reason: classification.type };
+  }
+
+  /**
+   * Concurrency for a crawler: that of the most throttled domain
+   * @returns {number}
+   */
+  get concurrency() {
+    return Math.min(this.maxConcurrency, ...Array.from(this.domains.values(), state => state.concurrency));
+  }
+
+  /**
+   * Summarize the effective rate of each domain over the run
+   * @returns {Object} - { base_delay_ms, max_concurrency, effective_concurrency, domains }
+   */
+  summary() {
+    return {
+      base_delay_ms: this.baseDelayMs,
+      max_concurrency: this.maxConcurrency,
+      effective_concurrency: this.concurrency,
+      domains: Object.fromEntries(Array.from(this.domains.values(), state => [state.domain, {
+        delay_ms: state.delayMs,
+        concurrency: state.concurrency,
+        requests: state.requests,
+        slowdowns: state.slowdowns,
+        recoveries: state.recoveries,
+        rate_history: Array.from(state.minutes.values())
+      }]))
+    };
+  }
+}
@@ -0,0 +1,202 @@
+/**
+ * Adaptive throttle tests
+ * Feeds classifications and successes to a throttle and checks that the delay
+ * and concurrency back off within their bounds, recover to the base rate, and
+ * are kept per domain, and that queued request starts are spaced by the delay
+ * without waiting longer than the largest single delay
+ *
+ * Usage:
+ *   node src/utils/adaptive-throttle.test.js
+ */
+
+import { runTestCases } from '../test/test-cases.js';
+import { AdaptiveThrottle, THROTTLE_DEFAULTS } from './adaptive-throttle.js';
+import { ERROR_CAUSES } from './error-model.js';
+
+const URL_A = 'https://www.ritzcarlton.com/en/hotels/';
+const URL_B = 'https://www.marriott.com/hotel-search.mi';
+
+// Fixed clock for reserving request starts
+const NOW = Date.parse('2025-01-01T00:00:00.000Z');
+
+const RATE_LIMITED = { type: ERROR_CAUSES.RATE_LIMITED };
+const CHALLENGE = { type: ERROR_CAUSES.CHALLENGE_PAGE };
+const NETWORK_ERROR = { type: ERROR_CAUSES.NETWORK_ERROR, suggestedAction: 'retry_with_delay' };
+const SLOW_LOAD = { type: ERROR_CAUSES.SLOW_LOAD, suggestedAction: 'increase_timeout' };
+
+/**
+ * Delay and concurrency of a URL's domain
+ * @param {AdaptiveThrottle} throttle - Throttle
+ * @param {string} url - Request URL
+ * @returns {Array<number>} - [delayMs, concurrency]
+ */
+function rate(throttle, url = URL_A) {
+  const { delayMs, concurrency } = throttle.state(url);
+  return [delayMs, concurrency];
+}
+
+/**
+ * Record a number of classifications or successes
+ * @param {number} times - Repetitions
+ * @param {Function} record - () => rate change
+ * @returns {Array<Object|null>} - Rate change of each call
+ */
+function repeat(times, record) {
+  return Array.from({ length: times }, record);
+}
+
+const cases = [
+  {
+    name: 'rate limiting doubles the delay from the minimum and halves the concurrency',
+    run: () => {
+      const throttle = new AdaptiveThrottle({ baseDelayMs: 0, maxConcurrency: 10 });
+      const change = throttle.recordClassification(URL_A, RATE_LIMITED);
+      throttle.recordClassification(URL_A, RATE_LIMITED);
+      return [change, rate(throttle)];
+    },
+    expected: [
+      { domain: 'www.ritzcarlton.com', delayMs: THROTTLE_DEFAULTS.minBackoffDelayMs, concurrency: 5, reason: ERROR_CAUSES.RATE_LIMITED },
+      [2000, 2]
+    ]
+  },
+  {
+    name: 'backoff hint longer than the doubled delay is used',
+    run: () => {
+      const throttle = new AdaptiveThrottle({ baseDelayMs: 500 });
+      throttle.recordClassification(URL_A, { ...RATE_LIMITED, backoffHint: { suggestedDelay: 12000 } });
+      return rate(throttle)[0];
+    },
+    expected: 12000
+  },
+  {
+    name: 'delay is capped at maxDelayMs and concurrency stays at least 1',
+    run: () => {
+      const throttle = new AdaptiveThrottle({ baseDelayMs: 1000, maxConcurrency: 4 });
+      repeat(10, () => throttle.recordClassification(URL_A, CHALLENGE));
+      throttle.recordClassification(URL_A, { ...CHALLENGE, backoffHint: { suggestedDelay: 120000 } });
+      return rate(throttle);
+    },
+    expected: [THROTTLE_DEFAULTS.maxDelayMs, 1]
+  },
+  {
+    name: 'retry_with_delay lengthens the delay without lowering the concurrency',
+    run: () => {
+      const throttle = new AdaptiveThrottle({ baseDelayMs: 2000, maxConcurrency: 6 });
+      const change = throttle.recordClassification(URL_A, NETWORK_ERROR);
+      return [change.reason, rate(throttle)];
+    },
+    expected: [ERROR_CAUSES.NETWORK_ERROR, [3000, 6]]
+  },
+  {
+    name: 'other classifications leave the rate alone',
+    run: () => {
+      const throttle = new AdaptiveThrottle({ baseDelayMs: 250, maxConcurrency: 6 });
+      return [throttle.recordClassification(URL_A, SLOW_LOAD), rate(throttle), throttle.state(URL_A).slowdowns];
+    },
+    expected: [null, [250, 6], 0]
+  },
+  {
+    name: 'successes at the base rate change nothing',
+    run: () => {
+      const throttle = new AdaptiveThrottle({ baseDelayMs: 250, maxConcurrency: 6 });
+      return [repeat(THROTTLE_DEFAULTS.recoverAfter * 2, () => throttle.recordSuccess(URL_A)).filter(Boolean), rate(throttle)];
+    },
+    expected: [[], [250, 6]]
+  },
+  {
+    name: 'recoverAfter consecutive successes recover one step',
+    run: () => {
+      const throttle = new AdaptiveThrottle({ baseDelayMs: 0, maxConcurrency: 10 });
+      throttle.recordClassification(URL_A, RATE_LIMITED);
+      const changes = repeat(THROTTLE_DEFAULTS.recoverAfter, () => throttle.recordSuccess(URL_A));
+      return [changes.filter(Boolean).length, changes.pop(), throttle.state(URL_A).recoveries];
+    },
+    expected: [1, { domain: 'www.ritzcarlton.com', delayMs: 800, concurrency: 6, reason: 'recovery' }, 1]
+  },
+  {
+    name: 'a classification resets the success streak',
+    run: () => {
+      const throttle = new AdaptiveThrottle({ baseDelayMs: 0, maxConcurrency: 10 });
+      throttle.recordClassification(URL_A, RATE_LIMITED);
+      repeat(THROTTLE_DEFAULTS.recoverAfter - 1, () => throttle.recordSuccess(URL_A));
+      throttle.recordClassification(URL_A, NETWORK_ERROR);
+      return [throttle.recordSuccess(URL_A), rate(throttle)];
+    },
+    expected: [null, [1500, 5]]
+  },
+  {
+    name: 'sustained success recovers to the base rate and no further',
+    run: () => {
+      const throttle = new AdaptiveThrottle({ baseDelayMs: 300, maxConcurrency: 8 });
+      repeat(3, () => throttle.recordClassification(URL_A, CHALLENGE));
+      repeat(THROTTLE_DEFAULTS.recoverAfter * 40, () => throttle.recordSuccess(URL_A));
+      return [rate(throttle), throttle.recordSuccess(URL_A)];
+    },
+    expected: [[300, 8], null]
+  },
+  {
+    name: 'domains are throttled separately and the crawler uses the lowest concurrency',
+    run: () => {
+      const throttle = new AdaptiveThrottle({ baseDelayMs: 0, maxConcurrency: 10 });
+      throttle.recordClassification(URL_A, RATE_LIMITED);
+      throttle.recordSuccess(URL_B);
+      return [rate(throttle, URL_A), rate(throttle, URL_B), throttle.concurrency];
+    },
+    expected: [[1000, 5], [0, 10], 5]
+  },
+  {
+    name: 'request starts to a domain are reserved a delay apart, per domain',
+    run: () => {
+      const throttle = new AdaptiveThrottle({ baseDelayMs: 2000 });
+      const waits = repeat(3, () => throttle.reserve(URL_A, NOW));
+      return [waits, throttle.reserve(URL_B, NOW), throttle.reserve(URL_A, NOW + 10000)];
+    },
+    expected: [[0, 2000, 4000], 0, 0]
+  },
+  {
+    name: 'queued requests wait at most maxDelayMs instead of adding up their delays',
+    run: () => {
+      const throttle = new AdaptiveThrottle({ baseDelayMs: 12000 });
+      return repeat(5, () => throttle.reserve(URL_A, NOW));
+    },
+    expected: [0, 12000, 24000, THROTTLE_DEFAULTS.maxDelayMs, THROTTLE_DEFAULTS.maxDelayMs]
+  },
+  {
+    name: 'a base delay longer than maxDelayMs is still waited in full',
+    run: () => {
+      const throttle = new AdaptiveThrottle({ baseDelayMs: 45000 });
+      return repeat(3, () => throttle.reserve(URL_A, NOW));
+    },
+    expected: [0, 45000, 45000]
+  },
+  {
+    name: 'backed-off requests queued at concurrency wait at most maxDelayMs',
+    run: () => {
+      const throttle = new AdaptiveThrottle({ baseDelayMs: 1000, maxConcurrency: 10 });
+      repeat(5, () => throttle.recordClassification(URL_A, RATE_LIMITED));
+      const waits = repeat(throttle.maxConcurrency, () => throttle.reserve(URL_A, NOW));
+      return [rate(throttle)[0], Math.max(...waits), throttle.state(URL_A).requests];
+    },
+    expected: [THROTTLE_DEFAULTS.maxDelayMs, THROTTLE_DEFAULTS.maxDelayMs, 10]
+  },
+  {
+    name: 'summary reports slowdowns and recoveries per domain',
+    run: () => {
+      const throttle = new AdaptiveThrottle({ baseDelayMs: 0, maxConcurrency: 10 });
+      throttle.recordClassification(URL_A, RATE_LIMITED);
+      repeat(THROTTLE_DEFAULTS.recoverAfter, () => throttle.recordSuccess(URL_A));
+      const { slowdowns, recoveries, delay_ms: delayMs } = throttle.summary().domains['www.ritzcarlton.com'];
+      return [slowdowns, recoveries, delayMs, throttle.summary().effective_concurrency];
+    },
+    expected: [1, 1, 800, 6]
+  }
+];
+
+async function runTests() {
+  await runTestCases('Adaptive Throttle', cases);
+}
+
+// Always run tests when this file is executed
+runTests();
+
+export { runTests };
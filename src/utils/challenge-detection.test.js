@@ -0,0 +1,162 @@
+/**
+ * Early challenge detection tests
+ * Runs detectChallengeInHtml on the challenge samples of
+ * fixtures/classification, which must be detected, and on ordinary pages,
+ * which must not: every golden directory page and directory markup with the
+ * words the check used to match ("captcha", "security check", "suspicious",
+ * "cloudflare") in its footer, forms and inline scripts
+ *
+ * Usage:
+ *   node src/utils/challenge-detection.test.js
+ */
+
+import { readdirSync, readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { runTestCases } from '../test/test-cases.js';
+import { detectChallengeInHtml } from './error-classifier.js';
+import { FixtureStore } from './fixtures.js';
+
+const FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', '..', 'fixtures');
+const SAMPLES_DIR = join(FIXTURES_DIR, 'classification');
+const GOLDEN_DIR = join(FIXTURES_DIR, 'golden');
+
+const DIRECTORY_URL = 'https://www.ritzcarlton.com/en/hotels/';
+
+// Directory page with challenge-like words in ordinary places
+const ORDINARY_DIRECTORY = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<title>Hotel Directory | The Ritz-Carlton</title>
+<script>window.__APP_CONFIG__ = {"captcha":{"provider":"recaptcha","enabled":true},"securityCheck":"/api/security-check","challengeEnabled":false,"cdn":"cloudflare"};</script>
+<script>(function(){var a=document.createElement('iframe');a.height=1;a.width=1;a.style.display='none';document.body.appendChild(a);var d=a.contentDocument.createElement('script');d.src='/cdn-cgi/challenge-platform/scripts/jsd/main.js';a.contentDocument.head.appendChild(d);})();</script>
+<style>.challenge-banner{display:none}.captcha-wrapper{margin:0}</style>
+<!-- security check: remove the captcha widget after the Q3 release -->
+</head>
+<body>
+<main class="hotel-directory">
+  <div class="challenge-banner">Join the Marriott Bonvoy Challenge</div>
+  <ul>
+    <li class="hotel-card"><a href="/en/hotels/tyorz-the-ritz-carlton-tokyo/overview/">The Ritz-Carlton, Tokyo</a></li>
+    <li class="hotel-card"><a href="/en/hotels/osarz-the-ritz-carlton-osaka/overview/">The Ritz-Carlton, Osaka</a></li>
+  </ul>
+  <form class="newsletter">
+    <input type="email" name="email">
+    <div class="g-recaptcha captcha-wrapper" data-sitekey="6Lc_a1b2c3d4e5f6g7h8i9j0" data-size="invisible"></div>
+    <p>This site is protected by reCAPTCHA and the Google Privacy Policy and Terms of Service apply.</p>
+  </form>
+</main>
+<footer>
+  <p>Report suspicious emails claiming to be from us. Security check-in is available at the front desk.</p>
+  <p>Questions? <a href="/cdn-cgi/l/email-protection#1a2b3c">Email us</a>. Performance and security by Cloudflare.</p>
+  <a href="/en/security-policy/">Security Policy</a>
+</footer>
+<script src="https://www.google.com/recaptcha/api.js" async defer></script>
+</body>
+</html>`;
+
+/**
+ * Early check result fields compared by the cases
+ * @param {string} html - Page HTML
+ * @param {string} url - Page URL
+ * @returns {Array} - [hasChallenge, rule]
+ */
+function detect(html, url = DIRECTORY_URL) {
+  const { hasChallenge, rule } = detectChallengeInHtml(html, url);
+  return [hasChallenge, rule];
+}
+
+/**
+ * Read a challenge sample
+ * @param {string} file - File in fixtures/classification
+ * @returns {string}
+ */
+function sample(file) {
+  return readFileSync(join(SAMPLES_DIR, file), 'utf8');
+}
+
+// Every golden directory page must pass the check
+const goldenCases = readdirSync(GOLDEN_DIR).flatMap((brandKey) => {
+  const fixtures = FixtureStore.load(join(GOLDEN_DIR, brandKey));
+  return Object.entries(fixtures.entries)
+    .filter(([, entry]) => entry.body)
+    .map(([url, entry]) => ({
+      name: `${brandKey} golden directory page is not a challenge`,
+      run: () => detect(entry.body, url),
+      expected: [false, null]
+    }));
+});
+
+const cases = [
+  {
+    name: 'Akamai Bot Manager challenge is detected',
+    run: () => detect(sample('akamai-bot-manager.html')),
+    expected: [true, 'akamai_bot_manager']
+  },
+  {
+    name: 'PerimeterX captcha is detected',
+    run: () => detect(sample('perimeterx-captcha.html')),
+    expected: [true, 'perimeterx_captcha']
+  },
+  {
+    name: 'DataDome captcha is detected by its script source',
+    run: () => detect(sample('datadome-captcha.html')),
+    expected: [true, 'datadome_captcha']
+  },
+  {
+    name: 'Cloudflare challenge is detected by its wording',
+    run: () => detect(sample('cloudflare-challenge.html')),
+    expected: [true, 'browser_check_text']
+  },
+  {
+    name: 'Cloudflare challenge with its platform script loaded is detected as Cloudflare',
+    run: () => detect(sample('cloudflare-challenge.html').replace('</head>', '<script src="/cdn-cgi/challenge-platform/h/g/orchestrate/chl_page/v1?ray=8f1a"></script></head>')),
+    expected: [true, 'cloudflare_challenge']
+  },
+  {
+    name: 'unusual traffic interstitial is detected',
+    run: () => detect(sample('unusual-traffic.html')),
+    expected: [true, 'browser_check_text']
+  },
+  {
+    name: 'redirect to a challenge URL is detected',
+    run: () => detect('<html><body></body></html>', `${DIRECTORY_URL}?__cf_chl_rt_tk=a1b2c3`),
+    expected: [true, 'challenge_url']
+  },
+  {
+    name: 'reCAPTCHA page without its error status is not a challenge',
+    run: () => detect(sample('recaptcha-on-403.html')),
+    expected: [false, null]
+  },
+  {
+    name: 'hotel page mentioning bots, security and suspicious activity is not a challenge',
+    run: () => detect(sample('innocuous-hotel-page.html')),
+    expected: [false, null]
+  },
+  {
+    name: 'directory with challenge words in its footer, forms, styles and inline config is not a challenge',
+    run: () => detect(ORDINARY_DIRECTORY),
+    expected: [false, null]
+  },
+  {
+    name: 'security page URL is not a challenge URL',
+    run: () => detect(ORDINARY_DIRECTORY, 'https://www.marriott.com/en-us/security-policy/captcha-help/'),
+    expected: [false, null]
+  },
+  {
+    name: 'challenge wording inside an inline script is ignored',
+    run: () => detect('<html><body><script>var copy = {"blocked":"Please verify you are a human"};</script></body></html>'),
+    expected: [false, null]
+  },
+  ...goldenCases
+];
+
+async function runTests() {
+  await runTestCases('Early Challenge Detection', cases);
+}
+
+// Always run tests when this file is executed
+runTests();
+
+export { runTests };
@@ -0,0 +1,203 @@
+/**
+ * Change Detector Utility
+ * Compares the hotels of a run with the previous run's snapshot and produces
+ * typed change records
+ */
+
+import { cleanText } from './data-cleaner.js';
+import { RESOLUTION_OUTCOMES } from './resolution.js';
+
+// Named key-value store holding the snapshot between runs
+export const SNAPSHOT_STORE_NAME = 'hotel-snapshots';
+export const SNAPSHOT_KEY = 'SNAPSHOT';
+
+export const CHANGE_TYPES = {
+  ADDED: 'added',
+  REMOVED: 'removed',
+  WENT_DEAD: 'went_dead',
+  REVIVED: 'revived',
+  RENAMED: 'renamed',
+  REBRANDED: 'rebranded'
+};
+
+/**
+ * Create the snapshot entry stored for a hotel
+ * @param {Object} hotel - Cleaned hotel record
+ * @param {string} brandKey - Brand the hotel was scraped for
+ * @param {string} resolution - Outcome of the hotel's URL resolution (RESOLUTION_OUTCOMES)
+ * @returns {Object} - Snapshot entry
+ */
+export function createSnapshotEntry(hotel, brandKey, resolution) {
+  return {
+    hotel_name: hotel.hotel_name,
+    url: hotel.url,
+    slug: hotel.slug,
+    brand_key: brandKey,
+    brand_code: hotel.brand_code,
+    is_live: hotel.is_live,
+    resolution
+  };
+}
+
+/**
+ * Liveness of a snapshot entry, or null when its URL was not resolved and its
+ * is_live says nothing about the hotel (entries of older snapshots have no resolution)
+ * @param {Object} entry - Snapshot entry
+ * @returns {boolean|null}
+ */
+function livenessOf(entry) {
+  return entry.resolution === RESOLUTION_OUTCOMES.UNRESOLVED ? null : entry.is_live;
+}
+
+/**
+ * Get the hostname of a URL
+ * @param {string} url - URL
+ * @returns {string} - Hostname or empty string
+ */
+function hostnameOf(url) {
+  return URL.canParse(url) ? new URL(url).hostname : '';
+}
+
+/**
+ * Normalize a hotel name for comparison
+ * @param {string} name - Hotel name
+ * @returns {string}
+ */
+function normalizeName(name) {
+  return cleanText(name).toLowerCase();
+}
+
+/**
+ * Create a change record
+ * @param {string} changeType - One of CHANGE_TYPES
+ * @param {string} marshaCode - Marsha code of the hotel
+ * @param {Object|null} previous - Previous snapshot entry
+ * @param {Object|null} current - Current snapshot entry
+ * @param {Object} extra - Additional fields
+ * @returns {Object} - Change record for the dataset
+ */
+function createChange(changeType, marshaCode, previous, current, extra = {}) {
+  return {
+    type: 'change',
+    change_type: changeType,
+    marsha_code: marshaCode,
+    brand_key: (current || previous).brand_key,
+    hotel_name: (current || previous).hotel_name,
+    previous,
+    current,
+    ...extra,
+    detected_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Compare the previous and current snapshots for the brands scraped in this run
+ * @param {Object} previousHotels - Previous snapshot entries keyed by Marsha code
+ * @param {Object} currentHotels - Current snapshot entries keyed by Marsha code
+ * @param {Array<string>} comparedBrandKeys - Brands whose previous hotels may be reported as removed
+ * @returns {Array<Object>} - Change records
+ */
+export function diffSnapshots(previousHotels, currentHotels, comparedBrandKeys) {
+  const changes = [];
+  const added = [];
+  const removed = [];
+
+  for (const [marshaCode, current] of Object.entries(currentHotels)) {
+    const previous = previousHotels[marshaCode];
+
+    if (!previous) {
+      added.push(marshaCode);
+      continue;
+    }
+
+    // Liveness is only compared between resolved observations
+    const [wasLive, isLive] = [livenessOf(previous), livenessOf(current)];
+    if (wasLive === true && isLive === false) {
+      changes.push(createChange(CHANGE_TYPES.WENT_DEAD, marshaCode, previous, current));
+    } else if (wasLive === false && isLive === true) {
+      changes.push(createChange(CHANGE_TYPES.REVIVED, marshaCode, previous, current));
+    }
+
+    if (normalizeName(previous.hotel_name) !== normalizeName(current.hotel_name)) {
+      changes.push(createChange(CHANGE_TYPES.RENAMED, marshaCode, previous, current));
+    }
+
+    if (previous.brand_code !== current.brand_code || hostnameOf(previous.url) !== hostnameOf(current.url)) {
+      changes.push(createChange(CHANGE_TYPES.REBRANDED, marshaCode, previous, current));
+    }
+  }
+
+  for (const [marshaCode, previous] of Object.entries(previousHotels)) {
+    if (!currentHotels[marshaCode] && comparedBrandKeys.includes(previous.brand_key)) {
+      removed.push(marshaCode);
+    }
+  }
+
+  // A rebrand issues a new Marsha code with a new brand suffix: pair a removed and an
+  // added hotel sharing the location prefix and the slug or name
+  const unmatchedAdded = new Set(added);
+  for (const previousMarsha of removed) {
+    const previous = previousHotels[previousMarsha];
+    const match = [...unmatchedAdded].find((currentMarsha) => {
+      const current = currentHotels[currentMarsha];
+      return currentMarsha.slice(0, 3) === previousMarsha.slice(0, 3) &&
+        ((previous.slug && previous.slug === current.slug) || normalizeName(previous.hotel_name) === normalizeName(current.hotel_name));
+    });
+
+    if (match) {
+      unmatchedAdded.delete(match);
+      changes.push(createChange(CHANGE_TYPES.REBRANDED, match, previous, currentHotels[match], { previous_marsha_code: previousMarsha }));
+    } else {
+      changes.push(createChange(CHANGE_TYPES.REMOVED, previousMarsha, previous, null));
+    }
+  }
+
+  for (const marshaCode of unmatchedAdded) {
+    changes.push(createChange(CHANGE_TYPES.ADDED, marshaCode, null, currentHotels[marshaCode]));
+  }
+
+  return changes;
+}
+
+/**
+ * Build the snapshot to store for the next run: current hotels, plus the
+ * previous hotels of brands that were not compared in this run. A hotel whose
+ * URL was not resolved keeps its previous liveness
+ * @param {Object} previousHotels - Previous snapshot entries keyed by Marsha code
+ * @param {Object} currentHotels - Current snapshot entries keyed by Marsha code
+ * @param {Array<string>} comparedBrandKeys - Brands replaced by this run's hotels
+ * @returns {Object} - Snapshot entries keyed by Marsha code
+ */
+export function mergeSnapshots(previousHotels, currentHotels, comparedBrandKeys) {
+  const merged = {};
+
+  for (const [marshaCode, previous] of Object.entries(previousHotels)) {
+    if (!comparedBrandKeys.includes(previous.brand_key)) {
+      merged[marshaCode] = previous;
+    }
+  }
+
+  for (const [marshaCode, current] of Object.entries(currentHotels)) {
+    const previous = previousHotels[marshaCode];
+    merged[marshaCode] = previous && livenessOf(current) === null ?
+      { ...current, is_live: previous.is_live, resolution: previous.resolution } :
+      current;
+  }
+
+  return merged;
+}
+
+/**
+ * Summarize change records by type
+ * @param {Array<Object>} changes - Change records
+ * @returns {Object} - Counts keyed by change type
+ */
+export function summarizeChanges(changes) {
+  const summary = Object.fromEntries(Object.values(CHANGE_TYPES).map(changeType => [changeType, 0]));
+
+  for (const change of changes) {
+    summary[change.change_type] += 1;
+  }
+
+  return summary;
+}
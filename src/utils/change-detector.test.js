@@ -0,0 +1,146 @@
+/**
+ * Change detector tests
+ * Diffs small previous/current snapshots for every change type, and checks
+ * that hotels whose URL was not resolved are never reported as gone dead
+ *
+ * Usage:
+ *   node src/utils/change-detector.test.js
+ */
+
+import { runTestCases } from '../test/test-cases.js';
+import { createSnapshotEntry, diffSnapshots, mergeSnapshots, summarizeChanges } from './change-detector.js';
+import { RESOLUTION_OUTCOMES } from './resolution.js';
+
+const { LIVE, DEAD, UNRESOLVED } = RESOLUTION_OUTCOMES;
+
+/**
+ * Snapshot entry of a hotel
+ * @param {Object} fields - Hotel fields overriding the defaults
+ * @param {string} resolution - Resolution outcome
+ * @returns {Object}
+ */
+function entry(fields, resolution = LIVE) {
+  const hotel = {
+    hotel_name: 'The Ritz-Carlton, Tokyo',
+    url: 'https://www.ritzcarlton.com/en/hotels/tyorz-the-ritz-carlton-tokyo/overview/',
+    slug: 'the-ritz-carlton-tokyo',
+    brand_code: 'RZ',
+    is_live: resolution === LIVE,
+    ...fields
+  };
+  return createSnapshotEntry(hotel, fields.brand_key || 'ritzcarlton', resolution);
+}
+
+/**
+ * Change types and Marsha codes of a diff
+ * @param {Object} previous - Previous snapshot entries
+ * @param {Object} current - Current snapshot entries
+ * @param {Array<string>} comparedBrandKeys - Compared brands
+ * @returns {Array<string>} - '<change_type> <marsha_code>' per change, sorted
+ */
+function diff(previous, current, comparedBrandKeys = ['ritzcarlton']) {
+  return diffSnapshots(previous, current, comparedBrandKeys)
+    .map(change => `${change.change_type} ${change.marsha_code}`)
+    .sort();
+}
+
+const TOKYO = entry({});
+
+const cases = [
+  {
+    name: 'unchanged hotel has no changes',
+    run: () => diff({ TYORZ: TOKYO }, { TYORZ: entry({}) }),
+    expected: []
+  },
+  {
+    name: 'new hotel is added',
+    run: () => diff({ TYORZ: TOKYO }, { TYORZ: TOKYO, OSARZ: entry({ hotel_name: 'The Ritz-Carlton, Osaka', slug: 'the-ritz-carlton-osaka' }) }),
+    expected: ['added OSARZ']
+  },
+  {
+    name: 'missing hotel of a compared brand is removed',
+    run: () => diff({ TYORZ: TOKYO, OSARZ: entry({ hotel_name: 'The Ritz-Carlton, Osaka', slug: 'the-ritz-carlton-osaka' }) }, { TYORZ: TOKYO }),
+    expected: ['removed OSARZ']
+  },
+  {
+    name: 'missing hotel of a brand not compared is not removed',
+    run: () => diff({ TYORZ: TOKYO, LONSI: entry({ brand_key: 'sheraton', hotel_name: 'Sheraton London' }) }, { TYORZ: TOKYO }),
+    expected: []
+  },
+  {
+    name: 'live hotel resolved as dead went dead',
+    run: () => diff({ TYORZ: TOKYO }, { TYORZ: entry({}, DEAD) }),
+    expected: ['went_dead TYORZ']
+  },
+  {
+    name: 'dead hotel resolved as live revived',
+    run: () => diff({ TYORZ: entry({}, DEAD) }, { TYORZ: TOKYO }),
+    expected: ['revived TYORZ']
+  },
+  {
+    name: 'unresolved hotel did not go dead',
+    run: () => diff({ TYORZ: TOKYO }, { TYORZ: entry({}, UNRESOLVED) }),
+    expected: []
+  },
+  {
+    name: 'hotel resolved after an unresolved run did not revive',
+    run: () => diff({ TYORZ: entry({}, UNRESOLVED) }, { TYORZ: TOKYO }),
+    expected: []
+  },
+  {
+    name: 'entry of an older snapshot without a resolution is compared by is_live',
+    run: () => diff({ TYORZ: { ...TOKYO, resolution: undefined } }, { TYORZ: entry({}, DEAD) }),
+    expected: ['went_dead TYORZ']
+  },
+  {
+    name: 'renamed hotel',
+    run: () => diff({ TYORZ: TOKYO }, { TYORZ: entry({ hotel_name: 'The Ritz-Carlton Tokyo Midtown' }) }),
+    expected: ['renamed TYORZ']
+  },
+  {
+    name: 'renaming that only changes case and spacing is ignored',
+    run: () => diff({ TYORZ: TOKYO }, { TYORZ: entry({ hotel_name: '  the ritz-carlton,   TOKYO ' }) }),
+    expected: []
+  },
+  {
+    name: 'brand code change is a rebrand',
+    run: () => diff({ TYORZ: TOKYO }, { TYORZ: entry({ brand_code: 'EB' }) }),
+    expected: ['rebranded TYORZ']
+  },
+  {
+    name: 'removed and added hotel with the location prefix and slug is a rebrand',
+    run: () => {
+      const previous = { TYOLC: entry({ hotel_name: 'The Prince Gallery Tokyo', slug: 'the-prince-gallery-tokyo', brand_code: 'LC' }) };
+      const current = { TYOEB: entry({ hotel_name: 'The Prince Gallery Tokyo, an EDITION', slug: 'the-prince-gallery-tokyo', brand_code: 'EB' }) };
+      return diffSnapshots(previous, current, ['ritzcarlton']).map(change => [change.change_type, change.marsha_code, change.previous_marsha_code]);
+    },
+    expected: [['rebranded', 'TYOEB', 'TYOLC']]
+  },
+  {
+    name: 'stored snapshot keeps the previous liveness of an unresolved hotel',
+    run: () => {
+      const merged = mergeSnapshots({ TYORZ: TOKYO }, { TYORZ: entry({ hotel_name: 'The Ritz-Carlton Tokyo Midtown' }, UNRESOLVED) }, ['ritzcarlton']);
+      return [merged.TYORZ.is_live, merged.TYORZ.resolution, merged.TYORZ.hotel_name];
+    },
+    expected: [true, LIVE, 'The Ritz-Carlton Tokyo Midtown']
+  },
+  {
+    name: 'stored snapshot keeps the hotels of brands not compared',
+    run: () => Object.keys(mergeSnapshots({ LONSI: entry({ brand_key: 'sheraton' }), OSARZ: TOKYO }, { TYORZ: TOKYO }, ['ritzcarlton'])).sort(),
+    expected: ['LONSI', 'TYORZ']
+  },
+  {
+    name: 'summary counts every change type',
+    run: () => summarizeChanges(diffSnapshots({ TYORZ: TOKYO }, { TYORZ: entry({}, DEAD), OSARZ: entry({ hotel_name: 'Osaka', slug: 'osaka' }) }, ['ritzcarlton'])),
+    expected: { added: 1, removed: 0, went_dead: 1, revived: 0, renamed: 0, rebranded: 0 }
+  }
+];
+
+async function runTests() {
+  await runTestCases('Change Detector', cases);
+}
+
+// Always run tests when this file is executed
+runTests();
+
+export { runTests };
@@ -0,0 +1,252 @@
+/**
+ * Circuit Breaker Utility
+ * Stops requesting a host that keeps blocking the run: after `threshold`
+ * root-cause classifications (challenge page, blocked, rate limited) within
+ * `windowMs` the host's circuit opens and its requests fail fast. After
+ * `coolDownMs` the circuit half-opens and lets one probe request through,
+ * which closes it again on success or reopens it on another block. Rejected
+ * requests are deferred to a later round of the crawler rather than failed
+ */
+
+import { ERROR_CAUSES } from './error-model.js';
+
+export const CIRCUIT_STATES = ['closed', 'open', 'half_open'];
+
+// Classifications that count towards opening a circuit
+export const TRIPPING_ERROR_TYPES = [ERROR_CAUSES.CHALLENGE_PAGE, ERROR_CAUSES.BLOCKED, ERROR_CAUSES.RATE_LIMITED];
+
+export const CIRCUIT_DEFAULTS = {
+  threshold: 5,
+  windowMs: 60000,
+  coolDownMs: 120000
+};
+
+/**
+ * Create the error a request rejected by an open circuit fails with
+ * @param {string} host - Host of the open circuit
+ * @param {string} retryAt - ISO timestamp from which the circuit lets a request through
+ * @param {string} [circuitState] - 'open', or 'half_open' when the request waits for the probe
+ * @returns {Error}
+ */
+export function createCircuitOpenError(host, retryAt, circuitState = 'open') {
+  const error = new Error(`Circuit open for ${host}: failing fast until ${retryAt}`);
+  error.isCircuitOpen = true;
+  error.host = host;
+  error.retryAt = retryAt;
+  error.circuitState = circuitState;
+  return error;
+}
+
+/**
+ * Copy a request rejected by an open circuit for the crawler's next round.
+ * Rejections by an open circuit count against maxDeferrals; rejections while
+ * a half-open circuit's probe is in flight do not
+ * @param {Request} request - Rejected Crawlee request
+ * @param {Error} error - Error from createCircuitOpenError
+ * @param {number} maxDeferrals - Open-circuit rejections after which the request fails
+ * @returns {Object|null} - Request options for the next round, or null when the request fails
+ */
+export function deferRejectedRequest(request, error, maxDeferrals) {
+  const { circuitDeferrals = 0, circuitRounds = 0 } = request.userData;
+  const deferrals = circuitDeferrals + (error.circuitState === 'half_open' ? 0 : 1);
+  if (deferrals > maxDeferrals) {
+    return null;
+  }
+
+  // The queue drops a uniqueKey it has handled, so each round needs its own
+  const uniqueKey = request.userData.circuitUniqueKey || request.uniqueKey;
+  return {
+    url: request.url,
+    label: request.label,
+    uniqueKey: `${uniqueKey}#circuit-${circuitRounds + 1}`,
+    userData: { ...request.userData, circuitUniqueKey: uniqueKey, circuitDeferrals: deferrals, circuitRounds: circuitRounds + 1 }
+  };
+}
+
+/**
+ * Host a circuit belongs to
+ * @param {string} url - Request URL
+ * @returns {string}
+ */
+function hostOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return 'unknown';
+  }
+}
+
+export class CircuitBreaker {
+  /**
+   * @param {Object} [options] - { threshold, windowMs, coolDownMs }; a threshold of 0 disables the breaker
+   */
+  constructor(options = {}) {
+    this.options = { ...CIRCUIT_DEFAULTS, ...options };
+    this.circuits = new Map();
+  }
+
+  get enabled() {
+    return this.options.threshold > 0;
+  }
+
+  /**
+   * Circuit of a URL's host, created closed on first use
+   * @param {string} url - Request URL
+   * @returns {Object}
+   */
+  circuit(url) {
+    const host = hostOf(url);
+    if (!this.circuits.has(host)) {
+      this.circuits.set(host, {
+        host,
+        state: 'closed',
+        failures: [],
+        openedAt: null,
+        retryAt: null,
+        probeStartedAt: null,
+        trips: 0,
+        rejected: 0,
+        transitions: []
+      });
+    }
+    return this.circuits.get(host);
+  }
+
+  /**
+   * Move a host's circuit to a new state
+   * @param {string} host - Host
+   * @param {string} state - New state
+   * @param {string} reason - Why the state changed
+   * @returns {Object} - { host, state, reason, retryAt }
+   */
+  transition(host, state, reason) {
+    const circuit = this.circuits.get(host);
+    const now = Date.now();
+    circuit.state = state;
+
+    if (state === 'open') {
+      circuit.openedAt = new Date(now).toISOString();
+      circuit.retryAt = new Date(now + this.options.coolDownMs).toISOString();
+      circuit.probeStartedAt = null;
+      circuit.trips += 1;
+    } else if (state === 'closed') {
+      circuit.failures = [];
+      circuit.retryAt = null;
+      circuit.probeStartedAt = null;
+    }
+
+    const change = { host: circuit.host, state, reason, retryAt: circuit.retryAt };
+    circuit.transitions.push({ state, reason, at: new Date(now).toISOString() });
+    return change;
+  }
+
+  /**
+   * When a URL's host lets a request through again: the end of an open
+   * circuit's cool-down, or the time a half-open circuit replaces its probe
+   * (earlier if the probe succeeds)
+   * @param {string} url - Request URL
+   * @returns {string|null} - ISO timestamp, null when a request may be sent now
+   */
+  retryAt(url) {
+    const circuit = this.circuit(url);
+    if (circuit.state === 'open') {
+      return circuit.retryAt;
+    }
+    if (circuit.state === 'half_open' && circuit.probeStartedAt !== null) {
+      const probeDeadline = circuit.probeStartedAt + this.options.coolDownMs;
+      return probeDeadline > Date.now() ? new Date(probeDeadline).toISOString() : null;
+    }
+    return null;
+  }
+
+  /**
+   * Check whether a request may be sent. An open circuit past its cool-down
+   * half-opens and lets this request through as the probe
+   * @param {string} url - Request URL
+   * @returns {Object|null} - The state change when the circuit half-opened
+   * @throws {Error} - From createCircuitOpenError when the host's circuit is open
+   */
+  check(url) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const circuit = this.circuit(url);
+    const now = Date.now();
+    let change = null;
+
+    if (circuit.state === 'open' && now >= Date.parse(circuit.retryAt)) {
+      change = this.transition(circuit.host, 'half_open', 'cool-down elapsed');
+    }
+
+    // One probe at a time; a probe whose outcome never arrived is replaced after a cool-down
+    const isProbeInFlight = circuit.probeStartedAt !== null && now - circuit.probeStartedAt < this.options.coolDownMs;
+    if (circuit.state === 'open' || (circuit.state === 'half_open' && isProbeInFlight)) {
+      circuit.rejected += 1;
+      throw createCircuitOpenError(circuit.host, this.retryAt(url), circuit.state);
+    }
+
+    if (circuit.state === 'half_open') {
+      circuit.probeStartedAt = now;
+    }
+    return change;
+  }
+
+  /**
+   * Record a successful request; a successful probe closes the circuit
+   * @param {string} url - Request URL
+   * @returns {Object|null} - The state change, if any
+   */
+  recordSuccess(url) {
+    const circuit = this.circuit(url);
+    return circuit.state === 'half_open' ? this.transition(circuit.host, 'closed', 'probe succeeded') : null;
+  }
+
+  /**
+   * Record a failed request's classification
+   * @param {string} url - Request URL
+   * @param {Object} classification - Result of classifyError
+   * @returns {Object|null} - The state change, if any
+   */
+  recordClassification(url, classification) {
+    const circuit = this.circuit(url);
+    if (!this.enabled || !TRIPPING_ERROR_TYPES.includes(classification.type)) {
+      // Other failures say nothing about blocking; let the next request probe
+      circuit.probeStartedAt = null;
+      return null;
+    }
+
+    if (circuit.state === 'half_open') {
+      return this.transition(circuit.host, 'open', `probe hit ${classification.type}`);
+    }
+    if (circuit.state === 'open') {
+      return null;
+    }
+
+    const now = Date.now();
+    circuit.failures = [...circuit.failures.filter(failure => now - failure.at < this.options.windowMs), { at: now, type: classification.type }];
+    if (circuit.failures.length < this.options.threshold) {
+      return null;
+    }
+
+    const types = [...new Set(circuit.failures.map(failure => failure.type))].join('/');
+    return this.transition(circuit.host, 'open', `${circuit.failures.length} ${types} within ${Math.round(this.options.windowMs / 1000)}s`);
+  }
+
+  /**
+   * Summarize the circuits that left the closed state during the run
+   * @returns {Object} - { state, trips, rejected, opened_at, retry_at, transitions } keyed by host
+   */
+  summary() {
+    return Object.fromEntries(Array.from(this.circuits.values())
+      .filter(circuit => circuit.transitions.length > 0)
+      .map(circuit => [circuit.host, {
+        state: circuit.state,
+        trips: circuit.trips,
+        rejected: circuit.rejected,
+        opened_at: circuit.openedAt,
+        retry_at: circuit.retryAt,
+        transitions: circuit.transitions
+      }]));
+  }
+}
@@ -0,0 +1,244 @@
+/**
+ * Circuit breaker tests
+ * Walks a host's circuit through its states on a simulated clock: opening
+ * within the window, failing fast, the half-open probe, closing and
+ * reopening, and the deferral of rejected requests
+ *
+ * Usage:
+ *   node src/utils/circuit-breaker.test.js
+ */
+
+import { runTestCases } from '../test/test-cases.js';
+import { CircuitBreaker, deferRejectedRequest } from './circuit-breaker.js';
+import { ERROR_CAUSES } from './error-model.js';
+
+const HOTEL_URL = 'https://www.ritzcarlton.com/en/hotels/';
+const OTHER_URL = 'https://www.marriott.com/hotel-search.mi';
+
+const OPTIONS = { threshold: 3, windowMs: 60000, coolDownMs: 120000 };
+const START = Date.parse('2025-01-01T00:00:00.000Z');
+
+const CHALLENGE = { type: ERROR_CAUSES.CHALLENGE_PAGE };
+const RATE_LIMITED = { type: ERROR_CAUSES.RATE_LIMITED };
+const NETWORK_ERROR = { type: ERROR_CAUSES.NETWORK_ERROR };
+
+/**
+ * Run a scenario with Date.now() on a simulated clock starting at START
+ * @param {Function} scenario - (breaker, tick) => result; tick(ms) advances the clock
+ * @returns {*} - The scenario's result
+ */
+function onClock(scenario) {
+  const realNow = Date.now;
+  let now = START;
+  Date.now = () => now;
+  try {
+    return scenario(new CircuitBreaker(OPTIONS), (ms) => {
+      now += ms;
+    });
+  } finally {
+    Date.now = realNow;
+  }
+}
+
+/**
+ * Check a URL, returning the rejection instead of throwing it
+ * @param {CircuitBreaker} breaker - Breaker
+ * @param {string} url - Request URL
+ * @returns {Object} - { change } when let through, { rejected } with the error's circuit state and retryAt otherwise
+ */
+function attempt(breaker, url = HOTEL_URL) {
+  try {
+    return { change: breaker.check(url)?.state ?? null };
+  } catch (error) {
+    return { rejected: error.circuitState, retryAt: error.retryAt };
+  }
+}
+
+/**
+ * Record the same classification a number of times
+ * @param {CircuitBreaker} breaker - Breaker
+ * @param {number} times - Repetitions
+ * @param {Object} classification - Classification
+ * @returns {Array<string|null>} - State of each resulting change
+ */
+function fail(breaker, times, classification = CHALLENGE) {
+  return Array.from({ length: times }, () => breaker.recordClassification(HOTEL_URL, classification)?.state ?? null);
+}
+
+/**
+ * ISO timestamp a number of milliseconds after START
+ * @param {number} ms - Offset
+ * @returns {string}
+ */
+function at(ms) {
+  return new Date(START + ms).toISOString();
+}
+
+const cases = [
+  {
+    name: 'threshold classifications within the window open the circuit',
+    run: () => onClock(breaker => [fail(breaker, 3), attempt(breaker)]),
+    expected: [[null, null, 'open'], { rejected: 'open', retryAt: at(120000) }]
+  },
+  {
+    name: 'classifications spread beyond the window do not open it',
+    run: () => onClock((breaker, tick) => {
+      fail(breaker, 2);
+      tick(61000);
+      return [fail(breaker, 2), attempt(breaker)];
+    }),
+    expected: [[null, null], { change: null }]
+  },
+  {
+    name: 'only blocking classifications count',
+    run: () => onClock(breaker => [fail(breaker, 5, NETWORK_ERROR), fail(breaker, 3, RATE_LIMITED)]),
+    expected: [[null, null, null, null, null], [null, null, 'open']]
+  },
+  {
+    name: 'circuits are kept per host',
+    run: () => onClock((breaker) => {
+      fail(breaker, 3);
+      return [attempt(breaker).rejected, attempt(breaker, OTHER_URL)];
+    }),
+    expected: ['open', { change: null }]
+  },
+  {
+    name: 'open circuit fails fast until the cool-down ends',
+    run: () => onClock((breaker, tick) => {
+      fail(breaker, 3);
+      tick(119999);
+      return [attempt(breaker), breaker.retryAt(HOTEL_URL), breaker.summary()['www.ritzcarlton.com'].rejected];
+    }),
+    expected: [{ rejected: 'open', retryAt: at(120000) }, at(120000), 1]
+  },
+  {
+    name: 'after the cool-down one probe is let through',
+    run: () => onClock((breaker, tick) => {
+      fail(breaker, 3);
+      tick(120000);
+      return [attempt(breaker), attempt(breaker)];
+    }),
+    expected: [{ change: 'half_open' }, { rejected: 'half_open', retryAt: at(240000) }]
+  },
+  {
+    name: 'request rejected behind the probe gets a retryAt in the future',
+    run: () => onClock((breaker, tick) => {
+      fail(breaker, 3);
+      tick(120000);
+      attempt(breaker);
+      tick(5000);
+      const { retryAt } = attempt(breaker);
+      return Date.parse(retryAt) > Date.now();
+    }),
+    expected: true
+  },
+  {
+    name: 'successful probe closes the circuit',
+    run: () => onClock((breaker, tick) => {
+      fail(breaker, 3);
+      tick(120000);
+      attempt(breaker);
+      return [breaker.recordSuccess(HOTEL_URL)?.state, attempt(breaker), breaker.retryAt(HOTEL_URL)];
+    }),
+    expected: ['closed', { change: null }, null]
+  },
+  {
+    name: 'closed circuit counts failures from scratch',
+    run: () => onClock((breaker, tick) => {
+      fail(breaker, 3);
+      tick(120000);
+      attempt(breaker);
+      breaker.recordSuccess(HOTEL_URL);
+      return fail(breaker, 3);
+    }),
+    expected: [null, null, 'open']
+  },
+  {
+    name: 'blocked probe reopens the circuit for a new cool-down',
+    run: () => onClock((breaker, tick) => {
+      fail(breaker, 3);
+      tick(120000);
+      attempt(breaker);
+      tick(1000);
+      const reopened = breaker.recordClassification(HOTEL_URL, CHALLENGE);
+      return [reopened.state, reopened.retryAt, attempt(breaker).rejected, breaker.summary()['www.ritzcarlton.com'].trips];
+    }),
+    expected: ['open', at(241000), 'open', 2]
+  },
+  {
+    name: 'probe failing for another reason lets the next request probe',
+    run: () => onClock((breaker, tick) => {
+      fail(breaker, 3);
+      tick(120000);
+      attempt(breaker);
+      breaker.recordClassification(HOTEL_URL, NETWORK_ERROR);
+      return [attempt(breaker), breaker.retryAt(HOTEL_URL)];
+    }),
+    expected: [{ change: null }, at(240000)]
+  },
+  {
+    name: 'probe whose outcome never arrived is replaced after a cool-down',
+    run: () => onClock((breaker, tick) => {
+      fail(breaker, 3);
+      tick(120000);
+      attempt(breaker);
+      tick(120000);
+      return [breaker.retryAt(HOTEL_URL), attempt(breaker)];
+    }),
+    expected: [null, { change: null }]
+  },
+  {
+    name: 'threshold of 0 disables the breaker',
+    run: () => {
+      const breaker = new CircuitBreaker({ threshold: 0 });
+      Array.from({ length: 10 }, () => breaker.recordClassification(HOTEL_URL, CHALLENGE));
+      return [breaker.check(HOTEL_URL), breaker.summary()];
+    },
+    expected: [null, {}]
+  },
+  {
+    name: 'rejected request is deferred under a new uniqueKey',
+    run: () => {
+      const request = { url: HOTEL_URL, uniqueKey: 'RESOLVE:https://x', label: 'RESOLVE', userData: { brandKey: 'ritzcarlton' } };
+      const deferred = deferRejectedRequest(request, { circuitState: 'open' }, 2);
+      const again = deferRejectedRequest(deferred, { circuitState: 'open' }, 2);
+      return [deferred.uniqueKey, again.uniqueKey, again.label, again.userData];
+    },
+    expected: ['RESOLVE:https://x#circuit-1', 'RESOLVE:https://x#circuit-2', 'RESOLVE', {
+      brandKey: 'ritzcarlton',
+      circuitUniqueKey: 'RESOLVE:https://x',
+      circuitDeferrals: 2,
+      circuitRounds: 2
+    }]
+  },
+  {
+    name: 'request fails once open circuits rejected it more than maxDeferrals times',
+    run: () => {
+      let request = { url: HOTEL_URL, uniqueKey: HOTEL_URL, userData: {} };
+      const rounds = [];
+      while (request) {
+        request = deferRejectedRequest(request, { circuitState: 'open' }, 2);
+        rounds.push(request?.userData.circuitDeferrals ?? null);
+      }
+      return rounds;
+    },
+    expected: [1, 2, null]
+  },
+  {
+    name: 'waiting behind a probe does not use up deferrals',
+    run: () => {
+      const request = { url: HOTEL_URL, uniqueKey: HOTEL_URL, userData: { circuitDeferrals: 2, circuitRounds: 4 } };
+      return deferRejectedRequest(request, { circuitState: 'half_open' }, 2)?.userData.circuitDeferrals;
+    },
+    expected: 2
+  }
+];
+
+async function runTests() {
+  await runTestCases('Circuit Breaker', cases);
+}
+
+// Always run tests when this file is executed
+runTests();
+
+export { runTests };
@@ -0,0 +1,235 @@
+/**
+ * Classification Rules Utility
+ * Rule engine behind classifyError. Rules come from a JSON or JS config
+ * (src/config/classification-rules.json by default) of
+ *
+ * - vendors: anti-bot vendor fingerprints, { headers: { name: pattern }, body: [pattern] };
+ *   a vendor is detected when any of its header or body patterns matches
+ * - rules: { id, priority, type, confidence, suggestedAction, isRootCause, match,
+ *   backoff?, log?, logCooldownMs?, enabled? }; a rule matches when every matcher
+ *   in `match` does, and the highest-priority matching rule classifies the error
+ *
+ * Matchers: status (list of codes), headers ({ name: pattern }, all must match),
+ * body (patterns, any may match), url (pattern), vendor (names, any detected),
+ * signals ({ name: value } of classifyError's signals). Patterns are
+ * case-insensitive regular expressions
+ */
+
+import { readFileSync } from 'node:fs';
+import { dirname, join, resolve } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+export const DEFAULT_RULES_PATH = join(dirname(fileURLToPath(import.meta.url)), '..', 'config', 'classification-rules.json');
+
+const CONFIDENCES = ['high', 'medium', 'low'];
+const MATCHERS = ['status', 'headers', 'body', 'url', 'vendor', 'signals'];
+
+/**
+ * Wrap a value in a list unless it is one
+ * @param {*} value - Value or list
+ * @returns {Array}
+ */
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Read the default rule config
+ * @returns {Object} - { vendors, rules }
+ */
+export function loadDefaultClassificationRules() {
+  return JSON.parse(readFileSync(DEFAULT_RULES_PATH, 'utf8'));
+}
+
+/**
+ * Read a rule config from a JSON file or from the default export of a JS module
+ * @param {string} path - Config file path
+ * @returns {Promise<Object>} - { vendors, rules }
+ */
+export async function readClassificationRules(path) {
+  if (/\.[cm]?js$/.test(path)) {
+    const module = await import(pathToFileURL(resolve(path)).href);
+    return module.default;
+  }
+  return JSON.parse(readFileSync(path, 'utf8'));
+}
+
+/**
+ * Merge a rule config over a base config: vendors replace those of the same
+ * name, and rules are merged into the base rule with the same id or added
+ * (e.g. { id, enabled: false } turns a base rule off)
+ * @param {Object} base - Base config
+ * @param {Object} [overrides] - Config to merge over it
+ * @returns {Object} - { vendors, rules }
+ */
+export function mergeClassificationRules(base, overrides = {}) {
+  const rules = [...base.rules];
+
+  for (const override of overrides.rules || []) {
+    const index = rules.findIndex(rule => rule.id === override.id);
+    if (index === -1) {
+      rules.push(override);
+    } else {
+      rules[index] = { ...rules[index], ...override };
+    }
+  }
+
+  return { vendors: { ...base.vendors, ...overrides.vendors }, rules };
+}
+
+/**
+ * Compile a pattern into a case-insensitive regular expression
+ * @param {string} pattern - Regular expression source
+ * @param {string} where - Rule or vendor the pattern belongs to, for errors
+ * @returns {RegExp}
+ */
+function compilePattern(pattern, where) {
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (error) {
+    throw new Error(`${where}: invalid pattern ${pattern}: ${error.message}`);
+  }
+}
+
+/**
+ * Compile header patterns keyed by header name
+ * @param {Object} headers - { name: pattern }
+ * @param {string} where - Rule or vendor the patterns belong to, for errors
+ * @returns {Array<Array>} - [lowercased name, RegExp] pairs
+ */
+function compileHeaders(headers, where) {
+  return Object.entries(headers).map(([name, pattern]) => [name.toLowerCase(), compilePattern(pattern, where)]);
+}
+
+/**
+ * Validate and compile a rule
+ * @param {Object} rule - Rule from the config
+ * @param {Array<string>} types - Valid classification types
+ * @param {Object} vendors - Compiled vendors
+ * @returns {Object} - Rule with compiled matchers
+ */
+function compileRule(rule, types, vendors) {
+  const where = `Invalid classification rule "${rule.id}"`;
+  if (!rule.id) {
+    throw new Error(`Invalid classification rule: every rule needs an id (${JSON.stringify(rule)})`);
+  }
+  if (!types.includes(rule.type)) {
+    throw new Error(`${where}: type must be one of ${types.join(', ')}`);
+  }
+  if (typeof rule.priority !== 'number') {
+    throw new Error(`${where}: priority must be a number`);
+  }
+  if (!CONFIDENCES.includes(rule.confidence)) {
+    throw new Error(`${where}: confidence must be one of ${CONFIDENCES.join(', ')}`);
+  }
+  if (!rule.suggestedAction) {
+    throw new Error(`${where}: suggestedAction is required`);
+  }
+
+  const match = rule.match || {};
+  const unknown = Object.keys(match).filter(matcher => !MATCHERS.includes(matcher));
+  if (unknown.length > 0) {
+    throw new Error(`${where}: unknown matcher(s) ${unknown.join(', ')}; expected ${MATCHERS.join(', ')}`);
+  }
+  const vendorNames = match.vendor ? toList(match.vendor) : null;
+  const unknownVendors = (vendorNames || []).filter(name => !vendors[name]);
+  if (unknownVendors.length > 0) {
+    throw new Error(`${where}: unknown vendor(s) ${unknownVendors.join(', ')}`);
+  }
+
+  return {
+    ...rule,
+    isRootCause: Boolean(rule.isRootCause),
+    match: {
+      status: match.status ? toList(match.status).map(Number) : null,
+      headers: match.headers ? compileHeaders(match.headers, where) : null,
+      body: match.body ? toList(match.body).map(pattern => compilePattern(pattern, where)) : null,
+      url: match.url ? compilePattern(match.url, where) : null,
+      vendor: vendorNames,
+      signals: match.signals || null
+    }
+  };
+}
+
+/**
+ * Validate and compile a rule config, ordering the enabled rules by priority
+ * (rules of equal priority keep their config order)
+ * @param {Object} config - { vendors, rules }
+ * @param {Array<string>} types - Valid classification types
+ * @returns {Object} - { vendors, rules } ready for evaluateClassificationRules
+ * @throws {Error} - When a rule or vendor is invalid
+ */
+export function compileClassificationRules(config, types) {
+  const vendors = Object.fromEntries(Object.entries(config.vendors || {}).map(([name, vendor]) => {
+    const where = `Invalid classification vendor "${name}"`;
+    return [name, {
+      headers: compileHeaders(vendor.headers || {}, where),
+      body: toList(vendor.body || []).map(pattern => compilePattern(pattern, where))
+    }];
+  }));
+
+  if (!Array.isArray(config.rules)) {
+    throw new Error('Invalid classification rules: rules must be a list');
+  }
+  const ids = config.rules.map(rule => rule.id);
+  const duplicates = ids.filter((id, index) => ids.indexOf(id) !== index);
+  if (duplicates.length > 0) {
+    throw new Error(`Invalid classification rules: duplicate id(s) ${[...new Set(duplicates)].join(', ')}`);
+  }
+
+  const rules = config.rules
+    .filter(rule => rule.enabled !== false)
+    .map(rule => compileRule(rule, types, vendors))
+    .sort((a, b) => b.priority - a.priority);
+
+  return { vendors, rules };
+}
+
+/**
+ * Check whether a response's headers match header patterns
+ * @param {Array<Array>} patterns - [name, RegExp] pairs
+ * @param {Object} headers - Lowercased response headers
+ * @param {boolean} every - Whether all patterns must match, or any
+ * @returns {boolean}
+ */
+function matchesHeaders(patterns, headers, every) {
+  const matches = ([name, pattern]) => headers[name] !== undefined && pattern.test(String(headers[name]));
+  return every ? patterns.every(matches) : patterns.some(matches);
+}
+
+/**
+ * Check whether every matcher of a rule matches
+ * @param {Object} rule - Compiled rule
+ * @param {Object} context - Evaluation context
+ * @returns {boolean}
+ */
+function matchesRule({ match }, context) {
+  return (!match.status || match.status.includes(context.statusCode))
+    && (!match.headers || matchesHeaders(match.headers, context.headers, true))
+    && (!match.body || match.body.some(pattern => pattern.test(context.body)))
+    && (!match.url || match.url.test(context.url))
+    && (!match.vendor || match.vendor.some(name => context.vendors.includes(name)))
+    && (!match.signals || Object.entries(match.signals).every(([name, value]) => context.signals[name] === value));
+}
+
+/**
+ * Find the rule that classifies a response
+ * @param {Object} compiled - Result of compileClassificationRules
+ * @param {Object} response - { statusCode, headers, body, url, signals }
+ * @returns {Object} - { rule, vendor, vendors }: the highest-priority matching rule
+ *   (null when none matches), the vendor it matched on and every vendor detected
+ */
+export function evaluateClassificationRules(compiled, { statusCode = null, headers = {}, body = '', url = '', signals = {} }) {
+  const lowercasedHeaders = Object.fromEntries(Object.entries(headers || {}).map(([name, value]) => [name.toLowerCase(), value]));
+  const text = body || '';
+
+  const vendors = Object.entries(compiled.vendors)
+    .filter(([, vendor]) => matchesHeaders(vendor.headers, lowercasedHeaders, false) || vendor.body.some(pattern => pattern.test(text)))
+    .map(([name]) => name);
+
+  const context = { statusCode, headers: lowercasedHeaders, body: text, url: url || '', signals, vendors };
+  const rule = compiled.rules.find(candidate => matchesRule(candidate, context)) || null;
+  const vendor = rule?.match.vendor?.find(name => vendors.includes(name)) || null;
+
+  return { rule, vendor, vendors };
+}
@@ -0,0 +1,130 @@
+/**
+ * Classification rule tests
+ * Runs the classification rules against the sample responses of
+ * fixtures/classification/cases.json (status, headers, URL and a body inline
+ * or from a sample file) and checks the type, rule and vendor of each. Every
+ * golden directory page (fixtures/golden/<brandKey>/) must stay unclassified
+ *
+ * Usage:
+ *   node src/utils/classification-rules.test.js                     # default rules
+ *   node src/utils/classification-rules.test.js --rules rules.json  # rules merged over the defaults (JSON or JS)
+ *   node src/utils/classification-rules.test.js --verbose           # print the signals of failed cases
+ */
+
+import { readdirSync, readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { readClassificationRules } from './classification-rules.js';
+import { classifyError, setClassificationRules } from './error-classifier.js';
+import { FixtureStore } from './fixtures.js';
+
+const FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', '..', 'fixtures');
+const CASES_DIR = join(FIXTURES_DIR, 'classification');
+const GOLDEN_DIR = join(FIXTURES_DIR, 'golden');
+
+// Classification of a page without any error signal
+const UNCLASSIFIED = { type: 'unknown_timeout', rule: 'unclassified', vendor: null };
+
+/**
+ * Load the sample cases
+ * @returns {Array<Object>} - { name, body, status, headers, url, errorMessage, networkErrors, expected }
+ */
+function loadCases() {
+  const { cases } = JSON.parse(readFileSync(join(CASES_DIR, 'cases.json'), 'utf8'));
+  return cases.map(sample => ({
+    ...sample,
+    body: sample.bodyFile ? readFileSync(join(CASES_DIR, sample.bodyFile), 'utf8') : sample.body
+  }));
+}
+
+/**
+ * Golden directory pages as cases that must stay unclassified
+ * @returns {Array<Object>}
+ */
+function loadGoldenCases() {
+  return readdirSync(GOLDEN_DIR).flatMap((brandKey) => {
+    const fixtures = FixtureStore.load(join(GOLDEN_DIR, brandKey));
+    return Object.entries(fixtures.entries)
+      .filter(([, entry]) => entry.body)
+      .map(([url, entry]) => ({
+        name: `${brandKey} golden directory page`,
+        body: entry.body,
+        status: entry.status || 200,
+        headers: entry.headers || {},
+        url,
+        expected: UNCLASSIFIED
+      }));
+  });
+}
+
+/**
+ * Classify a case and compare it with its expectation
+ * @param {Object} sample - Case
+ * @returns {Object} - { classification, differences }
+ */
+function runCase(sample) {
+  const classification = classifyError({
+    statusCode: sample.status,
+    responseBody: sample.body,
+    responseHeaders: sample.headers,
+    networkErrors: sample.networkErrors || [],
+    errorMessage: sample.errorMessage || null,
+    url: sample.url
+  });
+
+  const differences = Object.entries(sample.expected)
+    .filter(([field, expected]) => classification[field] !== expected)
+    .map(([field, expected]) => `${field}: expected ${expected}, got ${classification[field]}`);
+  return { classification, differences };
+}
+
+async function runTests() {
+  const args = process.argv.slice(2);
+  const verbose = args.includes('--verbose');
+  const rulesIndex = args.indexOf('--rules');
+
+  if (rulesIndex !== -1) {
+    const rulesPath = args[rulesIndex + 1];
+    const { rules } = setClassificationRules(await readClassificationRules(rulesPath));
+    console.log(`🧭 Using ${rules.length} rules with ${rulesPath}`);
+  }
+
+  const cases = [...loadCases(), ...loadGoldenCases()];
+  console.log(`🧪 Classifying ${cases.length} sample responses`);
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const sample of cases) {
+    const { classification, differences } = runCase(sample);
+    if (differences.length === 0) {
+      console.log(`  ✅ ${sample.name}: ${classification.type} (${classification.rule})`);
+      passed++;
+      continue;
+    }
+
+    console.log(`  ❌ ${sample.name}`);
+    differences.forEach(difference => console.log(`     ${difference}`));
+    if (verbose) {
+      console.log(`     signals: ${JSON.stringify(classification.signals)}`);
+    }
+    failed++;
+  }
+
+  console.log('\n📊 Classification Results:');
+  console.log(`  Passed: ${passed}`);
+  console.log(`  Failed: ${failed}`);
+
+  if (failed > 0) {
+    console.log('\n❌ Some samples were misclassified!');
+    process.exit(1);
+  } else {
+    console.log('\n✅ All samples classified as expected!');
+  }
+}
+
+// Always run tests when this file is executed
+runTests();
+
+export { runTests };
@@ -83,6 +83,106 @@ export function cleanSlug(slug) {
     .replace(/^-|-$/g, ''); // Remove leading/trailing hyphens
 }
 
+/**
+ * Clean a latitude or longitude
+ * @param {string|number} value - Raw coordinate
+ * @param {number} limit - Maximum absolute value (90 for latitude, 180 for longitude)
+ * @returns {number|null} - Coordinate or null if invalid
+ */
+export function cleanCoordinate(value, limit) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return null;
+  }
+  
+  const coordinate = Number(String(value).trim());
+  if (!Number.isFinite(coordinate) || Math.abs(coordinate) > limit) {
+    return null;
+  }
+  
+  return coordinate;
+}
+
+/**
+ * Clean phone number
+ * @param {string} phone - Raw phone number (may be a tel: link)
+ * @returns {string} - Cleaned phone number
+ */
+export function cleanPhone(phone) {
+  if (!phone || typeof phone !== 'string') {
+    return '';
+  }
+  
+  const cleaned = cleanText(phone.replace(/^tel:/i, ''));
+  
+  // Validate digit count (7-15 digits, E.164 maximum)
+  const digits = cleaned.replace(/\D/g, '');
+  if (digits.length < 7 || digits.length > 15 || /[^\d\s+().\-/]/.test(cleaned)) {
+    return '';
+  }
+  
+  return cleaned;
+}
+
+/**
+ * Clean postal code
+ * @param {string} postalCode - Raw postal code
+ * @returns {string} - Cleaned postal code
+ */
+export function cleanPostalCode(postalCode) {
+  if (postalCode === null || postalCode === undefined) {
+    return '';
+  }
+  
+  const cleaned = cleanText(String(postalCode)).toUpperCase();
+  
+  if (!/^[A-Z0-9][A-Z0-9 -]{1,10}$/.test(cleaned)) {
+    return '';
+  }
+  
+  return cleaned;
+}
+
+/**
+ * Clean star rating
+ * @param {string|number} rating - Raw star rating
+ * @returns {number|null} - Rating between 1 and 5, or null if invalid
+ */
+export function cleanStarRating(rating) {
+  if (rating === null || rating === undefined || String(rating).trim() === '') {
+    return null;
+  }
+  
+  const value = Number.parseFloat(String(rating));
+  if (!Number.isFinite(value) || value < 1 || value > 5) {
+    return null;
+  }
+  
+  return value;
+}
+
+/**
+ * Clean a calendar date to YYYY-MM-DD (or YYYY when only the year is known)
+ * @param {string} dateString - Raw date
+ * @returns {string} - Cleaned date
+ */
+export function cleanDate(dateString) {
+  if (dateString === null || dateString === undefined) {
+    return '';
+  }
+  
+  const cleaned = cleanText(String(dateString));
+  if (/^\d{4}$/.test(cleaned)) {
+    return cleaned;
+  }
+  
+  const date = new Date(cleaned);
+  if (!cleaned || Number.isNaN(date.getTime())) {
+    return '';
+  }
+  
+  return date.toISOString().slice(0, 10);
+}
+
 /**
  * Validate hotel data object
  * @param {Object} hotelData - Hotel data to validate
@@ -125,6 +225,18 @@ export function validateHotelData(hotelData) {
   }
   
   // Optional fields validation
+  if (hotelData.latitude !== undefined && cleanCoordinate(hotelData.latitude, 90) === null) {
+    errors.push('latitude must be a number between -90 and 90');
+  }
+  
+  if (hotelData.longitude !== undefined && cleanCoordinate(hotelData.longitude, 180) === null) {
+    errors.push('longitude must be a number between -180 and 180');
+  }
+  
+  if (hotelData.star_rating !== undefined && cleanStarRating(hotelData.star_rating) === null) {
+    errors.push('star_rating must be a number between 1 and 5');
+  }
+  
   if (hotelData.confidence_score !== undefined) {
     if (typeof hotelData.confidence_score !== 'number' || 
         hotelData.confidence_score < 0 || 
@@ -174,6 +286,17 @@ export function cleanAndValidateHotelData(hotelData) {
     city: hotelData.city ? cleanText(hotelData.city) : undefined,
     country: hotelData.country ? cleanText(hotelData.country) : undefined,
     region: hotelData.region ? cleanText(hotelData.region) : undefined,
+    locale: hotelData.locale || undefined,
+    localized_names: hotelData.localized_names,
+    // Detail-page enrichment (only present when enrichment is enabled)
+    street_address: hotelData.street_address ? cleanText(hotelData.street_address) : undefined,
+    postal_code: cleanPostalCode(hotelData.postal_code) || undefined,
+    latitude: cleanCoordinate(hotelData.latitude, 90) ?? undefined,
+    longitude: cleanCoordinate(hotelData.longitude, 180) ?? undefined,
+    phone: cleanPhone(hotelData.phone) || undefined,
+    star_rating: cleanStarRating(hotelData.star_rating) ?? undefined,
+    opening_date: cleanDate(hotelData.opening_date) || undefined,
+    field_sources: hotelData.field_sources,
     extracted_at: hotelData.extracted_at || new Date().toISOString(),
     source_url: cleanUrl(hotelData.source_url),
     confidence_score: hotelData.confidence_score !== undefined ? 
@@ -210,6 +333,35 @@ export function removeDuplicateHotels(hotels) {
   return unique;
 }
 
+/**
+ * Merge a hotel scraped in another locale into the record of the same Marsha
+ * code. The record of the locale listed first in `preferredLocales` is kept,
+ * and the name in every locale is kept in `localized_names`
+ * @param {Object} existing - Hotel record already collected
+ * @param {Object} incoming - Same hotel from another locale's directory
+ * @param {Array<string>} preferredLocales - Locales in order of preference
+ * @returns {Object} - Merged hotel record
+ */
+export function mergeLocalizedHotel(existing, incoming, preferredLocales = []) {
+  const rank = (locale) => {
+    const index = preferredLocales.indexOf(locale);
+    return index === -1 ? preferredLocales.length : index;
+  };
+  const [primary, secondary] = rank(incoming.locale) < rank(existing.locale) ?
+    [incoming, existing] :
+    [existing, incoming];
+  
+  return {
+    ...primary,
+    localized_names: {
+      ...secondary.localized_names,
+      [secondary.locale]: secondary.hotel_name,
+      ...primary.localized_names,
+      [primary.locale]: primary.hotel_name
+    }
+  };
+}
+
 /**
  * Sort hotels by Marsha code
  * @param {Array} hotels - Array of hotel data
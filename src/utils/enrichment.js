@@ -0,0 +1,228 @@
+/**
+ * Hotel Detail Enrichment
+ * Parses schema.org JSON-LD, OpenGraph and meta tags from a hotel overview
+ * page into validated detail fields, recording which source each value came from
+ */
+
+import { cleanCoordinate, cleanDate, cleanPhone, cleanPostalCode, cleanStarRating, cleanText } from './data-cleaner.js';
+
+// Sources in priority order: the first valid value wins
+export const ENRICHMENT_SOURCES = {
+  JSON_LD: 'json-ld',
+  OPEN_GRAPH: 'opengraph',
+  META: 'meta'
+};
+
+// schema.org types describing the hotel itself
+export const HOTEL_TYPES = ['Hotel', 'LodgingBusiness', 'Resort'];
+
+// Cleaner for every enrichment field; invalid values clean to '' or null
+export const ENRICHMENT_FIELDS = {
+  street_address: cleanText,
+  postal_code: cleanPostalCode,
+  latitude: value => cleanCoordinate(value, 90),
+  longitude: value => cleanCoordinate(value, 180),
+  phone: cleanPhone,
+  star_rating: cleanStarRating,
+  opening_date: cleanDate
+};
+
+// OpenGraph (and Facebook place/business) properties per field
+const OPEN_GRAPH_PROPERTIES = {
+  street_address: ['og:street-address', 'business:contact_data:street_address'],
+  postal_code: ['og:postal-code', 'business:contact_data:postal_code'],
+  latitude: ['og:latitude', 'place:location:latitude'],
+  longitude: ['og:longitude', 'place:location:longitude'],
+  phone: ['og:phone_number', 'business:contact_data:phone_number']
+};
+
+// Fields only taken together from the same source, so coordinates are never mixed
+const PAIRED_FIELDS = { latitude: 'longitude', longitude: 'latitude' };
+
+const JSON_LD_PATTERN = /<script\b[^>]*type\s*=\s*["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+const META_PATTERN = /<meta\b[^>]*>/gi;
+const ATTRIBUTE_PATTERN = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+const HTML_ENTITIES = { '&amp;': '&', '&quot;': '"', '&#39;': "'", '&apos;': "'", '&lt;': '<', '&gt;': '>' };
+
+/**
+ * Decode the HTML entities found in attribute values
+ * @param {string} value - Attribute value
+ * @returns {string}
+ */
+function decodeEntities(value) {
+  return value.replace(/&(?:amp|quot|#39|apos|lt|gt);/g, entity => HTML_ENTITIES[entity]);
+}
+
+/**
+ * Extract every JSON-LD node from a page, flattening arrays and @graph
+ * @param {string} html - Page HTML
+ * @returns {Array<Object>} - JSON-LD nodes
+ */
+export function extractJsonLdNodes(html) {
+  const nodes = [];
+
+  const collect = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(collect);
+    } else if (value && typeof value === 'object') {
+      nodes.push(value);
+      if (value['@graph']) collect(value['@graph']);
+    }
+  };
+
+  for (const [, content] of html.matchAll(JSON_LD_PATTERN)) {
+    try {
+      collect(JSON.parse(content.trim()));
+    } catch {
+      // Skip invalid JSON-LD blocks
+    }
+  }
+
+  return nodes;
+}
+
+/**
+ * Extract meta tag values keyed by their property or name attribute
+ * @param {string} html - Page HTML
+ * @returns {Object} - { properties, names } maps (first value wins)
+ */
+export function extractMetaTags(html) {
+  const properties = {};
+  const names = {};
+
+  for (const [tag] of html.matchAll(META_PATTERN)) {
+    const attributes = {};
+    for (const [, name, doubleQuoted, singleQuoted] of tag.matchAll(ATTRIBUTE_PATTERN)) {
+      attributes[name.toLowerCase()] = decodeEntities(doubleQuoted ?? singleQuoted);
+    }
+
+    if (attributes.content === undefined) continue;
+    if (attributes.property && !(attributes.property in properties)) {
+      properties[attributes.property] = attributes.content;
+    }
+    if (attributes.name && !(attributes.name in names)) {
+      names[attributes.name] = attributes.content;
+    }
+  }
+
+  return { properties, names };
+}
+
+/**
+ * Check whether a JSON-LD node describes a hotel
+ * @param {Object} node - JSON-LD node
+ * @returns {boolean}
+ */
+function isHotelNode(node) {
+  const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+  return types.some(type => HOTEL_TYPES.includes(type));
+}
+
+/**
+ * Candidate values from the hotel JSON-LD node
+ * @param {Object} hotel - Hotel JSON-LD node
+ * @returns {Object} - Raw values keyed by field
+ */
+function jsonLdCandidates(hotel) {
+  const address = Array.isArray(hotel.address) ? hotel.address[0] : hotel.address;
+  const geo = Array.isArray(hotel.geo) ? hotel.geo[0] : hotel.geo;
+  const { starRating } = hotel;
+
+  return {
+    street_address: address?.streetAddress,
+    postal_code: address?.postalCode,
+    latitude: geo?.latitude,
+    longitude: geo?.longitude,
+    phone: hotel.telephone,
+    star_rating: typeof starRating === 'object' ? starRating?.ratingValue : starRating,
+    opening_date: hotel.foundingDate
+  };
+}
+
+/**
+ * Candidate values from generic meta tags (geo.position / ICBM)
+ * @param {Object} names - Meta values keyed by name
+ * @returns {Object} - Raw values keyed by field
+ */
+function metaCandidates(names) {
+  const position = names['geo.position'] || names.ICBM || names.icbm;
+  const [latitude, longitude] = position ? position.split(/[;,]/).map(part => part.trim()) : [];
+
+  return { latitude, longitude };
+}
+
+/**
+ * Clean a raw candidate value for a field
+ * @param {string} field - Enrichment field
+ * @param {*} raw - Raw value from a source
+ * @returns {string|number|null} - Clean value, or null if missing or invalid
+ */
+function cleanCandidate(field, raw) {
+  if (raw === undefined || raw === null || typeof raw === 'object') {
+    return null;
+  }
+
+  const value = ENRICHMENT_FIELDS[field](String(raw));
+  return value === '' ? null : value;
+}
+
+/**
+ * Parse hotel detail fields from an overview page
+ * @param {string} html - Page HTML
+ * @returns {Object} - { fields, field_sources }: validated values and the source of each
+ */
+export function parseHotelDetails(html) {
+  const fields = {};
+  const fieldSources = {};
+
+  if (!html || typeof html !== 'string') {
+    return { fields, field_sources: fieldSources };
+  }
+
+  const hotelNode = extractJsonLdNodes(html).find(isHotelNode);
+  const { properties, names } = extractMetaTags(html);
+
+  const openGraph = {};
+  for (const [field, keys] of Object.entries(OPEN_GRAPH_PROPERTIES)) {
+    openGraph[field] = keys.map(key => properties[key]).find(Boolean);
+  }
+
+  const candidatesBySource = [
+    [ENRICHMENT_SOURCES.JSON_LD, hotelNode ? jsonLdCandidates(hotelNode) : {}],
+    [ENRICHMENT_SOURCES.OPEN_GRAPH, openGraph],
+    [ENRICHMENT_SOURCES.META, metaCandidates(names)]
+  ];
+
+  for (const field of Object.keys(ENRICHMENT_FIELDS)) {
+    for (const [source, candidates] of candidatesBySource) {
+      const value = cleanCandidate(field, candidates[field]);
+      const partner = PAIRED_FIELDS[field];
+      if (value === null || (partner && cleanCandidate(partner, candidates[partner]) === null)) continue;
+
+      fields[field] = value;
+      fieldSources[field] = source;
+      break;
+    }
+  }
+
+  return { fields, field_sources: fieldSources };
+}
+
+/**
+ * Merge parsed details into a hotel record
+ * @param {Object} hotel - Hotel record
+ * @param {Object} details - Result of parseHotelDetails
+ * @returns {Object} - Enriched hotel record
+ */
+export function mergeHotelDetails(hotel, details) {
+  if (Object.keys(details.fields).length === 0) {
+    return hotel;
+  }
+
+  return {
+    ...hotel,
+    ...details.fields,
+    field_sources: details.field_sources
+  };
+}
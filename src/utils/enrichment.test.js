@@ -0,0 +1,243 @@
+/**
+ * Hotel detail enrichment tests
+ * Parses small overview pages with parseHotelDetails (source priority,
+ * coordinate pairing, rejected values) and checks the data-cleaner validators
+ * of the enrichment fields: coordinates, phone numbers, postal codes, star
+ * ratings and dates
+ *
+ * Usage:
+ *   node src/utils/enrichment.test.js
+ */
+
+import { runTestCases } from '../test/test-cases.js';
+import { cleanCoordinate, cleanDate, cleanPhone, cleanPostalCode, cleanStarRating, validateHotelData } from './data-cleaner.js';
+import { mergeHotelDetails, parseHotelDetails } from './enrichment.js';
+
+/**
+ * Overview page with JSON-LD blocks and head markup
+ * @param {Array<Object>} jsonLd - JSON-LD blocks
+ * @param {string} head - Additional head markup (meta tags)
+ * @returns {string}
+ */
+function overviewPage(jsonLd = [], head = '') {
+  const scripts = jsonLd.map(block => `<script type="application/ld+json">${JSON.stringify(block)}</script>`).join('\n');
+  return `<!DOCTYPE html><html><head><title>The Ritz-Carlton, Tokyo</title>${head}\n${scripts}</head><body><h1>The Ritz-Carlton, Tokyo</h1></body></html>`;
+}
+
+const HOTEL_JSON_LD = {
+  '@context': 'https://schema.org',
+  '@type': 'Hotel',
+  name: 'The Ritz-Carlton, Tokyo',
+  address: { '@type': 'PostalAddress', streetAddress: 'Tokyo Midtown, 9-7-1 Akasaka', postalCode: '107-6245' },
+  geo: { '@type': 'GeoCoordinates', latitude: '35.6654', longitude: '139.7307' },
+  telephone: '+81 3-3423-8000',
+  starRating: { '@type': 'Rating', ratingValue: '5' },
+  foundingDate: '2007-03-30'
+};
+
+const OPEN_GRAPH_TAGS = [
+  '<meta property="og:street-address" content="1 Open Graph Street">',
+  '<meta property="og:postal-code" content="sw1a 1aa">',
+  '<meta property="place:location:latitude" content="51.5014">',
+  '<meta property="place:location:longitude" content="-0.1419">',
+  '<meta property="og:phone_number" content="tel:+44 20 7493 8181">'
+].join('');
+
+const cases = [
+  {
+    name: 'JSON-LD hotel node fills every field',
+    run: () => parseHotelDetails(overviewPage([HOTEL_JSON_LD])),
+    expected: {
+      fields: {
+        street_address: 'Tokyo Midtown, 9-7-1 Akasaka',
+        postal_code: '107-6245',
+        latitude: 35.6654,
+        longitude: 139.7307,
+        phone: '+81 3-3423-8000',
+        star_rating: 5,
+        opening_date: '2007-03-30'
+      },
+      field_sources: {
+        street_address: 'json-ld',
+        postal_code: 'json-ld',
+        latitude: 'json-ld',
+        longitude: 'json-ld',
+        phone: 'json-ld',
+        star_rating: 'json-ld',
+        opening_date: 'json-ld'
+      }
+    }
+  },
+  {
+    name: 'JSON-LD wins over OpenGraph and meta tags',
+    run: () => parseHotelDetails(overviewPage([HOTEL_JSON_LD], `${OPEN_GRAPH_TAGS}<meta name="geo.position" content="10.0;20.0">`)).field_sources,
+    expected: {
+      street_address: 'json-ld',
+      postal_code: 'json-ld',
+      latitude: 'json-ld',
+      longitude: 'json-ld',
+      phone: 'json-ld',
+      star_rating: 'json-ld',
+      opening_date: 'json-ld'
+    }
+  },
+  {
+    name: 'OpenGraph fills the fields the JSON-LD node lacks',
+    run: () => {
+      const { address, telephone, ...hotel } = HOTEL_JSON_LD;
+      const { fields, field_sources: sources } = parseHotelDetails(overviewPage([hotel], OPEN_GRAPH_TAGS));
+      return [fields.street_address, fields.postal_code, fields.phone, sources.street_address, sources.phone, fields.latitude, sources.latitude];
+    },
+    expected: ['1 Open Graph Street', 'SW1A 1AA', '+44 20 7493 8181', 'opengraph', 'opengraph', 35.6654, 'json-ld']
+  },
+  {
+    name: 'OpenGraph wins over the geo.position meta tag',
+    run: () => parseHotelDetails(overviewPage([], `${OPEN_GRAPH_TAGS}<meta name="geo.position" content="10.0;20.0">`)).fields.latitude,
+    expected: 51.5014
+  },
+  {
+    name: 'geo.position and ICBM meta tags give the coordinates',
+    run: () => [
+      parseHotelDetails(overviewPage([], '<meta name="geo.position" content="35.6654; 139.7307">')),
+      parseHotelDetails(overviewPage([], '<meta name="ICBM" content="48.8686, 2.3225">')).fields
+    ],
+    expected: [
+      { fields: { latitude: 35.6654, longitude: 139.7307 }, field_sources: { latitude: 'meta', longitude: 'meta' } },
+      { latitude: 48.8686, longitude: 2.3225 }
+    ]
+  },
+  {
+    name: 'coordinates are taken in pairs from one source',
+    run: () => {
+      const latitudeOnly = { ...HOTEL_JSON_LD, geo: { latitude: '35.6654' } };
+      return parseHotelDetails(overviewPage([latitudeOnly], '<meta name="geo.position" content="10.5;20.5">'));
+    },
+    expected: {
+      fields: {
+        street_address: 'Tokyo Midtown, 9-7-1 Akasaka',
+        postal_code: '107-6245',
+        latitude: 10.5,
+        longitude: 20.5,
+        phone: '+81 3-3423-8000',
+        star_rating: 5,
+        opening_date: '2007-03-30'
+      },
+      field_sources: {
+        street_address: 'json-ld',
+        postal_code: 'json-ld',
+        latitude: 'meta',
+        longitude: 'meta',
+        phone: 'json-ld',
+        star_rating: 'json-ld',
+        opening_date: 'json-ld'
+      }
+    }
+  },
+  {
+    name: 'a coordinate out of range drops both coordinates of its source',
+    run: () => parseHotelDetails(overviewPage([{ ...HOTEL_JSON_LD, geo: { latitude: '135.6', longitude: '139.7' } }])).fields.longitude,
+    expected: undefined
+  },
+  {
+    name: 'hotel node is found in @graph and in a type list, other nodes are ignored',
+    run: () => parseHotelDetails(overviewPage([
+      { '@type': 'Organization', telephone: '+1 301 380 3000' },
+      { '@graph': [{ '@type': 'WebPage' }, { '@type': ['LodgingBusiness', 'Resort'], telephone: '+81 3-3423-8000' }] }
+    ])).fields,
+    expected: { phone: '+81 3-3423-8000' }
+  },
+  {
+    name: 'invalid JSON-LD blocks and invalid values are skipped',
+    run: () => parseHotelDetails(overviewPage([], '<script type="application/ld+json">{ "@type": "Hotel", </script>'
+      + '<meta property="og:phone_number" content="call us"><meta property="og:postal-code" content="n/a">')),
+    expected: { fields: {}, field_sources: {} }
+  },
+  {
+    name: 'meta tag attributes are decoded',
+    run: () => parseHotelDetails(overviewPage([], '<meta content=\'5 Rue &amp; Place\' property=\'og:street-address\'>')).fields,
+    expected: { street_address: '5 Rue & Place' }
+  },
+  {
+    name: 'missing page gives no details and leaves the hotel unchanged',
+    run: () => {
+      const hotel = { marsha_code: 'TYORZ' };
+      return [parseHotelDetails(null), mergeHotelDetails(hotel, parseHotelDetails('')) === hotel];
+    },
+    expected: [{ fields: {}, field_sources: {} }, true]
+  },
+  {
+    name: 'details are merged into the hotel with their sources',
+    run: () => mergeHotelDetails({ marsha_code: 'TYORZ' }, parseHotelDetails(overviewPage([], '<meta property="og:phone_number" content="+81 3-3423-8000">'))),
+    expected: { marsha_code: 'TYORZ', phone: '+81 3-3423-8000', field_sources: { phone: 'opengraph' } }
+  },
+  {
+    name: 'cleanCoordinate accepts numbers and numeric strings within the limit',
+    run: () => [cleanCoordinate('35.6654', 90), cleanCoordinate(-90, 90), cleanCoordinate(' 180 ', 180), cleanCoordinate('0', 90)],
+    expected: [35.6654, -90, 180, 0]
+  },
+  {
+    name: 'cleanCoordinate rejects values out of range, not numeric or missing',
+    run: () => [cleanCoordinate('90.01', 90), cleanCoordinate(-181, 180), cleanCoordinate('35.6N', 90), cleanCoordinate('', 90), cleanCoordinate(null, 90)],
+    expected: [null, null, null, null, null]
+  },
+  {
+    name: 'cleanPhone strips tel: links and keeps the number as written',
+    run: () => [cleanPhone('tel:+1-212-308-9100'), cleanPhone('  +44 (0)20 7493 8181 '), cleanPhone('03.3423.8000')],
+    expected: ['+1-212-308-9100', '+44 (0)20 7493 8181', '03.3423.8000']
+  },
+  {
+    name: 'cleanPhone rejects too few or too many digits and letters',
+    run: () => [cleanPhone('12345'), cleanPhone('+1 234 567 890 123 456'), cleanPhone('+1 800 HOTELS1'), cleanPhone(12125551234), cleanPhone('')],
+    expected: ['', '', '', '', '']
+  },
+  {
+    name: 'cleanPostalCode uppercases and accepts letters, digits, spaces and dashes',
+    run: () => [cleanPostalCode('sw1a 1aa'), cleanPostalCode('107-6245'), cleanPostalCode(10019), cleanPostalCode(' 75008 ')],
+    expected: ['SW1A 1AA', '107-6245', '10019', '75008']
+  },
+  {
+    name: 'cleanPostalCode rejects other characters, single characters and long values',
+    run: () => [cleanPostalCode('n/a'), cleanPostalCode('7'), cleanPostalCode('123456789012'), cleanPostalCode('-1234'), cleanPostalCode(null)],
+    expected: ['', '', '', '', '']
+  },
+  {
+    name: 'cleanStarRating parses ratings between 1 and 5',
+    run: () => [cleanStarRating('5'), cleanStarRating(4.5), cleanStarRating('4 stars'), cleanStarRating('1')],
+    expected: [5, 4.5, 4, 1]
+  },
+  {
+    name: 'cleanStarRating rejects ratings out of range or not numeric',
+    run: () => [cleanStarRating('0'), cleanStarRating(6), cleanStarRating('five'), cleanStarRating(''), cleanStarRating(undefined)],
+    expected: [null, null, null, null, null]
+  },
+  {
+    name: 'cleanDate normalizes dates and keeps a bare year',
+    run: () => [cleanDate('2007-03-30'), cleanDate('2007-03-30T09:00:00Z'), cleanDate('2007'), cleanDate('not a date'), cleanDate(null)],
+    expected: ['2007-03-30', '2007-03-30', '2007', '', '']
+  },
+  {
+    name: 'validateHotelData reports invalid coordinates and star ratings',
+    run: () => validateHotelData({
+      hotel_name: 'The Ritz-Carlton, Tokyo',
+      url: 'https://www.ritzcarlton.com/en/hotels/tyorz-the-ritz-carlton-tokyo/overview/',
+      marsha_code: 'TYORZ',
+      latitude: 95,
+      longitude: 'east',
+      star_rating: 7
+    }).errors.filter(error => /latitude|longitude|star_rating/.test(error)),
+    expected: [
+      'latitude must be a number between -90 and 90',
+      'longitude must be a number between -180 and 180',
+      'star_rating must be a number between 1 and 5'
+    ]
+  }
+];
+
+async function runTests() {
+  await runTestCases('Hotel Detail Enrichment', cases);
+}
+
+// Always run tests when this file is executed
+runTests();
+
+export { runTests };
@@ -3,23 +3,8 @@
  * Normalizes raw signals into a fixed set of error types for downstream alerting/metrics
  */
 
-export const ERROR_TYPES = {
-  BLOCKED: 'blocked',
-  RATE_LIMITED: 'rate_limited', 
-  SLOW_LOAD: 'slow_load',
-  NETWORK_ERROR: 'network_error',
-  CHALLENGE_PAGE: 'challenge_page',
-  UNKNOWN_TIMEOUT: 'unknown_timeout',
-  VALIDATION_ERROR: 'validation_error',
-  EXTRACTION_ERROR: 'extraction_error'
-};
-
-export const CHALLENGE_INDICATORS = {
-  CLOUDFLARE: ['Checking your browser', 'Cloudflare', 'cf-ray'],
-  AKAMAI: ['Akamai', 'challenge', 'akamai-gtm'],
-  CAPTCHA: ['captcha', 'CAPTCHA', 'recaptcha', 'hcaptcha'],
-  BOT_DETECTION: ['bot', 'automation', 'suspicious', 'security check']
-};
+import { compileClassificationRules, evaluateClassificationRules, loadDefaultClassificationRules, mergeClassificationRules } from './classification-rules.js';
+import { ERROR_CAUSES } from './error-model.js';
 
 export const BLOCKING_STATUS_CODES = {
   403: 'forbidden',
@@ -43,6 +28,24 @@ export const NON_CRITICAL_RESOURCES = {
 // Debounce tracking for repeated suggestions
 const suggestionDebounce = new Map();
 
+// Rules classifyError evaluates (src/config/classification-rules.json unless configured)
+let activeRules = compileClassificationRules(loadDefaultClassificationRules(), Object.values(ERROR_CAUSES));
+
+/**
+ * Configure the classification rules, merged over the default rules
+ * (see mergeClassificationRules)
+ * @param {Object} [overrides] - { vendors, rules }; none restores the default rules
+ * @returns {Object} - The compiled rules
+ * @throws {Error} - When a rule or vendor is invalid
+ */
+export function setClassificationRules(overrides = {}) {
+  activeRules = compileClassificationRules(
+    mergeClassificationRules(loadDefaultClassificationRules(), overrides),
+    Object.values(ERROR_CAUSES)
+  );
+  return activeRules;
+}
+
 /**
  * Check if a URL represents a non-critical resource
  */
@@ -83,60 +86,39 @@ function shouldLogSuggestion(suggestion, requestId, cooldownMs = 5000) {
   return false;
 }
 
+// Script and style contents and comments: code and configuration that is not
+// shown on the page (a script's src is kept, as vendors load challenges by URL)
+const HIDDEN_MARKUP_PATTERN = /(<script\b[^>]*>)[\s\S]*?<\/script\s*>|<style\b[^>]*>[\s\S]*?<\/style\s*>|<!--[\s\S]*?-->/gi;
+
+/**
+ * Challenge detection on page HTML, without a browser
+ * Runs the challenge_page classification rules on the page's markup without
+ * script contents, styles and comments, and on the page URL. Words such as
+ * "captcha" or "security" in a footer or an inline config are not signals;
+ * a vendor's challenge markup, challenge URL or interstitial wording is
+ */
+export function detectChallengeInHtml(html = '', url = '') {
+  const markup = (html || '').replace(HIDDEN_MARKUP_PATTERN, (match, scriptTag) => (scriptTag ? `${scriptTag}</script>` : ''));
+  const challengeRules = { ...activeRules, rules: activeRules.rules.filter(rule => rule.type === ERROR_CAUSES.CHALLENGE_PAGE) };
+  const { rule, vendor, vendors } = evaluateClassificationRules(challengeRules, { body: markup, url });
+
+  return {
+    hasChallenge: Boolean(rule),
+    confidence: rule ? rule.confidence : 'low',
+    type: rule ? 'early_detection' : 'none',
+    rule: rule?.id || null,
+    vendor,
+    vendors
+  };
+}
+
 /**
  * Lightweight challenge detection for early fail-fast
  * Can be called after initial navigation to detect anti-bot challenges
  */
 export async function detectChallengeEarly(page) {
   try {
-    // Quick check for common challenge indicators in the current page
-    const challengeChecks = [
-      // Check page title
-      () => page.title().then(title => {
-        const titleLower = title.toLowerCase();
-        return titleLower.includes('checking your browser') || 
-               titleLower.includes('security check') ||
-               titleLower.includes('cloudflare');
-      }),
-      
-      // Check for challenge-related elements
-      () => page.evaluate(() => {
-        const bodyText = document.body?.textContent?.toLowerCase() || '';
-        const hasChallenge = bodyText.includes('checking your browser') ||
-                           bodyText.includes('cloudflare') ||
-                           bodyText.includes('security check') ||
-                           bodyText.includes('captcha') ||
-                           bodyText.includes('suspicious');
-        
-        // Check for challenge-related elements
-        const challengeElements = document.querySelectorAll(
-          '[id*="challenge"], [class*="challenge"], [id*="captcha"], [class*="captcha"]'
-        );
-        
-        return hasChallenge || challengeElements.length > 0;
-      }),
-      
-      // Check for redirects to challenge pages
-      () => page.url().then(url => {
-        const urlLower = url.toLowerCase();
-        return urlLower.includes('challenge') || 
-               urlLower.includes('captcha') ||
-               urlLower.includes('security');
-      })
-    ];
-    
-    // Run all checks in parallel
-    const results = await Promise.all(challengeChecks.map(check => check().catch(() => false)));
-    
-    // If any check returns true, we have a challenge
-    const hasChallenge = results.some(result => result === true);
-    
-    return {
-      hasChallenge,
-      confidence: hasChallenge ? 'high' : 'low',
-      type: hasChallenge ? 'early_detection' : 'none'
-    };
-    
+    return detectChallengeInHtml(await page.content(), page.url());
   } catch (error) {
     // If detection fails, assume no challenge (conservative approach)
     return {
@@ -150,10 +132,13 @@ export async function detectChallengeEarly(page) {
 
 /**
  * Classify error based on multiple signals with noise reduction
+ * The highest-priority classification rule matching the signals, status,
+ * headers, body and URL decides the type (see classification-rules.js)
  */
 export function classifyError({
   statusCode,
   responseBody,
+  responseHeaders = null,
   consoleErrors,
   networkErrors,
   pageErrors,
@@ -168,10 +153,12 @@ export function classifyError({
     hasChallengePage: false,
     hasBlockingStatus: false,
     hasNetworkFailures: false,
+    hasCriticalNetworkFailures: false,
     hasConsoleErrors: false,
     hasPageErrors: false,
     isTimeout: false,
-    isNonCriticalResource: false
+    isNonCriticalResource: false,
+    vendors: []
   };
 
   // Check if this is a non-critical resource
@@ -182,17 +169,6 @@ export function classifyError({
     signals.hasBlockingStatus = true;
   }
 
-  // Check for challenge pages (highest priority)
-  if (responseBody) {
-    const bodyLower = responseBody.toLowerCase();
-    for (const [challengeType, indicators] of Object.entries(CHALLENGE_INDICATORS)) {
-      if (indicators.some(indicator => bodyLower.includes(indicator.toLowerCase()))) {
-        signals.hasChallengePage = true;
-        break;
-      }
-    }
-  }
-
   // Check network failures (filtered for critical resources)
   if (networkErrors && networkErrors.length > 0) {
     // Only count network failures for critical resources
@@ -200,6 +176,10 @@ export function classifyError({
       !isNonCriticalResource(error.url || url)
     );
     signals.hasNetworkFailures = criticalNetworkErrors.length > 0;
+    // Failures of images, fonts, beacons and media don't break the page
+    signals.hasCriticalNetworkFailures = criticalNetworkErrors.some(error =>
+      !['image', 'font', 'beacon', 'media'].includes(error.resourceType || '')
+    );
   }
 
   // Check console/page errors
@@ -215,108 +195,43 @@ export function classifyError({
     signals.isTimeout = true;
   }
 
-  // Classification logic with priority ordering
-  if (signals.hasChallengePage) {
-    const suggestion = 'use_residential_proxy';
-    const shouldLog = requestId ? shouldLogSuggestion(suggestion, requestId) : true;
-    
-    return {
-      type: ERROR_TYPES.CHALLENGE_PAGE,
-      confidence: 'high',
-      signals,
-      suggestedAction: suggestion,
-      shouldLog,
-      isRootCause: true
-    };
-  }
-
-  if (statusCode === 429) {
-    const suggestion = 'exponential_backoff';
-    const shouldLog = requestId ? shouldLogSuggestion(suggestion, requestId) : true;
-    
-    return {
-      type: ERROR_TYPES.RATE_LIMITED,
-      confidence: 'high',
-      signals,
-      suggestedAction: suggestion,
-      backoffHint: calculateBackoffHint(),
-      shouldLog,
-      isRootCause: true
-    };
-  }
-
-  if (statusCode === 403 || statusCode === 451) {
-    const suggestion = 'rotate_proxy';
-    const shouldLog = requestId ? shouldLogSuggestion(suggestion, requestId) : true;
-    
-    return {
-      type: ERROR_TYPES.BLOCKED,
-      confidence: 'high',
-      signals,
-      suggestedAction: suggestion,
-      shouldLog,
-      isRootCause: true
-    };
-  }
-
-  // Only classify network errors for critical resources and only if they're significant
-  if (signals.hasNetworkFailures && !signals.isNonCriticalResource) {
-    // Only classify as network error if there are multiple failures or it's a critical resource
-    const criticalNetworkErrors = networkErrors.filter(error => 
-      !isNonCriticalResource(error.url || url) && 
-      !['image', 'font', 'beacon', 'media'].includes(error.resourceType || '')
-    );
-    
-    if (criticalNetworkErrors.length > 0) {
-      const suggestion = 'retry_with_delay';
-      const shouldLog = requestId ? shouldLogSuggestion(suggestion, requestId, 10000) : true;
-      
-      return {
-        type: ERROR_TYPES.NETWORK_ERROR,
-        confidence: 'medium',
-        signals,
-        suggestedAction: suggestion,
-        shouldLog,
-        isRootCause: false
-      };
-    }
-  }
-
-  if (signals.isTimeout && !signals.hasChallengePage) {
-    const suggestion = 'increase_timeout';
-    const shouldLog = requestId ? shouldLogSuggestion(suggestion, requestId) : true;
-    
-    return {
-      type: ERROR_TYPES.SLOW_LOAD,
-      confidence: 'medium',
-      signals,
-      suggestedAction: suggestion,
-      shouldLog,
-      isRootCause: false
-    };
-  }
-
-  if (signals.isTimeout) {
-    const suggestion = 'enable_debug_mode';
-    const shouldLog = requestId ? shouldLogSuggestion(suggestion, requestId) : true;
-    
+  // Classification rules with priority ordering
+  const { rule, vendor, vendors } = evaluateClassificationRules(activeRules, {
+    statusCode,
+    headers: responseHeaders,
+    body: responseBody,
+    url,
+    signals
+  });
+  signals.vendors = vendors;
+  signals.hasChallengePage = rule?.type === ERROR_CAUSES.CHALLENGE_PAGE;
+
+  if (!rule) {
     return {
-      type: ERROR_TYPES.UNKNOWN_TIMEOUT,
+      type: ERROR_CAUSES.UNKNOWN_TIMEOUT,
       confidence: 'low',
       signals,
-      suggestedAction: suggestion,
-      shouldLog,
-      isRootCause: false
+      suggestedAction: 'enable_debug_mode',
+      shouldLog: false,
+      isRootCause: false,
+      rule: null,
+      vendor: null
     };
   }
 
+  const shouldLog = rule.log !== false
+    && (requestId ? shouldLogSuggestion(rule.suggestedAction, requestId, rule.logCooldownMs) : true);
+
   return {
-    type: ERROR_TYPES.UNKNOWN_TIMEOUT,
-    confidence: 'low',
+    type: rule.type,
+    confidence: rule.confidence,
     signals,
-    suggestedAction: 'enable_debug_mode',
-    shouldLog: false,
-    isRootCause: false
+    suggestedAction: rule.suggestedAction,
+    ...(rule.backoff ? { backoffHint: calculateBackoffHint() } : {}),
+    shouldLog,
+    isRootCause: rule.isRootCause,
+    rule: rule.id,
+    vendor
   };
 }
 
@@ -341,7 +256,7 @@ function calculateBackoffHint() {
  */
 export function sanitizeData(data, options = {}) {
   const {
-    removeHeaders = ['authorization', 'cookie', 'x-api-key', 'x-auth-token'],
+    removeHeaders = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key', 'x-auth-token'],
     maxHtmlLength = 1000,
     maxHarSize = 50000
   } = options;
@@ -380,26 +295,35 @@ export function sanitizeData(data, options = {}) {
 }
 
 /**
- * Truncate HAR to reasonable size
+ * Truncate HAR to reasonable size: a HAR 1.2 document ({ log: { entries } })
+ * or a bare { entries } list
  */
 function truncateHar(har, maxSize) {
-  if (!har.entries || !Array.isArray(har.entries)) {
+  const entries = har.log?.entries || har.entries;
+  if (!Array.isArray(entries)) {
     return har;
   }
 
-  // Keep only the last 10 requests and filter out large binary resources
-  const filteredEntries = har.entries
-    .slice(-10)
-    .filter(entry => {
-      const size = entry.response?.bodySize || 0;
-      const contentType = entry.response?.content?.mimeType || '';
-      return size < 10000 && !contentType.includes('image') && !contentType.includes('video');
-    });
+  // Filter out large binary resources and keep the page documents and the last requests, 10 in all
+  const isDocument = ({ _resourceType: resourceType }) => resourceType === 'Document';
+  const keptEntries = entries.filter(entry => {
+    const size = entry.response?.bodySize || 0;
+    const contentType = entry.response?.content?.mimeType || '';
+    return isDocument(entry) || (size < 10000 && !contentType.includes('image') && !contentType.includes('video'));
+  });
+  const otherEntries = keptEntries.filter(entry => !isDocument(entry));
+  const otherCount = Math.max(0, 10 - (keptEntries.length - otherEntries.length));
+  const lastRequests = otherEntries.slice(otherEntries.length - Math.min(otherCount, otherEntries.length));
+  let filteredEntries = keptEntries.filter(entry => isDocument(entry) || lastRequests.includes(entry));
+
+  // Drop the oldest requests until the HAR fits
+  while (filteredEntries.length > 1 && JSON.stringify(filteredEntries).length > maxSize) {
+    filteredEntries = filteredEntries.slice(1);
+  }
 
-  return {
-    ...har,
-    entries: filteredEntries
-  };
+  return har.log
+    ? { ...har, log: { ...har.log, entries: filteredEntries } }
+    : { ...har, entries: filteredEntries };
 }
 
 /**
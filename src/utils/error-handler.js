@@ -1,54 +1,25 @@
 /**
  * Error Handler Utility
- * Manages errors and failed requests for the scraper
+ * Manages errors and failed requests for the scraper, as records of the error
+ * model (error-model.js)
  */
 
-/**
- * Error types for categorization
- */
-export const ERROR_TYPES = {
-  NAVIGATION: 'navigation_error',
-  EXTRACTION: 'extraction_error',
-  TIMEOUT: 'timeout_error',
-  NETWORK: 'network_error',
-  VALIDATION: 'validation_error',
-  DEAD_HOTEL: 'dead_hotel'
-};
-
-/**
- * Create error object for dataset
- * @param {string} type - Error type
- * @param {string} message - Error message
- * @param {string} url - URL that caused the error
- * @param {string} marshaCode - Marsha code if available
- * @param {number} status - HTTP status code if available
- * @returns {Object} - Error object for dataset
- */
-export function createErrorObject(type, message, url, marshaCode = '', status = null) {
-  return {
-    type,
-    message,
-    url,
-    marsha_code: marshaCode,
-    status,
-    timestamp: new Date().toISOString()
-  };
-}
+import { causeOfError, createErrorRecord, ERROR_CATEGORIES, ERROR_CAUSES } from './error-model.js';
 
 /**
  * Handle dead hotel detection
  * @param {string} url - Hotel URL
  * @param {string} marshaCode - Marsha code
  * @param {number} status - HTTP status code
- * @returns {Object} - Error object for dead hotel
+ * @returns {Object} - Error record for dead hotel
  */
 export function handleDeadHotel(url, marshaCode, status) {
-  return createErrorObject(
-    ERROR_TYPES.DEAD_HOTEL,
+  return createErrorRecord(
+    ERROR_CATEGORIES.DEAD_HOTEL,
+    ERROR_CAUSES.HOTEL_REMOVED,
     `Hotel appears to be dead or removed from portfolio (Status: ${status})`,
     url,
-    marshaCode,
-    status
+    { marshaCode, status }
   );
 }
 
@@ -56,13 +27,16 @@ export function handleDeadHotel(url, marshaCode, status) {
  * Handle navigation errors
  * @param {string} url - URL that failed
  * @param {Error} error - Original error
- * @returns {Object} - Error object
+ * @param {Object} [classification] - Result of classifyError, if the failure was classified
+ * @returns {Object} - Error record
  */
-export function handleNavigationError(url, error) {
-  return createErrorObject(
-    ERROR_TYPES.NAVIGATION,
+export function handleNavigationError(url, error, classification = null) {
+  return createErrorRecord(
+    ERROR_CATEGORIES.NAVIGATION,
+    classification?.type || causeOfError(error),
     `Navigation failed: ${error.message}`,
-    url
+    url,
+    { classification }
   );
 }
 
@@ -70,12 +44,45 @@ export function handleNavigationError(url, error) {
  * Handle extraction errors
  * @param {string} url - URL being processed
  * @param {Error} error - Original error
- * @returns {Object} - Error object
+ * @param {Object} [classification] - Result of classifyError, if the failure was classified
+ * @returns {Object} - Error record
  */
-export function handleExtractionError(url, error) {
-  return createErrorObject(
-    ERROR_TYPES.EXTRACTION,
+export function handleExtractionError(url, error, classification = null) {
+  return createErrorRecord(
+    ERROR_CATEGORIES.EXTRACTION,
+    classification?.type || ERROR_CAUSES.EXTRACTION_ERROR,
     `Data extraction failed: ${error.message}`,
+    url,
+    { classification }
+  );
+}
+
+/**
+ * Handle a directory whose strategy ran without finding hotels
+ * @param {string} url - Directory URL
+ * @returns {Object} - Error record
+ */
+export function handleEmptyDirectory(url) {
+  return createErrorRecord(
+    ERROR_CATEGORIES.EXTRACTION,
+    ERROR_CAUSES.NO_HOTELS,
+    'Data extraction failed: strategy found no hotels',
+    url
+  );
+}
+
+/**
+ * Handle requests that failed on every retry
+ * @param {string} url - URL that failed
+ * @param {Error} error - Error of the last attempt
+ * @param {number} retries - Retries made
+ * @returns {Object} - Error record
+ */
+export function handleRequestFailure(url, error, retries) {
+  return createErrorRecord(
+    ERROR_CATEGORIES.NAVIGATION,
+    causeOfError(error),
+    `Request failed after ${retries} retries: ${error.message}`,
     url
   );
 }
@@ -84,11 +91,12 @@ export function handleExtractionError(url, error) {
  * Handle timeout errors
  * @param {string} url - URL that timed out
  * @param {number} timeout - Timeout duration
- * @returns {Object} - Error object
+ * @returns {Object} - Error record
  */
 export function handleTimeoutError(url, timeout) {
-  return createErrorObject(
-    ERROR_TYPES.TIMEOUT,
+  return createErrorRecord(
+    ERROR_CATEGORIES.TIMEOUT,
+    ERROR_CAUSES.SLOW_LOAD,
     `Request timed out after ${timeout}ms`,
     url
   );
@@ -98,11 +106,12 @@ export function handleTimeoutError(url, timeout) {
  * Handle network errors
  * @param {string} url - URL that failed
  * @param {Error} error - Original error
- * @returns {Object} - Error object
+ * @returns {Object} - Error record
  */
 export function handleNetworkError(url, error) {
-  return createErrorObject(
-    ERROR_TYPES.NETWORK,
+  return createErrorRecord(
+    ERROR_CATEGORIES.NETWORK,
+    ERROR_CAUSES.NETWORK_ERROR,
     `Network error: ${error.message}`,
     url
   );
@@ -112,23 +121,45 @@ export function handleNetworkError(url, error) {
  * Handle validation errors
  * @param {string} url - URL that failed validation
  * @param {string} reason - Validation failure reason
- * @returns {Object} - Error object
+ * @param {string} [marshaCode] - Marsha code if available
+ * @returns {Object} - Error record
  */
-export function handleValidationError(url, reason) {
-  return createErrorObject(
-    ERROR_TYPES.VALIDATION,
+export function handleValidationError(url, reason, marshaCode = '') {
+  return createErrorRecord(
+    ERROR_CATEGORIES.VALIDATION,
+    ERROR_CAUSES.VALIDATION_ERROR,
     `Validation failed: ${reason}`,
-    url
+    url,
+    { marshaCode }
   );
 }
 
+/**
+ * Handle requests rejected by an open circuit breaker
+ * @param {string} url - URL that was not requested
+ * @param {Error} error - Error from createCircuitOpenError
+ * @returns {Object} - Error record
+ */
+export function handleCircuitOpen(url, error) {
+  return {
+    ...createErrorRecord(
+      ERROR_CATEGORIES.CIRCUIT_OPEN,
+      ERROR_CAUSES.CIRCUIT_OPEN,
+      `Not requested: ${error.message}`,
+      url
+    ),
+    host: error.host,
+    retry_at: error.retryAt
+  };
+}
+
 /**
  * Log error to console with appropriate level
  * @param {Object} errorObj - Error object
  * @param {string} level - Log level (info, warn, error)
  */
 export function logError(errorObj, level = 'error') {
-  const logMessage = `[${errorObj.type.toUpperCase()}] ${errorObj.message} - URL: ${errorObj.url}`;
+  const logMessage = `[${errorObj.category.toUpperCase()}/${errorObj.cause}] ${errorObj.message} - URL: ${errorObj.url}`;
   
   switch (level) {
     case 'info':
@@ -145,17 +176,21 @@ export function logError(errorObj, level = 'error') {
 }
 
 /**
- * Aggregate errors by type for reporting
- * @param {Array} errors - Array of error objects
- * @returns {Object} - Aggregated error counts by type
+ * Aggregate errors for reporting
+ * @param {Array} errors - Array of error records
+ * @returns {Object} - { total, root_causes, by_category, by_cause, by_severity } with counts
  */
 export function aggregateErrors(errors) {
-  const aggregated = {};
-  
-  errors.forEach(error => {
-    const type = error.type || 'unknown';
-    aggregated[type] = (aggregated[type] || 0) + 1;
-  });
-  
-  return aggregated;
-} 
\ No newline at end of file
+  const count = (field) => errors.reduce((aggregated, error) => {
+    const value = error[field] || 'unknown';
+    return { ...aggregated, [value]: (aggregated[value] || 0) + 1 };
+  }, {});
+
+  return {
+    total: errors.length,
+    root_causes: errors.filter(error => error.is_root_cause).length,
+    by_category: count('category'),
+    by_cause: count('cause'),
+    by_severity: count('severity')
+  };
+}
@@ -0,0 +1,134 @@
+/**
+ * Error Model
+ * The one shape of every error record the scraper reports. A record says
+ * what failed (category), why (cause, the error classifier's diagnosis or a
+ * cause found without it), how bad it is (severity), whether a retry can
+ * help (retryable), whether it is a root cause or a symptom, and what to do
+ * about it (remediation). Records are versioned by schema_version and
+ * described by src/config/error-schema.v1.json
+ */
+
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+export const ERROR_SCHEMA_VERSION = '1.1.0';
+export const ERROR_SCHEMA_PATH = join(dirname(fileURLToPath(import.meta.url)), '..', 'config', 'error-schema.v1.json');
+
+// What failed
+export const ERROR_CATEGORIES = {
+  NAVIGATION: 'navigation_error',
+  EXTRACTION: 'extraction_error',
+  TIMEOUT: 'timeout_error',
+  NETWORK: 'network_error',
+  VALIDATION: 'validation_error',
+  DEAD_HOTEL: 'dead_hotel',
+  CIRCUIT_OPEN: 'circuit_open'
+};
+
+// Why it failed. The first group are the error classifier's types
+export const ERROR_CAUSES = {
+  BLOCKED: 'blocked',
+  RATE_LIMITED: 'rate_limited',
+  SLOW_LOAD: 'slow_load',
+  NETWORK_ERROR: 'network_error',
+  CHALLENGE_PAGE: 'challenge_page',
+  UNKNOWN_TIMEOUT: 'unknown_timeout',
+  VALIDATION_ERROR: 'validation_error',
+  EXTRACTION_ERROR: 'extraction_error',
+  NO_HOTELS: 'no_hotels',
+  HOTEL_REMOVED: 'hotel_removed',
+  CIRCUIT_OPEN: 'circuit_open',
+  UNKNOWN: 'unknown'
+};
+
+export const ERROR_SEVERITIES = ['critical', 'error', 'warning', 'info'];
+
+// Severity, retryability, root-cause flag and remediation of each cause
+const CAUSE_PROFILES = {
+  [ERROR_CAUSES.CHALLENGE_PAGE]: { severity: 'critical', retryable: true, isRootCause: true, action: 'use_residential_proxy' },
+  [ERROR_CAUSES.BLOCKED]: { severity: 'critical', retryable: true, isRootCause: true, action: 'rotate_proxy' },
+  [ERROR_CAUSES.RATE_LIMITED]: { severity: 'error', retryable: true, isRootCause: true, action: 'exponential_backoff' },
+  [ERROR_CAUSES.NETWORK_ERROR]: { severity: 'warning', retryable: true, isRootCause: false, action: 'retry_with_delay' },
+  [ERROR_CAUSES.SLOW_LOAD]: { severity: 'warning', retryable: true, isRootCause: false, action: 'increase_timeout' },
+  [ERROR_CAUSES.UNKNOWN_TIMEOUT]: { severity: 'warning', retryable: true, isRootCause: false, action: 'enable_debug_mode' },
+  [ERROR_CAUSES.VALIDATION_ERROR]: { severity: 'error', retryable: false, isRootCause: true, action: 'check_selectors' },
+  [ERROR_CAUSES.EXTRACTION_ERROR]: { severity: 'error', retryable: false, isRootCause: true, action: 'check_selectors' },
+  [ERROR_CAUSES.NO_HOTELS]: { severity: 'error', retryable: false, isRootCause: true, action: 'check_selectors' },
+  [ERROR_CAUSES.HOTEL_REMOVED]: { severity: 'info', retryable: false, isRootCause: false, action: 'none' },
+  [ERROR_CAUSES.CIRCUIT_OPEN]: { severity: 'warning', retryable: true, isRootCause: false, action: 'wait_for_circuit' },
+  [ERROR_CAUSES.UNKNOWN]: { severity: 'error', retryable: true, isRootCause: false, action: 'enable_debug_mode' }
+};
+
+// What each remediation action asks for
+const REMEDIATIONS = {
+  use_residential_proxy: 'Retry through residential proxies; the site served an anti-bot challenge',
+  rotate_proxy: 'Retry from another proxy IP; the site refused the request',
+  exponential_backoff: 'Slow down and retry after the backoff delay',
+  retry_with_delay: 'Retry after a short delay',
+  increase_timeout: 'Raise navigationTimeoutSecs; the page loads slowly',
+  enable_debug_mode: 'Rerun with enableDebugMode and inspect the HAR and page snapshot',
+  check_selectors: 'Check the brand\'s selectors against the page snapshot; the page layout may have changed',
+  wait_for_circuit: 'Rerun after retry_at, when the host\'s circuit lets requests through again',
+  none: 'No action needed'
+};
+
+/**
+ * Cause of a thrown error, from the flags and messages the scraper's errors carry
+ * @param {Error} error - Thrown error
+ * @returns {string} - One of ERROR_CAUSES
+ */
+export function causeOfError(error) {
+  const message = error?.message || '';
+  if (error?.isChallengePage) return ERROR_CAUSES.CHALLENGE_PAGE;
+  if (error?.isCircuitOpen) return ERROR_CAUSES.CIRCUIT_OPEN;
+  if (/HTTP 429/.test(message)) return ERROR_CAUSES.RATE_LIMITED;
+  if (/HTTP (?:403|451)/.test(message)) return ERROR_CAUSES.BLOCKED;
+  if (/timeout|timed out/i.test(message)) return ERROR_CAUSES.SLOW_LOAD;
+  if (/net::ERR_/.test(message)) return ERROR_CAUSES.NETWORK_ERROR;
+  return ERROR_CAUSES.UNKNOWN;
+}
+
+/**
+ * Create an error record
+ * @param {string} category - One of ERROR_CATEGORIES
+ * @param {string} cause - One of ERROR_CAUSES
+ * @param {string} message - Error message
+ * @param {string} url - URL that caused the error
+ * @param {Object} [details] - { marshaCode, status, classification }; a classification
+ *   (result of classifyError) decides the root-cause flag and remediation action and is
+ *   kept as the record's classification details
+ * @returns {Object} - Error record (without brand_key, added when it is recorded)
+ */
+export function createErrorRecord(category, cause, message, url, details = {}) {
+  const { marshaCode = '', status = null, classification = null } = details;
+  const profile = CAUSE_PROFILES[cause] || CAUSE_PROFILES[ERROR_CAUSES.UNKNOWN];
+  const action = classification?.suggestedAction || profile.action;
+  const retryAfterMs = classification?.backoffHint?.suggestedDelay;
+
+  return {
+    schema_version: ERROR_SCHEMA_VERSION,
+    category,
+    cause,
+    severity: profile.severity,
+    retryable: profile.retryable,
+    is_root_cause: classification ? classification.isRootCause : profile.isRootCause,
+    remediation: {
+      action,
+      description: REMEDIATIONS[action] || null,
+      ...(retryAfterMs ? { retry_after_ms: Math.round(retryAfterMs) } : {})
+    },
+    message,
+    url,
+    marsha_code: marshaCode,
+    status,
+    ...(classification ? {
+      classification: {
+        confidence: classification.confidence,
+        rule: classification.rule ?? null,
+        vendor: classification.vendor ?? null,
+        signals: classification.signals || {}
+      }
+    } : {}),
+    timestamp: new Date().toISOString()
+  };
+}
@@ -0,0 +1,268 @@
+/**
+ * Error model tests
+ * Checks that the record of every error producer, as pushed to the dataset,
+ * conforms to the error schema (src/config/error-schema.v1.json), and that the
+ * schema's enums list the error model's categories and causes
+ *
+ * Usage:
+ *   node src/utils/error-model.test.js
+ */
+
+import { readFileSync } from 'node:fs';
+
+import { createCircuitOpenError } from './circuit-breaker.js';
+import { classifyError } from './error-classifier.js';
+import {
+  handleCircuitOpen,
+  handleDeadHotel,
+  handleEmptyDirectory,
+  handleExtractionError,
+  handleNavigationError,
+  handleNetworkError,
+  handleRequestFailure,
+  handleTimeoutError,
+  handleValidationError
+} from './error-handler.js';
+import { ERROR_CATEGORIES, ERROR_CAUSES, ERROR_SCHEMA_PATH, ERROR_SEVERITIES } from './error-model.js';
+
+const schema = JSON.parse(readFileSync(ERROR_SCHEMA_PATH, 'utf8'));
+
+const URL = 'https://www.marriott.com/en-us/hotel-search.mi';
+
+/**
+ * Check whether a value has a JSON schema type
+ * @param {*} value - Value
+ * @param {string} type - JSON schema type
+ * @returns {boolean}
+ */
+function hasType(value, type) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'integer': return Number.isInteger(value);
+    case 'array': return Array.isArray(value);
+    case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number';
+    case 'boolean': return typeof value === 'boolean';
+    default: return false;
+  }
+}
+
+/**
+ * Validate a value against the subset of JSON schema the error schema uses
+ * @param {*} value - Value
+ * @param {Object} node - Schema node
+ * @param {string} path - Path of the value, for messages
+ * @returns {Array<string>} - Violations
+ */
+function validate(value, node, path = 'record') {
+  const violations = [];
+  if (node.type && ![].concat(node.type).some(type => hasType(value, type))) {
+    return [`${path}: expected ${[].concat(node.type).join(' or ')}, got ${JSON.stringify(value)}`];
+  }
+  if ('const' in node && value !== node.const) {
+    violations.push(`${path}: expected ${JSON.stringify(node.const)}`);
+  }
+  if (node.enum && !node.enum.includes(value)) {
+    violations.push(`${path}: ${JSON.stringify(value)} is not one of ${node.enum.join(', ')}`);
+  }
+  if (node.pattern && typeof value === 'string' && !new RegExp(node.pattern).test(value)) {
+    violations.push(`${path}: ${value} does not match ${node.pattern}`);
+  }
+  if (node.format === 'date-time' && typeof value === 'string' && Number.isNaN(Date.parse(value))) {
+    violations.push(`${path}: ${value} is not a date-time`);
+  }
+  if (node.minimum !== undefined && typeof value === 'number' && value < node.minimum) {
+    violations.push(`${path}: ${value} is below ${node.minimum}`);
+  }
+  if (hasType(value, 'object')) {
+    for (const field of node.required || []) {
+      if (!(field in value)) violations.push(`${path}.${field}: required`);
+    }
+    for (const [field, fieldValue] of Object.entries(value)) {
+      if (node.properties?.[field]) {
+        violations.push(...validate(fieldValue, node.properties[field], `${path}.${field}`));
+      } else if (node.additionalProperties === false) {
+        violations.push(`${path}.${field}: not allowed`);
+      }
+    }
+  }
+  return violations;
+}
+
+/**
+ * A record as recordError pushes it to the dataset
+ * @param {Object} record - Producer's error record
+ * @returns {Object}
+ */
+function asPushed(record) {
+  return { type: 'error', ...record, brand_key: 'ritz_carlton' };
+}
+
+/**
+ * Records of every producer
+ * @returns {Array<Object>} - { name, record, expected }
+ */
+function producerCases() {
+  const challenge = new Error('Challenge page detected');
+  challenge.isChallengePage = true;
+  const cloudflare = classifyError({
+    statusCode: 403,
+    responseHeaders: { server: 'cloudflare', 'cf-mitigated': 'challenge' },
+    url: URL
+  });
+  const timeout = classifyError({ errorMessage: 'Navigation timeout of 60000 ms exceeded', navigationTimeout: true, url: URL });
+  const rateLimited = classifyError({ statusCode: 429, url: URL });
+
+  return [
+    {
+      name: 'dead hotel',
+      record: handleDeadHotel(URL, 'TYORZ', 404),
+      expected: { category: 'dead_hotel', cause: 'hotel_removed', severity: 'info', is_root_cause: false, retryable: false }
+    },
+    {
+      name: 'classified navigation error',
+      record: handleNavigationError(URL, challenge, cloudflare),
+      expected: { category: 'navigation_error', cause: 'challenge_page', is_root_cause: true, remediation: 'use_residential_proxy' }
+    },
+    {
+      name: 'unclassified navigation error',
+      record: handleNavigationError(URL, challenge),
+      expected: { cause: 'challenge_page', severity: 'critical', retryable: true }
+    },
+    {
+      name: 'navigation timeout',
+      record: handleNavigationError(URL, new Error('Navigation timeout of 60000 ms exceeded'), timeout),
+      expected: { cause: 'slow_load', is_root_cause: false }
+    },
+    {
+      name: 'rate limited with backoff',
+      record: handleNavigationError(URL, new Error('HTTP 429'), rateLimited),
+      expected: { cause: 'rate_limited', remediation: 'exponential_backoff' }
+    },
+    {
+      name: 'extraction error',
+      record: handleExtractionError(URL, new Error('Cannot read properties of null')),
+      expected: { category: 'extraction_error', cause: 'extraction_error', retryable: false, is_root_cause: true }
+    },
+    {
+      name: 'empty directory',
+      record: handleEmptyDirectory(URL),
+      expected: { category: 'extraction_error', cause: 'no_hotels', remediation: 'check_selectors' }
+    },
+    {
+      name: 'request failure after blocking',
+      record: handleRequestFailure(URL, new Error('HTTP 403 (blocked)'), 3),
+      expected: { category: 'navigation_error', cause: 'blocked', is_root_cause: true }
+    },
+    {
+      name: 'request failure after a network error',
+      record: handleRequestFailure(URL, new Error('net::ERR_CONNECTION_RESET'), 3),
+      expected: { cause: 'network_error', severity: 'warning' }
+    },
+    {
+      name: 'timeout error',
+      record: handleTimeoutError(URL, 60000),
+      expected: { category: 'timeout_error', cause: 'slow_load' }
+    },
+    {
+      name: 'network error',
+      record: handleNetworkError(URL, new Error('net::ERR_NAME_NOT_RESOLVED')),
+      expected: { category: 'network_error', cause: 'network_error' }
+    },
+    {
+      name: 'validation error',
+      record: handleValidationError(URL, 'hotel_name is required and cannot be empty', 'TYORZ'),
+      expected: { category: 'validation_error', cause: 'validation_error', retryable: false }
+    },
+    {
+      name: 'circuit open',
+      record: handleCircuitOpen(URL, createCircuitOpenError('www.marriott.com', new Date(Date.now() + 60000).toISOString())),
+      expected: { category: 'circuit_open', cause: 'circuit_open', remediation: 'wait_for_circuit' }
+    },
+    {
+      name: 'error tagged with its run (separate output layout)',
+      record: { ...handleTimeoutError(URL, 60000), run_id: null, scraped_at: new Date().toISOString() },
+      expected: { category: 'timeout_error', run_id: null }
+    }
+  ];
+}
+
+/**
+ * Compare a record with its expected fields
+ * @param {Object} record - Error record
+ * @param {Object} expected - Expected fields; remediation is the expected action
+ * @returns {Array<string>} - Differences
+ */
+function compareRecord(record, expected) {
+  return Object.entries(expected)
+    .map(([field, value]) => [field, value, field === 'remediation' ? record.remediation.action : record[field]])
+    .filter(([, value, actual]) => actual !== value)
+    .map(([field, value, actual]) => `${field}: expected ${value}, got ${actual}`);
+}
+
+/**
+ * Compare a schema enum with the error model's values
+ * @param {string} name - Schema property
+ * @param {Array<string>} values - Error model values
+ * @returns {Array<string>} - Differences
+ */
+function compareEnum(name, values) {
+  const schemaValues = schema.properties[name].enum;
+  const missing = values.filter(value => !schemaValues.includes(value));
+  const extra = schemaValues.filter(value => !values.includes(value));
+  return [
+    ...(missing.length > 0 ? [`${name}: schema is missing ${missing.join(', ')}`] : []),
+    ...(extra.length > 0 ? [`${name}: schema has unknown ${extra.join(', ')}`] : [])
+  ];
+}
+
+function runTests() {
+  const cases = producerCases();
+  console.log(`🧪 Validating ${cases.length} error records against ${schema.$id}`);
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const { name, record, expected } of cases) {
+    const problems = [...validate(asPushed(record), schema), ...compareRecord(record, expected)];
+    if (problems.length === 0) {
+      console.log(`  ✅ ${name}: ${record.category}/${record.cause}`);
+      passed++;
+    } else {
+      console.log(`  ❌ ${name}`);
+      problems.forEach(problem => console.log(`     ${problem}`));
+      failed++;
+    }
+  }
+
+  const enumProblems = [
+    ...compareEnum('category', Object.values(ERROR_CATEGORIES)),
+    ...compareEnum('cause', Object.values(ERROR_CAUSES)),
+    ...compareEnum('severity', ERROR_SEVERITIES)
+  ];
+  if (enumProblems.length === 0) {
+    console.log('  ✅ schema enums match the error model');
+    passed++;
+  } else {
+    console.log('  ❌ schema enums differ from the error model');
+    enumProblems.forEach(problem => console.log(`     ${problem}`));
+    failed++;
+  }
+
+  console.log('\n📊 Error Model Results:');
+  console.log(`  Passed: ${passed}`);
+  console.log(`  Failed: ${failed}`);
+
+  if (failed > 0) {
+    console.log('\n❌ Some error records do not match the schema!');
+    process.exit(1);
+  } else {
+    console.log('\n✅ All error records match the schema!');
+  }
+}
+
+// Always run tests when this file is executed
+runTests();
+
+export { runTests };
@@ -0,0 +1,223 @@
+/**
+ * Fixture Record/Replay
+ * Record mode saves the responses of a run to disk: documents, XHR/fetch
+ * responses, the HTTP liveness checks and the directory DOM after expansion.
+ * Replay mode serves them through Puppeteer request interception under their
+ * original URLs, so a run is reproduced offline with the same hotels
+ */
+
+import { createHash } from 'node:crypto';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+
+import { log } from 'crawlee';
+
+export const FIXTURE_MODES = ['off', 'record', 'replay'];
+
+export const DEFAULT_FIXTURE_DIR = 'fixtures/default';
+
+const MANIFEST_FILE = 'manifest.json';
+
+// Resource types recorded from the browser; everything else is blocked on replay
+const RECORDED_RESOURCE_TYPES = ['document', 'xhr', 'fetch'];
+
+// Response headers kept in fixtures
+const RECORDED_HEADERS = ['content-type', 'location'];
+
+// Scripts are removed from DOM snapshots so replay doesn't re-render the page;
+// JSON-LD blocks are data and are kept
+const SCRIPT_PATTERN = /<script\b(?![^>]*application\/ld\+json)[^>]*>[\s\S]*?<\/script>/gi;
+
+/**
+ * Fixture key of a URL (the fragment never reaches the server)
+ * @param {string} url - URL
+ * @returns {string}
+ */
+export function fixtureKey(url) {
+  return String(url).split('#')[0];
+}
+
+/**
+ * Pick the recorded headers from a response's headers
+ * @param {Object} headers - Response headers (lowercase names)
+ * @returns {Object}
+ */
+function pickHeaders(headers = {}) {
+  return Object.fromEntries(RECORDED_HEADERS.filter(name => headers[name]).map(name => [name, String(headers[name])]));
+}
+
+export class FixtureStore {
+  /**
+   * @param {string} dir - Directory holding the manifest and response bodies
+   * @param {Object} entries - Recorded responses keyed by URL
+   */
+  constructor(dir, entries = {}) {
+    this.dir = dir;
+    this.entries = entries;
+    this.missing = new Set();
+    // When the fixtures were recorded; null for fixtures written by hand
+    this.recordedAt = null;
+  }
+
+  /**
+   * Load the fixtures recorded in a directory
+   * @param {string} dir - Fixture directory
+   * @returns {FixtureStore}
+   */
+  static load(dir) {
+    const manifestPath = join(dir, MANIFEST_FILE);
+    if (!existsSync(manifestPath)) {
+      throw new Error(`No fixtures recorded in ${dir} (missing ${MANIFEST_FILE})`);
+    }
+
+    const manifest = JSON.parse(readFileSync(manifestPath, 'utf8'));
+    const entries = {};
+    for (const [url, entry] of Object.entries(manifest.entries)) {
+      entries[url] = {
+        ...entry,
+        body: entry.file ? readFileSync(join(dir, entry.file), 'utf8') : ''
+      };
+    }
+
+    const store = new FixtureStore(dir, entries);
+    store.recordedAt = manifest.recorded_at || null;
+    return store;
+  }
+
+  /**
+   * Get the recorded response of a URL
+   * @param {string} url - URL
+   * @returns {Object|null} - { status, headers, body, snapshot }
+   */
+  get(url) {
+    return this.entries[fixtureKey(url)] || null;
+  }
+
+  /**
+   * Get the response a replayed request is answered with. Only recorded
+   * resource types are served; a document without a fixture is logged once
+   * @param {string} url - Requested URL
+   * @param {string} resourceType - Puppeteer resource type of the request
+   * @returns {Object|null} - Recorded response, null when the request fails
+   */
+  replay(url, resourceType = 'document') {
+    const fixture = RECORDED_RESOURCE_TYPES.includes(resourceType) ? this.get(url) : null;
+    if (!fixture && resourceType === 'document' && !this.missing.has(url)) {
+      this.missing.add(url);
+      log.warning(`⚠️ No fixture recorded for ${url}`);
+    }
+    return fixture;
+  }
+
+  /**
+   * Record a response. A DOM snapshot is never replaced by a raw response
+   * @param {string} url - URL
+   * @param {Object} response - { status, headers, body, snapshot }
+   */
+  record(url, { status, headers = {}, body = '', snapshot = false }) {
+    const key = fixtureKey(url);
+    if (this.entries[key]?.snapshot && !snapshot) return;
+
+    this.entries[key] = { status, headers: pickHeaders(headers), body, snapshot };
+  }
+
+  /**
+   * Record the DOM of a page after the strategy expanded and scraped it
+   * @param {string} url - Page URL
+   * @param {string} html - Page HTML
+   */
+  recordDom(url, html) {
+    this.record(url, {
+      status: 200,
+      headers: { 'content-type': 'text/html; charset=utf-8' },
+      body: html.replace(SCRIPT_PATTERN, ''),
+      snapshot: true
+    });
+  }
+
+  /**
+   * Record a redirect-following HTTP client response as one fixture per hop
+   * @param {string} url - Requested URL
+   * @param {Object} response - HTTP response with url, statusCode, headers and redirectUrls
+   * @param {string} body - Response body
+   */
+  recordHttpResponse(url, response, body) {
+    const hops = [url, ...(response.redirectUrls || []).map(String)];
+
+    for (let i = 0; i < hops.length - 1; i++) {
+      this.record(hops[i], { status: 301, headers: { location: hops[i + 1] } });
+    }
+
+    this.record(hops[hops.length - 1], { status: response.statusCode, headers: response.headers, body });
+  }
+
+  /**
+   * Record a Puppeteer response, if it is of a recorded resource type
+   * @param {HTTPResponse} response - Puppeteer response
+   * @returns {Promise<void>}
+   */
+  async recordPuppeteerResponse(response) {
+    if (!RECORDED_RESOURCE_TYPES.includes(response.request().resourceType())) return;
+
+    const status = response.status();
+    // Redirect responses have no body
+    const body = status >= 300 && status < 400 ? '' : await response.text().catch(() => null);
+    if (body === null) return;
+
+    this.record(response.url(), { status, headers: response.headers(), body });
+  }
+
+  /**
+   * Record the responses of a page
+   * @param {Page} page - Puppeteer page object
+   */
+  attachRecorder(page) {
+    page.on('response', (response) => {
+      this.recordPuppeteerResponse(response).catch(() => {});
+    });
+  }
+
+  /**
+   * Serve a page's requests from the fixtures and block everything else
+   * @param {Page} page - Puppeteer page object
+   * @returns {Promise<void>}
+   */
+  async attachReplay(page) {
+    await page.setRequestInterception(true);
+
+    page.on('request', (request) => {
+      const fixture = this.replay(request.url(), request.resourceType());
+      if (!fixture) {
+        request.abort('internetdisconnected').catch(() => {});
+        return;
+      }
+
+      request.respond({
+        status: fixture.status,
+        headers: fixture.headers,
+        contentType: fixture.headers['content-type'],
+        body: fixture.body
+      }).catch(() => {});
+    });
+  }
+
+  /**
+   * Write the manifest and response bodies to the fixture directory
+   * @returns {number} - Number of recorded responses
+   */
+  save() {
+    mkdirSync(this.dir, { recursive: true });
+
+    const manifest = { recorded_at: new Date().toISOString(), entries: {} };
+    for (const [url, { body, ...entry }] of Object.entries(this.entries)) {
+      const file = body ? `${createHash('sha1').update(url).digest('hex')}.body` : null;
+      if (file) {
+        writeFileSync(join(this.dir, file), body);
+      }
+      manifest.entries[url] = { ...entry, file };
+    }
+
+    writeFileSync(join(this.dir, MANIFEST_FILE), `${JSON.stringify(manifest, null, 2)}\n`);
+    return Object.keys(manifest.entries).length;
+  }
+}
@@ -0,0 +1,221 @@
+/**
+ * HAR Recorder Utility
+ * Records a page's network traffic as HAR 1.2 from Chrome DevTools Protocol
+ * network events (requestWillBeSent, responseReceived, loadingFinished,
+ * loadingFailed). Headers are redacted with sanitizeData; bodies are not kept
+ */
+
+import { sanitizeData } from './error-classifier.js';
+
+const HAR_CREATOR = { name: 'universal-marriott-directory-scraper', version: '2.0.0' };
+const PAGE_REF = 'page_1';
+
+/**
+ * Convert CDP headers to redacted HAR headers
+ * @param {Object} [headers] - Headers keyed by name
+ * @returns {Array<Object>} - { name, value } per header
+ */
+function toHarHeaders(headers = {}) {
+  return Object.entries(sanitizeData({ headers }).headers).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+/**
+ * Query string of a URL in HAR form
+ * @param {string} url - URL
+ * @returns {Array<Object>} - { name, value } per parameter
+ */
+function toQueryString(url) {
+  try {
+    return Array.from(new URL(url).searchParams, ([name, value]) => ({ name, value }));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Duration between two CDP timing offsets, or -1 when a phase did not happen
+ * @param {number} start - Start offset in ms
+ * @param {number} end - End offset in ms
+ * @returns {number}
+ */
+function phase(start, end) {
+  return start >= 0 && end >= 0 ? Math.max(0, end - start) : -1;
+}
+
+/**
+ * Convert a CDP response to a HAR response
+ * @param {Object} response - CDP Network.Response
+ * @returns {Object}
+ */
+function toHarResponse(response) {
+  return {
+    status: response.status,
+    statusText: response.statusText || '',
+    httpVersion: response.protocol || 'http/1.1',
+    headers: toHarHeaders(response.headers),
+    cookies: [],
+    content: { size: -1, mimeType: response.mimeType || '' },
+    redirectURL: response.headers?.location || response.headers?.Location || '',
+    headersSize: -1,
+    bodySize: -1
+  };
+}
+
+export class HarRecorder {
+  /**
+   * @param {CDPSession} client - CDP session of the page, with the Network domain enabled
+   */
+  constructor(client) {
+    this.client = client;
+    this.entries = new Map();
+    this.startedDateTime = new Date().toISOString();
+    this.listeners = {
+      'Network.requestWillBeSent': event => this.onRequest(event),
+      'Network.responseReceived': event => this.onResponse(event),
+      'Network.loadingFinished': event => this.onFinished(event),
+      'Network.loadingFailed': event => this.onFailed(event)
+    };
+  }
+
+  start() {
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      this.client.on(event, listener);
+    }
+    return this;
+  }
+
+  stop() {
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      this.client.off(event, listener);
+    }
+  }
+
+  onRequest({ requestId, request, timestamp, wallTime, type, redirectResponse }) {
+    // A redirect reuses the request ID: finish the redirected entry under its own key
+    const previous = this.entries.get(requestId);
+    if (previous && redirectResponse) {
+      previous.response = toHarResponse(redirectResponse);
+      previous.timing = redirectResponse.timing;
+      previous.finishedAt = timestamp;
+      this.entries.set(`${requestId}:${this.entries.size}`, previous);
+    }
+
+    this.entries.set(requestId, {
+      startedDateTime: new Date(wallTime * 1000).toISOString(),
+      startedAt: timestamp,
+      resourceType: type,
+      request: {
+        method: request.method,
+        url: request.url,
+        httpVersion: 'http/1.1',
+        headers: toHarHeaders(request.headers),
+        queryString: toQueryString(request.url),
+        cookies: [],
+        headersSize: -1,
+        bodySize: request.postData ? request.postData.length : 0
+      },
+      response: null,
+      timing: null,
+      finishedAt: null
+    });
+  }
+
+  onResponse({ requestId, response }) {
+    const entry = this.entries.get(requestId);
+    if (!entry) return;
+
+    entry.response = toHarResponse(response);
+    entry.request.httpVersion = entry.response.httpVersion;
+    entry.timing = response.timing;
+    entry.serverIPAddress = response.remoteIPAddress;
+  }
+
+  onFinished({ requestId, timestamp, encodedDataLength }) {
+    const entry = this.entries.get(requestId);
+    if (!entry) return;
+
+    entry.finishedAt = timestamp;
+    if (entry.response) {
+      entry.response.bodySize = encodedDataLength;
+      entry.response.content.size = encodedDataLength;
+    }
+  }
+
+  onFailed({ requestId, timestamp, errorText }) {
+    const entry = this.entries.get(requestId);
+    if (!entry) return;
+
+    entry.finishedAt = timestamp;
+    entry.error = errorText;
+  }
+
+  /**
+   * HAR timings of an entry from its CDP resource timing
+   * @param {Object} entry - Recorded entry
+   * @returns {Object} - { timings, time }
+   */
+  static timings({ timing, startedAt, finishedAt }) {
+    const total = finishedAt ? Math.round((finishedAt - startedAt) * 1000) : -1;
+    if (!timing) {
+      return { timings: { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: Math.max(total, 0), receive: 0 }, time: Math.max(total, 0) };
+    }
+
+    const timings = {
+      blocked: Math.max(0, Math.round((timing.requestTime - startedAt) * 1000)),
+      dns: phase(timing.dnsStart, timing.dnsEnd),
+      connect: phase(timing.connectStart, timing.connectEnd),
+      ssl: phase(timing.sslStart, timing.sslEnd),
+      send: phase(timing.sendStart, timing.sendEnd),
+      wait: phase(timing.sendEnd, timing.receiveHeadersEnd),
+      receive: finishedAt ? Math.max(0, Math.round((finishedAt - timing.requestTime) * 1000 - timing.receiveHeadersEnd)) : 0
+    };
+    // ssl is part of connect in HAR 1.2, so it is not added again
+    const time = ['blocked', 'dns', 'connect', 'send', 'wait', 'receive']
+      .reduce((sum, name) => sum + Math.max(timings[name], 0), 0);
+    return { timings, time: Math.round(time) };
+  }
+
+  /**
+   * Build the HAR 1.2 document of the traffic recorded so far
+   * @param {string} [title] - Page title, e.g. the page URL
+   * @returns {Object} - HAR document
+   */
+  toHar(title = '') {
+    const entries = Array.from(this.entries.values())
+      .sort((a, b) => a.startedAt - b.startedAt)
+      .map((entry) => {
+        const { timings, time } = HarRecorder.timings(entry);
+        return {
+          pageref: PAGE_REF,
+          startedDateTime: entry.startedDateTime,
+          time,
+          request: entry.request,
+          response: entry.response || {
+            status: 0,
+            statusText: '',
+            httpVersion: entry.request.httpVersion,
+            headers: [],
+            cookies: [],
+            content: { size: 0, mimeType: '' },
+            redirectURL: '',
+            headersSize: -1,
+            bodySize: -1
+          },
+          cache: {},
+          timings,
+          ...(entry.serverIPAddress ? { serverIPAddress: entry.serverIPAddress } : {}),
+          _resourceType: entry.resourceType,
+          ...(entry.error ? { _error: entry.error } : {})
+        };
+      });
+
+    return {
+      log: {
+        version: '1.2',
+        creator: HAR_CREATOR,
+        pages: [{ startedDateTime: this.startedDateTime, id: PAGE_REF, title, pageTimings: {} }],
+        entries
+      }
+    };
+  }
+}
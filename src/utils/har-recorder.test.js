@@ -0,0 +1,216 @@
+/**
+ * HAR recorder tests
+ * Replays Chrome DevTools Protocol network events of a redirected document
+ * and a failed request through a HarRecorder and checks the HAR entries:
+ * one entry per redirect hop, timings from the CDP resource timing, and
+ * redacted credentials
+ *
+ * Usage:
+ *   node src/utils/har-recorder.test.js
+ */
+
+import { runTestCases } from '../test/test-cases.js';
+import { HarRecorder } from './har-recorder.js';
+
+// Monotonic CDP timestamps (seconds) and the wall clock at the first request
+const T0 = 100;
+const WALL_TIME = Date.parse('2025-01-01T00:00:00.000Z') / 1000;
+
+const HTTP_URL = 'http://ritzcarlton.com/hotels/?lang=en';
+const HTTPS_URL = 'https://www.ritzcarlton.com/en/hotels/';
+const PIXEL_URL = 'https://tracker.example.com/pixel.gif';
+
+/**
+ * CDP session stand-in that lets the test emit events
+ * @returns {Object} - { on, off, emit, listenerCount }
+ */
+function createClient() {
+  const listeners = new Map();
+  return {
+    on(event, listener) {
+      listeners.set(event, [...(listeners.get(event) || []), listener]);
+    },
+    off(event, listener) {
+      listeners.set(event, (listeners.get(event) || []).filter(registered => registered !== listener));
+    },
+    emit(event, payload) {
+      (listeners.get(event) || []).forEach(listener => listener(payload));
+    },
+    listenerCount() {
+      return Array.from(listeners.values()).reduce((sum, registered) => sum + registered.length, 0);
+    }
+  };
+}
+
+/**
+ * CDP resource timing: requestTime in seconds, phase offsets in ms from it (-1 when skipped)
+ * @param {number} requestTime - Request start
+ * @param {Object} offsets - Phase offsets
+ * @returns {Object}
+ */
+function resourceTiming(requestTime, offsets) {
+  return {
+    requestTime,
+    dnsStart: -1,
+    dnsEnd: -1,
+    connectStart: -1,
+    connectEnd: -1,
+    sslStart: -1,
+    sslEnd: -1,
+    ...offsets
+  };
+}
+
+/**
+ * Record a document redirected from HTTP to HTTPS and a blocked tracking pixel
+ * @returns {Object} - HAR document
+ */
+function recordRedirectedDocument() {
+  const client = createClient();
+  const recorder = new HarRecorder(client).start();
+
+  client.emit('Network.requestWillBeSent', {
+    requestId: '1',
+    timestamp: T0,
+    wallTime: WALL_TIME,
+    type: 'Document',
+    request: { method: 'GET', url: HTTP_URL, headers: { 'User-Agent': 'Mozilla/5.0', Cookie: 'session=secret' } }
+  });
+  client.emit('Network.requestWillBeSent', {
+    requestId: '1',
+    timestamp: T0 + 0.2,
+    wallTime: WALL_TIME + 0.2,
+    type: 'Document',
+    request: { method: 'GET', url: HTTPS_URL, headers: { 'User-Agent': 'Mozilla/5.0', Authorization: 'Bearer token' } },
+    redirectResponse: {
+      status: 301,
+      statusText: 'Moved Permanently',
+      headers: { location: HTTPS_URL, 'Set-Cookie': 'tracking=1' },
+      timing: resourceTiming(T0, { dnsStart: 0, dnsEnd: 20, connectStart: 20, connectEnd: 50, sendStart: 50, sendEnd: 51, receiveHeadersEnd: 150 })
+    }
+  });
+  client.emit('Network.responseReceived', {
+    requestId: '1',
+    response: {
+      status: 200,
+      statusText: 'OK',
+      protocol: 'h2',
+      mimeType: 'text/html',
+      remoteIPAddress: '203.0.113.10',
+      headers: { 'content-type': 'text/html' },
+      timing: resourceTiming(T0 + 0.21, { connectStart: 1, connectEnd: 31, sslStart: 10, sslEnd: 31, sendStart: 31, sendEnd: 32, receiveHeadersEnd: 150 })
+    }
+  });
+  client.emit('Network.loadingFinished', { requestId: '1', timestamp: T0 + 0.5, encodedDataLength: 5120 });
+
+  client.emit('Network.requestWillBeSent', {
+    requestId: '2',
+    timestamp: T0 + 0.6,
+    wallTime: WALL_TIME + 0.6,
+    type: 'Image',
+    request: { method: 'GET', url: PIXEL_URL, headers: {} }
+  });
+  client.emit('Network.loadingFailed', { requestId: '2', timestamp: T0 + 0.65, errorText: 'net::ERR_BLOCKED_BY_CLIENT' });
+  // Events of requests recorded before the recorder started are ignored
+  client.emit('Network.responseReceived', { requestId: 'unknown', response: { status: 200, headers: {} } });
+
+  return recorder.toHar(HTTPS_URL);
+}
+
+const cases = [
+  {
+    name: 'document is a HAR 1.2 log with one page',
+    run: () => {
+      const { log } = recordRedirectedDocument();
+      return [log.version, log.pages.map(page => [page.id, page.title]), log.entries.map(entry => entry.pageref)];
+    },
+    expected: ['1.2', [['page_1', HTTPS_URL]], ['page_1', 'page_1', 'page_1']]
+  },
+  {
+    name: 'redirect hop and final response are separate entries in order',
+    run: () => recordRedirectedDocument().log.entries.map(entry => [entry.request.url, entry.response.status, entry.response.redirectURL]),
+    expected: [[HTTP_URL, 301, HTTPS_URL], [HTTPS_URL, 200, ''], [PIXEL_URL, 0, '']]
+  },
+  {
+    name: 'entries start at the wall clock time of their request',
+    run: () => recordRedirectedDocument().log.entries.map(entry => entry.startedDateTime),
+    expected: ['2025-01-01T00:00:00.000Z', '2025-01-01T00:00:00.200Z', '2025-01-01T00:00:00.600Z']
+  },
+  {
+    name: 'redirect hop timings come from the redirect response',
+    run: () => {
+      const [redirect] = recordRedirectedDocument().log.entries;
+      return [redirect.timings, redirect.time];
+    },
+    expected: [{ blocked: 0, dns: 20, connect: 30, ssl: -1, send: 1, wait: 99, receive: 50 }, 200]
+  },
+  {
+    name: 'final response timings skip phases that did not happen and do not add ssl twice',
+    run: () => {
+      const [, document] = recordRedirectedDocument().log.entries;
+      return [document.timings, document.time];
+    },
+    expected: [{ blocked: 10, dns: -1, connect: 30, ssl: 21, send: 1, wait: 118, receive: 140 }, 299]
+  },
+  {
+    name: 'response details and body size are recorded',
+    run: () => {
+      const [, document] = recordRedirectedDocument().log.entries;
+      const { _resourceType: resourceType } = document;
+      return [document.request.httpVersion, document.response.httpVersion, document.response.content, document.response.bodySize, document.serverIPAddress, resourceType];
+    },
+    expected: ['h2', 'h2', { size: 5120, mimeType: 'text/html' }, 5120, '203.0.113.10', 'Document']
+  },
+  {
+    name: 'query string is parsed from the request URL',
+    run: () => recordRedirectedDocument().log.entries[0].request.queryString,
+    expected: [{ name: 'lang', value: 'en' }]
+  },
+  {
+    name: 'credential headers are redacted in requests and responses',
+    run: () => {
+      const [redirect, document] = recordRedirectedDocument().log.entries;
+      return [redirect.request.headers, redirect.response.headers, document.request.headers];
+    },
+    expected: [
+      [{ name: 'User-Agent', value: 'Mozilla/5.0' }, { name: 'Cookie', value: '[REDACTED]' }],
+      [{ name: 'location', value: HTTPS_URL }, { name: 'Set-Cookie', value: '[REDACTED]' }],
+      [{ name: 'User-Agent', value: 'Mozilla/5.0' }, { name: 'Authorization', value: '[REDACTED]' }]
+    ]
+  },
+  {
+    name: 'failed request has an empty response, its error and its duration as wait',
+    run: () => {
+      const [, , pixel] = recordRedirectedDocument().log.entries;
+      const { _error: error } = pixel;
+      return [pixel.response.status, error, pixel.timings, pixel.time];
+    },
+    expected: [0, 'net::ERR_BLOCKED_BY_CLIENT', { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: 50, receive: 0 }, 50]
+  },
+  {
+    name: 'unfinished request has no duration',
+    run: () => HarRecorder.timings({ timing: null, startedAt: T0, finishedAt: null }),
+    expected: { timings: { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: 0, receive: 0 }, time: 0 }
+  },
+  {
+    name: 'stop detaches every listener',
+    run: () => {
+      const client = createClient();
+      const recorder = new HarRecorder(client).start();
+      const attached = client.listenerCount();
+      recorder.stop();
+      client.emit('Network.requestWillBeSent', { requestId: '1', timestamp: T0, wallTime: WALL_TIME, type: 'Document', request: { method: 'GET', url: HTTPS_URL } });
+      return [attached, client.listenerCount(), recorder.toHar().log.entries.length];
+    },
+    expected: [4, 0, 0]
+  }
+];
+
+async function runTests() {
+  await runTestCases('HAR Recorder', cases);
+}
+
+// Always run tests when this file is executed
+runTests();
+
+export { runTests };
@@ -0,0 +1,218 @@
+/**
+ * History Utility
+ * Appends each run's observations to a per-Marsha timeline: when a hotel was
+ * first and last seen, when it left or rejoined the portfolio, and its
+ * live/dead, brand and name history. Each timeline is its own key-value
+ * record (HOTEL-<MARSHA>), so the store grows by hotel rather than one record
+ * growing with the portfolio; an INDEX record lists the hotels in the
+ * portfolio and their brand
+ */
+
+import { cleanText } from './data-cleaner.js';
+import { RESOLUTION_OUTCOMES } from './resolution.js';
+
+// Named key-value store holding the timelines between runs
+export const HISTORY_STORE_NAME = 'hotel-history';
+export const HISTORY_INDEX_KEY = 'INDEX';
+
+// Single record holding every timeline, written by earlier versions
+const LEGACY_HISTORY_KEY = 'HISTORY';
+
+// Records read or written at once
+const BATCH_SIZE = 20;
+
+/**
+ * Key of a hotel's timeline record
+ * @param {string} marshaCode - Marsha code
+ * @returns {string}
+ */
+export function historyKey(marshaCode) {
+  return `HOTEL-${marshaCode}`;
+}
+
+/**
+ * Create an empty timeline record
+ * @param {string} marshaCode - Marsha code
+ * @param {string} observedAt - ISO timestamp of the run
+ * @returns {Object} - Timeline record
+ */
+function createTimeline(marshaCode, observedAt) {
+  return {
+    marsha_code: marshaCode,
+    first_seen: observedAt,
+    last_seen: observedAt,
+    left_portfolio_at: null,
+    runs_seen: 0,
+    current: null,
+    presence: [],
+    live_transitions: [],
+    brand_history: [],
+    name_history: []
+  };
+}
+
+/**
+ * Copy a stored timeline record so the previous history is left untouched
+ * @param {Object} timeline - Timeline record
+ * @returns {Object} - Copy
+ */
+function copyTimeline(timeline) {
+  return {
+    ...timeline,
+    presence: timeline.presence.map(entry => ({ ...entry })),
+    live_transitions: [...timeline.live_transitions],
+    brand_history: timeline.brand_history.map(entry => ({ ...entry })),
+    name_history: timeline.name_history.map(entry => ({ ...entry }))
+  };
+}
+
+/**
+ * Record one observation of a hotel in its timeline
+ * @param {Object|null} previous - Stored timeline record, null for a new hotel
+ * @param {Object} hotel - Cleaned hotel record
+ * @param {Object} observation - { brandKey, resolution, observedAt }; the liveness of a hotel
+ *   whose URL was not resolved is unknown, so it keeps its last known liveness
+ * @returns {Object} - Updated timeline record
+ */
+export function observeHotel(previous, hotel, { brandKey, resolution, observedAt }) {
+  const timeline = previous ? copyTimeline(previous) : createTimeline(hotel.marsha_code, observedAt);
+
+  // Presence periods: a new period starts when the hotel (re)joins the portfolio
+  const period = timeline.presence[timeline.presence.length - 1];
+  if (!period || period.left_at) {
+    timeline.presence.push({ first_seen: observedAt, last_seen: observedAt, left_at: null });
+  } else {
+    period.last_seen = observedAt;
+  }
+
+  const lastLive = timeline.live_transitions[timeline.live_transitions.length - 1];
+  const isLive = resolution === RESOLUTION_OUTCOMES.UNRESOLVED ? lastLive?.is_live ?? null : hotel.is_live;
+  if (isLive !== null && (!lastLive || lastLive.is_live !== isLive)) {
+    timeline.live_transitions.push({ is_live: isLive, at: observedAt });
+  }
+
+  const lastBrand = timeline.brand_history[timeline.brand_history.length - 1];
+  if (lastBrand && lastBrand.brand_key === brandKey && lastBrand.brand_code === hotel.brand_code) {
+    lastBrand.last_seen = observedAt;
+  } else {
+    timeline.brand_history.push({ brand_key: brandKey, brand_code: hotel.brand_code, first_seen: observedAt, last_seen: observedAt });
+  }
+
+  const lastName = timeline.name_history[timeline.name_history.length - 1];
+  if (lastName && cleanText(lastName.hotel_name).toLowerCase() === cleanText(hotel.hotel_name).toLowerCase()) {
+    lastName.last_seen = observedAt;
+  } else {
+    timeline.name_history.push({ hotel_name: hotel.hotel_name, first_seen: observedAt, last_seen: observedAt });
+  }
+
+  return {
+    ...timeline,
+    last_seen: observedAt,
+    left_portfolio_at: null,
+    runs_seen: timeline.runs_seen + 1,
+    current: {
+      hotel_name: hotel.hotel_name,
+      url: hotel.url,
+      brand_key: brandKey,
+      brand_code: hotel.brand_code,
+      is_live: isLive ?? hotel.is_live
+    }
+  };
+}
+
+/**
+ * Record that a hotel left the portfolio
+ * @param {Object} previous - Stored timeline record
+ * @param {string} observedAt - ISO timestamp of the run
+ * @returns {Object} - Updated timeline record
+ */
+export function markLeft(previous, observedAt) {
+  const timeline = copyTimeline(previous);
+  const period = timeline.presence[timeline.presence.length - 1];
+  if (period && !period.left_at) {
+    period.left_at = observedAt;
+  }
+  return { ...timeline, left_portfolio_at: observedAt };
+}
+
+/**
+ * Run an async step for every item, BATCH_SIZE items at a time
+ * @param {Array} items - Items
+ * @param {Function} step - async (item) => result
+ * @returns {Promise<Array>} - Results in item order
+ */
+async function inBatches(items, step) {
+  const results = [];
+  for (let start = 0; start < items.length; start += BATCH_SIZE) {
+    results.push(...await Promise.all(items.slice(start, start + BATCH_SIZE).map(step)));
+  }
+  return results;
+}
+
+/**
+ * Read the index of hotels in the portfolio, splitting the single HISTORY
+ * record of earlier versions into per-hotel records on first use
+ * @param {KeyValueStore} store - History store
+ * @returns {Promise<Object>} - Brand key of every hotel in the portfolio, keyed by Marsha code
+ */
+async function readIndex(store) {
+  const index = await store.getValue(HISTORY_INDEX_KEY);
+  if (index) return index.hotels;
+
+  const legacy = await store.getValue(LEGACY_HISTORY_KEY);
+  if (!legacy) return {};
+
+  const timelines = Object.values(legacy.hotels || {});
+  await inBatches(timelines, timeline => store.setValue(historyKey(timeline.marsha_code), timeline));
+  await store.setValue(LEGACY_HISTORY_KEY, null);
+  return Object.fromEntries(timelines
+    .filter(timeline => !timeline.left_portfolio_at)
+    .map(timeline => [timeline.marsha_code, timeline.current?.brand_key]));
+}
+
+/**
+ * Append a run's observations to the history in a key-value store
+ * @param {KeyValueStore} store - History store
+ * @param {Array<Object>} hotels - The run's deduplicated, sorted hotels
+ * @param {Object} options - Run details
+ * @param {string} options.observedAt - ISO timestamp of the run
+ * @param {Function} options.brandKeyOf - (marshaCode) => brand key the hotel was scraped for
+ * @param {Function} options.resolutionOf - (marshaCode) => outcome of the hotel's URL resolution (RESOLUTION_OUTCOMES)
+ * @param {Array<string>} options.comparedBrandKeys - Brands fully scraped in this run; their unseen hotels left the portfolio
+ * @returns {Promise<Object>} - { observed, left }: Marsha codes of the hotels seen and of those that left
+ */
+export async function updateHistory(store, hotels, { observedAt, brandKeyOf, resolutionOf, comparedBrandKeys }) {
+  const index = await readIndex(store);
+
+  const observed = await inBatches(hotels, async (hotel) => {
+    const key = historyKey(hotel.marsha_code);
+    const timeline = observeHotel(await store.getValue(key), hotel, {
+      brandKey: brandKeyOf(hotel.marsha_code),
+      resolution: resolutionOf(hotel.marsha_code),
+      observedAt
+    });
+    await store.setValue(key, timeline);
+    return hotel.marsha_code;
+  });
+
+  // Hotels of the scraped brands that were not seen in this run have left the portfolio
+  const seen = new Set(observed);
+  const left = Object.entries(index)
+    .filter(([marshaCode, brandKey]) => !seen.has(marshaCode) && comparedBrandKeys.includes(brandKey))
+    .map(([marshaCode]) => marshaCode);
+  await inBatches(left, async (marshaCode) => {
+    const key = historyKey(marshaCode);
+    const timeline = await store.getValue(key);
+    if (timeline) {
+      await store.setValue(key, markLeft(timeline, observedAt));
+    }
+  });
+
+  const portfolio = Object.fromEntries(Object.entries(index).filter(([marshaCode]) => !left.includes(marshaCode)));
+  for (const marshaCode of observed) {
+    portfolio[marshaCode] = brandKeyOf(marshaCode);
+  }
+  await store.setValue(HISTORY_INDEX_KEY, { updated_at: observedAt, hotels: portfolio });
+
+  return { observed, left };
+}
@@ -0,0 +1,212 @@
+/**
+ * History tests
+ * Runs updateHistory against an in-memory key-value store: one record per
+ * hotel, hotels leaving and rejoining the portfolio, unresolved liveness and
+ * the split of the single HISTORY record of earlier versions
+ *
+ * Usage:
+ *   node src/utils/history.test.js
+ */
+
+import { runTestCases } from '../test/test-cases.js';
+import { HISTORY_INDEX_KEY, historyKey, updateHistory } from './history.js';
+import { RESOLUTION_OUTCOMES } from './resolution.js';
+
+const { LIVE, DEAD, UNRESOLVED } = RESOLUTION_OUTCOMES;
+
+const RUNS = ['2025-01-01T00:00:00.000Z', '2025-01-08T00:00:00.000Z', '2025-01-15T00:00:00.000Z'];
+
+/**
+ * In-memory stand-in for a key-value store; setting null deletes the record
+ * @param {Object} initialRecords - Initial records keyed by record key
+ * @returns {Object} - { records, getValue, setValue }
+ */
+function createStore(initialRecords = {}) {
+  const records = { ...initialRecords };
+  return {
+    records,
+    async getValue(key) {
+      return records[key] ?? null;
+    },
+    async setValue(key, value) {
+      if (value === null) {
+        delete records[key];
+      } else {
+        records[key] = structuredClone(value);
+      }
+    }
+  };
+}
+
+/**
+ * Cleaned hotel record
+ * @param {string} marshaCode - Marsha code
+ * @param {Object} fields - Fields overriding the defaults
+ * @returns {Object}
+ */
+function hotel(marshaCode, fields = {}) {
+  return {
+    marsha_code: marshaCode,
+    hotel_name: `Hotel ${marshaCode}`,
+    url: `https://www.marriott.com/en-us/hotels/${marshaCode.toLowerCase()}/overview/`,
+    brand_code: marshaCode.slice(3),
+    is_live: true,
+    ...fields
+  };
+}
+
+/**
+ * Append one run to the history
+ * @param {Object} store - History store
+ * @param {number} run - Index into RUNS
+ * @param {Array<Object>} hotels - Hotels of the run, with an optional resolution field
+ * @param {Array<string>} comparedBrandKeys - Brands fully scraped in the run
+ * @returns {Promise<Object>} - { observed, left }
+ */
+function record(store, run, hotels, comparedBrandKeys = ['ritzcarlton']) {
+  const resolutions = Object.fromEntries(hotels.map(entry => [entry.marsha_code, entry.resolution || (entry.is_live ? LIVE : DEAD)]));
+  const brandKeys = Object.fromEntries(hotels.map(entry => [entry.marsha_code, entry.brand_key || 'ritzcarlton']));
+  return updateHistory(store, hotels, {
+    observedAt: RUNS[run],
+    brandKeyOf: marshaCode => brandKeys[marshaCode],
+    resolutionOf: marshaCode => resolutions[marshaCode],
+    comparedBrandKeys
+  });
+}
+
+const cases = [
+  {
+    name: 'each hotel gets its own record, listed in the index',
+    run: async () => {
+      const store = createStore();
+      await record(store, 0, [hotel('TYORZ'), hotel('LONSI', { brand_key: 'sheraton' })], ['ritzcarlton', 'sheraton']);
+      return Object.keys(store.records).sort().concat(JSON.stringify(store.records[HISTORY_INDEX_KEY].hotels));
+    },
+    expected: [historyKey('LONSI'), historyKey('TYORZ'), HISTORY_INDEX_KEY, '{"TYORZ":"ritzcarlton","LONSI":"sheraton"}']
+  },
+  {
+    name: 'first observation starts a timeline',
+    run: async () => {
+      const store = createStore();
+      await record(store, 0, [hotel('TYORZ')]);
+      const timeline = store.records[historyKey('TYORZ')];
+      return {
+        first_seen: timeline.first_seen,
+        runs_seen: timeline.runs_seen,
+        presence: timeline.presence,
+        live_transitions: timeline.live_transitions,
+        is_live: timeline.current.is_live
+      };
+    },
+    expected: {
+      first_seen: RUNS[0],
+      runs_seen: 1,
+      presence: [{ first_seen: RUNS[0], last_seen: RUNS[0], left_at: null }],
+      live_transitions: [{ is_live: true, at: RUNS[0] }],
+      is_live: true
+    }
+  },
+  {
+    name: 'repeated observations extend the history entries',
+    run: async () => {
+      const store = createStore();
+      await record(store, 0, [hotel('TYORZ')]);
+      await record(store, 1, [hotel('TYORZ')]);
+      const timeline = store.records[historyKey('TYORZ')];
+      return [timeline.runs_seen, timeline.last_seen, timeline.presence.length, timeline.live_transitions.length, timeline.name_history[0].last_seen];
+    },
+    expected: [2, RUNS[1], 1, 1, RUNS[1]]
+  },
+  {
+    name: 'rename and rebrand are appended to the name and brand history',
+    run: async () => {
+      const store = createStore();
+      await record(store, 0, [hotel('TYORZ')]);
+      await record(store, 1, [hotel('TYORZ', { hotel_name: 'The Tokyo EDITION', brand_code: 'EB' })]);
+      const timeline = store.records[historyKey('TYORZ')];
+      return [timeline.name_history.map(entry => entry.hotel_name), timeline.brand_history.map(entry => entry.brand_code)];
+    },
+    expected: [['Hotel TYORZ', 'The Tokyo EDITION'], ['RZ', 'EB']]
+  },
+  {
+    name: 'resolved dead hotel records a live transition',
+    run: async () => {
+      const store = createStore();
+      await record(store, 0, [hotel('TYORZ')]);
+      await record(store, 1, [hotel('TYORZ', { is_live: false })]);
+      return store.records[historyKey('TYORZ')].live_transitions;
+    },
+    expected: [{ is_live: true, at: RUNS[0] }, { is_live: false, at: RUNS[1] }]
+  },
+  {
+    name: 'unresolved hotel keeps its last known liveness',
+    run: async () => {
+      const store = createStore();
+      await record(store, 0, [hotel('TYORZ')]);
+      await record(store, 1, [hotel('TYORZ', { is_live: false, resolution: UNRESOLVED })]);
+      const timeline = store.records[historyKey('TYORZ')];
+      return [timeline.live_transitions.length, timeline.current.is_live];
+    },
+    expected: [1, true]
+  },
+  {
+    name: 'missing hotel of a scraped brand leaves the portfolio',
+    run: async () => {
+      const store = createStore();
+      await record(store, 0, [hotel('TYORZ'), hotel('OSARZ')]);
+      const { left } = await record(store, 1, [hotel('TYORZ')]);
+      const timeline = store.records[historyKey('OSARZ')];
+      return [left, timeline.left_portfolio_at, timeline.presence[0].left_at, Object.keys(store.records[HISTORY_INDEX_KEY].hotels)];
+    },
+    expected: [['OSARZ'], RUNS[1], RUNS[1], ['TYORZ']]
+  },
+  {
+    name: 'missing hotel of a brand not scraped stays in the portfolio',
+    run: async () => {
+      const store = createStore();
+      await record(store, 0, [hotel('TYORZ'), hotel('LONSI', { brand_key: 'sheraton' })], ['ritzcarlton', 'sheraton']);
+      const { left } = await record(store, 1, [hotel('TYORZ')]);
+      return [left, store.records[historyKey('LONSI')].left_portfolio_at, Object.keys(store.records[HISTORY_INDEX_KEY].hotels).sort()];
+    },
+    expected: [[], null, ['LONSI', 'TYORZ']]
+  },
+  {
+    name: 'returning hotel starts a new presence period',
+    run: async () => {
+      const store = createStore();
+      await record(store, 0, [hotel('OSARZ')]);
+      await record(store, 1, []);
+      await record(store, 2, [hotel('OSARZ')]);
+      const timeline = store.records[historyKey('OSARZ')];
+      return [timeline.left_portfolio_at, timeline.presence];
+    },
+    expected: [null, [
+      { first_seen: RUNS[0], last_seen: RUNS[0], left_at: RUNS[1] },
+      { first_seen: RUNS[2], last_seen: RUNS[2], left_at: null }
+    ]]
+  },
+  {
+    name: 'single HISTORY record of earlier versions is split into per-hotel records',
+    run: async () => {
+      const legacyStore = createStore();
+      await record(legacyStore, 0, [hotel('TYORZ'), hotel('OSARZ')]);
+      const timelines = {
+        TYORZ: legacyStore.records[historyKey('TYORZ')],
+        OSARZ: legacyStore.records[historyKey('OSARZ')]
+      };
+      const store = createStore({ HISTORY: { updated_at: RUNS[0], hotels: timelines } });
+      const { left } = await record(store, 1, [hotel('TYORZ')]);
+      return [left, Object.keys(store.records).sort(), store.records[historyKey('TYORZ')].runs_seen];
+    },
+    expected: [['OSARZ'], [historyKey('OSARZ'), historyKey('TYORZ'), HISTORY_INDEX_KEY], 2]
+  }
+];
+
+async function runTests() {
+  await runTestCases('History', cases);
+}
+
+// Always run tests when this file is executed
+runTests();
+
+export { runTests };
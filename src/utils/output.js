@@ -0,0 +1,116 @@
+/**
+ * Output Utility
+ * Writes a run's records in one of two layouts:
+ *
+ * - mixed: hotels, errors, report records (brand_metadata, strategy_health,
+ *   change, change_report) and the final metadata record all go to the default
+ *   dataset, told apart by their `type`
+ * - separate: hotels go to the default dataset, errors to the named `errors`
+ *   dataset, and the report records and metadata to the `OUTPUT` record of the
+ *   default key-value store, so the default dataset exports as hotels only.
+ *   A named dataset outlives the run, so each error record carries the run's
+ *   `run_id` and `scraped_at` to tell the runs it accumulates apart. The
+ *   OUTPUT record is rewritten as reports are pushed, so a run that fails
+ *   before finishing keeps the reports it wrote
+ */
+
+export const OUTPUT_LAYOUTS = ['mixed', 'separate'];
+export const ERRORS_DATASET_NAME = 'errors';
+export const OUTPUT_KEY = 'OUTPUT';
+
+export class RunOutput {
+  /**
+   * @param {string} layout - One of OUTPUT_LAYOUTS
+   * @param {Object} targets - { dataset, errorsDataset, store }: the default dataset, and for the
+   *   separate layout the errors dataset and the key-value store of the OUTPUT record
+   * @param {Object} run - { runId, scrapedAt }: the platform run ID (null outside the platform) and the run's start time
+   */
+  constructor(layout, { dataset, errorsDataset = null, store = null }, { runId = null, scrapedAt = new Date().toISOString() } = {}) {
+    if (layout === 'separate' && (!errorsDataset || !store)) {
+      throw new Error('The separate output layout needs an errors dataset and a key-value store');
+    }
+    this.layout = layout;
+    this.dataset = dataset;
+    this.errorsDataset = errorsDataset;
+    this.store = store;
+    this.run = { run_id: runId, scraped_at: scrapedAt };
+    // Report records of the separate layout, by type
+    this.reports = {};
+  }
+
+  /**
+   * Push hotel records to the default dataset, typed 'hotel' in the mixed layout
+   * @param {Object|Array<Object>} hotels - Hotel record(s)
+   */
+  async pushHotels(hotels) {
+    if (this.layout === 'mixed') {
+      await this.dataset.pushData([].concat(hotels).map(hotel => ({ type: 'hotel', ...hotel })));
+      return;
+    }
+    await this.dataset.pushData(hotels);
+  }
+
+  /**
+   * Push an error record, typed 'error'; in the separate layout it is tagged with the run
+   * @param {Object} error - Error record
+   */
+  async pushError(error) {
+    if (this.layout === 'mixed') {
+      await this.dataset.pushData({ type: 'error', ...error });
+      return;
+    }
+    await this.errorsDataset.pushData({ type: 'error', ...error, ...this.run });
+  }
+
+  /**
+   * Push typed report records (brand_metadata, strategy_health, change, change_report);
+   * in the separate layout the OUTPUT record is rewritten once per push
+   * @param {Object|Array<Object>} records - Record(s) with a `type`
+   */
+  async pushReport(records) {
+    if (this.layout === 'mixed') {
+      await this.dataset.pushData(records);
+      return;
+    }
+
+    for (const record of [].concat(records)) {
+      if (!this.reports[record.type]) {
+        this.reports[record.type] = [];
+      }
+      this.reports[record.type].push(record);
+    }
+    await this.writeOutput(null);
+  }
+
+  /**
+   * Write the OUTPUT record of the separate layout
+   * @param {Object|null} metadata - Run metadata, null until the run finishes
+   * @returns {Promise<Object>} - The OUTPUT record
+   */
+  async writeOutput(metadata) {
+    const output = {
+      type: 'output',
+      layout: this.layout,
+      ...this.run,
+      errors_dataset: ERRORS_DATASET_NAME,
+      complete: metadata !== null,
+      metadata: metadata ? { type: 'metadata', ...metadata } : null,
+      records: this.reports
+    };
+    await this.store.setValue(OUTPUT_KEY, output);
+    return output;
+  }
+
+  /**
+   * Write the run metadata, after every other record
+   * @param {Object} metadata - Run metadata
+   * @returns {Promise<Object|null>} - The OUTPUT record of the separate layout, null for mixed
+   */
+  async finish(metadata) {
+    if (this.layout === 'mixed') {
+      await this.dataset.pushData({ type: 'metadata', ...metadata });
+      return null;
+    }
+    return this.writeOutput(metadata);
+  }
+}
@@ -0,0 +1,175 @@
+/**
+ * Output layout tests
+ * Writes hotels, errors, report records and the run metadata through a
+ * RunOutput in each layout, into in-memory datasets and a key-value store, and
+ * checks where each record type ends up, that the errors of the separate
+ * layout carry their run and that its OUTPUT record is written as reports
+ * are pushed
+ *
+ * Usage:
+ *   node src/utils/output.test.js
+ */
+
+import { isDeepStrictEqual } from 'node:util';
+
+import { runTestCases } from '../test/test-cases.js';
+import { ERRORS_DATASET_NAME, OUTPUT_KEY, RunOutput } from './output.js';
+
+const RUN = { runId: 'aBcD1234', scrapedAt: '2025-01-01T00:00:00.000Z' };
+
+const HOTEL = { marsha_code: 'TYORZ', hotel_name: 'The Ritz-Carlton, Tokyo' };
+const ERROR = { category: 'timeout_error', cause: 'slow_load', url: 'https://www.ritzcarlton.com/en/hotels/' };
+const BRAND_METADATA = { type: 'brand_metadata', brand_key: 'ritz_carlton' };
+const CHANGE = { type: 'change', marsha_code: 'TYORZ', change: 'added' };
+const METADATA = { total_hotels: 1, scraped_at: RUN.scrapedAt };
+
+/**
+ * Dataset stand-in that keeps its pushed records
+ * @returns {Object} - { items, pushData }
+ */
+function createDataset() {
+  const items = [];
+  return {
+    items,
+    async pushData(data) {
+      items.push(...[].concat(data));
+    }
+  };
+}
+
+/**
+ * Key-value store stand-in that keeps a copy of its records, as a store
+ * serializes them, and counts its writes
+ * @returns {Object} - { records, writes, setValue }
+ */
+function createStore() {
+  const store = {
+    records: {},
+    writes: 0,
+    async setValue(key, value) {
+      store.records[key] = structuredClone(value);
+      store.writes += 1;
+    }
+  };
+  return store;
+}
+
+/**
+ * Write one record of each type through an output of a layout
+ * @param {string} layout - Output layout
+ * @returns {Promise<Object>} - { dataset, errorsDataset, store, finished }: the targets' contents and finish()'s result
+ */
+async function writeRun(layout) {
+  const targets = { dataset: createDataset(), errorsDataset: createDataset(), store: createStore() };
+  const output = new RunOutput(layout, targets, RUN);
+  await output.pushHotels([HOTEL]);
+  await output.pushError(ERROR);
+  await output.pushReport(BRAND_METADATA);
+  await output.pushReport(CHANGE);
+  const finished = await output.finish(METADATA);
+  return {
+    dataset: targets.dataset.items,
+    errorsDataset: targets.errorsDataset.items,
+    store: targets.store.records,
+    finished
+  };
+}
+
+const cases = [
+  {
+    name: 'mixed layout writes every record to the default dataset, metadata last',
+    run: () => writeRun('mixed'),
+    expected: {
+      dataset: [{ type: 'hotel', ...HOTEL }, { type: 'error', ...ERROR }, BRAND_METADATA, CHANGE, { type: 'metadata', ...METADATA }],
+      errorsDataset: [],
+      store: {},
+      finished: null
+    }
+  },
+  {
+    name: 'separate layout writes only hotels to the default dataset',
+    run: async () => (await writeRun('separate')).dataset,
+    expected: [HOTEL]
+  },
+  {
+    name: 'separate layout writes errors, tagged with the run, to the errors dataset',
+    run: async () => (await writeRun('separate')).errorsDataset,
+    expected: [{ type: 'error', ...ERROR, run_id: RUN.runId, scraped_at: RUN.scrapedAt }]
+  },
+  {
+    name: 'separate layout writes reports and metadata to the OUTPUT record',
+    run: async () => {
+      const { store, finished } = await writeRun('separate');
+      return [Object.keys(store), isDeepStrictEqual(store[OUTPUT_KEY], finished), finished];
+    },
+    expected: [[OUTPUT_KEY], true, {
+      type: 'output',
+      layout: 'separate',
+      run_id: RUN.runId,
+      scraped_at: RUN.scrapedAt,
+      errors_dataset: ERRORS_DATASET_NAME,
+      complete: true,
+      metadata: { type: 'metadata', ...METADATA },
+      records: { brand_metadata: [BRAND_METADATA], change: [CHANGE] }
+    }]
+  },
+  {
+    name: 'separate layout writes the OUTPUT record with each report, incomplete until finish',
+    run: async () => {
+      const store = createStore();
+      const output = new RunOutput('separate', { dataset: createDataset(), errorsDataset: createDataset(), store }, RUN);
+      await output.pushReport(BRAND_METADATA);
+      const { complete, metadata, records } = store.records[OUTPUT_KEY];
+      return [store.writes, complete, metadata, records];
+    },
+    expected: [1, false, null, { brand_metadata: [BRAND_METADATA] }]
+  },
+  {
+    name: 'a batch of reports is one write, to the OUTPUT record or the mixed dataset',
+    run: async () => {
+      const store = createStore();
+      const dataset = createDataset();
+      const changes = [CHANGE, { ...CHANGE, marsha_code: 'OSARZ' }];
+      await new RunOutput('separate', { dataset: createDataset(), errorsDataset: createDataset(), store }, RUN).pushReport(changes);
+      await new RunOutput('mixed', { dataset }, RUN).pushReport(changes);
+      return [store.writes, store.records[OUTPUT_KEY].records, dataset.items];
+    },
+    expected: [1, { change: [CHANGE, { ...CHANGE, marsha_code: 'OSARZ' }] }, [CHANGE, { ...CHANGE, marsha_code: 'OSARZ' }]]
+  },
+  {
+    name: 'only the mixed layout types hotel records',
+    run: async () => {
+      const mixed = createDataset();
+      const separate = createDataset();
+      await new RunOutput('mixed', { dataset: mixed }, RUN).pushHotels(HOTEL);
+      await new RunOutput('separate', { dataset: separate, errorsDataset: createDataset(), store: createStore() }, RUN).pushHotels([HOTEL, HOTEL]);
+      return [mixed.items, separate.items];
+    },
+    expected: [[{ type: 'hotel', ...HOTEL }], [HOTEL, HOTEL]]
+  },
+  {
+    name: 'errors of runs outside the platform have a null run_id',
+    run: async () => {
+      const errorsDataset = createDataset();
+      const output = new RunOutput('separate', { dataset: createDataset(), errorsDataset, store: createStore() }, { scrapedAt: RUN.scrapedAt });
+      await output.pushError(ERROR);
+      const [{ run_id: runId, scraped_at: scrapedAt }] = errorsDataset.items;
+      return [runId, scrapedAt];
+    },
+    expected: [null, RUN.scrapedAt]
+  },
+  {
+    name: 'separate layout needs an errors dataset and a store',
+    run: () => new RunOutput('separate', { dataset: createDataset() }),
+    throws: /needs an errors dataset and a key-value store/
+  }
+];
+
+async function runTests() {
+  await runTestCases('Output Layouts', cases);
+}
+
+// Always run tests when this file is executed
+runTests();
+
+export { runTests };
@@ -0,0 +1,63 @@
+/**
+ * Page Snapshot Utility
+ * Captures what the browser actually saw when a directory request fails or
+ * finds no hotels: a full-page screenshot and the complete DOM after the
+ * strategy's expansion, stored in a key-value store and referenced from the
+ * error's debug block
+ */
+
+import { sleep } from 'crawlee';
+
+// Long directory pages make large screenshots, so they are stored as JPEG
+const SCREENSHOT_OPTIONS = { fullPage: true, type: 'jpeg', quality: 60 };
+const CAPTURE_TIMEOUT_MS = 15000;
+
+/**
+ * Run a capture step, giving up after CAPTURE_TIMEOUT_MS
+ * @param {Function} capture - Capture step
+ * @returns {Promise<*>}
+ */
+async function withTimeout(capture) {
+  return Promise.race([
+    capture(),
+    sleep(CAPTURE_TIMEOUT_MS).then(() => {
+      throw new Error(`timed out after ${CAPTURE_TIMEOUT_MS / 1000}s`);
+    })
+  ]);
+}
+
+/**
+ * Capture a full-page screenshot and the DOM of a page into a key-value store
+ * @param {Page} page - Puppeteer page object
+ * @param {KeyValueStore} store - Key-value store to save to
+ * @param {string} keyPrefix - Prefix of the record keys, e.g. SNAPSHOT-<requestId>
+ * @param {string} reason - Why the snapshot was taken (error type, challenge, no hotels)
+ * @returns {Promise<Object>} - { reason, page_url, captured_at, screenshot, dom, errors } where
+ *   screenshot and dom are { key, url } or null if that capture failed
+ */
+export async function capturePageSnapshot(page, store, keyPrefix, reason) {
+  const snapshot = {
+    reason,
+    page_url: page.url(),
+    captured_at: new Date().toISOString(),
+    screenshot: null,
+    dom: null,
+    errors: []
+  };
+
+  const captures = [
+    ['screenshot', `${keyPrefix}-screenshot`, 'image/jpeg', () => page.screenshot(SCREENSHOT_OPTIONS)],
+    ['dom', `${keyPrefix}-dom`, 'text/html; charset=utf-8', () => page.content()]
+  ];
+
+  for (const [name, key, contentType, capture] of captures) {
+    try {
+      await store.setValue(key, await withTimeout(capture), { contentType });
+      snapshot[name] = { key, url: store.getPublicUrl(key) };
+    } catch (error) {
+      snapshot.errors.push(`${name}: ${error.message}`);
+    }
+  }
+
+  return snapshot;
+}
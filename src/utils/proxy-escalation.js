@@ -0,0 +1,171 @@
+/**
+ * Proxy Escalation Utility
+ * Moves a request up a ladder of proxy tiers (none → datacenter → residential)
+ * when it is challenged or blocked, so its retries use a harder-to-detect
+ * proxy while the rest of the run stays on the cheaper tier
+ */
+
+import { log, ProxyConfiguration } from 'crawlee';
+
+import { ERROR_CAUSES } from './error-model.js';
+
+// Proxy tiers from cheapest to hardest to detect
+export const PROXY_TIERS = ['none', 'datacenter', 'residential'];
+export const DEFAULT_PROXY_LADDER = [...PROXY_TIERS];
+
+// Apify proxy group of each proxied tier
+const PROXY_GROUPS = {
+  datacenter: 'DATACENTER',
+  residential: 'RESIDENTIAL'
+};
+
+// Classifications that a different proxy can get past
+export const ESCALATING_ERROR_TYPES = [ERROR_CAUSES.CHALLENGE_PAGE, ERROR_CAUSES.BLOCKED];
+
+/**
+ * Resolve the tiers a run may use: the selected proxy type and the ladder's tiers above it
+ * @param {string} proxyType - Selected proxy type
+ * @param {Array<string>} [ladder] - Tiers in escalation order
+ * @param {boolean} [escalate] - Whether requests may escalate at all
+ * @returns {Array<string>} - Tiers, starting with the selected one
+ */
+export function resolveProxyLadder(proxyType, ladder = DEFAULT_PROXY_LADDER, escalate = true) {
+  const invalid = [proxyType, ...ladder].filter(tier => !PROXY_TIERS.includes(tier));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid proxy tier(s): ${invalid.join(', ')}. Expected one of: ${PROXY_TIERS.join(', ')}`);
+  }
+
+  const start = ladder.indexOf(proxyType);
+  if (!escalate || start === -1) {
+    return [proxyType];
+  }
+  return [...new Set(ladder.slice(start))];
+}
+
+/**
+ * Create the proxy configuration of each tier, dropping tiers whose proxy
+ * group is not available
+ * @param {Array<string>} tiers - Tiers in escalation order
+ * @param {Function} createConfiguration - Creates a proxy configuration from { groups } (Actor.createProxyConfiguration)
+ * @returns {Promise<Array<Object>>} - { tier, configuration } per available tier (configuration null for 'none')
+ */
+export async function createProxyLadder(tiers, createConfiguration) {
+  const ladder = [];
+
+  for (const tier of tiers) {
+    if (tier === 'none') {
+      ladder.push({ tier, configuration: null });
+      continue;
+    }
+
+    try {
+      const configuration = await createConfiguration({ groups: [PROXY_GROUPS[tier]] });
+      if (configuration) {
+        ladder.push({ tier, configuration });
+      } else {
+        log.warning(`⚠️ ${tier} proxies are not available, skipping the tier`);
+      }
+    } catch (error) {
+      log.warning(`⚠️ Failed to create the ${tier} proxy configuration, skipping the tier: ${error.message}`);
+    }
+  }
+
+  return ladder;
+}
+
+/**
+ * Index in the ladder of the tier a request currently uses
+ * @param {Request} [request] - Crawlee request
+ * @returns {number}
+ */
+function tierIndex(request) {
+  return request?.userData?.proxyTier || 0;
+}
+
+/**
+ * Name of the tier a request currently uses
+ * @param {Request} request - Crawlee request
+ * @param {Array<Object>} ladder - Ladder from createProxyLadder
+ * @returns {string}
+ */
+export function currentProxyTier(request, ladder) {
+  return ladder[tierIndex(request)]?.tier || 'none';
+}
+
+/**
+ * Create one proxy configuration serving each request from its current tier
+ * @param {Array<Object>} ladder - Ladder from createProxyLadder
+ * @returns {ProxyConfiguration|null} - null when no tier uses a proxy
+ */
+export function createLadderProxyConfiguration(ladder) {
+  if (!ladder.some(({ configuration }) => configuration)) {
+    return null;
+  }
+
+  return new ProxyConfiguration({
+    // Browser launches have no request and use the first tier
+    newUrlFunction: async (sessionId, { request } = {}) => {
+      const { configuration } = ladder[tierIndex(request)] || ladder[0];
+      return configuration ? configuration.newUrl(sessionId) : null;
+    }
+  });
+}
+
+/**
+ * Check whether a classification calls for a different proxy
+ * @param {string} type - Error classification type
+ * @returns {boolean}
+ */
+export function shouldEscalateProxy(type) {
+  return ESCALATING_ERROR_TYPES.includes(type);
+}
+
+/**
+ * Move a request to the next tier of the ladder for its retries, recording
+ * the step on request.userData.proxyEscalation
+ * @param {Request} request - Crawlee request
+ * @param {Array<Object>} ladder - Ladder from createProxyLadder
+ * @param {string} reason - Classification that caused the escalation
+ * @param {Object} [details] - Extra fields recorded on the step, e.g. the page snapshot
+ * @returns {Object|null} - The escalation step, or null when the request is on the top tier
+ */
+export function escalateProxy(request, ladder, reason, details = {}) {
+  const index = tierIndex(request);
+  if (index + 1 >= ladder.length) {
+    return null;
+  }
+
+  const step = {
+    from: ladder[index].tier,
+    to: ladder[index + 1].tier,
+    reason,
+    attempt: request.retryCount + 1,
+    escalated_at: new Date().toISOString(),
+    ...details
+  };
+  request.userData.proxyTier = index + 1;
+  request.userData.proxyEscalation = [...(request.userData.proxyEscalation || []), step];
+  return step;
+}
+
+/**
+ * Summarize a request's escalation path for the run metadata
+ * @param {Request} request - Crawlee request
+ * @param {string} brandKey - Brand the request belongs to
+ * @param {boolean} succeeded - Whether the request succeeded on its last tier
+ * @returns {Object|null} - Escalation record, or null when the request never escalated
+ */
+export function summarizeEscalation(request, brandKey, succeeded) {
+  const steps = request.userData.proxyEscalation || [];
+  if (steps.length === 0) {
+    return null;
+  }
+
+  return {
+    url: request.url,
+    brand_key: brandKey,
+    path: [steps[0].from, ...steps.map(step => step.to)],
+    steps,
+    succeeded
+  };
+}
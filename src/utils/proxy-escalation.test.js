@@ -0,0 +1,167 @@
+/**
+ * Proxy escalation tests
+ * Checks which tiers a run may use for each proxy type and ladder, and how a
+ * request climbs the ladder up to its top tier
+ *
+ * Usage:
+ *   node src/utils/proxy-escalation.test.js
+ */
+
+import { log } from 'crawlee';
+
+import { runTestCases } from '../test/test-cases.js';
+import { ERROR_CAUSES } from './error-model.js';
+import {
+  createProxyLadder,
+  currentProxyTier,
+  escalateProxy,
+  resolveProxyLadder,
+  shouldEscalateProxy,
+  summarizeEscalation
+} from './proxy-escalation.js';
+
+// Ladder as createProxyLadder returns it, with stand-in configurations
+const LADDER = [
+  { tier: 'none', configuration: null },
+  { tier: 'datacenter', configuration: {} },
+  { tier: 'residential', configuration: {} }
+];
+
+/**
+ * Crawlee request stand-in
+ * @param {Object} userData - Request user data
+ * @returns {Object}
+ */
+function request(userData = {}) {
+  return { url: 'https://www.ritzcarlton.com/en/hotels/', retryCount: 0, userData };
+}
+
+/**
+ * Escalate a request a number of times
+ * @param {Object} escalated - Request
+ * @param {number} times - Number of escalations
+ * @returns {Array<Object|null>} - The step of each escalation
+ */
+function escalateTimes(escalated, times) {
+  return Array.from({ length: times }, () => escalateProxy(escalated, LADDER, ERROR_CAUSES.CHALLENGE_PAGE));
+}
+
+const cases = [
+  {
+    name: 'ladder starts at the selected tier',
+    run: () => resolveProxyLadder('datacenter'),
+    expected: ['datacenter', 'residential']
+  },
+  {
+    name: 'no proxy climbs the whole default ladder',
+    run: () => resolveProxyLadder('none'),
+    expected: ['none', 'datacenter', 'residential']
+  },
+  {
+    name: 'top tier has nowhere to escalate',
+    run: () => resolveProxyLadder('residential'),
+    expected: ['residential']
+  },
+  {
+    name: 'disabled escalation keeps the selected tier only',
+    run: () => resolveProxyLadder('none', undefined, false),
+    expected: ['none']
+  },
+  {
+    name: 'custom ladder skips the tiers it leaves out',
+    run: () => resolveProxyLadder('none', ['none', 'residential']),
+    expected: ['none', 'residential']
+  },
+  {
+    name: 'selected tier missing from the ladder is used alone',
+    run: () => resolveProxyLadder('datacenter', ['none', 'residential']),
+    expected: ['datacenter']
+  },
+  {
+    name: 'repeated tiers are used once',
+    run: () => resolveProxyLadder('none', ['none', 'datacenter', 'datacenter', 'residential']),
+    expected: ['none', 'datacenter', 'residential']
+  },
+  {
+    name: 'invalid proxy type is rejected',
+    run: () => resolveProxyLadder('mobile'),
+    throws: /Invalid proxy tier\(s\): mobile/
+  },
+  {
+    name: 'invalid ladder tiers are all listed',
+    run: () => resolveProxyLadder('none', ['none', 'isp', 'Residential']),
+    throws: /Invalid proxy tier\(s\): isp, Residential\. Expected one of: none, datacenter, residential/
+  },
+  {
+    name: 'challenges and blocks escalate, rate limits do not',
+    run: () => [ERROR_CAUSES.CHALLENGE_PAGE, ERROR_CAUSES.BLOCKED, ERROR_CAUSES.RATE_LIMITED].map(shouldEscalateProxy),
+    expected: [true, true, false]
+  },
+  {
+    name: 'escalation moves a request to the next tier',
+    run: () => {
+      const escalated = request();
+      const step = escalateProxy(escalated, LADDER, ERROR_CAUSES.BLOCKED, { snapshot: 'snapshots/1' });
+      return [step.from, step.to, step.reason, step.attempt, step.snapshot, currentProxyTier(escalated, LADDER)];
+    },
+    expected: ['none', 'datacenter', ERROR_CAUSES.BLOCKED, 1, 'snapshots/1', 'datacenter']
+  },
+  {
+    name: 'request on the top tier is not escalated',
+    run: () => {
+      const escalated = request();
+      const steps = escalateTimes(escalated, 3);
+      return [steps.map(step => step?.to ?? null), escalated.userData.proxyTier, escalated.userData.proxyEscalation.length];
+    },
+    expected: [['datacenter', 'residential', null], 2, 2]
+  },
+  {
+    name: 'single-tier ladder never escalates',
+    run: () => {
+      const escalated = request();
+      return [escalateProxy(escalated, [LADDER[2]], ERROR_CAUSES.BLOCKED), escalated.userData];
+    },
+    expected: [null, {}]
+  },
+  {
+    name: 'request without a tier uses the first tier',
+    run: () => [currentProxyTier(request(), LADDER), currentProxyTier(request(), [])],
+    expected: ['none', 'none']
+  },
+  {
+    name: 'escalation path is summarized from the first tier',
+    run: () => {
+      const escalated = request();
+      escalateTimes(escalated, 2);
+      const { path, succeeded, brand_key: brandKey } = summarizeEscalation(escalated, 'ritzcarlton', true);
+      return [path, succeeded, brandKey, summarizeEscalation(request(), 'ritzcarlton', true)];
+    },
+    expected: [['none', 'datacenter', 'residential'], true, 'ritzcarlton', null]
+  },
+  {
+    name: 'unavailable proxy groups are dropped from the ladder',
+    run: async () => {
+      const ladder = await createProxyLadder(['none', 'datacenter', 'residential'], async ({ groups }) => {
+        if (groups[0] === 'RESIDENTIAL') throw new Error('no access');
+        return { groups };
+      });
+      return ladder.map(({ tier, configuration }) => [tier, configuration?.groups ?? null]);
+    },
+    expected: [['none', null], ['datacenter', ['DATACENTER']]]
+  }
+];
+
+async function runTests() {
+  const logLevel = log.getLevel();
+  log.setLevel(log.LEVELS.OFF);
+  try {
+    await runTestCases('Proxy Escalation', cases);
+  } finally {
+    log.setLevel(logLevel);
+  }
+}
+
+// Always run tests when this file is executed
+runTests();
+
+export { runTests };
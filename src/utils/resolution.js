@@ -0,0 +1,179 @@
+/**
+ * Hotel URL resolution
+ * Hotels are collected from the directory without leaving it; every hotel URL
+ * is then resolved as its own crawler request and the result merged back
+ */
+
+import { classifyError } from './error-classifier.js';
+import { ERROR_CAUSES } from './error-model.js';
+import { extractMarsha, extractSlug } from './urlHelpers.js';
+
+// Crawler request label for hotel URL resolution requests
+export const RESOLVE_LABEL = 'RESOLVE';
+
+// Resolution modes: HTTP requests (falling back to the browser on challenges) or browser navigation only
+export const LIVENESS_MODES = ['http', 'browser'];
+
+// Statuses that mean the hotel URL no longer exists
+export const DEAD_STATUS_CODES = [404, 410];
+
+// What a resolution says about a hotel. Unresolved covers URLs that could not be
+// requested and inconclusive responses (blocking, server errors), which say nothing
+// about whether the hotel is still live
+export const RESOLUTION_OUTCOMES = {
+  LIVE: 'live',
+  DEAD: 'dead',
+  UNRESOLVED: 'unresolved'
+};
+
+/**
+ * Create the crawler request that resolves a collected hotel
+ * @param {Object} hotel - Hotel record collected from the directory
+ * @param {string} brandKey - Brand the hotel was collected for
+ * @returns {Object} - Crawler request options
+ */
+export function createResolveRequest(hotel, brandKey) {
+  return {
+    url: hotel.url,
+    // Keep resolution separate from a directory request for the same URL, and per locale
+    // so a hotel listed in two languages under the same URL keeps both names
+    uniqueKey: hotel.locale ? `${RESOLVE_LABEL}:${hotel.locale}:${hotel.url}` : `${RESOLVE_LABEL}:${hotel.url}`,
+    label: RESOLVE_LABEL,
+    userData: { brandKey, hotel }
+  };
+}
+
+/**
+ * Build URL information from the outcome of a hotel URL request. A hotel is
+ * dead when its URL is gone (404/410) or when a Marsha URL no longer lands on
+ * a hotel page (e.g. a short link redirecting to the home page)
+ * @param {string} url - The initial URL
+ * @param {Object} outcome - { finalUrl, status, redirectChain }
+ * @returns {Object} - Object with canonicalUrl, redirectChain, marshaCode, slug, isLive, isDead, status
+ */
+export function buildResolution(url, { finalUrl, status = null, redirectChain = [] }) {
+  const canonicalUrl = finalUrl || url;
+  const marshaCode = extractMarsha(canonicalUrl);
+  const lostMarsha = status !== null && status < 400 && Boolean(extractMarsha(url)) && !marshaCode;
+  const isDead = DEAD_STATUS_CODES.includes(status) || lostMarsha;
+
+  return {
+    canonicalUrl,
+    redirectChain,
+    marshaCode,
+    slug: extractSlug(canonicalUrl),
+    // Check if the page is live (status < 400)
+    isLive: !isDead && (status === null || status < 400),
+    isDead,
+    status
+  };
+}
+
+/**
+ * Build URL information from a browser navigation response
+ * @param {string} url - The initial URL
+ * @param {string} finalUrl - URL after redirects
+ * @param {Object} response - Puppeteer navigation response (may be null)
+ * @returns {Object} - See buildResolution
+ */
+export function resolutionFromResponse(url, finalUrl, response) {
+  return buildResolution(url, {
+    finalUrl,
+    status: response ? response.status() : null,
+    redirectChain: response?.request().redirectChain().map(req => req.url()) || []
+  });
+}
+
+/**
+ * Build URL information from a redirect-following HTTP client response
+ * @param {string} url - The initial URL
+ * @param {Object} response - HTTP response with url, statusCode and redirectUrls
+ * @returns {Object} - See buildResolution
+ */
+export function resolutionFromHttpResponse(url, response) {
+  // redirectUrls lists every URL redirected to; the chain lists the URLs redirected from
+  const redirectUrls = (response.redirectUrls || []).map(String);
+
+  return buildResolution(url, {
+    finalUrl: response.url,
+    status: response.statusCode,
+    redirectChain: redirectUrls.length > 0 ? [url, ...redirectUrls.slice(0, -1)] : []
+  });
+}
+
+/**
+ * Check an HTTP resolution. Responses that land on a hotel page or are gone
+ * are conclusive; anything else (blocking statuses, redirects away from the
+ * hotel) is passed to the error classifier, as it may be a bot challenge
+ * rather than a dead hotel
+ * @param {string} url - The initial URL
+ * @param {Object} response - HTTP response with url, statusCode and redirectUrls
+ * @param {string} body - Response body
+ * @returns {Object} - { urlInfo, classification, needsBrowser }
+ */
+export function checkHttpResolution(url, response, body) {
+  const urlInfo = resolutionFromHttpResponse(url, response);
+  const isConclusive = DEAD_STATUS_CODES.includes(urlInfo.status) || (urlInfo.status < 400 && Boolean(urlInfo.marshaCode));
+
+  if (isConclusive) {
+    return { urlInfo, classification: null, needsBrowser: false };
+  }
+
+  const classification = classifyError({
+    statusCode: urlInfo.status,
+    responseBody: body,
+    responseHeaders: response.headers,
+    url: urlInfo.canonicalUrl
+  });
+
+  return {
+    urlInfo,
+    classification,
+    needsBrowser: classification.type === ERROR_CAUSES.CHALLENGE_PAGE
+  };
+}
+
+/**
+ * Build URL information for a hotel URL that could not be requested
+ * @param {string} url - The initial URL
+ * @returns {Object} - See buildResolution
+ */
+export function failedResolution(url) {
+  // Mark as not live but still extract from the original URL
+  return {
+    canonicalUrl: url,
+    redirectChain: [],
+    marshaCode: extractMarsha(url),
+    slug: extractSlug(url),
+    isLive: false,
+    isDead: false,
+    status: null
+  };
+}
+
+/**
+ * Outcome of a hotel URL resolution
+ * @param {Object} urlInfo - Result of buildResolution or failedResolution
+ * @returns {string} - One of RESOLUTION_OUTCOMES
+ */
+export function resolutionOutcome(urlInfo) {
+  if (urlInfo.isDead) return RESOLUTION_OUTCOMES.DEAD;
+  return urlInfo.isLive ? RESOLUTION_OUTCOMES.LIVE : RESOLUTION_OUTCOMES.UNRESOLVED;
+}
+
+/**
+ * Merge URL resolution results into a collected hotel record
+ * @param {Object} hotel - Hotel record collected from the directory
+ * @param {Object} urlInfo - Result of buildResolution or failedResolution
+ * @returns {Object} - Resolved hotel record
+ */
+export function mergeResolution(hotel, urlInfo) {
+  return {
+    ...hotel,
+    url: urlInfo.canonicalUrl,
+    initial_url: hotel.url !== urlInfo.canonicalUrl ? hotel.url : undefined,
+    marsha_code: urlInfo.marshaCode || hotel.marsha_code,
+    slug: urlInfo.slug || hotel.slug,
+    is_live: urlInfo.isLive
+  };
+}
@@ -0,0 +1,200 @@
+/**
+ * Strategy Health Utility
+ * Detects selector drift: counts what each configured selector matches on the
+ * scraped directory pages, checks the counts against the expected ranges of
+ * the selector file ("health.expected") and the hotel count against the
+ * previous run, and reports a brand as healthy, degraded or broken
+ */
+
+// Named key-value store holding each directory's latest health record between runs
+export const HEALTH_STORE_NAME = 'strategy-health';
+export const HEALTH_KEY = 'HEALTH';
+
+export const HEALTH_STATUSES = ['healthy', 'degraded', 'broken'];
+
+// Share of the previous run's hotels that may disappear before a run is degraded
+export const DEFAULT_MAX_DROP = 0.5;
+
+/**
+ * List the selectors of a selector configuration by name: waitForSelector,
+ * the selectors section (hotelLinks, hotelCard, ...), and the container,
+ * item and field selectors of declarative configurations
+ * @param {Object} config - Selectors configuration
+ * @returns {Object} - CSS selectors keyed by name
+ */
+export function listConfiguredSelectors(config) {
+  const selectors = {
+    waitForSelector: config.waitForSelector,
+    ...config.selectors,
+    container: config.container,
+    item: config.item
+  };
+  for (const [field, rule] of Object.entries(config.fields || {})) {
+    selectors[field] = rule.selector;
+  }
+
+  return Object.fromEntries(Object.entries(selectors).filter(([, selector]) => typeof selector === 'string' && selector));
+}
+
+/**
+ * Name of the selector that yields one element per hotel
+ * @param {Object} config - Selectors configuration
+ * @returns {string}
+ */
+function itemSelectorName(config) {
+  if (config.item) return 'item';
+  return config.selectors?.hotelCard ? 'hotelCard' : 'hotelLinks';
+}
+
+/**
+ * Count the elements each selector matches on the current page
+ * @param {Page} page - Puppeteer page object
+ * @param {Object} selectors - CSS selectors keyed by name
+ * @returns {Promise<Object>} - Match counts keyed by name (null for an invalid selector)
+ */
+export async function countSelectorMatches(page, selectors) {
+  return page.evaluate(entries => Object.fromEntries(entries.map(([name, selector]) => {
+    try {
+      return [name, document.querySelectorAll(selector).length];
+    } catch {
+      return [name, null];
+    }
+  })), Object.entries(selectors));
+}
+
+/**
+ * Add up the match counts of several pages of a directory
+ * @param {Array<Object>} pageCounts - Match counts of each page
+ * @returns {Object} - Total match counts keyed by name
+ */
+export function sumSelectorCounts(pageCounts) {
+  const totals = {};
+  for (const counts of pageCounts) {
+    for (const [name, count] of Object.entries(counts)) {
+      totals[name] = count === null || totals[name] === null ? null : (totals[name] || 0) + count;
+    }
+  }
+  return totals;
+}
+
+/**
+ * Describe an expected range
+ * @param {Object} range - { min, max }
+ * @returns {string}
+ */
+function describeRange({ min, max }) {
+  if (min !== undefined && max !== undefined) return `${min}-${max}`;
+  return min !== undefined ? `at least ${min}` : `at most ${max}`;
+}
+
+/**
+ * Check a count against an expected range
+ * @param {number} count - Count
+ * @param {Object|undefined} range - { min, max }
+ * @returns {string} - 'ok', 'below_range' or 'above_range'
+ */
+function checkRange(count, range) {
+  if (range?.min !== undefined && count < range.min) return 'below_range';
+  if (range?.max !== undefined && count > range.max) return 'above_range';
+  return 'ok';
+}
+
+/**
+ * Evaluate the health of one directory scrape
+ * @param {Object} observation - What the run saw
+ * @param {string} observation.brandKey - Brand key
+ * @param {string} observation.locale - Directory locale
+ * @param {string} observation.strategy - Strategy class name
+ * @param {string} observation.sourceUrl - Directory URL
+ * @param {Object} observation.config - Selectors configuration of the strategy
+ * @param {Object} observation.counts - Match counts keyed by selector name (see countSelectorMatches)
+ * @param {number} observation.hotelCount - Hotels scraped from the directory
+ * @param {Error} [observation.error] - Error that stopped the strategy, if any
+ * @param {Object} [previous] - The directory's health record from the previous run
+ * @returns {Object} - Strategy health record
+ */
+export function evaluateStrategyHealth({ brandKey, locale, strategy, sourceUrl, config, counts, hotelCount, error }, previous = null) {
+  const { expected = {}, maxDrop = DEFAULT_MAX_DROP } = config.health || {};
+  const itemName = itemSelectorName(config);
+  const suspected = [];
+
+  const selectors = Object.entries(listConfiguredSelectors(config)).map(([name, selector]) => {
+    const count = counts[name] ?? null;
+    const range = expected[name] || null;
+
+    let status;
+    if (count === null) {
+      status = 'invalid';
+      suspected.push(`${name} could not be evaluated (invalid selector or the page was not scraped)`);
+    } else if (range) {
+      status = checkRange(count, range);
+      if (status !== 'ok') {
+        suspected.push(`${name} matched ${count} elements (expected ${describeRange(range)})`);
+      }
+    } else {
+      status = count > 0 ? 'ok' : 'no_match';
+      if (name === itemName && count === 0) {
+        suspected.push(`${name} matched no elements`);
+      }
+    }
+
+    return { name, selector, count, matched: count > 0, expected: range, status };
+  });
+
+  if (error) {
+    suspected.push(`strategy failed: ${error.message}`);
+  }
+
+  if (expected.hotels && checkRange(hotelCount, expected.hotels) !== 'ok') {
+    suspected.push(`${hotelCount} hotels scraped (expected ${describeRange(expected.hotels)})`);
+  }
+
+  // Broken runs don't replace the baseline, so a brand stays flagged until it recovers
+  const baseline = previous ? previous.baseline_hotel_count ?? previous.hotel_count : null;
+  const change = baseline > 0 ? (hotelCount - baseline) / baseline : null;
+  if (change !== null && -change > maxDrop) {
+    suspected.push(`hotel count dropped ${Math.round(-change * 100)}% since the previous run (${baseline} → ${hotelCount})`);
+  }
+
+  let status = 'healthy';
+  if (hotelCount === 0 || error) {
+    status = 'broken';
+  } else if (suspected.length > 0) {
+    status = 'degraded';
+  }
+
+  return {
+    type: 'strategy_health',
+    brand_key: brandKey,
+    locale,
+    strategy,
+    source_url: sourceUrl,
+    status,
+    hotel_count: hotelCount,
+    previous_hotel_count: baseline,
+    hotel_count_change: change === null ? null : Math.round(change * 1000) / 1000,
+    baseline_hotel_count: status === 'broken' && baseline !== null ? baseline : hotelCount,
+    selectors,
+    suspected_breakage: suspected,
+    checked_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Key of a directory's health record
+ * @param {string} brandKey - Brand key
+ * @param {string} locale - Directory locale
+ * @returns {string}
+ */
+export function healthKey(brandKey, locale) {
+  return `${brandKey}:${locale}`;
+}
+
+/**
+ * Count health records by status
+ * @param {Array<Object>} records - Strategy health records
+ * @returns {Object} - Record count keyed by status
+ */
+export function summarizeHealth(records) {
+  return Object.fromEntries(HEALTH_STATUSES.map(status => [status, records.filter(record => record.status === status).length]));
+}
@@ -0,0 +1,245 @@
+/**
+ * Strategy health tests
+ * Checks the drift checks of evaluateStrategyHealth: per-selector match counts
+ * against the expected min/max of the selector file, the expected hotel count,
+ * the hotel count drop since the previous run and the healthy, degraded and
+ * broken statuses, plus the selector listing, counting and summing helpers
+ *
+ * Usage:
+ *   node src/utils/strategy-health.test.js
+ */
+
+import { FixturePage } from '../test/fixture-page.js';
+import { runTestCases } from '../test/test-cases.js';
+import { FixtureStore } from './fixtures.js';
+import { countSelectorMatches, evaluateStrategyHealth, healthKey, listConfiguredSelectors, summarizeHealth, sumSelectorCounts } from './strategy-health.js';
+
+const DIRECTORY_URL = 'https://moxy-hotels.marriott.com/en/hotels/';
+
+// Declarative configuration expecting 10-100 hotel items and at least 10 hotels
+const CONFIG = {
+  waitForSelector: '.hotel-list',
+  container: '.hotel-list',
+  item: 'a.hotel',
+  fields: {
+    hotel_name: { selector: '.name' },
+    url: { attribute: 'href' }
+  },
+  health: {
+    expected: {
+      item: { min: 10, max: 100 },
+      hotels: { min: 10 }
+    }
+  }
+};
+
+const COUNTS = { waitForSelector: 1, container: 1, item: 40, hotel_name: 40 };
+
+/**
+ * Evaluate a directory scrape of the test configuration
+ * @param {Object} observation - Fields replacing those of a healthy scrape of 40 hotels
+ * @param {Object} previous - Previous health record
+ * @returns {Object} - Health record without checked_at
+ */
+function evaluate(observation = {}, previous = null) {
+  const { checked_at: checkedAt, ...record } = evaluateStrategyHealth({
+    brandKey: 'moxy',
+    locale: 'en',
+    strategy: 'DeclarativeStrategy',
+    sourceUrl: DIRECTORY_URL,
+    config: CONFIG,
+    counts: COUNTS,
+    hotelCount: 40,
+    ...observation
+  }, previous);
+  return record;
+}
+
+/**
+ * Status, suspected breakage and status of one selector of a health record
+ * @param {Object} record - Health record
+ * @param {string} name - Selector name
+ * @returns {Array} - [status, suspected_breakage, selector status]
+ */
+function outcome(record, name = 'item') {
+  return [record.status, record.suspected_breakage, record.selectors.find(selector => selector.name === name)?.status];
+}
+
+const cases = [
+  {
+    name: 'listConfiguredSelectors names waitForSelector, the selectors section and declarative selectors',
+    run: () => [
+      listConfiguredSelectors(CONFIG),
+      listConfiguredSelectors({ waitForSelector: 'main', selectors: { hotelLinks: "a[href*='/hotels/']", hotelCard: '', pagination: null } })
+    ],
+    expected: [
+      { waitForSelector: '.hotel-list', container: '.hotel-list', item: 'a.hotel', hotel_name: '.name' },
+      { waitForSelector: 'main', hotelLinks: "a[href*='/hotels/']" }
+    ]
+  },
+  {
+    name: 'countSelectorMatches counts the matches on the page and gives null for an invalid selector',
+    run: async () => {
+      const page = new FixturePage(new FixtureStore(null, {
+        [DIRECTORY_URL]: {
+          status: 200,
+          headers: { 'content-type': 'text/html' },
+          body: '<div class="hotel-list"><a class="hotel"><span class="name">A</span></a><a class="hotel"></a></div>'
+        }
+      }));
+      await page.goto(DIRECTORY_URL);
+      return countSelectorMatches(page, { item: 'a.hotel', hotel_name: '.name', missing: '.rate', broken: 'a[href=' });
+    },
+    expected: { item: 2, hotel_name: 1, missing: 0, broken: null }
+  },
+  {
+    name: 'sumSelectorCounts adds up pages and keeps a selector invalid on any page null',
+    run: () => sumSelectorCounts([{ item: 20, hotel_name: 20, broken: 0 }, { item: 15, hotel_name: 14, broken: null }]),
+    expected: { item: 35, hotel_name: 34, broken: null }
+  },
+  {
+    name: 'counts within their expected ranges are healthy',
+    run: () => evaluate(),
+    expected: {
+      type: 'strategy_health',
+      brand_key: 'moxy',
+      locale: 'en',
+      strategy: 'DeclarativeStrategy',
+      source_url: DIRECTORY_URL,
+      status: 'healthy',
+      hotel_count: 40,
+      previous_hotel_count: null,
+      hotel_count_change: null,
+      baseline_hotel_count: 40,
+      selectors: [
+        { name: 'waitForSelector', selector: '.hotel-list', count: 1, matched: true, expected: null, status: 'ok' },
+        { name: 'container', selector: '.hotel-list', count: 1, matched: true, expected: null, status: 'ok' },
+        { name: 'item', selector: 'a.hotel', count: 40, matched: true, expected: { min: 10, max: 100 }, status: 'ok' },
+        { name: 'hotel_name', selector: '.name', count: 40, matched: true, expected: null, status: 'ok' }
+      ],
+      suspected_breakage: []
+    }
+  },
+  {
+    name: 'counts at the range limits are healthy',
+    run: () => [
+      outcome(evaluate({ counts: { ...COUNTS, item: 10 }, hotelCount: 10 })),
+      outcome(evaluate({ counts: { ...COUNTS, item: 100 } }))
+    ],
+    expected: [['healthy', [], 'ok'], ['healthy', [], 'ok']]
+  },
+  {
+    name: 'selector matching fewer elements than its min degrades the brand',
+    run: () => outcome(evaluate({ counts: { ...COUNTS, item: 4 } })),
+    expected: ['degraded', ['item matched 4 elements (expected 10-100)'], 'below_range']
+  },
+  {
+    name: 'selector matching more elements than its max degrades the brand',
+    run: () => outcome(evaluate({ counts: { ...COUNTS, item: 250 } })),
+    expected: ['degraded', ['item matched 250 elements (expected 10-100)'], 'above_range']
+  },
+  {
+    name: 'one-sided ranges are described by their bound',
+    run: () => {
+      const config = { ...CONFIG, health: { expected: { item: { max: 30 }, hotel_name: { min: 50 } } } };
+      return evaluate({ config }).suspected_breakage;
+    },
+    expected: ['item matched 40 elements (expected at most 30)', 'hotel_name matched 40 elements (expected at least 50)']
+  },
+  {
+    name: 'item selector without a range matching nothing is suspected, other selectors are only no_match',
+    run: () => {
+      const config = { ...CONFIG, health: undefined };
+      return [
+        outcome(evaluate({ config, counts: { ...COUNTS, item: 0 }, hotelCount: 5 })),
+        outcome(evaluate({ config, counts: { ...COUNTS, hotel_name: 0 } }), 'hotel_name')
+      ];
+    },
+    expected: [
+      ['degraded', ['item matched no elements'], 'no_match'],
+      ['healthy', [], 'no_match']
+    ]
+  },
+  {
+    name: 'selector that could not be evaluated is invalid and degrades the brand',
+    run: () => outcome(evaluate({ counts: { ...COUNTS, hotel_name: null } }), 'hotel_name'),
+    expected: ['degraded', ['hotel_name could not be evaluated (invalid selector or the page was not scraped)'], 'invalid']
+  },
+  {
+    name: 'hotel count outside the expected hotels range degrades the brand',
+    run: () => outcome(evaluate({ hotelCount: 6 })),
+    expected: ['degraded', ['6 hotels scraped (expected at least 10)'], 'ok']
+  },
+  {
+    name: 'hotel count drop beyond maxDrop degrades the brand',
+    run: () => {
+      const record = evaluate({ hotelCount: 16 }, evaluate());
+      return [record.status, record.suspected_breakage, record.previous_hotel_count, record.hotel_count_change, record.baseline_hotel_count];
+    },
+    expected: ['degraded', ['hotel count dropped 60% since the previous run (40 → 16)'], 40, -0.6, 16]
+  },
+  {
+    name: 'hotel count drop within maxDrop, and any growth, stay healthy',
+    run: () => [
+      evaluate({ hotelCount: 20 }, evaluate()),
+      evaluate({ hotelCount: 90 }, evaluate())
+    ].map(record => [record.status, record.hotel_count_change]),
+    expected: [['healthy', -0.5], ['healthy', 1.25]]
+  },
+  {
+    name: 'maxDrop of the selector file replaces the default',
+    run: () => {
+      const config = { ...CONFIG, health: { ...CONFIG.health, maxDrop: 0.2 } };
+      return outcome(evaluate({ config, hotelCount: 30 }, evaluate()));
+    },
+    expected: ['degraded', ['hotel count dropped 25% since the previous run (40 → 30)'], 'ok']
+  },
+  {
+    name: 'zero hotels mark the brand broken and keep the previous baseline',
+    run: () => {
+      const record = evaluate({ counts: { ...COUNTS, item: 0, hotel_name: 0 }, hotelCount: 0 }, evaluate());
+      return [record.status, record.suspected_breakage, record.baseline_hotel_count];
+    },
+    expected: ['broken', [
+      'item matched 0 elements (expected 10-100)',
+      '0 hotels scraped (expected at least 10)',
+      'hotel count dropped 100% since the previous run (40 → 0)'
+    ], 40]
+  },
+  {
+    name: 'zero hotels without expectations or a previous run are still broken',
+    run: () => outcome(evaluate({ config: { item: 'a.hotel' }, counts: { item: 3 }, hotelCount: 0 })),
+    expected: ['broken', [], 'ok']
+  },
+  {
+    name: 'strategy error marks the brand broken even with hotels',
+    run: () => outcome(evaluate({ error: new Error('Navigation timeout of 60000 ms exceeded') })),
+    expected: ['broken', ['strategy failed: Navigation timeout of 60000 ms exceeded'], 'ok']
+  },
+  {
+    name: 'run after a broken one is compared with the last good hotel count',
+    run: () => {
+      const broken = evaluate({ hotelCount: 0 }, evaluate());
+      const recovered = evaluate({ hotelCount: 38 }, broken);
+      return [recovered.status, recovered.previous_hotel_count, recovered.hotel_count_change];
+    },
+    expected: ['healthy', 40, -0.05]
+  },
+  {
+    name: 'summarizeHealth counts records by status and healthKey joins brand and locale',
+    run: () => [
+      summarizeHealth([evaluate(), evaluate({ hotelCount: 6 }), evaluate({ hotelCount: 0 }), evaluate()]),
+      healthKey('moxy', 'en')
+    ],
+    expected: [{ healthy: 2, degraded: 1, broken: 1 }, 'moxy:en']
+  }
+];
+
+async function runTests() {
+  await runTestCases('Strategy Health', cases);
+}
+
+// Always run tests when this file is executed
+runTests();
+
+export { runTests };
@@ -1,8 +1,13 @@
 /**
  * URL utilities for Marriott hotel URL processing
- * Extracts Marsha codes, slugs, and handles URL resolution
+ * Extracts Marsha codes, slugs, and normalizes URLs
  */
 
+import { LOCALE_SEGMENT_PATTERN } from '../config/locales.js';
+
+// Hotel path segment, in English or localized (/hotels/, /hotel/, /hoteles/, /hôtels/)
+const HOTEL_SEGMENT = 'h[oô]t[eéè]l[a-z]*';
+
 /**
  * Extract Marsha code from URL
  * @param {string} url - The hotel URL
@@ -11,22 +16,24 @@
 export function extractMarsha(url) {
   if (!url) return '';
   
-  // Pattern 1: /hotels/travel/<marsha>-<slug>/ or /hotels/<marsha>-<slug>/
-  const pattern1 = /\/hotels\/(?:travel\/)?([A-Z]{3,6})-/i;
+  // Pattern 1: /hotels/travel/<marsha>-<slug>/ or /hotels/<marsha>-<slug>/, optionally after a locale (/fr/hotels/)
+  const pattern1 = new RegExp(`\\/${HOTEL_SEGMENT}\\/(?:travel\\/)?([A-Z]{3,6})-`, 'i');
   const match1 = url.match(pattern1);
   if (match1) {
     return match1[1].toUpperCase();
   }
   
-  // Pattern 2: /<marsha> (short code format) - but not part of other paths
+  // Pattern 2: /<marsha> or /<locale>/<MARSHA> (short code format) - but not part of other paths
   // This should match URLs like https://www.marriott.com/DEADHOTEL
   // but not https://www.marriott.com/hotels/travel/
-  const pattern2 = /^https?:\/\/[^\/]+\/([A-Z]{3,6})(?:\/|$)/i;
-  const match2 = url.match(pattern2);
+  // After a locale the code must be uppercase, as localized pages are lowercase words (/fr/offers/)
+  const pattern2 = /^https?:\/\/[^/]+\/([A-Z]{3,6})(?:\/|$)/i;
+  const localizedPattern2 = new RegExp(`^https?:\\/\\/[^\\/]+\\/${LOCALE_SEGMENT_PATTERN}\\/([A-Z]{3,6})(?:\\/|$)`);
+  const match2 = url.match(pattern2) || url.match(localizedPattern2);
   if (match2) {
     // Additional check: make sure this isn't part of a path like /hotels/
     const pathAfterDomain = url.replace(/^https?:\/\/[^\/]+/, '');
-    if (!pathAfterDomain.includes('/hotels/')) {
+    if (!new RegExp(`\\/${HOTEL_SEGMENT}\\/`, 'i').test(pathAfterDomain)) {
       return match2[1].toUpperCase();
     }
   }
@@ -42,8 +49,8 @@ export function extractMarsha(url) {
 export function extractSlug(url) {
   if (!url) return '';
   
-  // Pattern: /hotels/travel/<marsha>-<slug>/ or /hotels/<marsha>-<slug>/
-  const pattern = /\/hotels\/(?:travel\/)?[A-Z]{3,6}-([^\/]+)/i;
+  // Pattern: /hotels/travel/<marsha>-<slug>/ or /hotels/<marsha>-<slug>/, optionally after a locale (/fr/hotels/)
+  const pattern = new RegExp(`\\/${HOTEL_SEGMENT}\\/(?:travel\\/)?[A-Z]{3,6}-([^\\/]+)`, 'i');
   const match = url.match(pattern);
   
   if (match) {
@@ -53,55 +60,6 @@ export function extractSlug(url) {
   return '';
 }
 
-/**
- * Resolve URL and extract information
- * @param {string} url - The initial URL
- * @param {Page} page - Puppeteer page object
- * @returns {Promise<Object>} - Object with canonicalUrl, redirectChain, marshaCode, slug, isLive
- */
-export async function resolveAndExtract(url, page) {
-  const result = {
-    canonicalUrl: url,
-    redirectChain: [],
-    marshaCode: '',
-    slug: '',
-    isLive: true
-  };
-  
-  try {
-    // Navigate to the URL and capture redirects
-    const response = await page.goto(url, { 
-      waitUntil: 'networkidle0',
-      timeout: 30000 
-    });
-    
-    // Get the final URL after redirects
-    result.canonicalUrl = page.url();
-    
-    // Check if the page is live (status < 400)
-    if (response && response.status() >= 400) {
-      result.isLive = false;
-    }
-    
-    // Extract Marsha code and slug from the canonical URL
-    result.marshaCode = extractMarsha(result.canonicalUrl);
-    result.slug = extractSlug(result.canonicalUrl);
-    
-    // Get redirect chain if available
-    if (response && response.request().redirectChain) {
-      result.redirectChain = response.request().redirectChain().map(req => req.url());
-    }
-    
-  } catch (error) {
-    // If navigation fails, mark as not live but still extract from original URL
-    result.isLive = false;
-    result.marshaCode = extractMarsha(url);
-    result.slug = extractSlug(url);
-  }
-  
-  return result;
-}
-
 /**
  * Validate if a URL is a valid Marriott hotel URL
  * @param {string} url - The URL to validate
@@ -74,6 +74,60 @@ const edgeCases = [
   }
 ];
 
+// Localized URLs: locale path prefixes, international domains and localized hotel paths
+const localeCases = [
+  {
+    input: 'https://www.marriott.com/fr/hotels/travel/parlc-le-meridien-etoile/overview/',
+    expectedMarsha: 'PARLC',
+    expectedSlug: 'le-meridien-etoile'
+  },
+  {
+    input: 'https://www.ritzcarlton.com/zh-cn/hotels/bjsrz-the-ritz-carlton-beijing/overview/',
+    expectedMarsha: 'BJSRZ',
+    expectedSlug: 'the-ritz-carlton-beijing'
+  },
+  {
+    input: 'https://www.marriott.de/hotels/travel/muccy-courtyard-munich-city-center/',
+    expectedMarsha: 'MUCCY',
+    expectedSlug: 'courtyard-munich-city-center'
+  },
+  {
+    input: 'https://www.marriott.com/es/hoteles/madmc-madrid-marriott-auditorium/',
+    expectedMarsha: 'MADMC',
+    expectedSlug: 'madrid-marriott-auditorium'
+  },
+  {
+    input: 'https://www.marriott.com/de/ADDLC',
+    expectedMarsha: 'ADDLC',
+    expectedSlug: ''
+  },
+  {
+    input: 'https://www.ritzcarlton.com/en/hotels-and-resorts/',
+    expectedMarsha: '',
+    expectedSlug: ''
+  },
+  {
+    input: 'https://www.marriott.com/fr/offers/',
+    expectedMarsha: '',
+    expectedSlug: ''
+  },
+  {
+    input: 'https://www.marriott.com/zh-cn/ADDLC/',
+    expectedMarsha: 'ADDLC',
+    expectedSlug: ''
+  },
+  {
+    input: 'https://www.marriott.com/de/addlc',
+    expectedMarsha: '',
+    expectedSlug: ''
+  },
+  {
+    input: 'https://www.marriott.com/us/ADDLC',
+    expectedMarsha: '',
+    expectedSlug: ''
+  }
+];
+
 function runTests() {
   console.log('🧪 Running urlHelpers unit tests...\n');
   
@@ -82,7 +136,7 @@ function runTests() {
   
   // Test extractMarsha function
   console.log('📋 Testing extractMarsha function:');
-  [...testCases, ...deadHotelTestCases, ...edgeCases].forEach((testCase, index) => {
+  [...testCases, ...deadHotelTestCases, ...edgeCases, ...localeCases].forEach((testCase, index) => {
     const result = extractMarsha(testCase.input);
     const success = result === testCase.expectedMarsha;
     
@@ -99,7 +153,7 @@ function runTests() {
   });
   
   console.log('\n📋 Testing extractSlug function:');
-  [...testCases, ...deadHotelTestCases, ...edgeCases].forEach((testCase, index) => {
+  [...testCases, ...deadHotelTestCases, ...edgeCases, ...localeCases].forEach((testCase, index) => {
     const result = extractSlug(testCase.input);
     const success = result === testCase.expectedSlug;
     